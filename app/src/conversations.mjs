@@ -0,0 +1,226 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Multi-turn memory for /api/agent/chat.
+//
+// One JSON file per conversation under <DATA_DIR>/conversations/<id>.json:
+//   { id, user, tenant, createdAt, updatedAt, summary, summarizedThrough, turns: [...] }
+// Turns are { role: "user"|"assistant"|"tool_call"|"tool_result", content, ts, ... }.
+// tool_call carries { tool, args }; tool_result carries { tool, query, rowCount } where query is the
+// effective { os, where, ... } reported by the MCP server (_mcp.query) so follow-ups can refine it.
+//
+// Older turns are folded into `summary` once the history no longer fits the context budget;
+// `summarizedThrough` is the number of leading turns the summary covers.
+
+const ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+
+export function conversationsDir(dataDir) {
+  return path.join(dataDir, "conversations");
+}
+
+export function isValidConversationId(id) {
+  return ID_RE.test(String(id || ""));
+}
+
+export function newConversationId() {
+  return crypto.randomUUID();
+}
+
+export function readConversation(dir, id) {
+  if (!isValidConversationId(id)) return null;
+  try {
+    const raw = fs.readFileSync(path.join(dir, `${id}.json`), "utf-8");
+    const conv = JSON.parse(raw);
+    if (!conv || typeof conv !== "object" || !Array.isArray(conv.turns)) return null;
+    return conv;
+  } catch {
+    return null;
+  }
+}
+
+export function writeConversation(dir, conv) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${conv.id}.json`);
+  const tmp = file + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(conv, null, 2), "utf-8");
+  fs.renameSync(tmp, file);
+}
+
+export function deleteConversation(dir, id) {
+  if (!isValidConversationId(id)) return false;
+  try {
+    fs.unlinkSync(path.join(dir, `${id}.json`));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Most recent conversations for a user (id, title, timestamps only).
+export function listConversations(dir, username, limit = 50) {
+  let files = [];
+  try { files = fs.readdirSync(dir).filter(f => f.endsWith(".json")); } catch { return []; }
+  const out = [];
+  for (const f of files) {
+    const conv = readConversation(dir, f.slice(0, -5));
+    if (!conv || String(conv.user || "") !== String(username || "")) continue;
+    const firstUser = conv.turns.find(t => t?.role === "user");
+    out.push({
+      id: conv.id,
+      title: String(firstUser?.content || "").slice(0, 80),
+      tenant: conv.tenant || "",
+      turns: conv.turns.length,
+      createdAt: conv.createdAt,
+      updatedAt: conv.updatedAt,
+    });
+  }
+  return out.sort((a, b) => String(b.updatedAt || "").localeCompare(String(a.updatedAt || ""))).slice(0, limit);
+}
+
+export function createConversation({ id, user, tenant }) {
+  const now = new Date().toISOString();
+  return {
+    id: isValidConversationId(id) ? id : newConversationId(),
+    user: String(user || ""),
+    tenant: String(tenant || ""),
+    createdAt: now,
+    updatedAt: now,
+    summary: "",
+    summarizedThrough: 0,
+    turns: [],
+  };
+}
+
+export function appendTurns(conv, turns) {
+  for (const t of (Array.isArray(turns) ? turns : [])) {
+    if (t && t.role) conv.turns.push({ ts: new Date().toISOString(), ...t });
+  }
+  conv.updatedAt = new Date().toISOString();
+  return conv;
+}
+
+// Appends turns to the stored copy rather than to `conv`, which was read when the request started: requests
+// on the same conversation can overlap, and each must add its turns to what the others already saved. `conv`'s
+// summary is kept when it covers more turns (turns are only appended, so the count means the same prefix).
+// Returns the saved conversation, or null when the id now belongs to another user.
+export function saveConversationTurns(dir, conv, turns) {
+  const stored = readConversation(dir, conv.id);
+  if (stored && String(stored.user || "") !== String(conv.user || "")) return null;
+  const target = stored || conv;
+  if (target !== conv && Number(conv.summarizedThrough || 0) > Number(target.summarizedThrough || 0)) {
+    target.summary = conv.summary;
+    target.summarizedThrough = conv.summarizedThrough;
+  }
+  appendTurns(target, turns);
+  writeConversation(dir, target);
+  return target;
+}
+
+// Rough token estimate (~4 chars per token); good enough for budgeting across providers.
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function clip(s, n) {
+  const str = String(s ?? "");
+  return str.length > n ? str.slice(0, n) + " ...[truncated]" : str;
+}
+
+// The latest query the MCP server reported for this conversation, if any.
+export function lastQueryOf(conv) {
+  const turns = Array.isArray(conv?.turns) ? conv.turns : [];
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const q = turns[i]?.role === "tool_result" ? turns[i].query : null;
+    if (q && q.os) return q;
+  }
+  return null;
+}
+
+// Follow-up phrasing that narrows/reshapes the previous result rather than starting over.
+const REFINE_START_RE = /^\s*(only|just|and|but|now|also|then|filter|exclude|excluding|without|except|sort|order|same|limit|narrow|restrict|include|what about|how about|which of|of (?:those|these|them)|show only)\b/i;
+const REFINE_REF_RE = /\b(those|these|them|the same|ones|that list|the results?)\b/i;
+
+export function looksLikeRefinement(text) {
+  const t = String(text || "").trim();
+  if (!t) return false;
+  return REFINE_START_RE.test(t) || REFINE_REF_RE.test(t);
+}
+
+function renderTurn(t, maxToolChars) {
+  if (t.role === "tool_call") return `[tool call] ${t.tool || ""} ${clip(JSON.stringify(t.args ?? {}), maxToolChars)}`;
+  if (t.role === "tool_result") {
+    const q = t.query ? ` (os=${t.query.os}${t.query.where ? `, where=${t.query.where}` : ""})` : "";
+    return `[tool result] ${t.tool || ""}${q}: ${clip(t.content, maxToolChars)}`;
+  }
+  if (t.error) return `${t.content ? t.content + "\n" : ""}[error] ${t.error}`;
+  return String(t.content || "");
+}
+
+// Provider-neutral chat messages. Tool turns are folded into the assistant message that follows
+// them, and consecutive same-role messages are merged, so roles always alternate (Anthropic/Gemini).
+export function turnsToMessages(turns, { maxToolChars = 1500 } = {}) {
+  const out = [];
+  for (const t of turns) {
+    const role = t.role === "user" ? "user" : "assistant";
+    const content = renderTurn(t, maxToolChars);
+    if (!content) continue;
+    const prev = out[out.length - 1];
+    if (prev && prev.role === role) prev.content += "\n" + content;
+    else out.push({ role, content });
+  }
+  return out;
+}
+
+export function messagesToTranscript(msgs) {
+  return msgs.map(m => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`).join("\n");
+}
+
+// Deterministic fallback when the provider can't summarize: the user requests and queries, clipped.
+export function fallbackSummary(previous, turns, maxChars = 2000) {
+  const lines = [];
+  if (previous) lines.push(previous);
+  for (const t of turns) {
+    if (t.role === "user") lines.push(`- User asked: ${clip(t.content, 200)}`);
+    if (t.role === "tool_result" && t.query?.os) lines.push(`  queried ${t.query.os}${t.query.where ? ` where ${t.query.where}` : ""}${Number.isFinite(t.rowCount) ? ` (${t.rowCount} rows)` : ""}`);
+  }
+  const s = lines.join("\n");
+  return s.length > maxChars ? s.slice(s.length - maxChars) : s;
+}
+
+/**
+ * Select the history that fits `budgetTokens`, newest first.
+ * Turns that fall out of the window (and aren't covered by conv.summary yet) are returned as
+ * `overflow` so the caller can fold them into the summary via summarize(previousSummary, turns).
+ */
+export function selectHistory(conv, { budgetTokens = 6000, maxToolChars = 1500 } = {}) {
+  const turns = Array.isArray(conv?.turns) ? conv.turns : [];
+  const start = Math.min(Number(conv?.summarizedThrough || 0), turns.length);
+  let used = estimateTokens(conv?.summary);
+  let cut = turns.length;
+  for (let i = turns.length - 1; i >= start; i--) {
+    const cost = estimateTokens(renderTurn(turns[i], maxToolChars));
+    if (used + cost > budgetTokens) break;
+    used += cost;
+    cut = i;
+  }
+  // Never start the window on an orphaned tool/assistant turn.
+  while (cut < turns.length && turns[cut].role !== "user") cut++;
+  return { overflow: turns.slice(start, cut), kept: turns.slice(cut), cut };
+}
+
+export async function compactConversation(conv, { budgetTokens, maxToolChars, summarize } = {}) {
+  const sel = selectHistory(conv, { budgetTokens, maxToolChars });
+  if (sel.overflow.length) {
+    let summary = "";
+    if (typeof summarize === "function") {
+      try { summary = String(await summarize(conv.summary || "", sel.overflow) || "").trim(); } catch { summary = ""; }
+    }
+    conv.summary = summary || fallbackSummary(conv.summary || "", sel.overflow);
+    conv.summarizedThrough = sel.cut;
+  }
+  return {
+    summary: conv.summary || "",
+    messages: turnsToMessages(sel.kept, { maxToolChars }),
+  };
+}
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { createConversation, readConversation, writeConversation, saveConversationTurns } from "./conversations.mjs";
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "conversations-test-"));
+}
+
+test("saveConversationTurns: overlapping requests both keep their turns", () => {
+  const dir = tempDir();
+  try {
+    const conv = createConversation({ user: "alice", tenant: "default" });
+    writeConversation(dir, conv);
+
+    // Two requests read the same (empty) conversation, then finish one after the other.
+    const first = readConversation(dir, conv.id);
+    const second = readConversation(dir, conv.id);
+    saveConversationTurns(dir, first, [{ role: "user", content: "open work orders" }, { role: "assistant", content: "3 found" }]);
+    const saved = saveConversationTurns(dir, second, [{ role: "user", content: "overdue PMs" }, { role: "assistant", content: "none" }]);
+
+    assert.deepEqual(saved.turns.map((t) => t.content), ["open work orders", "3 found", "overdue PMs", "none"]);
+    assert.deepEqual(readConversation(dir, conv.id).turns.map((t) => t.content), ["open work orders", "3 found", "overdue PMs", "none"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("saveConversationTurns: a summary covering more turns wins; another user's conversation is left alone", () => {
+  const dir = tempDir();
+  try {
+    const conv = createConversation({ user: "alice" });
+    conv.turns = [{ role: "user", content: "a" }, { role: "assistant", content: "b" }];
+    writeConversation(dir, conv);
+
+    const compacted = readConversation(dir, conv.id);
+    compacted.summary = "asked a, got b";
+    compacted.summarizedThrough = 2;
+    saveConversationTurns(dir, readConversation(dir, conv.id), [{ role: "user", content: "c" }]);
+    const saved = saveConversationTurns(dir, compacted, [{ role: "user", content: "d" }]);
+    assert.equal(saved.summary, "asked a, got b");
+    assert.equal(saved.summarizedThrough, 2);
+    assert.deepEqual(saved.turns.map((t) => t.content), ["a", "b", "c", "d"]);
+
+    const other = createConversation({ id: conv.id, user: "bob" });
+    assert.equal(saveConversationTurns(dir, other, [{ role: "user", content: "x" }]), null);
+    assert.equal(readConversation(dir, conv.id).user, "alice");
+    assert.equal(readConversation(dir, conv.id).turns.length, 4);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,231 @@
+import net from "net";
+import tls from "tls";
+import os from "os";
+import crypto from "crypto";
+import fetch from "node-fetch";
+
+// Outbound delivery for scheduled digests: webhook (JSON POST) and SMTP mail.
+//
+// delivery (per schedule):
+//   { type: "webhook", url, headers? }       POST of the JSON payload (also carries `text` for chat webhooks)
+//   { type: "smtp", to: [addr], subject? }   mail through settings.smtp
+// settings.smtp (shared settings, admin-managed):
+//   { host, port, security: "none" | "starttls" | "tls", user, password, from }
+//
+// Errors are plain Errors with code "delivery_failed" and, for SMTP, the server reply in `detail`.
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 15000);
+const SMTP_TIMEOUT_MS = Number(process.env.SMTP_TIMEOUT_MS || 20000);
+const EMAIL_RE = /^[^\s@<>]+@[^\s@<>]+$/;
+
+function deliveryError(message, detail) {
+  const e = new Error(message);
+  e.code = "delivery_failed";
+  if (detail) e.detail = detail;
+  return e;
+}
+
+export function isEmailAddress(s) {
+  return EMAIL_RE.test(String(s || "").trim());
+}
+
+// ---------- webhook ----------
+export async function postWebhook({ url, headers, payload }) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const r = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...(headers || {}) },
+      body: JSON.stringify(payload),
+      signal: ctrl.signal,
+    });
+    const text = await r.text().catch(() => "");
+    if (!r.ok) throw deliveryError(`Webhook returned HTTP ${r.status}`, text.slice(0, 500));
+    return { status: r.status };
+  } catch (e) {
+    if (e?.code === "delivery_failed") throw e;
+    throw deliveryError(`Webhook failed: ${e?.name === "AbortError" ? "timeout" : String(e?.message || e)}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ---------- SMTP ----------
+function encodeHeader(s) {
+  const v = String(s || "");
+  return /^[\x20-\x7e]*$/.test(v) ? v : `=?UTF-8?B?${Buffer.from(v, "utf8").toString("base64")}?=`;
+}
+
+function base64Lines(buf) {
+  return Buffer.from(buf).toString("base64").replace(/.{1,76}/g, "$&\r\n");
+}
+
+// RFC 5322 message: text + optional HTML alternative, attachments as base64 parts.
+export function buildMimeMessage({ from, to, subject, text, html, attachments = [] }) {
+  const id = () => `=_${crypto.randomBytes(12).toString("hex")}`;
+  const head = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace("GMT", "+0000")}`,
+    `Message-ID: <${crypto.randomUUID()}@${String(from).split("@")[1]?.replace(/>$/, "") || os.hostname()}>`,
+    "MIME-Version: 1.0",
+  ];
+  const textPart = ["Content-Type: text/plain; charset=utf-8", "Content-Transfer-Encoding: base64", "", base64Lines(Buffer.from(String(text || ""), "utf8"))];
+  let body;
+  if (html) {
+    const alt = id();
+    body = [
+      `Content-Type: multipart/alternative; boundary="${alt}"`,
+      "",
+      `--${alt}`, ...textPart,
+      `--${alt}`, "Content-Type: text/html; charset=utf-8", "Content-Transfer-Encoding: base64", "", base64Lines(Buffer.from(String(html), "utf8")),
+      `--${alt}--`,
+    ];
+  } else {
+    body = textPart;
+  }
+  if (attachments.length) {
+    const mixed = id();
+    const parts = [`Content-Type: multipart/mixed; boundary="${mixed}"`, "", `--${mixed}`, ...body];
+    for (const a of attachments) {
+      parts.push(
+        `--${mixed}`,
+        `Content-Type: ${a.contentType || "application/octet-stream"}; name="${a.filename}"`,
+        "Content-Transfer-Encoding: base64",
+        `Content-Disposition: attachment; filename="${a.filename}"`,
+        "",
+        base64Lines(a.content),
+      );
+    }
+    parts.push(`--${mixed}--`);
+    body = parts;
+  }
+  return [...head, ...body].join("\r\n");
+}
+
+// RFC 5321 transparency: a line starting with "." gets another one, so it can't end the DATA block early.
+export function dotStuff(data) {
+  return String(data).replace(/(^|\r\n)\./g, "$1..");
+}
+
+// Reads SMTP replies ("250-..." continuation lines up to "250 ...") off a socket.
+function smtpReader(socket) {
+  let buf = "";
+  let waiting = null;
+  const replies = [];
+  const flush = () => {
+    for (;;) {
+      const lines = buf.split("\r\n");
+      let end = -1;
+      for (let i = 0; i < lines.length - 1; i++) {
+        if (/^\d{3}(?: |$)/.test(lines[i])) { end = i; break; }
+      }
+      if (end < 0) return;
+      const block = lines.slice(0, end + 1);
+      buf = lines.slice(end + 1).join("\r\n");
+      replies.push({ code: Number(block[end].slice(0, 3)), text: block.join("\n") });
+      if (waiting) {
+        const w = waiting;
+        waiting = null;
+        w.resolve(replies.shift());
+      }
+    }
+  };
+  const onData = (d) => { buf += d.toString("utf8"); flush(); };
+  const onFail = (err) => { if (waiting) { const w = waiting; waiting = null; w.reject(err); } };
+  socket.on("data", onData);
+  socket.on("error", onFail);
+  socket.on("close", () => onFail(deliveryError("SMTP connection closed")));
+  return {
+    next: () => (replies.length ? Promise.resolve(replies.shift()) : new Promise((resolve, reject) => { waiting = { resolve, reject }; })),
+    detach: () => { socket.off("data", onData); socket.off("error", onFail); },
+  };
+}
+
+/**
+ * Sends one message. smtp: settings.smtp; message: { to: [addr], subject, text, html?, attachments? }.
+ * Resolves { status: 250, accepted: [...] }.
+ */
+export async function sendSmtpMail(smtp, message) {
+  const host = String(smtp?.host || "").trim();
+  if (!host) throw deliveryError("SMTP is not configured (Settings → Email)");
+  const security = ["tls", "starttls"].includes(smtp?.security) ? smtp.security : "none";
+  const port = Number(smtp?.port) || (security === "tls" ? 465 : security === "starttls" ? 587 : 25);
+  const from = String(smtp?.from || "").trim();
+  if (!isEmailAddress(from.replace(/^.*<([^>]+)>$/, "$1"))) throw deliveryError("SMTP sender (from) is not a valid address");
+  const to = (message.to || []).map((s) => String(s).trim()).filter(Boolean);
+  if (!to.length) throw deliveryError("No recipients");
+
+  let socket = security === "tls" ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+  socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(deliveryError("SMTP timeout")));
+  let reader = smtpReader(socket);
+  let last = "";
+  const expect = async (codes, what) => {
+    const r = await reader.next();
+    last = r.text;
+    if (!codes.includes(r.code)) throw deliveryError(`SMTP ${what} rejected (${r.code})`, r.text.slice(0, 500));
+    return r;
+  };
+  const cmd = async (line, codes, what) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes, what);
+  };
+
+  try {
+    await expect([220], "greeting");
+    const helo = os.hostname() || "localhost";
+    let ehlo = await cmd(`EHLO ${helo}`, [250], "EHLO");
+    if (security === "starttls") {
+      if (!/STARTTLS/i.test(ehlo.text)) throw deliveryError("SMTP server does not offer STARTTLS");
+      await cmd("STARTTLS", [220], "STARTTLS");
+      reader.detach();
+      socket = tls.connect({ socket, servername: host });
+      socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(deliveryError("SMTP timeout")));
+      await new Promise((resolve, reject) => { socket.once("secureConnect", resolve); socket.once("error", reject); });
+      reader = smtpReader(socket);
+      ehlo = await cmd(`EHLO ${helo}`, [250], "EHLO");
+    }
+    if (smtp?.user) {
+      const token = Buffer.from(`\u0000${smtp.user}\u0000${smtp.password || ""}`, "utf8").toString("base64");
+      await cmd(`AUTH PLAIN ${token}`, [235], "AUTH");
+    }
+    await cmd(`MAIL FROM:<${from.replace(/^.*<([^>]+)>$/, "$1")}>`, [250], "MAIL FROM");
+    for (const rcpt of to) await cmd(`RCPT TO:<${rcpt}>`, [250, 251], `RCPT TO ${rcpt}`);
+    await cmd("DATA", [354], "DATA");
+    const data = dotStuff(buildMimeMessage({ ...message, from, to }));
+    const done = await cmd(`${data}\r\n.`, [250], "message");
+    socket.write("QUIT\r\n");
+    return { status: done.code, accepted: to };
+  } catch (e) {
+    if (e?.code === "delivery_failed") throw e;
+    throw deliveryError(`SMTP failed: ${String(e?.message || e)}`, last.slice(0, 500));
+  } finally {
+    reader.detach();
+    socket.end();
+  }
+}
+
+/**
+ * Delivers a digest. message: { subject, text, html, attachments, payload } where payload is the webhook JSON body.
+ * Returns { type, target, status }.
+ */
+export async function deliver(delivery, message, { smtp } = {}) {
+  const type = String(delivery?.type || "").toLowerCase();
+  if (type === "webhook") {
+    const out = await postWebhook({ url: delivery.url, headers: delivery.headers, payload: message.payload });
+    return { type, target: String(delivery.url), status: out.status };
+  }
+  if (type === "smtp") {
+    const out = await sendSmtpMail(smtp, {
+      to: delivery.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: message.attachments,
+    });
+    return { type, target: out.accepted.join(", "), status: out.status };
+  }
+  throw deliveryError(`Unknown delivery type: ${type || "(none)"}`);
+}
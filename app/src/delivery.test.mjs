@@ -0,0 +1,137 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+
+import { sendSmtpMail, deliver, dotStuff } from "./delivery.mjs";
+
+// Minimal SMTP server: records each session's commands and DATA payload; `rejectRcpt` answers 550 for that address.
+function smtpStub({ ehlo = ["AUTH PLAIN LOGIN", "8BITMIME"], rejectRcpt = "" } = {}) {
+  const sessions = [];
+  const server = net.createServer((socket) => {
+    const s = { commands: [], data: null };
+    sessions.push(s);
+    let buf = "";
+    let inData = false;
+    const reply = (line) => socket.write(`${line}\r\n`);
+    socket.on("data", (chunk) => {
+      buf += chunk.toString("utf8");
+      for (;;) {
+        if (inData) {
+          const end = buf.indexOf("\r\n.\r\n");
+          if (end < 0) return;
+          s.data = buf.slice(0, end);
+          buf = buf.slice(end + 5);
+          inData = false;
+          reply("250 2.0.0 queued");
+          continue;
+        }
+        const nl = buf.indexOf("\r\n");
+        if (nl < 0) return;
+        const line = buf.slice(0, nl);
+        buf = buf.slice(nl + 2);
+        s.commands.push(line);
+        const verb = line.split(" ")[0].toUpperCase();
+        if (verb === "EHLO") {
+          ["250-stub.test Hello", ...ehlo.map((x, i) => `250${i === ehlo.length - 1 ? " " : "-"}${x}`)].forEach(reply);
+        } else if (verb === "AUTH") {
+          const [user, pass] = Buffer.from(line.split(" ")[2] || "", "base64").toString("utf8").split("\u0000").slice(1);
+          s.auth = { user, pass };
+          reply(pass === "secret" ? "235 2.7.0 Authentication successful" : "535 5.7.8 Authentication credentials invalid");
+        } else if (verb === "RCPT") {
+          reply(rejectRcpt && line.includes(`<${rejectRcpt}>`) ? "550 5.1.1 No such user" : "250 2.1.5 OK");
+        } else if (verb === "DATA") {
+          inData = true;
+          reply("354 End data with <CR><LF>.<CR><LF>");
+        } else if (verb === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+        } else {
+          reply("250 OK");
+        }
+      }
+    });
+    reply("220 stub.test ESMTP");
+  });
+  return {
+    sessions,
+    listen: () => new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port))),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Undo dot-stuffing and pull the decoded text/plain part out of a received message.
+const unstuff = (data) => data.replace(/(^|\r\n)\.\./g, "$1.");
+function textPart(message) {
+  const m = message.match(/Content-Type: text\/plain; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+)/);
+  return Buffer.from(m[1].replace(/\r\n/g, ""), "base64").toString("utf8");
+}
+
+let stub;
+let smtp;
+
+before(async () => {
+  stub = smtpStub({ rejectRcpt: "nobody@example.com" });
+  smtp = { host: "127.0.0.1", port: await stub.listen(), security: "none", user: "digest", password: "secret", from: "Maximo AI <digest@example.com>" };
+});
+
+after(() => stub.close());
+
+test("dotStuff doubles a leading dot on every line, including the first", () => {
+  assert.equal(dotStuff(".a\r\nb.\r\n.\r\n..c"), "..a\r\nb.\r\n..\r\n...c");
+  assert.equal(dotStuff("no dots\r\nhere"), "no dots\r\nhere");
+});
+
+test("sendSmtpMail: EHLO, AUTH PLAIN, envelope and DATA", async () => {
+  const text = "Digest\r\n.\r\n.hidden line\r\n..two dots";
+  const out = await sendSmtpMail(smtp, { to: ["a@example.com", "b@example.com"], subject: "Overdue work — daily", text, html: "<p>Digest</p>" });
+  assert.deepEqual(out, { status: 250, accepted: ["a@example.com", "b@example.com"] });
+
+  const s = stub.sessions.at(-1);
+  assert.match(s.commands[0], /^EHLO \S+$/);
+  assert.deepEqual(s.auth, { user: "digest", pass: "secret" });
+  assert.match(s.commands[1], /^AUTH PLAIN [A-Za-z0-9+/=]+$/);
+  assert.deepEqual(s.commands.slice(2, 6), ["MAIL FROM:<digest@example.com>", "RCPT TO:<a@example.com>", "RCPT TO:<b@example.com>", "DATA"]);
+
+  const message = unstuff(s.data);
+  assert.match(message, /^From: Maximo AI <digest@example\.com>\r\nTo: a@example\.com, b@example\.com\r\n/);
+  assert.match(message, /\r\nSubject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=\r\n/);
+  assert.match(message, /Content-Type: multipart\/alternative; boundary="=_[0-9a-f]+"/);
+  assert.equal(textPart(message), text);
+});
+
+test("sendSmtpMail: lines of dots in the text do not end DATA early", async () => {
+  await sendSmtpMail(smtp, { to: ["a@example.com"], subject: "dots", text: ".\r\n.\r\n" });
+  const s = stub.sessions.at(-1);
+  assert.equal(textPart(unstuff(s.data)), ".\r\n.\r\n");
+  assert.ok(s.data.endsWith("\r\n"), "the message is followed by the <CRLF>.<CRLF> terminator");
+});
+
+test("sendSmtpMail: server rejections become delivery_failed with the reply in detail", async () => {
+  await assert.rejects(sendSmtpMail(smtp, { to: ["nobody@example.com"], subject: "x", text: "y" }), {
+    code: "delivery_failed",
+    message: "SMTP RCPT TO nobody@example.com rejected (550)",
+    detail: "550 5.1.1 No such user",
+  });
+  await assert.rejects(sendSmtpMail({ ...smtp, password: "wrong" }, { to: ["a@example.com"], subject: "x", text: "y" }), {
+    code: "delivery_failed",
+    message: "SMTP AUTH rejected (535)",
+  });
+  await assert.rejects(sendSmtpMail({ ...smtp, security: "starttls" }, { to: ["a@example.com"], subject: "x", text: "y" }), {
+    code: "delivery_failed",
+    message: "SMTP server does not offer STARTTLS",
+  });
+});
+
+test("sendSmtpMail: configuration errors are reported before connecting", async () => {
+  const sessions = stub.sessions.length;
+  await assert.rejects(sendSmtpMail({}, { to: ["a@example.com"] }), /SMTP is not configured/);
+  await assert.rejects(sendSmtpMail({ ...smtp, from: "not-an-address" }, { to: ["a@example.com"] }), /sender \(from\) is not a valid address/);
+  await assert.rejects(sendSmtpMail(smtp, { to: [" "] }), /No recipients/);
+  assert.equal(stub.sessions.length, sessions);
+});
+
+test("deliver: smtp delivery reports the accepted recipients", async () => {
+  const out = await deliver({ type: "smtp", to: ["ops@example.com"] }, { subject: "s", text: "t" }, { smtp });
+  assert.deepEqual(out, { type: "smtp", target: "ops@example.com", status: 250 });
+  await assert.rejects(deliver({ type: "pager" }, {}), { code: "delivery_failed", message: "Unknown delivery type: pager" });
+});
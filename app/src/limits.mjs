@@ -0,0 +1,58 @@
+// app/src/limits.mjs
+// Client side of the per-tenant / per-user limits kept by the MCP server (mcp-server/limits.mjs, edited on the
+// MCP Settings page).
+//
+//   app.post(["/api/agent/chat", ...], chatLimits({ mcpBase, token }))   // chatPerMinute + dailyTokens -> 429
+//   fetch(mcpUrl, { headers: { ...limitHeaders(), ... } })             // Maximo limits per user and per chat
+//
+// The check runs on the MCP server so every app replica shares one set of counters. If the MCP server can't be
+// reached (or is an older version without /api/limits/check) the request goes through and the failure is logged:
+// limits protect quota, they are not an availability dependency.
+
+import fetch from "node-fetch";
+import { usageScope } from "./usage.mjs";
+
+const CHECK_TIMEOUT_MS = Number(process.env.LIMITS_CHECK_TIMEOUT_MS || 3000);
+
+/** Express middleware for the LLM routes; mount after usageContext() so the tenant and user are known. */
+export function chatLimits({ mcpBase, token }) {
+  return async (req, res, next) => {
+    const base = mcpBase();
+    const scope = usageScope();
+    if (!base || !scope) return next();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CHECK_TIMEOUT_MS);
+    let r;
+    try {
+      r = await fetch(`${base}/api/limits/check`, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...(token ? { "x-internal-token": token } : {}) },
+        body: JSON.stringify({ tenant: scope.tenant, user: scope.user }),
+        signal: controller.signal,
+      });
+    } catch (e) {
+      console.error("limits check failed (allowing request):", String(e?.message || e));
+      return next();
+    } finally {
+      clearTimeout(timer);
+    }
+    if (r.status === 429) {
+      const body = await r.json().catch(() => ({ error: "rate_limited" }));
+      const retryAfter = r.headers.get("retry-after");
+      if (retryAfter) res.set("Retry-After", retryAfter);
+      return res.status(429).json(body);
+    }
+    if (!r.ok) console.error(`limits check answered HTTP ${r.status} (allowing request)`);
+    return next();
+  };
+}
+
+/** Headers that attribute an MCP call to the agent request's user and chat (empty outside a request). */
+export function limitHeaders() {
+  const scope = usageScope();
+  if (!scope) return {};
+  return {
+    ...(scope.user ? { "x-acting-user": scope.user } : {}),
+    ...(scope.chatId ? { "x-chat-id": scope.chatId } : {}),
+  };
+}
@@ -0,0 +1,123 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+// End to end: app -> MCP server -> stub Maximo, with a per-user maximoPerMinute limit. The default NLQ chat
+// path must reach the MCP server as the logged-in user, so the second chat in a minute is refused.
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const base = 20000 + Math.floor(Math.random() * 20000);
+const PORTS = { maximo: base, llm: base + 1, mcp: base + 2, app: base + 3 };
+const TOKEN = "test-internal-token";
+const PASSWORD = "Test-admin-passw0rd!";
+const children = [];
+const servers = [];
+let dir;
+
+function listen(port, handler) {
+  const srv = http.createServer(handler);
+  servers.push(srv);
+  return new Promise((resolve) => srv.listen(port, "127.0.0.1", resolve));
+}
+
+function json(res, body) {
+  res.setHeader("content-type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+async function waitFor(url) {
+  for (let i = 0; i < 100; i++) {
+    try {
+      if ((await fetch(url)).ok) return;
+    } catch {}
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  throw new Error(`${url} did not come up`);
+}
+
+function start(script, cwd, env) {
+  const child = spawn(process.execPath, [script], { cwd, env: { ...process.env, ...env }, stdio: "ignore" });
+  children.push(child);
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "limits-test-"));
+  fs.mkdirSync(path.join(dir, "mcp"));
+  fs.mkdirSync(path.join(dir, "app"));
+  fs.writeFileSync(path.join(dir, "mcp", "limits.json"), JSON.stringify({ user: { maximoPerMinute: 1 } }));
+
+  await listen(PORTS.maximo, (req, res) => {
+    if (req.url.startsWith("/maximo/oslc/oas")) return json(res, { paths: {} });
+    json(res, { member: [{ wonum: "1001", status: "WAPPR", siteid: "BEDFORD" }] });
+  });
+  await listen(PORTS.llm, (req, res) => {
+    req.resume();
+    req.on("end", () => {
+      if (!req.url.includes("chat/completions")) return json(res, { data: [{ id: "stub" }] });
+      json(res, { choices: [{ message: { role: "assistant", content: "One work order." }, finish_reason: "stop" }] });
+    });
+  });
+
+  const common = { MCP_INTERNAL_TOKEN: TOKEN, DEFAULT_ADMIN_PASSWORD: PASSWORD, OTEL_SDK_DISABLED: "true", SCHEDULER_ENABLED: "0" };
+  start(path.join(here, "..", "..", "mcp-server", "server.mjs"), path.join(here, "..", "..", "mcp-server"), {
+    ...common,
+    PORT: String(PORTS.mcp),
+    DATA_DIR: path.join(dir, "mcp"),
+    TENANTS_JSON: JSON.stringify({ default: { baseUrl: `http://127.0.0.1:${PORTS.maximo}`, apiKey: "k" } }),
+  });
+  start(path.join(here, "server.mjs"), path.join(here, ".."), {
+    ...common,
+    PORT: String(PORTS.app),
+    DATA_DIR: path.join(dir, "app"),
+    MCP_URL: `http://127.0.0.1:${PORTS.mcp}`,
+    ENABLE_MCP_TOOLS: "1",
+    LOCAL_LLM_BASE: `http://127.0.0.1:${PORTS.llm}`,
+  });
+  await waitFor(`http://127.0.0.1:${PORTS.mcp}/healthz`);
+  await waitFor(`http://127.0.0.1:${PORTS.app}/healthz`);
+});
+
+after(() => {
+  for (const c of children) c.kill();
+  for (const s of servers) s.close();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("an NLQ chat counts against the user's maximoPerMinute limit", async () => {
+  const login = await fetch(`http://127.0.0.1:${PORTS.app}/api/auth/login`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ username: "admin", password: PASSWORD }),
+  });
+  assert.equal(login.status, 200);
+  const cookie = String(login.headers.get("set-cookie") || "").split(";")[0];
+
+  const chat = async () => {
+    const r = await fetch(`http://127.0.0.1:${PORTS.app}/api/agent/chat`, {
+      method: "POST",
+      headers: { "content-type": "application/json", cookie },
+      body: JSON.stringify({
+        provider: "local",
+        model: "stub",
+        text: "list waiting work orders",
+        settings: { mcp: { enableTools: true, toolMode: "nlq" } },
+      }),
+    });
+    return JSON.parse(await r.text());
+  };
+
+  const first = await chat();
+  assert.ok(!first.error, JSON.stringify(first).slice(0, 300));
+
+  const second = await chat();
+  assert.equal(second.error, "mcp_call_failed");
+  assert.equal(second.status, 429);
+  assert.equal(second.lastToolResult?.error, "rate_limited");
+  assert.equal(second.lastToolResult?.scope, "user");
+  assert.equal(second.lastToolResult?.key, "admin");
+});
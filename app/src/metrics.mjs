@@ -0,0 +1,72 @@
+// app/src/metrics.mjs
+// Prometheus metrics for the app, served at GET /metrics (text exposition format).
+//
+//   agent_llm_request_duration_seconds{provider, model, operation, outcome}   histogram; outcome: ok | error
+//   agent_llm_tokens_total{provider, model, type}                             type: input | output (as reported)
+//   agent_active_streams{mode}                                                open chat streams (sse | ndjson)
+// plus the prom-client default Node.js process metrics. Maximo, NLQ, tool and cache metrics come from the
+// MCP server's own /metrics.
+//
+// GET /metrics is open like /healthz unless METRICS_TOKEN is set (then `Authorization: Bearer <token>`);
+// METRICS_ENABLED=false removes the endpoint.
+
+import client from "prom-client";
+
+export const metricsRegistry = new client.Registry();
+client.collectDefaultMetrics({ register: metricsRegistry });
+
+const llmDuration = new client.Histogram({
+  name: "agent_llm_request_duration_seconds",
+  help: "LLM call latency, by provider, model, operation (complete, stream, tool_step) and outcome",
+  labelNames: ["provider", "model", "operation", "outcome"],
+  buckets: [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120],
+  registers: [metricsRegistry],
+});
+const llmTokens = new client.Counter({
+  name: "agent_llm_tokens_total",
+  help: "LLM tokens reported by the provider, by provider, model and type (input, output)",
+  labelNames: ["provider", "model", "type"],
+  registers: [metricsRegistry],
+});
+const activeStreams = new client.Gauge({
+  name: "agent_active_streams",
+  help: "Open streaming chat responses",
+  labelNames: ["mode"],
+  registers: [metricsRegistry],
+});
+
+const label = (v, fallback = "unknown") => String(v || "").trim() || fallback;
+
+/** One finished LLM call; usage is the normalized { inputTokens, outputTokens } (null when not reported). */
+export function observeLlmCall({ provider, model, operation, outcome = "ok", seconds, usage }) {
+  const who = { provider: label(provider), model: label(model, "default") };
+  llmDuration.observe({ ...who, operation: label(operation), outcome }, seconds);
+  if (Number(usage?.inputTokens) > 0) llmTokens.inc({ ...who, type: "input" }, Number(usage.inputTokens));
+  if (Number(usage?.outputTokens) > 0) llmTokens.inc({ ...who, type: "output" }, Number(usage.outputTokens));
+}
+
+/** Count a streaming response as active until it closes. */
+export function trackStream(res, mode) {
+  activeStreams.inc({ mode });
+  let open = true;
+  res.on("close", () => {
+    if (!open) return;
+    open = false;
+    activeStreams.dec({ mode });
+  });
+}
+
+/** Express handler for GET /metrics. */
+export function metricsHandler({ token = String(process.env.METRICS_TOKEN || "").trim() } = {}) {
+  return async (req, res) => {
+    if (token && String(req.headers.authorization || "") !== `Bearer ${token}`) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    try {
+      res.set("Content-Type", metricsRegistry.contentType);
+      return res.send(await metricsRegistry.metrics());
+    } catch (e) {
+      return res.status(500).json({ error: "metrics_failed", detail: String(e?.message || e) });
+    }
+  };
+}
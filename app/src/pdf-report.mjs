@@ -0,0 +1,261 @@
+import fetch from "node-fetch";
+
+// PDF reports for /api/pdf (shift reports, result exports).
+//
+// Layout: optional header band (logo + header template) and footer (footer template + "Page n of N") on
+// every page, then title, provenance (tenant / site / OS / compiled where / generated), the message text,
+// chart images and the result table (column headers repeated on each page, long cells clipped).
+//
+// settings.reports (shared settings, admin-managed):
+//   companyName, logo (https URL or data:image/png|jpeg;base64), headerTemplate, footerTemplate
+// Templates take {company} {title} {tenant} {site} {os} {date} {timestamp}; page numbers are always added.
+
+const MAX_TABLE_ROWS = Number(process.env.PDF_MAX_TABLE_ROWS || 5000);
+const MAX_TABLE_COLUMNS = 16;
+const LOGO_TTL_MS = 10 * 60 * 1000;
+const LOGO_MAX_BYTES = 1024 * 1024;
+const LOGO_CACHE_MAX = 32;
+
+// url -> { ts, buf }; oldest entries evicted past LOGO_CACHE_MAX (the URL comes from the request).
+const logoCache = new Map();
+
+function cacheLogo(url, buf) {
+  logoCache.delete(url);
+  logoCache.set(url, { ts: Date.now(), buf });
+  while (logoCache.size > LOGO_CACHE_MAX) logoCache.delete(logoCache.keys().next().value);
+}
+
+// Response body up to `max` bytes; null (and the request aborted) as soon as it is known to be larger.
+async function readLimited(r, ctrl, max) {
+  if (Number(r.headers.get("content-length")) > max) {
+    ctrl.abort();
+    return null;
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of r.body) {
+    size += chunk.length;
+    if (size > max) {
+      ctrl.abort();
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function isPngOrJpeg(buf) {
+  if (!buf || buf.length < 4) return false;
+  const png = buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4e && buf[3] === 0x47;
+  const jpeg = buf[0] === 0xff && buf[1] === 0xd8;
+  return png || jpeg;
+}
+
+/**
+ * Logo bytes from a data URL or an http(s) URL (cached). PDFKit embeds PNG and JPEG only;
+ * anything else (or a failed fetch) returns null so the report still renders without it.
+ */
+export async function loadReportLogo(src) {
+  const s = String(src || "").trim();
+  if (!s) return null;
+  const m = s.match(/^data:image\/(?:png|jpe?g);base64,([A-Za-z0-9+/=]+)$/i);
+  if (m) {
+    const buf = Buffer.from(m[1], "base64");
+    return isPngOrJpeg(buf) ? buf : null;
+  }
+  if (!/^https?:\/\//i.test(s)) return null;
+  const hit = logoCache.get(s);
+  if (hit && Date.now() - hit.ts < LOGO_TTL_MS) return hit.buf;
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), 5000);
+  try {
+    const r = await fetch(s, { signal: ctrl.signal });
+    const buf = r.ok ? await readLimited(r, ctrl, LOGO_MAX_BYTES) : null;
+    const ok = buf && isPngOrJpeg(buf) ? buf : null;
+    cacheLogo(s, ok);
+    return ok;
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function fillTemplate(tpl, vars) {
+  return String(tpl || "").replace(/\{(\w+)\}/g, (_, k) => (vars[k] === undefined || vars[k] === null ? "" : String(vars[k]))).trim();
+}
+
+function cellText(row, col, idx) {
+  if (Array.isArray(row)) return row[idx] ?? "";
+  if (!row || typeof row !== "object") return "";
+  const v = row[col] ?? row[String(col).toLowerCase()];
+  if (v === null || v === undefined) return "";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+// Clip to one line of the given width with an ellipsis.
+function fitText(doc, text, width) {
+  const s = String(text ?? "").replace(/\s+/g, " ");
+  if (doc.widthOfString(s) <= width) return s;
+  let lo = 0;
+  let hi = s.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (doc.widthOfString(`${s.slice(0, mid)}…`) <= width) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo ? `${s.slice(0, lo)}…` : "";
+}
+
+function columnWidths(doc, columns, rows, available) {
+  const sample = rows.slice(0, 200);
+  const natural = columns.map((c, i) => {
+    doc.font("Helvetica-Bold");
+    let w = doc.widthOfString(String(c));
+    doc.font("Helvetica");
+    for (const r of sample) w = Math.max(w, doc.widthOfString(cellText(r, c, i)));
+    return Math.min(220, Math.max(36, w + 8));
+  });
+  const total = natural.reduce((a, b) => a + b, 0);
+  return natural.map((w) => (w * available) / total);
+}
+
+function drawTable(doc, table, { fontSize = 8 } = {}) {
+  const columns = (Array.isArray(table?.columns) ? table.columns : []).map(String).slice(0, MAX_TABLE_COLUMNS);
+  const allRows = Array.isArray(table?.rows) ? table.rows : [];
+  const rows = allRows.slice(0, MAX_TABLE_ROWS);
+  if (!columns.length) return;
+
+  const left = doc.page.margins.left;
+  const available = doc.page.width - left - doc.page.margins.right;
+  const rowH = fontSize + 7;
+  const pad = 3;
+  doc.fontSize(fontSize);
+  const widths = columnWidths(doc, columns, rows, available);
+  const maxY = () => doc.page.height - doc.page.margins.bottom;
+
+  const drawHeader = () => {
+    const y = doc.y;
+    doc.rect(left, y, available, rowH).fill("#e0e0e0");
+    doc.fillColor("#161616").font("Helvetica-Bold");
+    let x = left;
+    columns.forEach((c, i) => {
+      doc.text(fitText(doc, c, widths[i] - pad * 2), x + pad, y + 4, { lineBreak: false });
+      x += widths[i];
+    });
+    doc.font("Helvetica");
+    doc.y = y + rowH;
+  };
+
+  if (table?.title) doc.fontSize(12).font("Helvetica-Bold").fillColor("#161616").text(String(table.title)).moveDown(0.3);
+  doc.fontSize(fontSize).font("Helvetica");
+  if (doc.y + rowH * 2 > maxY()) doc.addPage();
+  drawHeader();
+  rows.forEach((r, ri) => {
+    if (doc.y + rowH > maxY()) {
+      doc.addPage();
+      drawHeader();
+    }
+    const y = doc.y;
+    if (ri % 2 === 1) doc.rect(left, y, available, rowH).fill("#f4f4f4");
+    doc.fillColor("#262626");
+    let x = left;
+    columns.forEach((c, i) => {
+      doc.text(fitText(doc, cellText(r, c, i), widths[i] - pad * 2), x + pad, y + 4, { lineBreak: false });
+      x += widths[i];
+    });
+    doc.y = y + rowH;
+  });
+  doc.x = left;
+  const notes = [];
+  if (allRows.length > rows.length) notes.push(`Showing the first ${rows.length} of ${allRows.length} rows.`);
+  if ((table?.columns || []).length > columns.length) notes.push(`Showing the first ${columns.length} of ${table.columns.length} columns.`);
+  if (notes.length) doc.moveDown(0.5).fontSize(8).fillColor("#6f6f6f").text(notes.join(" "), left);
+  doc.fillColor("#161616");
+}
+
+function drawProvenance(doc, provenance, generated) {
+  const p = provenance || {};
+  const items = [
+    ["Tenant", p.tenant],
+    ["Site", p.site],
+    ["Object structure", p.os],
+    ["Where", p.where],
+    ["Generated", generated],
+  ].filter(([, v]) => String(v ?? "").trim());
+  doc.fontSize(9);
+  for (const [k, v] of items) {
+    doc.font("Helvetica-Bold").fillColor("#525252").text(`${k}: `, { continued: true });
+    doc.font("Helvetica").fillColor("#393939").text(String(v));
+  }
+  doc.fillColor("#161616").moveDown();
+}
+
+/**
+ * Writes the report to `stream` (the HTTP response) and ends the document.
+ * opts: { title, content, charts: [{ image: Buffer }], table: { title?, columns, rows }, provenance, reports, logo }
+ */
+export function writePdfReport(PDFDocument, stream, opts) {
+  const { title, content = "", charts = [], table = null, provenance = null, reports = {}, logo = null } = opts || {};
+  const generated = new Date().toISOString().replace("T", " ").slice(0, 16) + " UTC";
+  const vars = {
+    company: reports.companyName || "",
+    title,
+    tenant: provenance?.tenant || "",
+    site: provenance?.site || "",
+    os: provenance?.os || "",
+    date: generated.slice(0, 10),
+    timestamp: generated,
+  };
+  const headerText = fillTemplate(reports.headerTemplate ?? "{company}", vars);
+  const footerText = fillTemplate(reports.footerTemplate ?? "{title}", vars);
+  const hasHeader = !!(logo || headerText);
+  const wide = Array.isArray(table?.columns) && table.columns.length > 7;
+
+  const doc = new PDFDocument({
+    size: "A4",
+    layout: wide ? "landscape" : "portrait",
+    margins: { top: hasHeader ? 84 : 48, bottom: 56, left: 48, right: 48 },
+    bufferPages: true,
+  });
+  doc.info.Title = title;
+  if (reports.companyName) doc.info.Author = String(reports.companyName);
+  doc.pipe(stream);
+
+  doc.fontSize(18).font("Helvetica-Bold").text(title, { align: "left" });
+  doc.font("Helvetica").moveDown(0.5);
+  drawProvenance(doc, provenance, generated);
+  if (content) doc.fontSize(11).text(content, { align: "left", lineGap: 2 }).moveDown();
+
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  for (const c of charts) {
+    const height = Math.round(Math.min(width * 0.47, 300));
+    if (doc.y + height + 20 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    doc.image(c.image, doc.page.margins.left, doc.y, { fit: [width, height] });
+    doc.y += height;
+    doc.moveDown();
+  }
+  if (table) drawTable(doc, table);
+
+  // Header / footer on every page, now that the page count is known.
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const { left, right, bottom } = doc.page.margins;
+    const pageW = doc.page.width;
+    doc.page.margins.bottom = 0; // drawing inside the margin must not trigger a page break
+    if (hasHeader) {
+      if (logo) {
+        try { doc.image(logo, left, 24, { fit: [140, 36] }); } catch { /* unreadable image: header text only */ }
+      }
+      if (headerText) doc.fontSize(10).fillColor("#393939").text(headerText, left, 36, { width: pageW - left - right, align: "right", lineBreak: false });
+      doc.moveTo(left, 68).lineTo(pageW - right, 68).lineWidth(0.5).strokeColor("#c6c6c6").stroke();
+    }
+    const fy = doc.page.height - 36;
+    doc.fontSize(8).fillColor("#6f6f6f");
+    if (footerText) doc.text(fitText(doc, footerText, (pageW - left - right) * 0.7), left, fy, { lineBreak: false });
+    doc.text(`Page ${i - range.start + 1} of ${range.count}`, left, fy, { width: pageW - left - right, align: "right", lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+  doc.end();
+}
@@ -0,0 +1,106 @@
+import { postJson, postSse, getJson, parseJsonSafe, systemText, mergeSameRole } from "./http.mjs";
+
+// Anthropic messages API: separate `system` field, tool_use / tool_result content blocks.
+
+const VERSION = "2023-06-01";
+
+export function toAnthropicTools(tools) {
+  return (tools || []).map(t => ({
+    name: t.function.name,
+    description: String(t.function.description || ""),
+    input_schema: (t.function.parameters && typeof t.function.parameters === "object")
+      ? { type: "object", ...t.function.parameters }
+      : { type: "object", properties: {} },
+  }));
+}
+
+export function toAnthropicMessages(messages) {
+  const list = [];
+  for (const m of (messages || [])) {
+    if (m.role === "system") continue;
+    if (m.role === "user") list.push({ role: "user", content: [{ type: "text", text: String(m.content || "") }] });
+    if (m.role === "assistant") {
+      const blocks = [];
+      if (m.content) blocks.push({ type: "text", text: String(m.content) });
+      for (const c of (m.toolCalls || [])) blocks.push({ type: "tool_use", id: c.id, name: c.name, input: c.args ?? {} });
+      if (blocks.length) list.push({ role: "assistant", content: blocks });
+    }
+    if (m.role === "tool") list.push({ role: "user", content: [{ type: "tool_result", tool_use_id: m.toolCallId, content: String(m.content || "") }] });
+  }
+  return mergeSameRole(list, "content");
+}
+
+function anthropicUsage(u) {
+  if (!u) return null;
+  const inputTokens = Number(u.input_tokens || 0);
+  const outputTokens = Number(u.output_tokens || 0);
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+}
+
+function headers(cfg) {
+  return { "x-api-key": cfg.apiKey, "anthropic-version": VERSION };
+}
+
+function requestBody({ model, messages, temperature, maxTokens }) {
+  const system = systemText(messages);
+  return {
+    model: model || anthropic.defaultModel,
+    max_tokens: maxTokens || 1024,
+    temperature,
+    ...(system ? { system } : {}),
+    messages: toAnthropicMessages(messages),
+  };
+}
+
+export const anthropic = {
+  id: "anthropic",
+  label: "Anthropic",
+  defaultModel: "claude-3-5-sonnet-latest",
+  curatedModels: ["claude-3-5-sonnet-latest", "claude-3-5-haiku-latest"],
+  supportsTools: true,
+
+  config(get) {
+    return {
+      apiKey: get("anthropic_key", ["ANTHROPIC_API_KEY"]),
+      base: get("anthropic_base", ["ANTHROPIC_BASE"], "https://api.anthropic.com").replace(/\/$/, ""),
+    };
+  },
+
+  validate(cfg) {
+    return cfg.apiKey ? null : { code: "missing_api_key", detail: "Missing anthropic API key" };
+  },
+
+  async complete(cfg, opts) {
+    const j = await postJson(`${cfg.base}/v1/messages`, headers(cfg), {
+      ...requestBody(opts),
+      ...(opts.tools?.length ? { tools: toAnthropicTools(opts.tools) } : {}),
+    });
+    const blocks = Array.isArray(j?.content) ? j.content : [];
+    return {
+      text: blocks.filter(b => b?.type === "text").map(b => b.text).join("\n"),
+      toolCalls: blocks.filter(b => b?.type === "tool_use").map(b => ({ id: String(b.id), name: String(b.name), args: b.input || {} })),
+      usage: anthropicUsage(j?.usage),
+      raw: j,
+    };
+  },
+
+  async stream(cfg, opts, onToken) {
+    let text = "";
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    await postSse(`${cfg.base}/v1/messages`, headers(cfg), { ...requestBody(opts), stream: true }, (data) => {
+      const j = parseJsonSafe(data);
+      if (j?.type === "message_start") usage.input_tokens = Number(j?.message?.usage?.input_tokens || 0);
+      if (j?.type === "message_delta") usage.output_tokens = Number(j?.usage?.output_tokens || usage.output_tokens);
+      if (j?.type === "content_block_delta" && j?.delta?.type === "text_delta" && j.delta.text) {
+        text += j.delta.text;
+        onToken(j.delta.text);
+      }
+    });
+    return { text, usage: anthropicUsage(usage) };
+  },
+
+  async listModels(cfg) {
+    const j = await getJson(`${cfg.base}/v1/models`, headers(cfg));
+    return (j?.data || []).map(x => x?.id).filter(id => /^claude/i.test(String(id || ""))).slice(0, 200);
+  },
+};
@@ -0,0 +1,153 @@
+import { postJson, postSse, getJson, parseJsonSafe, systemText, mergeSameRole } from "./http.mjs";
+
+// Gemini generateContent: systemInstruction, functionDeclarations / functionCall / functionResponse parts.
+
+// Gemini accepts an OpenAPI subset: single `type`, no additionalProperties/oneOf/$schema, and an
+// OBJECT must declare properties. Free-form fields (e.g. maximo_queryOS `params`, maximo_raw `body`)
+// can't be expressed and are dropped; the remaining arguments are still sufficient for those tools.
+export function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== "object") return null;
+  let type = schema.type;
+  let nullable = false;
+  if (Array.isArray(type)) {
+    nullable = type.includes("null");
+    type = type.find(x => x !== "null") || "string";
+  }
+  if (!type) return null;
+  const out = { type: String(type).toLowerCase() };
+  if (schema.description) out.description = String(schema.description);
+  if (Array.isArray(schema.enum) && schema.enum.length) out.enum = schema.enum.map(String);
+  if (nullable) out.nullable = true;
+  if (out.type === "array") {
+    out.items = toGeminiSchema(schema.items) || { type: "string" };
+  }
+  if (out.type === "object") {
+    const props = {};
+    for (const [k, v] of Object.entries(schema.properties || {})) {
+      const conv = toGeminiSchema(v);
+      if (conv) props[k] = conv;
+    }
+    if (!Object.keys(props).length) return null;
+    out.properties = props;
+    const req = (Array.isArray(schema.required) ? schema.required : []).filter(k => k in props);
+    if (req.length) out.required = req;
+  }
+  return out;
+}
+
+export function toGeminiTools(tools) {
+  const functionDeclarations = (tools || []).map(t => {
+    const parameters = toGeminiSchema({ type: "object", ...(t.function.parameters || {}) });
+    return {
+      name: t.function.name,
+      description: String(t.function.description || ""),
+      ...(parameters ? { parameters } : {}),
+    };
+  });
+  return functionDeclarations.length ? [{ functionDeclarations }] : [];
+}
+
+export function toGeminiContents(messages) {
+  const list = [];
+  for (const m of (messages || [])) {
+    if (m.role === "system") continue;
+    if (m.role === "user") list.push({ role: "user", parts: [{ text: String(m.content || "") }] });
+    if (m.role === "assistant") {
+      const parts = [];
+      if (m.content) parts.push({ text: String(m.content) });
+      for (const c of (m.toolCalls || [])) parts.push({ functionCall: { name: c.name, args: c.args ?? {} } });
+      if (parts.length) list.push({ role: "model", parts });
+    }
+    if (m.role === "tool") {
+      // functionResponse.response must be an object.
+      let result = m.content;
+      try { result = JSON.parse(m.content); } catch {}
+      list.push({ role: "user", parts: [{ functionResponse: { name: m.name, response: { result } } }] });
+    }
+  }
+  return mergeSameRole(list, "parts");
+}
+
+function geminiUsage(u) {
+  if (!u) return null;
+  const inputTokens = Number(u.promptTokenCount || 0);
+  const outputTokens = Number(u.candidatesTokenCount || 0);
+  return { inputTokens, outputTokens, totalTokens: Number(u.totalTokenCount || inputTokens + outputTokens) };
+}
+
+function requestBody({ messages, temperature, maxTokens }) {
+  const system = systemText(messages);
+  return {
+    contents: toGeminiContents(messages),
+    ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+    generationConfig: { temperature, ...(maxTokens ? { maxOutputTokens: maxTokens } : {}) },
+  };
+}
+
+function modelUrl(cfg, model, method) {
+  const m = model || gemini.defaultModel;
+  return `${cfg.base}/v1beta/models/${encodeURIComponent(m)}:${method}`;
+}
+
+export const gemini = {
+  id: "gemini",
+  label: "Gemini",
+  defaultModel: "gemini-1.5-flash",
+  curatedModels: ["gemini-2.0-flash", "gemini-1.5-flash"],
+  supportsTools: true,
+
+  config(get) {
+    return {
+      apiKey: get("gemini_key", ["GEMINI_API_KEY"]),
+      base: get("gemini_base", ["GEMINI_BASE"], "https://generativelanguage.googleapis.com").replace(/\/$/, ""),
+    };
+  },
+
+  validate(cfg) {
+    return cfg.apiKey ? null : { code: "missing_api_key", detail: "Missing gemini API key" };
+  },
+
+  async complete(cfg, opts) {
+    const geminiTools = toGeminiTools(opts.tools);
+    const j = await postJson(`${modelUrl(cfg, opts.model, "generateContent")}?key=${encodeURIComponent(cfg.apiKey)}`, {}, {
+      ...requestBody(opts),
+      ...(geminiTools.length ? { tools: geminiTools, toolConfig: { functionCallingConfig: { mode: "AUTO" } } } : {}),
+    });
+    const parts = j?.candidates?.[0]?.content?.parts || [];
+    // Gemini has no call ids; responses are matched by name and order.
+    return {
+      text: parts.map(p => p?.text).filter(Boolean).join("\n"),
+      toolCalls: parts.filter(p => p?.functionCall?.name).map((p, i) => ({
+        id: `gemini_call_${i}`,
+        name: String(p.functionCall.name),
+        args: p.functionCall.args || {},
+      })),
+      usage: geminiUsage(j?.usageMetadata),
+      raw: j,
+    };
+  },
+
+  async stream(cfg, opts, onToken) {
+    let text = "";
+    let usage = null;
+    const url = `${modelUrl(cfg, opts.model, "streamGenerateContent")}?alt=sse&key=${encodeURIComponent(cfg.apiKey)}`;
+    await postSse(url, {}, requestBody(opts), (data) => {
+      const j = parseJsonSafe(data);
+      const delta = (j?.candidates?.[0]?.content?.parts || []).map(p => p?.text).filter(Boolean).join("");
+      if (delta) { text += delta; onToken(delta); }
+      if (j?.usageMetadata) usage = geminiUsage(j.usageMetadata);
+    });
+    return { text, usage };
+  },
+
+  // models.list: keep models that support generateContent ("models/gemini-..." -> "gemini-...")
+  async listModels(cfg) {
+    const j = await getJson(`${cfg.base}/v1beta/models?key=${encodeURIComponent(cfg.apiKey)}`);
+    return (j?.models || [])
+      .filter(m => (m?.supportedGenerationMethods || []).includes("generateContent"))
+      .map(m => String(m?.name || "").replace(/^models\//, ""))
+      .filter(id => /gemini/i.test(id))
+      .filter(id => !/(embed|embedding)/i.test(id))
+      .slice(0, 200);
+  },
+};
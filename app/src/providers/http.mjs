@@ -0,0 +1,101 @@
+import fetch from "node-fetch";
+
+// Shared HTTP helpers for provider adapters.
+
+// Throw with a machine-readable code (and HTTP status for upstream failures) so routes can map
+// provider problems onto their usual { error, detail } responses.
+export function providerError(code, message, status) {
+  const e = new Error(message);
+  e.code = code;
+  if (status) e.status = status;
+  return e;
+}
+
+async function readJson(r) {
+  const raw = await r.text();
+  let j = null;
+  try { j = JSON.parse(raw); } catch { j = null; }
+  return { raw, j };
+}
+
+function upstreamMessage(j, raw) {
+  return j?.error?.message || j?.errors?.[0]?.message || (typeof j?.error === "string" ? j.error : "") || raw.slice(0, 600);
+}
+
+export async function postJson(url, headers, body) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...(headers || {}) },
+    body: JSON.stringify(body),
+  });
+  const { raw, j } = await readJson(r);
+  if (!r.ok) throw providerError("llm_error", upstreamMessage(j, raw), r.status);
+  return j || {};
+}
+
+export async function getJson(url, headers) {
+  const r = await fetch(url, { headers: { accept: "application/json", ...(headers || {}) } });
+  const { raw, j } = await readJson(r);
+  if (!r.ok || !j) throw providerError("llm_error", `HTTP ${r.status}: ${upstreamMessage(j, raw).slice(0, 200)}`, r.status);
+  return j;
+}
+
+/**
+ * POST and consume a Server-Sent Events response.
+ * onEvent(data, eventName) is called per event; "[DONE]" sentinels are skipped.
+ */
+export async function postSse(url, headers, body, onEvent) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", accept: "text/event-stream", ...(headers || {}) },
+    body: JSON.stringify(body),
+  });
+  if (!r.ok) {
+    const { raw, j } = await readJson(r);
+    throw providerError("llm_error", upstreamMessage(j, raw), r.status);
+  }
+  const decoder = new TextDecoder();
+  let buf = "";
+  const flush = (block) => {
+    const lines = block.split(/\r?\n/);
+    const event = (lines.find(l => l.startsWith("event:")) || "").slice(6).trim();
+    const data = lines.filter(l => l.startsWith("data:")).map(l => l.slice(5).replace(/^ /, "")).join("\n");
+    if (data && data !== "[DONE]") onEvent(data, event);
+  };
+  for await (const chunk of r.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let m;
+    while ((m = /\r?\n\r?\n/.exec(buf))) {
+      flush(buf.slice(0, m.index));
+      buf = buf.slice(m.index + m[0].length);
+    }
+  }
+  buf += decoder.decode();
+  if (buf.trim()) flush(buf);
+}
+
+export function parseJsonSafe(s) {
+  try { return JSON.parse(s); } catch { return null; }
+}
+
+export function parseToolArgs(raw) {
+  if (raw && typeof raw === "object") return raw;
+  const s = String(raw || "").trim();
+  if (!s) return {};
+  try { return JSON.parse(s); } catch { return { raw: s }; }
+}
+
+export function systemText(messages) {
+  return (messages || []).filter(m => m.role === "system").map(m => m.content).filter(Boolean).join("\n\n");
+}
+
+// Anthropic and Gemini require alternating roles: merge consecutive same-role messages.
+export function mergeSameRole(list, key) {
+  const out = [];
+  for (const m of list) {
+    const prev = out[out.length - 1];
+    if (prev && prev.role === m.role) prev[key] = [...prev[key], ...m[key]];
+    else out.push(m);
+  }
+  return out;
+}
@@ -0,0 +1,190 @@
+import { providerError } from "./http.mjs";
+import { openai, mistral, deepseek } from "./openai-compat.mjs";
+import { anthropic } from "./anthropic.mjs";
+import { gemini } from "./gemini.mjs";
+import { watsonx } from "./watsonx.mjs";
+import { local } from "./local.mjs";
+import { withSpan, setSpanAttributes, SpanKind } from "../tracing.mjs";
+import { observeLlmCall } from "../metrics.mjs";
+import { recordLlmUsage } from "../usage.mjs";
+
+// LLM provider registry.
+//
+// Every route that talks to a model (/api/agent/chat, analyze-last, followup, /api/models) goes through
+// here. An adapter is a plain object:
+//
+//   id, label, defaultModel, curatedModels, supportsTools
+//   config(get)                      -> cfg; get(settingKey, envNames[], default) reads settings/env
+//   validate(cfg, { listing })       -> null | { code, detail } (missing key/base/project)
+//   complete(cfg, { model, messages, temperature, maxTokens, tools })
+//                                    -> { text, toolCalls: [{ id, name, args }], usage, raw }
+//   stream(cfg, opts, onToken)       -> { text, usage }      (optional; falls back to complete)
+//   listModels(cfg)                  -> [modelId]            (optional; falls back to curatedModels)
+//   supportsToolsFor(cfg, model)     -> boolean              (optional; per-model tool support)
+//
+// messages use the neutral transcript of tool-loop.mjs; tools are OpenAI-shaped. usage is normalized
+// to { inputTokens, outputTokens, totalTokens } (null when the provider doesn't report it).
+//
+// Adding a provider (Azure OpenAI, Ollama, vLLM, ...) is one file exporting an adapter plus a
+// registerProvider() call below; createOpenAiCompatAdapter() covers OpenAI-compatible servers.
+
+const registry = new Map();
+
+export function registerProvider(adapter) {
+  if (!adapter?.id || typeof adapter.complete !== "function") throw new Error("Invalid provider adapter");
+  registry.set(String(adapter.id).toLowerCase(), adapter);
+  return adapter;
+}
+
+for (const a of [openai, mistral, deepseek, anthropic, gemini, watsonx, local]) registerProvider(a);
+
+export { providerError };
+
+export function getProvider(id) {
+  return registry.get(String(id || "").toLowerCase()) || null;
+}
+
+export function listProviders() {
+  return Array.from(registry.values()).map(a => ({
+    id: a.id,
+    label: a.label || a.id,
+    defaultModel: a.defaultModel || "",
+    curatedModels: a.curatedModels || [],
+    supportsTools: a.supportsTools !== false,
+    listsModels: typeof a.listModels === "function",
+    streams: typeof a.stream === "function",
+  }));
+}
+
+// Credentials/bases: server secrets (flat keys), settings.ai, then env, then the adapter default.
+function settingsGetter(settings) {
+  const s = settings || {};
+  const secrets = s.secrets || s;
+  const ai = s.ai || {};
+  return (key, envNames = [], defv = "") => {
+    const fromSettings = secrets?.[key] || s?.[key] || ai?.[key];
+    if (fromSettings) return String(fromSettings).trim();
+    for (const e of envNames) {
+      const v = e ? String(process.env[e] || "").trim() : "";
+      if (v) return v;
+    }
+    return String(defv || "").trim();
+  };
+}
+
+/**
+ * Resolve a provider id + effective settings to { adapter, cfg }.
+ * Throws providerError("unsupported_provider" | "missing_api_key" | "missing_base" | "missing_project").
+ * Adapters may also throw "missing_model" or "tools_unsupported" from complete().
+ */
+export function resolveProvider(id, settings, { listing = false } = {}) {
+  const adapter = getProvider(id);
+  if (!adapter) throw providerError("unsupported_provider", `Provider not supported: ${id}`);
+  const cfg = adapter.config(settingsGetter(settings));
+  const invalid = typeof adapter.validate === "function" ? adapter.validate(cfg, { listing }) : null;
+  if (invalid) throw providerError(invalid.code, invalid.detail);
+  return { adapter, cfg };
+}
+
+// One OpenTelemetry CLIENT span per model call (gen_ai.* attributes) with the reported usage on it,
+// plus the latency/token metrics and a usage record for the cost ledger (estimated when not reported).
+function llmSpan(operation, adapter, opts, fn) {
+  const model = opts?.model || adapter.defaultModel;
+  const attrs = {
+    "gen_ai.system": adapter.id,
+    "gen_ai.operation.name": operation,
+    "gen_ai.request.model": model,
+    "gen_ai.request.tools": Array.isArray(opts?.tools) && opts.tools.length ? opts.tools.length : undefined,
+  };
+  const start = Date.now();
+  const observe = (outcome, usage) => observeLlmCall({ provider: adapter.id, model, operation, outcome, seconds: (Date.now() - start) / 1000, usage });
+  return withSpan(`llm.${operation}`, attrs, async (span) => {
+    let out;
+    try {
+      out = await fn();
+    } catch (e) {
+      observe("error");
+      throw e;
+    }
+    observe("ok", out?.usage);
+    recordLlmUsage({ provider: adapter.id, model, operation, usage: out?.usage, messages: opts?.messages, text: out?.text, toolCalls: out?.toolCalls });
+    setSpanAttributes(span, {
+      "gen_ai.usage.input_tokens": out?.usage?.inputTokens,
+      "gen_ai.usage.output_tokens": out?.usage?.outputTokens,
+      "gen_ai.response.tool_calls": Array.isArray(out?.toolCalls) ? out.toolCalls.length : undefined,
+    });
+    return out;
+  }, { kind: SpanKind.CLIENT });
+}
+
+export async function complete(id, settings, opts) {
+  const { adapter, cfg } = resolveProvider(id, settings);
+  return llmSpan("complete", adapter, opts, () => adapter.complete(cfg, opts || {}));
+}
+
+// Streams tokens when the adapter can; otherwise emits the whole completion as one token.
+export async function stream(id, settings, opts, onToken) {
+  const { adapter, cfg } = resolveProvider(id, settings);
+  const emit = typeof onToken === "function" ? onToken : () => {};
+  return llmSpan("stream", adapter, opts, async () => {
+    if (typeof adapter.stream === "function") return adapter.stream(cfg, opts || {}, emit);
+    const out = await adapter.complete(cfg, opts || {});
+    if (out.text) emit(out.text);
+    return { text: out.text, usage: out.usage };
+  });
+}
+
+// A runToolLoop() step bound to one provider/model.
+export function toolStep(id, settings, { model, temperature, maxTokens } = {}) {
+  const { adapter, cfg } = resolveProvider(id, settings);
+  return (transcript, tools) => {
+    const opts = { model, temperature, maxTokens, messages: transcript, tools };
+    return llmSpan("tool_step", adapter, opts, () => adapter.complete(cfg, opts));
+  };
+}
+
+/**
+ * Whether the provider/model can do native tool calling. Callers fall back to the tool-first NLQ
+ * path when it can't. Configuration errors answer true so they surface from the actual call.
+ */
+export async function modelSupportsTools(id, settings, model) {
+  const adapter = getProvider(id);
+  if (!adapter || adapter.supportsTools === false) return false;
+  if (typeof adapter.supportsToolsFor !== "function") return true;
+  try {
+    const { cfg } = resolveProvider(id, settings);
+    return await adapter.supportsToolsFor(cfg, model);
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Best-effort model listing for the Settings picker: { models, warning?, detail? }.
+ * Falls back to the adapter's curated list so the UI stays usable when listing is blocked.
+ */
+export async function listModels(id, settings) {
+  const adapter = getProvider(id);
+  if (!adapter) return { models: getProvider("openai").curatedModels, warning: `Provider not supported: ${id}` };
+  const curated = adapter.curatedModels || [];
+  if (typeof adapter.listModels !== "function") return { models: curated };
+  let cfg;
+  try {
+    ({ cfg } = resolveProvider(id, settings, { listing: true }));
+  } catch (e) {
+    return { models: curated, warning: e.message };
+  }
+  try {
+    const models = await adapter.listModels(cfg);
+    return models.length ? { models } : { models: curated, warning: `No ${adapter.label || id} models found; using curated fallback` };
+  } catch (e) {
+    return { models: curated, warning: `${adapter.label || id} model listing failed; using curated fallback`, detail: String(e?.message || e).slice(0, 200) };
+  }
+}
+
+// HTTP status for a provider error: configuration problems are 400, upstream errors keep their status.
+export function providerErrorStatus(e, fallback = 500) {
+  if (["unsupported_provider", "missing_api_key", "missing_base", "missing_project", "missing_model"].includes(e?.code)) return 400;
+  if (e?.code === "llm_error" && Number(e.status) >= 400) return Number(e.status);
+  return fallback;
+}
@@ -0,0 +1,115 @@
+import { getJson, postJson, providerError } from "./http.mjs";
+import { createOpenAiCompatAdapter } from "./openai-compat.mjs";
+
+// Local provider: Ollama or any OpenAI-compatible server (vLLM, LM Studio, llama.cpp) running on the
+// cluster, so Maximo data never leaves the site. Chat goes through /v1/chat/completions; the API key
+// is optional.
+//
+// Settings: local_base (env LOCAL_LLM_BASE / OLLAMA_HOST), local_key (env LOCAL_LLM_API_KEY),
+// local_tools "auto" | "on" | "off" (env LOCAL_LLM_TOOLS). With "auto", tool support is read from
+// Ollama's /api/show capabilities; servers without that endpoint are assumed to support tools until
+// a request is rejected, after which the model is remembered as tool-less.
+
+const compat = createOpenAiCompatAdapter({
+  id: "local",
+  label: "Local (Ollama / OpenAI-compatible)",
+  keyName: "local_key",
+  baseName: "local_base",
+  envKey: "LOCAL_LLM_API_KEY",
+  envBase: ["LOCAL_LLM_BASE", "OLLAMA_HOST"],
+  defaultBase: "http://localhost:11434",
+  defaultModel: "",
+  curatedModels: [],
+  requireKey: false,
+});
+
+// `${base}|${model}` -> boolean
+const toolSupport = new Map();
+// base -> first installed model (used when no model is selected)
+const firstModel = new Map();
+
+// OLLAMA_HOST is often host:port without a scheme; an OpenAI-style base may end in /v1.
+function normalizeBase(raw) {
+  let b = String(raw || "").trim().replace(/\/+$/, "").replace(/\/v1$/i, "");
+  if (b && !/^https?:\/\//i.test(b)) b = `http://${b}`;
+  return b;
+}
+
+// Ollama: "... does not support tools"; vLLM: "auto" tool choice requires --enable-auto-tool-choice.
+function isToolsRejection(e) {
+  return Number(e?.status) >= 400 && Number(e?.status) < 500
+    && /does not support tools|tools? (?:are |is )?not supported|tool choice requires|tool_choice/i.test(String(e?.message || ""));
+}
+
+async function resolveModel(cfg, model) {
+  if (model) return model;
+  if (!firstModel.has(cfg.base)) {
+    const models = await local.listModels(cfg).catch(() => []);
+    if (!models.length) throw providerError("missing_model", `No model selected and none installed at ${cfg.base}`);
+    firstModel.set(cfg.base, models[0]);
+  }
+  return firstModel.get(cfg.base);
+}
+
+export const local = {
+  ...compat,
+
+  config(get) {
+    const cfg = compat.config(get);
+    return {
+      ...cfg,
+      base: normalizeBase(cfg.base),
+      tools: get("local_tools", ["LOCAL_LLM_TOOLS"], "auto").toLowerCase(),
+    };
+  },
+
+  async complete(cfg, opts) {
+    const model = await resolveModel(cfg, opts.model);
+    try {
+      return await compat.complete(cfg, { ...opts, model });
+    } catch (e) {
+      if (opts.tools?.length && isToolsRejection(e)) {
+        toolSupport.set(`${cfg.base}|${model}`, false);
+        throw providerError("tools_unsupported", `Model ${model} does not support tool calling`, e.status);
+      }
+      throw e;
+    }
+  },
+
+  async stream(cfg, opts, onToken) {
+    return compat.stream(cfg, { ...opts, model: await resolveModel(cfg, opts.model) }, onToken);
+  },
+
+  // Installed models: Ollama's /api/tags first, then the OpenAI-style /v1/models.
+  async listModels(cfg) {
+    let ids = [];
+    try {
+      const j = await getJson(`${cfg.base}/api/tags`, compat.headers(cfg));
+      ids = (j?.models || []).map(m => m?.name || m?.model).filter(Boolean);
+    } catch {
+      ids = await compat.listModels(cfg);
+    }
+    return Array.from(new Set(ids)).sort();
+  },
+
+  async supportsToolsFor(cfg, model) {
+    if (cfg.tools === "on") return true;
+    if (cfg.tools === "off") return false;
+    let m;
+    try { m = await resolveModel(cfg, model); } catch { return true; }
+    const key = `${cfg.base}|${m}`;
+    if (toolSupport.has(key)) return toolSupport.get(key);
+    let supported = true;
+    try {
+      const j = await postJson(`${cfg.base}/api/show`, compat.headers(cfg), { model: m });
+      // Newer Ollama lists capabilities; older versions only expose the prompt template.
+      if (Array.isArray(j?.capabilities)) supported = j.capabilities.includes("tools");
+      else if (typeof j?.template === "string") supported = j.template.includes(".Tools");
+    } catch {
+      // Not Ollama (or model unknown): assume tools and learn from the first rejection.
+      return true;
+    }
+    toolSupport.set(key, supported);
+    return supported;
+  },
+};
@@ -0,0 +1,153 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import { complete, stream, toolStep, modelSupportsTools, listModels } from "./index.mjs";
+
+// Stub Ollama / OpenAI-compatible server:
+//   GET  /api/tags               installed models
+//   POST /api/show               capabilities ("llama3.1" has tools, "tiny" doesn't, anything else 404s)
+//   POST /v1/chat/completions    JSON, SSE when stream:true, a tool call when tools are sent;
+//                                "legacy" rejects tools the way Ollama does
+const requests = [];
+let server;
+let settings;
+
+function send(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function chat(res, body) {
+  if (body.model === "legacy" && body.tools) {
+    return send(res, 400, { error: { message: "registry.ollama.ai/library/legacy:latest does not support tools" } });
+  }
+  if (body.stream) {
+    res.writeHead(200, { "content-type": "text/event-stream" });
+    const events = [
+      { choices: [{ delta: { role: "assistant", content: "" } }] },
+      { choices: [{ delta: { content: "Three " } }] },
+      { choices: [{ delta: { content: "work orders." } }] },
+      { choices: [{ delta: {}, finish_reason: "stop" }], usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 } },
+    ];
+    const wire = events.map((e) => `data: ${JSON.stringify(e)}\n\n`).join("") + "data: [DONE]\n\n";
+    // Split mid-event so the client has to buffer partial SSE blocks.
+    const cut = wire.indexOf("work orders") + 4;
+    res.write(wire.slice(0, cut));
+    setTimeout(() => res.end(wire.slice(cut)), 10);
+    return;
+  }
+  if (body.tools?.length) {
+    return send(res, 200, {
+      choices: [{
+        message: {
+          role: "assistant",
+          content: null,
+          tool_calls: [{ id: "call_1", type: "function", function: { name: "maximo_queryOS", arguments: "{\"os\":\"mxapiwo\",\"pageSize\":5}" } }],
+        },
+        finish_reason: "tool_calls",
+      }],
+      usage: { prompt_tokens: 40, completion_tokens: 9, total_tokens: 49 },
+    });
+  }
+  send(res, 200, {
+    choices: [{ message: { role: "assistant", content: `Hello from ${body.model}` }, finish_reason: "stop" }],
+    usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 },
+  });
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => { raw += c; });
+    req.on("end", () => {
+      const body = raw ? JSON.parse(raw) : {};
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      if (req.url === "/api/tags") return send(res, 200, { models: [{ name: "qwen2.5:7b" }, { name: "llama3.1:8b" }, { model: "llama3.1:8b" }] });
+      if (req.url === "/api/show") {
+        if (body.model === "llama3.1") return send(res, 200, { capabilities: ["completion", "tools"] });
+        if (body.model === "tiny") return send(res, 200, { capabilities: ["completion"] });
+        return send(res, 404, { error: "model not found" });
+      }
+      if (req.url === "/v1/chat/completions") return chat(res, body);
+      send(res, 404, { error: "not found" });
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  // No scheme and a trailing /v1, as OLLAMA_HOST / OpenAI-style bases are often written.
+  settings = { local_base: `127.0.0.1:${server.address().port}/v1/`, local_key: "local-secret" };
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const lastChat = () => requests.filter((r) => r.url === "/v1/chat/completions").at(-1);
+
+test("complete: OpenAI-compatible JSON response, usage and bearer key", async () => {
+  const out = await complete("local", settings, { model: "llama3.1", messages: [{ role: "user", content: "hi" }], temperature: 0.2, maxTokens: 64 });
+  assert.equal(out.text, "Hello from llama3.1");
+  assert.deepEqual(out.toolCalls, []);
+  assert.deepEqual(out.usage, { inputTokens: 5, outputTokens: 3, totalTokens: 8 });
+
+  const req = lastChat();
+  assert.equal(req.headers.authorization, "Bearer local-secret");
+  assert.deepEqual(req.body, { model: "llama3.1", temperature: 0.2, max_tokens: 64, messages: [{ role: "user", content: "hi" }] });
+});
+
+test("complete: without a model, the first installed one is used", async () => {
+  const out = await complete("local", settings, { messages: [{ role: "user", content: "hi" }] });
+  assert.equal(out.text, "Hello from llama3.1:8b");
+});
+
+test("stream: SSE deltas split across chunks, [DONE] and the final usage chunk", async () => {
+  const tokens = [];
+  const out = await stream("local", settings, { model: "llama3.1", messages: [{ role: "user", content: "count" }] }, (t) => tokens.push(t));
+  assert.deepEqual(tokens, ["Three ", "work orders."]);
+  assert.equal(out.text, "Three work orders.");
+  assert.deepEqual(out.usage, { inputTokens: 12, outputTokens: 4, totalTokens: 16 });
+  assert.equal(lastChat().body.stream, true);
+});
+
+test("toolStep: tools go out OpenAI-shaped and tool calls come back parsed", async () => {
+  const step = toolStep("local", settings, { model: "llama3.1", temperature: 0 });
+  const tools = [{ type: "function", function: { name: "maximo_queryOS", parameters: { type: "object", properties: {} } } }];
+  const transcript = [
+    { role: "user", content: "open work orders" },
+    { role: "assistant", content: "", toolCalls: [{ id: "call_0", name: "maximo_queryOS", args: { os: "mxapiasset" } }] },
+    { role: "tool", toolCallId: "call_0", content: "{\"rows\":[]}" },
+  ];
+  const out = await step(transcript, tools);
+  assert.equal(out.text, "");
+  assert.deepEqual(out.toolCalls, [{ id: "call_1", name: "maximo_queryOS", args: { os: "mxapiwo", pageSize: 5 } }]);
+  assert.deepEqual(out.usage, { inputTokens: 40, outputTokens: 9, totalTokens: 49 });
+
+  const req = lastChat().body;
+  assert.equal(req.tool_choice, "auto");
+  assert.deepEqual(req.tools, tools);
+  assert.deepEqual(req.messages[1], {
+    role: "assistant",
+    content: null,
+    tool_calls: [{ id: "call_0", type: "function", function: { name: "maximo_queryOS", arguments: "{\"os\":\"mxapiasset\"}" } }],
+  });
+  assert.deepEqual(req.messages[2], { role: "tool", tool_call_id: "call_0", content: "{\"rows\":[]}" });
+});
+
+test("tool support: /api/show capabilities, then learned from a rejected tools request", async () => {
+  assert.equal(await modelSupportsTools("local", settings, "llama3.1"), true);
+  assert.equal(await modelSupportsTools("local", settings, "tiny"), false);
+
+  // Unknown to /api/show: assumed to support tools until the server rejects them.
+  assert.equal(await modelSupportsTools("local", settings, "legacy"), true);
+  const step = toolStep("local", settings, { model: "legacy" });
+  await assert.rejects(step([{ role: "user", content: "hi" }], [{ type: "function", function: { name: "t" } }]), {
+    code: "tools_unsupported",
+    status: 400,
+  });
+  assert.equal(await modelSupportsTools("local", settings, "legacy"), false);
+
+  assert.equal(await modelSupportsTools("local", { ...settings, local_tools: "on" }, "tiny"), true);
+  assert.equal(await modelSupportsTools("local", { ...settings, local_tools: "off" }, "llama3.1"), false);
+});
+
+test("listModels: Ollama tags, de-duplicated and sorted", async () => {
+  assert.deepEqual(await listModels("local", settings), { models: ["llama3.1:8b", "qwen2.5:7b"] });
+});
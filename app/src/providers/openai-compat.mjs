@@ -0,0 +1,163 @@
+import { postJson, postSse, getJson, parseJsonSafe, parseToolArgs } from "./http.mjs";
+
+// OpenAI chat/completions wire format: OpenAI, Mistral, DeepSeek and any compatible server
+// (Azure-style gateways, vLLM, LM Studio, ...). createOpenAiCompatAdapter() builds one adapter per
+// provider id; the differences are credentials, default base URL, models and model-list filtering.
+
+export function toOpenAiMessages(messages) {
+  return (messages || []).map(m => {
+    if (m.role === "assistant") {
+      const calls = Array.isArray(m.toolCalls) ? m.toolCalls : [];
+      return {
+        role: "assistant",
+        content: m.content || (calls.length ? null : ""),
+        ...(calls.length ? {
+          tool_calls: calls.map(c => ({ id: c.id, type: "function", function: { name: c.name, arguments: JSON.stringify(c.args ?? {}) } })),
+        } : {}),
+      };
+    }
+    if (m.role === "tool") return { role: "tool", tool_call_id: m.toolCallId, content: m.content };
+    return { role: m.role, content: m.content };
+  });
+}
+
+export function fromOpenAiMessage(msg) {
+  const calls = Array.isArray(msg?.tool_calls) ? msg.tool_calls : [];
+  return {
+    text: String(msg?.content || ""),
+    toolCalls: calls.map((tc, i) => ({
+      id: String(tc?.id || `call_${i}`),
+      name: String(tc?.function?.name || ""),
+      args: parseToolArgs(tc?.function?.arguments),
+    })).filter(c => c.name),
+  };
+}
+
+export function openAiUsage(u) {
+  if (!u) return null;
+  const inputTokens = Number(u.prompt_tokens || 0);
+  const outputTokens = Number(u.completion_tokens || 0);
+  return { inputTokens, outputTokens, totalTokens: Number(u.total_tokens || inputTokens + outputTokens) };
+}
+
+/**
+ * opts:
+ *   id, label, keyName, baseName, envKey, envBase (array), defaultBase, defaultModel, curatedModels
+ *   requireKey     false for keyless local servers
+ *   modelFilter    (ids) => ids, applied to /v1/models
+ *   streamUsage    send stream_options.include_usage (OpenAI); other servers may reject it
+ */
+export function createOpenAiCompatAdapter(opts) {
+  const adapter = {
+    id: opts.id,
+    label: opts.label,
+    defaultModel: opts.defaultModel,
+    curatedModels: opts.curatedModels || [],
+    supportsTools: opts.supportsTools !== false,
+
+    config(get) {
+      const apiKey = get(opts.keyName, [opts.envKey]);
+      const base = get(opts.baseName, opts.envBase || [], opts.defaultBase || "").replace(/\/$/, "");
+      return { apiKey, base, requireKey: opts.requireKey !== false };
+    },
+
+    validate(cfg) {
+      if (cfg.requireKey && !cfg.apiKey) return { code: "missing_api_key", detail: `Missing ${opts.id} API key` };
+      if (!cfg.base) return { code: "missing_base", detail: `Missing ${opts.id} base URL` };
+      return null;
+    },
+
+    headers(cfg) {
+      return cfg.apiKey ? { authorization: `Bearer ${cfg.apiKey}` } : {};
+    },
+
+    async complete(cfg, { model, messages, temperature, maxTokens, tools }) {
+      const j = await postJson(`${cfg.base}/v1/chat/completions`, adapter.headers(cfg), {
+        model: model || opts.defaultModel,
+        temperature,
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        messages: toOpenAiMessages(messages),
+        tools: tools?.length ? tools : undefined,
+        tool_choice: tools?.length ? "auto" : undefined,
+      });
+      return { ...fromOpenAiMessage(j?.choices?.[0]?.message), usage: openAiUsage(j?.usage), raw: j };
+    },
+
+    async stream(cfg, { model, messages, temperature, maxTokens }, onToken) {
+      let text = "";
+      let usage = null;
+      await postSse(`${cfg.base}/v1/chat/completions`, adapter.headers(cfg), {
+        model: model || opts.defaultModel,
+        temperature,
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        messages: toOpenAiMessages(messages),
+        stream: true,
+        ...(opts.streamUsage ? { stream_options: { include_usage: true } } : {}),
+      }, (data) => {
+        const j = parseJsonSafe(data);
+        const delta = j?.choices?.[0]?.delta?.content;
+        if (delta) { text += delta; onToken(delta); }
+        if (j?.usage) usage = openAiUsage(j.usage);
+      });
+      return { text, usage };
+    },
+
+    async listModels(cfg) {
+      const j = await getJson(`${cfg.base}/v1/models`, adapter.headers(cfg));
+      const ids = Array.from(new Set((j?.data || []).map(x => x?.id).filter(Boolean)));
+      const out = (typeof opts.modelFilter === "function" ? opts.modelFilter(ids) : ids).slice(0, 200);
+      out.sort();
+      return out;
+    },
+  };
+  return adapter;
+}
+
+export const openai = createOpenAiCompatAdapter({
+  id: "openai",
+  label: "OpenAI",
+  keyName: "openai_key",
+  baseName: "openai_base",
+  envKey: "OPENAI_API_KEY",
+  envBase: ["OPENAI_BASE"],
+  defaultBase: "https://api.openai.com",
+  defaultModel: "gpt-4o-mini",
+  curatedModels: ["gpt-4o-mini", "gpt-4.1-mini", "gpt-4o", "gpt-4.1"],
+  streamUsage: true,
+  // Best-effort filter for chat/LLM models while keeping the full set available.
+  modelFilter: (ids) => {
+    const llm = ids
+      .filter(id => !/(embedding|embed|moderation|whisper|tts|audio\/|realtime\/|image|dall-e|transcribe)/i.test(id))
+      .filter(id => /(gpt|^o\d|chat|ft:)/i.test(id));
+    return llm.length ? llm : ids;
+  },
+});
+
+export const mistral = createOpenAiCompatAdapter({
+  id: "mistral",
+  label: "Mistral",
+  keyName: "mistral_key",
+  baseName: "mistral_base",
+  envKey: "MISTRAL_API_KEY",
+  envBase: ["MISTRAL_BASE", "MISTRAL_BASE_URL"],
+  // Mistral's API base is https://api.mistral.ai (the /v1 is added per endpoint)
+  defaultBase: "https://api.mistral.ai",
+  defaultModel: "mistral-large-latest",
+  curatedModels: ["mistral-large-latest", "mistral-small-latest", "open-mistral-nemo"],
+  // Best-effort filter for chat-capable models; avoid embeddings, rerankers, etc.
+  modelFilter: (ids) => ids
+    .filter(id => /(mistral|codestral|magistral|open-)/i.test(id))
+    .filter(id => !/(embed|embedding|rerank|moderation)/i.test(id)),
+});
+
+export const deepseek = createOpenAiCompatAdapter({
+  id: "deepseek",
+  label: "DeepSeek",
+  keyName: "deepseek_key",
+  baseName: "deepseek_base",
+  envKey: "DEEPSEEK_API_KEY",
+  envBase: ["DEEPSEEK_BASE"],
+  defaultBase: "",
+  defaultModel: "deepseek-chat",
+  curatedModels: ["deepseek-chat", "deepseek-reasoner"],
+});
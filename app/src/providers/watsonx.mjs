@@ -0,0 +1,203 @@
+import fetch from "node-fetch";
+import { postJson, postSse, getJson, parseJsonSafe, providerError, systemText } from "./http.mjs";
+import { toOpenAiMessages, fromOpenAiMessage, openAiUsage } from "./openai-compat.mjs";
+
+// watsonx.ai: plain completions use /ml/v1/text/generation (prompt transcript), tool calling uses the
+// chat API (/ml/v1/text/chat, OpenAI-shaped tools/tool_calls). Models come from foundation_model_specs.
+
+// --- watsonx IAM token exchange + cache ---
+// Watsonx.ai expects an IAM access token in the `Authorization: Bearer ...` header.
+// Many users will (reasonably) configure an IBM Cloud API key instead. In that case,
+// we exchange the API key for a short-lived IAM access token and cache it until expiry.
+//
+// If WATSONX_API_KEY already looks like a JWT (starts with "eyJ" and has 3 dot-separated parts),
+// we treat it as an IAM token and use it as-is.
+const _watsonxIamTokenCache = new Map();
+
+function _looksLikeJwt(token) {
+  const s = String(token || "").trim();
+  // JWTs are base64url header.payload.signature; most start with "eyJ".
+  return s.startsWith("eyJ") && s.split(".").length === 3;
+}
+
+export async function getWatsonxBearerToken(apiKeyOrToken) {
+  const raw = String(apiKeyOrToken || "").trim();
+  if (!raw) throw new Error("Missing watsonx API key");
+  if (_looksLikeJwt(raw)) return raw;
+
+  const now = Date.now();
+  const cached = _watsonxIamTokenCache.get(raw);
+  // Refresh 60s before expiry.
+  if (cached?.token && cached.expiresAtMs && (cached.expiresAtMs - 60_000) > now) {
+    return cached.token;
+  }
+
+  const iamUrl = String(process.env.WATSONX_IAM_URL || "https://iam.cloud.ibm.com/identity/token").trim();
+  const body = new URLSearchParams();
+  body.set("grant_type", "urn:ibm:params:oauth:grant-type:apikey");
+  body.set("apikey", raw);
+
+  const r = await fetch(iamUrl, {
+    method: "POST",
+    headers: {
+      "content-type": "application/x-www-form-urlencoded",
+      "accept": "application/json",
+    },
+    body: body.toString(),
+  });
+
+  const txt = await r.text();
+  let j = null;
+  try { j = JSON.parse(txt); } catch { j = null; }
+  if (!r.ok) {
+    const msg = j?.error_description || j?.error || txt.slice(0, 600);
+    throw new Error(`watsonx IAM token exchange failed: ${msg}`);
+  }
+
+  const token = j?.access_token;
+  const expiresIn = Number(j?.expires_in || 0);
+  if (!token) throw new Error("watsonx IAM token exchange failed: missing access_token");
+  const expiresAtMs = now + (expiresIn > 0 ? (expiresIn * 1000) : (55 * 60 * 1000));
+  _watsonxIamTokenCache.set(raw, { token, expiresAtMs });
+  return token;
+}
+
+// Text generation takes a single prompt: system text, then a User/Assistant transcript.
+function promptInput(messages) {
+  const system = systemText(messages);
+  const turns = (messages || []).filter(m => m.role === "user" || m.role === "assistant");
+  if (!system && turns.length === 1) return String(turns[0].content || "");
+  const transcript = turns.map(m => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`).join("\n");
+  return `${system ? system + "\n\n" : ""}${transcript}\nAssistant:`.trim();
+}
+
+function textGenUsage(result) {
+  if (!result || result.input_token_count == null) return null;
+  const inputTokens = Number(result.input_token_count || 0);
+  const outputTokens = Number(result.generated_token_count || 0);
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+}
+
+function textGenBody(cfg, { model, messages, temperature, maxTokens }) {
+  return {
+    model_id: model || watsonx.defaultModel,
+    input: promptInput(messages),
+    parameters: { temperature, max_new_tokens: maxTokens || 1024 },
+    project_id: cfg.projectId,
+  };
+}
+
+async function authHeaders(cfg) {
+  return { authorization: `Bearer ${await getWatsonxBearerToken(cfg.apiKey)}` };
+}
+
+export const watsonx = {
+  id: "watsonx",
+  label: "watsonx.ai",
+  defaultModel: "ibm/granite-13b-chat-v2",
+  // Tool calling needs a chat model; the text-generation default (granite-13b-chat-v2) has no tools.
+  defaultToolModel: "ibm/granite-3-8b-instruct",
+  curatedModels: ["ibm/granite-3-8b-instruct", "ibm/granite-13b-chat-v2"],
+  supportsTools: true,
+
+  config(get) {
+    return {
+      apiKey: get("watsonx_api_key", ["WATSONX_API_KEY"]),
+      base: get("watsonx_base", ["WATSONX_BASE", "WATSONX_BASE_URL"], "https://us-south.ml.cloud.ibm.com").replace(/\/$/, ""),
+      projectId: get("watsonx_project", ["WATSONX_PROJECT", "WATSONX_PROJECT_ID"]),
+      textgenVersion: String(process.env.WATSONX_TEXTGEN_VERSION || process.env.WATSONX_API_VERSION || process.env.WATSONX_VERSION || "2025-02-11").trim(),
+      chatVersion: String(process.env.WATSONX_CHAT_VERSION || process.env.WATSONX_API_VERSION || process.env.WATSONX_VERSION || "2025-02-11").trim(),
+      // Version dates are required by the watsonx.ai REST API; allow override via env.
+      specsVersion: String(process.env.WATSONX_API_VERSION || process.env.WATSONX_VERSION || "2024-05-31").trim(),
+    };
+  },
+
+  validate(cfg, { listing = false } = {}) {
+    if (!cfg.apiKey) return { code: "missing_api_key", detail: "Missing watsonx API key" };
+    if (!listing && !cfg.projectId) return { code: "missing_project", detail: "Missing watsonx project id (watsonx_project)" };
+    return null;
+  },
+
+  async complete(cfg, opts) {
+    const headers = await authHeaders(cfg);
+    if (opts.tools?.length) {
+      // watsonx rejects a null assistant content; send an empty string alongside tool_calls instead.
+      const messages = toOpenAiMessages(opts.messages).map(m => (m.role === "assistant" && m.content == null ? { ...m, content: "" } : m));
+      const j = await postJson(`${cfg.base}/ml/v1/text/chat?version=${encodeURIComponent(cfg.chatVersion)}`, headers, {
+        model_id: opts.model || watsonx.defaultToolModel,
+        project_id: cfg.projectId,
+        messages,
+        tools: opts.tools,
+        tool_choice_option: "auto",
+        temperature: opts.temperature,
+        max_tokens: opts.maxTokens || 1024,
+      });
+      return { ...fromOpenAiMessage(j?.choices?.[0]?.message), usage: openAiUsage(j?.usage), raw: j };
+    }
+    const j = await postJson(`${cfg.base}/ml/v1/text/generation?version=${encodeURIComponent(cfg.textgenVersion)}`, headers, textGenBody(cfg, opts));
+    const result = j?.results?.[0];
+    return { text: String(result?.generated_text || ""), toolCalls: [], usage: textGenUsage(result), raw: j };
+  },
+
+  async stream(cfg, opts, onToken) {
+    const headers = await authHeaders(cfg);
+    let text = "";
+    let usage = null;
+    const url = `${cfg.base}/ml/v1/text/generation_stream?version=${encodeURIComponent(cfg.textgenVersion)}`;
+    await postSse(url, headers, textGenBody(cfg, opts), (data) => {
+      const result = parseJsonSafe(data)?.results?.[0];
+      if (result?.generated_text) { text += result.generated_text; onToken(result.generated_text); }
+      // Token counts are cumulative on the final event.
+      usage = textGenUsage(result) || usage;
+    });
+    return { text, usage };
+  },
+
+  // List models via /ml/v1/foundation_model_specs (paginated; fetch up to 10 pages best-effort).
+  // IBM docs: GET {watsonx_ai_url}/ml/v1/foundation_model_specs?version=YYYY-MM-DD
+  async listModels(cfg) {
+    const headers = await authHeaders(cfg);
+    const seenUrls = new Set();
+    let nextUrl = `${cfg.base}/ml/v1/foundation_model_specs?version=${encodeURIComponent(cfg.specsVersion)}&limit=200`;
+    const pageJsons = [];
+    while (nextUrl && pageJsons.length < 10) {
+      if (seenUrls.has(nextUrl)) break;
+      seenUrls.add(nextUrl);
+      let out;
+      try {
+        out = await getJson(nextUrl, headers);
+      } catch (e) {
+        // If the first page fails the caller falls back to curated. Otherwise keep what we already collected.
+        if (!pageJsons.length) throw providerError("list_failed", `watsonx foundation_model_specs failed (${e.status || "error"})`, e.status);
+        break;
+      }
+      pageJsons.push(out);
+
+      // Discover next page URL across common shapes.
+      const n = out?.next || out?.pagination?.next || out?.page?.next || null;
+      const href = (typeof n === "string") ? n : (typeof n?.href === "string" ? n.href : null);
+      if (!href) break;
+      nextUrl = /^https?:\/\//i.test(href) ? href : `${cfg.base}${href.startsWith("/") ? "" : "/"}${href}`;
+    }
+
+    // Extract model ids robustly (response shape can vary between environments).
+    const taskKeys = ["task_ids", "tasks", "supported_tasks", "task_id", "task"];
+    const isGen = (x) => typeof x === "string" && /text[_-]?generation|generation/i.test(x);
+    const supportsTextGeneration = (obj) => taskKeys.some(k => isGen(obj?.[k]) || (Array.isArray(obj?.[k]) && obj[k].some(isGen)));
+    const ids = new Set();
+    const walk = (node) => {
+      if (!node) return;
+      if (Array.isArray(node)) { node.forEach(walk); return; }
+      if (typeof node !== "object") return;
+      // If task info exists and suggests non-text-generation, skip; otherwise include.
+      if (typeof node.model_id === "string" && node.model_id.trim()) {
+        const hasTaskInfo = taskKeys.some(k => node[k] != null);
+        if (!hasTaskInfo || supportsTextGeneration(node)) ids.add(node.model_id.trim());
+      }
+      for (const v of Object.values(node)) walk(v);
+    };
+    walk(pageJsons);
+
+    return Array.from(ids).sort();
+  },
+};
@@ -0,0 +1,457 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Scheduled queries with digest delivery.
+//
+// Storage under <DATA_DIR>/schedules/:
+//   schedules.json  { schedules: [schedule] }
+//   runs.json       { runs: [run] }   newest first, capped at SCHEDULE_RUN_HISTORY (default 500)
+//
+// schedule:
+//   { id, name, enabled, cron, owner,
+//     source: { type: "preset", presetId } | { type: "tool", tool, args? },   preset from settings.maximo.queryPresets,
+//                                                                           tool = a saved tool (or maximo_queryOS)
+//     tenant, site,
+//     output: "table" | "aggregate" | "pdf",  aggregate?: { groupBy, metrics }  (queryOS aggregate spec)
+//     delivery: { type: "webhook", url, headers? } | { type: "smtp", to: [addr] , subject? },
+//     createdAt, updatedAt, nextRunAt, lastRunAt, lastStatus, lastError }
+// run:
+//   { id, scheduleId, scheduleName, trigger: "cron" | "manual", startedAt, finishedAt, ms,
+//     status: "ok" | "error", stage?: "query" | "render" | "delivery", error?, rows, delivery?: { type, target, status } }
+//
+// Cron: five fields (minute hour day-of-month month day-of-week) in the server's local time zone (TZ), with
+// lists, ranges, steps, JAN-DEC / SUN-SAT names and @hourly / @daily / @weekly / @monthly / @yearly.
+
+const RUN_HISTORY = Number(process.env.SCHEDULE_RUN_HISTORY || 500);
+const DIGEST_ROWS = Number(process.env.SCHEDULE_DIGEST_ROWS || 50);
+const OUTPUTS = ["table", "aggregate", "pdf"];
+
+function scheduleError(message, code = "invalid_schedule") {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// ---------- cron ----------
+const CRON_ALIASES = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"] },
+  { name: "day of week", min: 0, max: 7, names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"] },
+];
+
+function cronValue(tok, f) {
+  const up = String(tok).toUpperCase();
+  const idx = f.names ? f.names.indexOf(up) : -1;
+  const n = idx >= 0 ? idx + f.min : /^\d+$/.test(tok) ? Number(tok) : NaN;
+  if (!Number.isInteger(n) || n < f.min || n > f.max) throw scheduleError(`cron ${f.name}: "${tok}" is out of range`, "invalid_cron");
+  return n;
+}
+
+function cronField(src, f) {
+  const out = new Set();
+  for (const part of String(src).split(",")) {
+    const m = part.match(/^([^/]+)(?:\/(\d+))?$/);
+    if (!m) throw scheduleError(`cron ${f.name}: cannot read "${part}"`, "invalid_cron");
+    const step = m[2] ? Number(m[2]) : 1;
+    if (step < 1) throw scheduleError(`cron ${f.name}: step must be at least 1`, "invalid_cron");
+    let lo;
+    let hi;
+    if (m[1] === "*") {
+      lo = f.min;
+      hi = f.max;
+    } else if (m[1].includes("-")) {
+      const [a, b] = m[1].split("-");
+      lo = cronValue(a, f);
+      hi = cronValue(b, f);
+      if (hi < lo) throw scheduleError(`cron ${f.name}: range "${m[1]}" is reversed`, "invalid_cron");
+    } else {
+      lo = cronValue(m[1], f);
+      hi = m[2] ? f.max : lo;
+    }
+    for (let v = lo; v <= hi; v += step) out.add(v);
+  }
+  return out;
+}
+
+/** Parses a cron expression; throws Error code "invalid_cron". */
+export function parseCron(expr) {
+  const raw = String(expr || "").trim();
+  const src = CRON_ALIASES[raw.toLowerCase()] || raw;
+  const parts = src.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) throw scheduleError("cron needs 5 fields: minute hour day-of-month month day-of-week", "invalid_cron");
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => cronField(p, CRON_FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  return { minute, hour, dom, month, dow, domAny: parts[2] === "*", dowAny: parts[4] === "*" };
+}
+
+function cronDayMatches(c, d) {
+  const domOk = c.dom.has(d.getDate());
+  const dowOk = c.dow.has(d.getDay());
+  // Standard cron: when both day fields are restricted, either one matching is enough.
+  if (!c.domAny && !c.dowAny) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+/** Next run strictly after `from` (Date), or null when none exists within 5 years. */
+export function nextCronRun(expr, from = new Date()) {
+  const c = typeof expr === "string" ? parseCron(expr) : expr;
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = from.getTime() + 5 * 366 * 24 * 3600 * 1000;
+  while (d.getTime() <= limit) {
+    if (!c.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cronDayMatches(c, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!c.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!c.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
+
+// ---------- store ----------
+export function schedulesDir(dataDir) {
+  return path.join(dataDir, "schedules");
+}
+
+function readJson(file, key) {
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return Array.isArray(j?.[key]) ? j[key] : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeJson(dir, name, obj) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, name);
+  fs.writeFileSync(file + ".tmp", JSON.stringify(obj, null, 2), "utf-8");
+  fs.renameSync(file + ".tmp", file);
+}
+
+export function readSchedules(dir) {
+  return readJson(path.join(dir, "schedules.json"), "schedules");
+}
+
+export function writeSchedules(dir, schedules) {
+  writeJson(dir, "schedules.json", { schedules });
+}
+
+/** Read-modify-write of one schedule; returns the updated schedule or null. */
+export function updateSchedule(dir, id, patch) {
+  const all = readSchedules(dir);
+  const i = all.findIndex((s) => s.id === id);
+  if (i < 0) return null;
+  all[i] = { ...all[i], ...patch };
+  writeSchedules(dir, all);
+  return all[i];
+}
+
+export function readRuns(dir, { scheduleId, limit = 50 } = {}) {
+  const runs = readJson(path.join(dir, "runs.json"), "runs");
+  return (scheduleId ? runs.filter((r) => r.scheduleId === scheduleId) : runs).slice(0, limit);
+}
+
+export function appendRun(dir, run) {
+  const runs = readJson(path.join(dir, "runs.json"), "runs");
+  writeJson(dir, "runs.json", { runs: [run, ...runs].slice(0, RUN_HISTORY) });
+}
+
+// ---------- validation ----------
+/**
+ * Validates and normalizes a schedule from the API (create or update over `existing`).
+ * `tools` is the tenant's /mcp/tools list (all=1): only queries can be scheduled, i.e. saved tools and the
+ * built-ins the MCP server reports with write: false.
+ * Throws Error code "invalid_schedule" / "invalid_cron".
+ */
+export function normalizeSchedule(raw, { existing = null, presets = [], tools = [], isEmail = () => true } = {}) {
+  const src = { ...(existing || {}), ...(raw || {}) };
+  const cron = String(src.cron || "").trim();
+  parseCron(cron);
+
+  const s0 = src.source || {};
+  let source;
+  if (s0.type === "preset") {
+    const presetId = String(s0.presetId || "").trim();
+    if (!presets.some((p) => String(p?.id) === presetId)) throw scheduleError(`Unknown query preset: ${presetId || "(none)"}`);
+    source = { type: "preset", presetId };
+  } else if (s0.type === "tool") {
+    const tool = String(s0.tool || "").trim();
+    if (!/^[A-Za-z0-9_.-]+$/.test(tool)) throw scheduleError("source.tool must be a saved tool name");
+    const info = (Array.isArray(tools) ? tools : []).find((t) => t?.name === tool);
+    if (!info) throw scheduleError(`Unknown tool: ${tool}`);
+    if (info.isBuiltin !== false && info.write !== false) throw scheduleError(`${tool} changes records and cannot be scheduled`);
+    const args = s0.args && typeof s0.args === "object" && !Array.isArray(s0.args) ? s0.args : {};
+    source = { type: "tool", tool, args };
+  } else {
+    throw scheduleError('source.type must be "preset" or "tool"');
+  }
+
+  const output = OUTPUTS.includes(src.output) ? src.output : "table";
+  let aggregate;
+  if (output === "aggregate") {
+    const a = src.aggregate && typeof src.aggregate === "object" ? src.aggregate : {};
+    const groupBy = (Array.isArray(a.groupBy) ? a.groupBy : String(a.groupBy || "").split(","))
+      .map((g) => (typeof g === "string" ? g.trim() : g))
+      .filter(Boolean);
+    aggregate = { ...(groupBy.length ? { groupBy } : {}), ...(Array.isArray(a.metrics) && a.metrics.length ? { metrics: a.metrics } : {}) };
+  }
+
+  const d0 = src.delivery || {};
+  let delivery;
+  if (d0.type === "webhook") {
+    const url = String(d0.url || "").trim();
+    if (!/^https?:\/\/\S+$/i.test(url)) throw scheduleError("delivery.url must be an http(s) URL");
+    const headers = d0.headers && typeof d0.headers === "object" && !Array.isArray(d0.headers)
+      ? Object.fromEntries(Object.entries(d0.headers).map(([k, v]) => [String(k), String(v)]))
+      : undefined;
+    delivery = { type: "webhook", url, ...(headers && Object.keys(headers).length ? { headers } : {}) };
+  } else if (d0.type === "smtp") {
+    const to = (Array.isArray(d0.to) ? d0.to : String(d0.to || "").split(/[,;\s]+/)).map((x) => String(x).trim()).filter(Boolean);
+    if (!to.length) throw scheduleError("delivery.to needs at least one address");
+    const bad = to.find((x) => !isEmail(x));
+    if (bad) throw scheduleError(`Not an email address: ${bad}`);
+    delivery = { type: "smtp", to, ...(String(d0.subject || "").trim() ? { subject: String(d0.subject).trim() } : {}) };
+  } else {
+    throw scheduleError('delivery.type must be "webhook" or "smtp"');
+  }
+
+  const presetLabel = source.type === "preset" ? presets.find((p) => String(p?.id) === source.presetId)?.label : "";
+  const name = String(src.name || "").trim() || String(presetLabel || source.tool || source.presetId);
+  return {
+    id: existing?.id || crypto.randomUUID(),
+    name: name.slice(0, 120),
+    enabled: src.enabled !== false,
+    cron,
+    source,
+    tenant: String(src.tenant || "").trim(),
+    site: String(src.site || "").trim().toUpperCase(),
+    output,
+    ...(aggregate ? { aggregate } : {}),
+    delivery,
+    owner: existing?.owner || String(raw?.owner || ""),
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    nextRunAt: src.enabled === false ? null : nextCronRun(cron)?.toISOString() || null,
+    ...(existing ? { lastRunAt: existing.lastRunAt, lastStatus: existing.lastStatus, lastError: existing.lastError } : {}),
+  };
+}
+
+// ---------- running ----------
+/** maximo_queryOS (or saved tool) call for a schedule, with the preset's {siteid} placeholders filled in. */
+export function scheduleToolCall(schedule, settings) {
+  const site = schedule.site || String(settings?.maximo?.defaultSite || "").trim().toUpperCase();
+  let name;
+  let args;
+  if (schedule.source.type === "preset") {
+    const presets = Array.isArray(settings?.maximo?.queryPresets) ? settings.maximo.queryPresets : [];
+    const p = presets.find((x) => String(x?.id) === schedule.source.presetId);
+    if (!p) throw scheduleError(`Query preset not found: ${schedule.source.presetId}`);
+    const fill = (v) => String(v || "").replace(/\{siteid\}|\{site\}/g, site).trim();
+    if (/\{siteid\}|\{site\}/.test(String(p.where || "")) && !site) throw scheduleError(`Preset "${p.label || p.id}" needs a site`);
+    name = "maximo_queryOS";
+    args = {
+      os: String(p.os || "").trim(),
+      ...(fill(p.where) ? { where: fill(p.where) } : {}),
+      ...(fill(p.select) ? { select: fill(p.select) } : {}),
+      ...(String(p.orderBy || "").trim() ? { orderBy: String(p.orderBy).trim() } : {}),
+      ...(Number(p.pageSize) > 0 ? { pageSize: Number(p.pageSize) } : {}),
+      lean: p.lean !== false,
+    };
+  } else {
+    name = schedule.source.tool;
+    args = { ...(schedule.source.args || {}) };
+  }
+  if (site) args.site = site;
+  if (schedule.output === "aggregate") args.aggregate = schedule.aggregate || {};
+  return { name, args };
+}
+
+function cellText(v) {
+  if (v === null || v === undefined) return "";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+function htmlEscape(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/** Digest text / HTML for a result table (first SCHEDULE_DIGEST_ROWS rows). */
+export function buildDigest({ title, summary, table, footer }) {
+  const columns = Array.isArray(table?.columns) ? table.columns.map(String) : [];
+  const allRows = Array.isArray(table?.rows) ? table.rows : [];
+  const rows = allRows.slice(0, DIGEST_ROWS);
+  const more = allRows.length > rows.length ? `${allRows.length - rows.length} more row(s) not shown.` : "";
+
+  const widths = columns.map((c) => Math.min(40, Math.max(c.length, ...rows.map((r) => cellText(r?.[c]).length))));
+  const line = (vals) => vals.map((v, i) => v.slice(0, widths[i]).padEnd(widths[i])).join("  ").trimEnd();
+  const text = [
+    title,
+    "",
+    summary,
+    ...(columns.length ? ["", line(columns), line(widths.map((w) => "-".repeat(w))), ...rows.map((r) => line(columns.map((c) => cellText(r?.[c]))))] : []),
+    ...(more ? ["", more] : []),
+    ...(footer ? ["", footer] : []),
+  ].join("\n");
+
+  const th = "padding:4px 8px;border-bottom:1px solid #c6c6c6;text-align:left;background:#f4f4f4";
+  const td = "padding:4px 8px;border-bottom:1px solid #e0e0e0";
+  const html = [
+    `<div style="font-family:Arial,Helvetica,sans-serif;font-size:13px;color:#161616">`,
+    `<h2 style="font-size:16px;margin:0 0 8px">${htmlEscape(title)}</h2>`,
+    `<p>${htmlEscape(summary)}</p>`,
+    columns.length
+      ? `<table style="border-collapse:collapse"><thead><tr>${columns.map((c) => `<th style="${th}">${htmlEscape(c)}</th>`).join("")}</tr></thead>` +
+        `<tbody>${rows.map((r) => `<tr>${columns.map((c) => `<td style="${td}">${htmlEscape(cellText(r?.[c]))}</td>`).join("")}</tr>`).join("")}</tbody></table>`
+      : "",
+    more ? `<p style="color:#6f6f6f">${htmlEscape(more)}</p>` : "",
+    footer ? `<p style="color:#6f6f6f;font-size:11px">${htmlEscape(footer)}</p>` : "",
+    `</div>`,
+  ].join("");
+  return { text, html };
+}
+
+/**
+ * Runs one schedule and records the run. deps:
+ *   settings                               effective shared settings
+ *   callTool({ tenant, name, args })       -> { status, body }  (MCP /mcp/call)
+ *   toTable(body, args)                    -> { columns, rows } | null
+ *   renderPdf({ title, content, table, provenance }) -> Buffer
+ *   deliver(delivery, message)             -> { type, target, status }
+ */
+export async function runSchedule(dir, schedule, deps, { trigger = "cron" } = {}) {
+  const started = Date.now();
+  const run = {
+    id: crypto.randomUUID(),
+    scheduleId: schedule.id,
+    scheduleName: schedule.name,
+    trigger,
+    startedAt: new Date(started).toISOString(),
+    status: "ok",
+    rows: 0,
+  };
+  let stage = "query";
+  try {
+    const { settings } = deps;
+    const tenant = schedule.tenant || String(settings?.maximo?.defaultTenant || "default");
+    const { name, args } = scheduleToolCall(schedule, settings);
+    const r = await deps.callTool({ tenant, name, args, owner: schedule.owner, runId: run.id });
+    const body = r?.body;
+    if (!r || r.status < 200 || r.status >= 300 || body?.error) {
+      throw scheduleError(`Query failed (HTTP ${r?.status ?? 0}): ${String(body?.detail || body?.error || "no response").slice(0, 300)}`, "query_failed");
+    }
+    const table = deps.toTable(body, args) || { columns: [], rows: [] };
+    run.rows = Array.isArray(table.rows) ? table.rows.length : 0;
+
+    stage = "render";
+    const os = String(body?._mcp?.query?.os || args.os || "");
+    const where = String(body?._mcp?.query?.where || args.where || "");
+    const when = new Date().toISOString().replace("T", " ").slice(0, 16) + " UTC";
+    const summary = String(body?.summary || "").trim() || `${run.rows} row(s) from ${os || name}${args.site ? ` (site ${args.site})` : ""}.`;
+    const footer = `Scheduled "${schedule.name}" (${schedule.cron}) · ${tenant}${args.site ? ` · ${args.site}` : ""} · ${when}`;
+    const title = schedule.name;
+    const digest = buildDigest({ title, summary, table, footer });
+    const attachments = [];
+    let pdf;
+    if (schedule.output === "pdf") {
+      const buf = await deps.renderPdf({ title, content: summary, table: { title: os, ...table }, provenance: { tenant, site: args.site || "", os, where } });
+      const filename = `${title.replace(/[^A-Za-z0-9._-]+/g, "_").slice(0, 80) || "report"}.pdf`;
+      attachments.push({ filename, contentType: "application/pdf", content: buf });
+      pdf = { filename, contentType: "application/pdf", base64: buf.toString("base64") };
+    }
+
+    stage = "delivery";
+    const payload = {
+      text: `${title}: ${summary}`,
+      schedule: { id: schedule.id, name: schedule.name, cron: schedule.cron, output: schedule.output },
+      run: { id: run.id, trigger, startedAt: run.startedAt },
+      tenant,
+      site: args.site || "",
+      query: { os, where },
+      summary,
+      table,
+      ...(pdf ? { pdf } : {}),
+    };
+    const subject = schedule.delivery.subject || `${title}: ${run.rows} row(s)`;
+    run.delivery = await deps.deliver(schedule.delivery, { subject, text: digest.text, html: digest.html, attachments, payload });
+  } catch (e) {
+    run.status = "error";
+    run.stage = stage;
+    run.error = String(e?.message || e) + (e?.detail ? ` — ${String(e.detail).slice(0, 300)}` : "");
+  }
+  run.finishedAt = new Date().toISOString();
+  run.ms = Date.now() - started;
+  appendRun(dir, run);
+  updateSchedule(dir, schedule.id, {
+    lastRunAt: run.startedAt,
+    lastStatus: run.status,
+    lastError: run.error || "",
+  });
+  return run;
+}
+
+/**
+ * Starts the cron loop: every tickMs, due schedules (nextRunAt <= now) are advanced to their next
+ * cron time and run. One run per schedule at a time; a missed window (server down) runs once on start.
+ * Returns a stop function.
+ */
+export function startScheduler({ dir, tickMs = 30000, runOne, onError }) {
+  const running = new Set();
+  const tick = () => {
+    let all;
+    try {
+      all = readSchedules(dir);
+    } catch (e) {
+      onError?.(e);
+      return;
+    }
+    const now = new Date();
+    for (const s of all) {
+      if (!s.enabled || running.has(s.id)) continue;
+      if (!s.nextRunAt) {
+        try { updateSchedule(dir, s.id, { nextRunAt: nextCronRun(s.cron, now)?.toISOString() || null }); } catch (e) { onError?.(e); }
+        continue;
+      }
+      if (Date.parse(s.nextRunAt) > now.getTime()) continue;
+      running.add(s.id);
+      let next = null;
+      try { next = nextCronRun(s.cron, now)?.toISOString() || null; } catch (e) { onError?.(e); }
+      updateSchedule(dir, s.id, { nextRunAt: next });
+      Promise.resolve()
+        .then(() => runOne(s))
+        .catch((e) => onError?.(e))
+        .finally(() => running.delete(s.id));
+    }
+  };
+  const timer = setInterval(tick, tickMs);
+  timer.unref?.();
+  setTimeout(tick, 1000).unref?.();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseCron, nextCronRun, normalizeSchedule } from "./schedules.mjs";
+
+// Cron runs in the server's local time zone, so the dates here are local too (no DST transitions involved).
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+test("parseCron: lists, ranges, steps, names and aliases", () => {
+  const c = parseCron("*/15 8-17 1,15 jan-mar sun,sat");
+  assert.deepEqual([...c.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...c.hour], [8, 9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...c.dom], [1, 15]);
+  assert.deepEqual([...c.month], [1, 2, 3]);
+  assert.deepEqual([...c.dow], [0, 6]);
+  assert.equal(c.domAny, false);
+  assert.equal(c.dowAny, false);
+
+  assert.deepEqual([...parseCron("5/20 * * * *").minute], [5, 25, 45]);
+  assert.deepEqual([...parseCron("0 0 * * 7").dow].sort(), [0, 7]);
+  const weekly = parseCron("@weekly");
+  assert.deepEqual([...weekly.dow], [0]);
+  assert.equal(weekly.domAny, true);
+});
+
+test("parseCron: invalid expressions throw invalid_cron", () => {
+  for (const [expr, message] of [
+    ["* * * *", /cron needs 5 fields/],
+    ["60 * * * *", /minute: "60" is out of range/],
+    ["* * 0 * *", /day of month: "0" is out of range/],
+    ["* * * * 8", /day of week: "8" is out of range/],
+    ["5-1 * * * *", /range "5-1" is reversed/],
+    ["*/0 * * * *", /step must be at least 1/],
+    ["* * * FOO *", /month: "FOO" is out of range/],
+    ["", /cron needs 5 fields/],
+  ]) {
+    assert.throws(() => parseCron(expr), { code: "invalid_cron", message }, expr);
+  }
+});
+
+test("nextCronRun: strictly after `from`, on a whole minute", () => {
+  assert.deepEqual(nextCronRun("30 6 * * *", at(2024, 9, 1, 6, 30)), at(2024, 9, 2, 6, 30));
+  assert.deepEqual(nextCronRun("30 6 * * *", new Date(at(2024, 9, 1, 6, 29).getTime() + 59_999)), at(2024, 9, 1, 6, 30));
+  assert.deepEqual(nextCronRun("* * * * *", new Date(at(2024, 9, 1, 6, 29).getTime() + 1_500)), at(2024, 9, 1, 6, 30));
+  assert.deepEqual(nextCronRun("*/15 8-17 * * 1-5", at(2024, 9, 6, 17, 50)), at(2024, 9, 9, 8, 0)); // Friday evening -> Monday
+  assert.deepEqual(nextCronRun("@monthly", at(2024, 1, 31)), at(2024, 2, 1));
+  assert.deepEqual(nextCronRun("0 0 1 1 *", at(2024, 6, 15)), at(2025, 1, 1));
+});
+
+test("nextCronRun: rare and impossible dates", () => {
+  assert.deepEqual(nextCronRun("0 0 29 2 *", at(2024, 3, 1)), at(2028, 2, 29));
+  assert.equal(nextCronRun("0 0 31 2 *", at(2024, 1, 1)), null);
+  assert.deepEqual(nextCronRun("0 0 31 * *", at(2024, 4, 1)), at(2024, 5, 31));
+});
+
+test("nextCronRun: restricted day-of-month and day-of-week match either one", () => {
+  // Friday or the 13th.
+  assert.deepEqual(nextCronRun("0 9 13 * 5", at(2024, 9, 1, 12)), at(2024, 9, 6, 9)); // Friday the 6th
+  assert.deepEqual(nextCronRun("0 9 13 * 5", at(2024, 9, 14)), at(2024, 9, 20, 9)); // the next Friday
+  assert.deepEqual(nextCronRun("0 9 13 * 5", at(2024, 10, 12)), at(2024, 10, 13, 9)); // Sunday the 13th
+  // The first seven days or any Monday: Monday the 9th qualifies through day-of-week alone.
+  assert.deepEqual(nextCronRun("0 9 1-7 * MON", at(2024, 9, 8, 12)), at(2024, 9, 9, 9));
+  // A step in day-of-month restricts it too.
+  assert.deepEqual(nextCronRun("0 9 */2 * MON", at(2024, 9, 8, 12)), at(2024, 9, 9, 9));
+});
+
+test("nextCronRun: with one day field left as *, the other alone decides", () => {
+  assert.deepEqual(nextCronRun("0 9 1-7 * *", at(2024, 9, 8, 12)), at(2024, 10, 1, 9));
+  assert.deepEqual(nextCronRun("0 9 * * MON", at(2024, 9, 1, 12)), at(2024, 9, 2, 9));
+  assert.deepEqual(nextCronRun("0 9 * * SUN", at(2024, 9, 1, 12)), at(2024, 9, 8, 9));
+  assert.deepEqual(nextCronRun(parseCron("0 9 * * 7"), at(2024, 9, 1, 12)), at(2024, 9, 8, 9));
+});
+
+test("normalizeSchedule: tool sources are checked against the tenant's /mcp/tools", () => {
+  const tools = [
+    { name: "maximo_queryOS", isBuiltin: true, write: false },
+    { name: "maximo_updateRecord", isBuiltin: true, write: true },
+    { name: "maximo_newTool", isBuiltin: true },
+    { name: "open_wos", isBuiltin: false },
+  ];
+  const schedule = (tool) => ({ cron: "@daily", source: { type: "tool", tool }, delivery: { type: "webhook", url: "https://hooks.example.com/x" } });
+
+  assert.equal(normalizeSchedule(schedule("open_wos"), { tools }).source.tool, "open_wos");
+  assert.equal(normalizeSchedule(schedule("maximo_queryOS"), { tools }).source.tool, "maximo_queryOS");
+  assert.throws(() => normalizeSchedule(schedule("maximo_updateRecord"), { tools }), { code: "invalid_schedule", message: /changes records/ });
+  // A built-in without a write flag (an older MCP server) is not assumed to be read-only.
+  assert.throws(() => normalizeSchedule(schedule("maximo_newTool"), { tools }), /changes records/);
+  assert.throws(() => normalizeSchedule(schedule("deleted_tool"), { tools }), { code: "invalid_schedule", message: "Unknown tool: deleted_tool" });
+});
@@ -4,70 +4,27 @@ import morgan from "morgan";
 import fetch from "node-fetch";
 import fs from "fs";
 import path from "path";
+import { PassThrough } from "stream";
 import PDFDocumentImport from "pdfkit";
 import { ensureUsersFile, readUsers, findUser, verifyPassword, createToken, setAuthCookie, clearAuthCookie, authMiddleware, requireAuth, requireAdmin } from "./auth.mjs";
+import { runToolLoop } from "./tool-loop.mjs";
+import { complete as providerComplete, stream as providerStream, toolStep, modelSupportsTools, listModels as listProviderModels, listProviders, providerErrorStatus } from "./providers/index.mjs";
+import { loadReportLogo, writePdfReport } from "./pdf-report.mjs";
+import { deliver, isEmailAddress } from "./delivery.mjs";
+import { schedulesDir, readSchedules, writeSchedules, readRuns, normalizeSchedule, runSchedule, startScheduler } from "./schedules.mjs";
+import { initTracing, shutdownTracing, tracingInfo, requestSpan, withSpan, injectTraceHeaders, markSpanError, setSpanAttributes, finishedSpans, clearFinishedSpans, SpanKind } from "./tracing.mjs";
+import { metricsHandler, trackStream } from "./metrics.mjs";
+import { loadTokenizer, usageContext, startUsageReporter } from "./usage.mjs";
+import { chatLimits, limitHeaders } from "./limits.mjs";
+import { conversationsDir, readConversation, saveConversationTurns, deleteConversation, listConversations, createConversation, lastQueryOf, looksLikeRefinement, compactConversation, turnsToMessages, messagesToTranscript } from "./conversations.mjs";
 
 const PDFDocument = PDFDocumentImport?.default || PDFDocumentImport;
 
-// --- watsonx IAM token exchange + cache ---
-// Watsonx.ai expects an IAM access token in the `Authorization: Bearer ...` header.
-// Many users will (reasonably) configure an IBM Cloud API key instead. In that case,
-// we exchange the API key for a short-lived IAM access token and cache it until expiry.
-//
-// If WATSONX_API_KEY already looks like a JWT (starts with "eyJ" and has 3 dot-separated parts),
-// we treat it as an IAM token and use it as-is.
-const _watsonxIamTokenCache = new Map();
-
-function _looksLikeJwt(token) {
-  const s = String(token || "").trim();
-  // JWTs are base64url header.payload.signature; most start with "eyJ".
-  return s.startsWith("eyJ") && s.split(".").length === 3;
+// OpenTelemetry (off unless OTEL_TRACES_EXPORTER / an OTLP endpoint is set); see tracing.mjs.
+if (initTracing({ serviceName: "maximo-ai-agent-app" }).enabled) {
+  process.once("SIGTERM", () => shutdownTracing().finally(() => process.exit(0)));
 }
 
-async function getWatsonxBearerToken(apiKeyOrToken) {
-  const raw = String(apiKeyOrToken || "").trim();
-  if (!raw) throw new Error("Missing watsonx API key");
-  if (_looksLikeJwt(raw)) return raw;
-
-  const now = Date.now();
-  const cached = _watsonxIamTokenCache.get(raw);
-  // Refresh 60s before expiry.
-  if (cached?.token && cached.expiresAtMs && (cached.expiresAtMs - 60_000) > now) {
-    return cached.token;
-  }
-
-  const iamUrl = String(process.env.WATSONX_IAM_URL || "https://iam.cloud.ibm.com/identity/token").trim();
-  const body = new URLSearchParams();
-  body.set("grant_type", "urn:ibm:params:oauth:grant-type:apikey");
-  body.set("apikey", raw);
-
-  const r = await fetch(iamUrl, {
-    method: "POST",
-    headers: {
-      "content-type": "application/x-www-form-urlencoded",
-      "accept": "application/json",
-    },
-    body: body.toString(),
-  });
-
-  const txt = await r.text();
-  let j = null;
-  try { j = JSON.parse(txt); } catch { j = null; }
-  if (!r.ok) {
-    const msg = j?.error_description || j?.error || txt.slice(0, 600);
-    throw new Error(`watsonx IAM token exchange failed: ${msg}`);
-  }
-
-  const token = j?.access_token;
-  const expiresIn = Number(j?.expires_in || 0);
-  if (!token) throw new Error("watsonx IAM token exchange failed: missing access_token");
-  const expiresAtMs = now + (expiresIn > 0 ? (expiresIn * 1000) : (55 * 60 * 1000));
-  _watsonxIamTokenCache.set(raw, { token, expiresAtMs });
-  return token;
-}
-
-
-
 const app = express();
 
 app.use(helmet({
@@ -92,6 +49,7 @@ app.use(helmet({
 
 app.use(morgan("combined"));
 app.use(express.json({ limit: "5mb" }));
+app.use(requestSpan());
 
 
 app.set("trust proxy", 1);
@@ -121,6 +79,18 @@ app.use((req, res, next) => {
   return next();
 });
 
+// LLM calls made while handling an agent request are attributed to this user and tenant (see usage.mjs).
+app.use("/api/agent", usageContext((req) => {
+  const settings = getEffectiveSettings(req.body?.settings || {});
+  return settings.maximo?.defaultTenant || settings.maximo_tenant || "default";
+}));
+
+// Per-tenant / per-user chat rate and daily token budget, checked on the MCP server (see limits.mjs).
+app.post(["/api/agent/chat", "/api/agent/analyze-last", "/api/agent/followup"], chatLimits({
+  mcpBase: () => normalizeMcpBaseUrl(getEffectiveSettings({}).mcp?.url),
+  token: MCP_INTERNAL_TOKEN,
+}));
+
 // ---- Auth endpoints ----
 app.post("/api/auth/login", async (req, res) => {
   const { username, password } = req.body || {};
@@ -225,6 +195,16 @@ const PORT = process.env.PORT || 8080;
 const DATA_DIR = process.env.DATA_DIR || "/data";
 const SETTINGS_FILE = path.join(DATA_DIR, "settings.json");
 
+// Scheduled queries (see schedules.mjs)
+const SCHEDULES_DIR = schedulesDir(DATA_DIR);
+
+// Multi-turn agent memory (see conversations.mjs)
+const CONVERSATIONS_DIR = conversationsDir(DATA_DIR);
+// Token budget for replayed history (summary + recent turns) per /api/agent/chat request.
+const AGENT_CONTEXT_TOKENS = Number(process.env.AGENT_CONTEXT_TOKENS || 6000);
+// Tool results are clipped to this many characters when replayed to the model / persisted.
+const AGENT_HISTORY_TOOL_CHARS = Number(process.env.AGENT_HISTORY_TOOL_CHARS || 1500);
+
 function envSettings() {
   return {
     maximo_url: process.env.MAXIMO_URL,
@@ -246,6 +226,8 @@ function envSettings() {
     mistral_base: process.env.MISTRAL_BASE,
     deepseek_key: process.env.DEEPSEEK_API_KEY,
     deepseek_base: process.env.DEEPSEEK_BASE,
+    local_key: process.env.LOCAL_LLM_API_KEY,
+    local_base: process.env.LOCAL_LLM_BASE,
     watsonx_api_key: process.env.WATSONX_API_KEY,
     watsonx_region: process.env.WATSONX_REGION,
     watsonx_project: process.env.WATSONX_PROJECT,
@@ -300,11 +282,13 @@ function redactSecrets(settings) {
     delete s.ai.mistralKey;
     delete s.ai.deepseekKey;
     delete s.ai.watsonxApiKey;
+    delete s.ai.localKey;
   }
+  if (s.smtp) delete s.smtp.password;
   // Flat env-style keys (kept for backward compatibility in code)
   const flatKeys = [
     "maximo_apikey","maximo_password","openai_key","anthropic_key","gemini_key",
-    "mistral_key","deepseek_key","watsonx_api_key"
+    "mistral_key","deepseek_key","watsonx_api_key","local_key"
   ];
   for (const k of flatKeys) delete s[k];
   return s;
@@ -341,6 +325,7 @@ function normalizeServerSettings(input) {
     ["mistral",  "mistralKey",   "mistral_key"],
     ["deepseek", "deepseekKey",  "deepseek_key"],
     ["watsonx",  "watsonxApiKey", "watsonx_api_key"],
+    ["local",    "localKey",     "local_key"],
   ];
   for (const [_p, nestedKey, flatKey] of providerCredMap) {
     if (!s[flatKey] && s.ai && s.ai[nestedKey]) s[flatKey] = s.ai[nestedKey];
@@ -360,7 +345,7 @@ function normalizeServerSettings(input) {
     const p = String(s.ai.provider).toLowerCase();
     const keyByProvider = {
       openai: "openai_key", anthropic: "anthropic_key", gemini: "gemini_key",
-      mistral: "mistral_key", deepseek: "deepseek_key", watsonx: "watsonx_api_key"
+      mistral: "mistral_key", deepseek: "deepseek_key", watsonx: "watsonx_api_key", local: "local_key"
     };
     const fk = keyByProvider[p];
     if (fk && !s[fk]) s[fk] = s.ai.apiKey;
@@ -495,14 +480,32 @@ function applyQuerySynonyms({ toolName, toolArgs, userText, settings }) {
   return { args, applied };
 }
 
+// Every call to the MCP server goes through here: one CLIENT span per request, with its traceparent
+// sent along so the MCP server's spans join the same trace.
 async function fetchWithTimeout(url, options = {}, timeoutMs = 15000) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    return await fetch(url, { ...options, signal: controller.signal });
-  } finally {
-    clearTimeout(id);
-  }
+  const method = String(options.method || "GET").toUpperCase();
+  let target = null;
+  try { target = new URL(url); } catch {}
+  const attrs = { "http.request.method": method, "server.address": target?.hostname, "url.path": target?.pathname };
+  return withSpan(`${method} ${target?.pathname || "request"}`, attrs, async (span) => {
+    const controller = new AbortController();
+    const id = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      // Every call here goes to the MCP server: authenticate as the app and name the acting user / chat,
+      // so the per-user Maximo limits apply on every path (action, NLQ and agent loop).
+      const headers = injectTraceHeaders({
+        ...(MCP_INTERNAL_TOKEN ? { "x-internal-token": MCP_INTERNAL_TOKEN } : {}),
+        ...limitHeaders(),
+        ...(options.headers || {}),
+      });
+      const r = await fetch(url, { ...options, headers, signal: controller.signal });
+      setSpanAttributes(span, { "http.response.status_code": r.status });
+      if (r.status >= 500) markSpanError(span, `HTTP ${r.status}`);
+      return r;
+    } finally {
+      clearTimeout(id);
+    }
+  }, { kind: SpanKind.CLIENT });
 }
 function sanitizeToolName(name) {
   const s = String(name || "").trim();
@@ -708,6 +711,22 @@ function tableFromMembersAndSelect(result, cols) {
 
 app.get("/healthz", (_req, res) => res.json({ ok: true }));
 
+// Prometheus metrics (see metrics.mjs; METRICS_TOKEN protects it, METRICS_ENABLED=false removes it).
+if (String(process.env.METRICS_ENABLED || "true").trim().toLowerCase() !== "false") {
+  app.get("/metrics", metricsHandler());
+}
+
+// Spans from the in-process exporter (OTEL_TRACES_EXPORTER=memory), for checking the instrumentation.
+app.get("/api/otel/spans", requireAdmin(), (req, res) => {
+  const spans = finishedSpans({ traceId: String(req.query.traceId || "").trim() || undefined, limit: req.query.limit });
+  if (!spans) return res.status(404).json({ error: "memory_exporter_disabled", tracing: tracingInfo() });
+  return res.json({ tracing: tracingInfo(), spans });
+});
+app.delete("/api/otel/spans", requireAdmin(), (_req, res) => {
+  clearFinishedSpans();
+  return res.json({ ok: true });
+});
+
 app.get("/api/settings", (req, res) => {
   const merged = normalizeServerSettings(mergeDeep(envSettings(), readFileSettings()));
   const role = String(req.user?.role || "user").toLowerCase();
@@ -740,13 +759,36 @@ app.post("/api/settings", (req, res) => {
 
 // Agent orchestration endpoint remains from prior versions for OpenAI-compatible tool calling
 
+// Registered LLM providers (providers/index.mjs); drives the Settings provider picker.
+app.get("/api/providers", (_req, res) => {
+  res.json({ providers: listProviders() });
+});
+
 app.post("/api/agent/chat", async (req, res) => {
   // Minimal "streaming" keep-alive: send early bytes + periodic whitespace so upstream
   // proxies (ingress/LB) don't time out while we wait for the LLM/tool orchestration.
-  // UI stays unchanged: the final response is still a single JSON document; leading
+  // Default contract: the final response is still a single JSON document; leading
   // whitespace is valid JSON and won't break `response.json()`.
+  //
+  // Streaming mode (opt-in): `Accept: text/event-stream` or body.stream=true returns Server-Sent
+  // Events; `Accept: application/x-ndjson` or body.stream="ndjson" returns one JSON event per line.
+  //   status { stage, ... }  progress: maximo_request, nlq_resolved, rows_received, llm_started
+  //   token  { text }        LLM output as it arrives
+  //   final  { ... }         exactly the object the single-JSON contract returns
   const KEEPALIVE_MS = Number(process.env.AGENT_STREAM_KEEPALIVE_MS || 15000);
   let _kaTimer = null;
+  const _accept = String(req.headers.accept || "").toLowerCase();
+  const streamMode = (req.body?.stream === "ndjson" || _accept.includes("application/x-ndjson"))
+    ? "ndjson"
+    : ((req.body?.stream === true || req.body?.stream === "sse" || _accept.includes("text/event-stream")) ? "sse" : "");
+
+  const _emit = (event, data) => {
+    if (!streamMode || res.writableEnded) return;
+    try {
+      if (streamMode === "sse") res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? {})}\n\n`);
+      else res.write(JSON.stringify({ event, ...(data ?? {}) }) + "\n");
+    } catch {}
+  };
 
   const _stopKeepAlive = () => {
     if (_kaTimer) {
@@ -757,19 +799,85 @@ app.post("/api/agent/chat", async (req, res) => {
 
   const _startKeepAlive = () => {
     if (res.headersSent) return;
-    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    const contentType = streamMode === "sse" ? "text/event-stream" : (streamMode === "ndjson" ? "application/x-ndjson" : "application/json");
+    res.setHeader("Content-Type", `${contentType}; charset=utf-8`);
     res.setHeader("Cache-Control", "no-cache, no-transform");
     res.setHeader("X-Accel-Buffering", "no");
     if (typeof res.flushHeaders === "function") res.flushHeaders();
-    try { res.write(" "); } catch {}
+    // SSE comments and NDJSON ping events are ignored by clients, whitespace by JSON.parse.
+    const ping = streamMode === "sse" ? ": ping\n\n" : (streamMode === "ndjson" ? `{"event":"ping"}\n` : "\n ");
+    try { res.write(streamMode ? ping : " "); } catch {}
 
     _kaTimer = setInterval(() => {
       if (res.writableEnded) return _stopKeepAlive();
-      try { res.write("\n "); } catch { _stopKeepAlive(); }
+      try { res.write(ping); } catch { _stopKeepAlive(); }
     }, KEEPALIVE_MS);
 
     res.on("close", _stopKeepAlive);
     res.on("finish", _stopKeepAlive);
+    if (streamMode) trackStream(res, streamMode);
+  };
+
+  // Conversation memory: turns produced by this request are buffered and persisted with the reply.
+  let conv = null;
+  const convTurns = [];
+
+  const _noteToolTurns = (tool, args, result) => {
+    const query = (result && typeof result === "object" && result._mcp?.query) || null;
+    const rows = Array.isArray(result?.table?.rows) ? result.table.rows : (Array.isArray(result?.rows) ? result.rows : null);
+    let content = "";
+    try { content = typeof result === "string" ? result : JSON.stringify(result); } catch { content = String(result); }
+    const maxChars = AGENT_HISTORY_TOOL_CHARS * 4;
+    convTurns.push(
+      { role: "tool_call", tool: String(tool || ""), args: args ?? {} },
+      {
+        role: "tool_result",
+        tool: String(tool || ""),
+        content: content.length > maxChars ? content.slice(0, maxChars) + " ...[truncated]" : content,
+        ...(query ? { query } : {}),
+        ...(rows ? { rowCount: rows.length } : {}),
+      }
+    );
+  };
+
+  const _saveConversation = (obj) => {
+    if (!conv) return;
+    try {
+      const o = (obj && typeof obj === "object") ? obj : {};
+      conv = saveConversationTurns(CONVERSATIONS_DIR, conv, [
+        ...convTurns,
+        {
+          role: "assistant",
+          content: String(o.reply || ""),
+          ...(o.error ? { error: `${o.error}: ${String(o.detail || "").slice(0, 400)}` } : {}),
+        },
+      ]) || conv;
+    } catch (e) {
+      console.error("conversation save failed", e?.message || e);
+    }
+  };
+
+  // Streaming progress for one MCP tool call: the request, then what the MCP server resolved
+  // (_mcp.query: OS + compiled where) and how many rows came back.
+  const _emitToolRequest = (tool, args) => {
+    _emit("status", { stage: "maximo_request", tool: String(tool || ""), ...(args?.os ? { os: String(args.os) } : {}) });
+  };
+  const _emitToolResult = (tool, result) => {
+    if (!streamMode) return;
+    const q = (result && typeof result === "object" && result._mcp?.query) || null;
+    if (q?.os) _emit("status", { stage: "nlq_resolved", tool: String(tool || ""), os: q.os, where: q.where || "" });
+    const table = result?.table?.rows ? result.table : inferTableFromResult(result);
+    if (Array.isArray(table?.rows)) _emit("status", { stage: "rows_received", tool: String(tool || ""), rowCount: table.rows.length });
+  };
+
+  // Write tools answer with a draft (pending: true) until someone approves it; the drafts are returned
+  // as `approvals` so the UI can render a confirm/edit/reject card.
+  const pendingApprovals = [];
+  const _notePendingApproval = (result) => {
+    const a = (result && typeof result === "object" && result.pending) ? result.approval : null;
+    if (!a?.id || pendingApprovals.some(x => x.id === a.id)) return;
+    pendingApprovals.push(a);
+    _emit("status", { stage: "approval_required", tool: String(a.tool || ""), approvalId: a.id });
   };
 
   // Finalize a JSON response safely after keep-alive writes.
@@ -777,7 +885,16 @@ app.post("/api/agent/chat", async (req, res) => {
   const _finalJson = (obj) => {
     _stopKeepAlive();
     if (res.writableEnded) return;
+    if (conv && obj && typeof obj === "object") {
+      _saveConversation(obj);
+      obj = { ...obj, conversationId: conv.id };
+    }
+    if (pendingApprovals.length && obj && typeof obj === "object") obj = { ...obj, approvals: pendingApprovals };
     try {
+      if (streamMode) {
+        _emit("final", obj);
+        return res.end();
+      }
       // Headers were already flushed; finish with a single JSON document.
       res.end(JSON.stringify(obj));
     } catch {
@@ -799,9 +916,30 @@ app.post("/api/agent/chat", async (req, res) => {
     const mcp = settings.mcp || {};
     const enableTools = !!mcp.enableTools;
     const mcpUrl = normalizeMcpBaseUrl(mcp.url);
+    // "nlq": manual prompts go through the deterministic tool-first path (MCP resolves OS/filters).
+    // "agent": the model plans and calls MCP tools itself, up to maxToolSteps model round-trips.
+    const toolMode = String(mcp.toolMode || process.env.AGENT_TOOL_MODE || "nlq").trim().toLowerCase();
+    const maxToolSteps = Math.max(1, Math.min(20, Number(mcp.maxToolSteps || process.env.AGENT_MAX_TOOL_STEPS || 6) || 6));
     const tenant = (settings.maximo?.defaultTenant || settings.maximo_tenant || "default").toString();
     const intentHint = req.body?.intentHint || null;
 
+    // Load (or start) the conversation. Ids are client-held; a conversation owned by another user
+    // is never reused, the caller silently gets a fresh one instead.
+    {
+      const username = String(req.user?.username || "");
+      const wantedId = String(req.body?.conversationId || "").trim();
+      const existing = wantedId ? readConversation(CONVERSATIONS_DIR, wantedId) : null;
+      conv = (existing && String(existing.user || "") === username)
+        ? existing
+        : createConversation({ id: existing ? "" : wantedId, user: username, tenant });
+      convTurns.push({
+        role: "user",
+        content: text || (action ? `[action ${String(action?.type || "")}]` : (intentHint ? "[intent hint]" : "")),
+        ...(action ? { action } : {}),
+        ...(intentHint ? { intentHint } : {}),
+      });
+    }
+
     // If the UI provided a structured intentHint, we can execute deterministically via MCP
     // without calling the LLM. This is used by Assistive UI chips and preset hinting.
     if (enableTools && mcpUrl && intentHint && typeof intentHint === "object") {
@@ -809,6 +947,7 @@ app.post("/api/agent/chat", async (req, res) => {
       try {
       const internalToken = String(process.env.MCP_INTERNAL_TOKEN || process.env.INTERNAL_TOKEN || "").trim();
       const headers = { "content-type": "application/json", ...(internalToken ? { "x-internal-token": internalToken } : {}) };
+      _emitToolRequest("mcp_intent_query", intentHint);
       const r = await fetchWithTimeout(`${mcpUrl}/mcp/intent/query`, {
         method: "POST",
         headers,
@@ -821,6 +960,8 @@ app.post("/api/agent/chat", async (req, res) => {
         // IMPORTANT: treat non-2xx or explicit MCP errors as failures; otherwise the UI can show a misleading 'OK'.
         if (!r.ok || j?.error) throw new Error(`MCP error (HTTP ${r.status}): ${String(j?.error || raw).slice(0, 400)}`);
 
+        _noteToolTurns("mcp_intent_query", { userText: text, intentHint }, j);
+        _emitToolResult("mcp_intent_query", j);
         const inferredTable = j?.table || inferTableFromResult(j);
         const safeReply = (j?.summary || j?.explainText || "").trim();
         const reply = safeReply && !/^ok(ay)?\.?$/i.test(safeReply)
@@ -841,11 +982,6 @@ app.post("/api/agent/chat", async (req, res) => {
     }
 
 
-    const secrets = settings.secrets || settings;
-
-    const getKey = (k, envk, envk2) => String(secrets?.[k] || process.env[envk] || (envk2 ? process.env[envk2] : "") || "").trim();
-    const getBase = (k, envk, defv, envk2) => String(secrets?.[k] || process.env[envk] || (envk2 ? process.env[envk2] : "") || defv || "").trim().replace(/\/$/,"");
-
     const messages = [];
     if (system) messages.push({ role: "system", content: system });
     messages.push({ role: "user", content: text });
@@ -854,251 +990,98 @@ app.post("/api/agent/chat", async (req, res) => {
     // so the UI can offer "Analyze/Summarize last response".
     let lastToolResult = null;
 
-    // ---- OpenAI-compatible chat (OpenAI/Mistral/DeepSeek) ----
-    async function openaiCompatChat(base, apiKey, compatModel, tools) {
-      const url = `${base}/v1/chat/completions`;
-      const r = await fetch(url, {
-        method: "POST",
-        headers: { "content-type":"application/json", "authorization": `Bearer ${apiKey}` },
-        body: JSON.stringify({
-          model: compatModel || model || "gpt-4o-mini",
-          temperature,
-          messages,
-          tools: tools?.length ? tools : undefined,
-          tool_choice: tools?.length ? "auto" : undefined
-        })
-      });
-      const raw = await r.text();
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      let j = null;
-      if (ct.includes("application/json")) { try { j = JSON.parse(raw) } catch { j = null } }
-      if (!r.ok) throw new Error(j?.error?.message || raw.slice(0,400));
-      return j;
-    }
-
-    // ---- Anthropic messages API (minimal) ----
-    async function anthropicChat(apiKey, anthropicModel) {
-      const base = getBase("anthropic_base", "ANTHROPIC_BASE", "https://api.anthropic.com");
-      const url = `${base}/v1/messages`;
-      const r = await fetch(url, {
-        method:"POST",
-        headers: {
-          "content-type":"application/json",
-          "x-api-key": apiKey,
-          "anthropic-version": "2023-06-01"
-        },
-        body: JSON.stringify({
-          model: anthropicModel || model || "claude-3-5-sonnet-latest",
-          max_tokens: 1024,
-          temperature,
-          system: system || undefined,
-          messages: [{ role:"user", content: text }]
-        })
-      });
-      const raw = await r.text();
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      let j = null;
-      if (ct.includes("application/json")) { try { j = JSON.parse(raw) } catch { j = null } }
-      if (!r.ok) throw new Error(j?.error?.message || raw.slice(0,400));
-      const out = (j?.content || []).map(x => x?.text).filter(Boolean).join("\n");
-      return { reply: out };
-    }
-
-    // ---- Gemini generateContent (minimal) ----
-    async function geminiChat(apiKey, geminiModel) {
-      const base = getBase("gemini_base", "GEMINI_BASE", "https://generativelanguage.googleapis.com");
-      const m = geminiModel || model || "gemini-1.5-flash";
-      const url = `${base}/v1beta/models/${encodeURIComponent(m)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-      const r = await fetch(url, {
-        method:"POST",
-        headers: { "content-type":"application/json" },
-        body: JSON.stringify({
-          contents: [{ role:"user", parts: [{ text }] }],
-          generationConfig: { temperature }
-        })
-      });
-      const raw = await r.text();
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      let j=null;
-      if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch { j=null } }
-      if (!r.ok) throw new Error((j && JSON.stringify(j).slice(0,400)) || raw.slice(0,400));
-      const cand = j?.candidates?.[0]?.content?.parts?.map(p=>p.text).filter(Boolean).join("\n") || "";
-      return { reply: cand };
-    }
-
-    // ---- watsonx text generation (best-effort; depends on instance) ----
-    async function watsonxChat(apiKey, wxModel) {
-      const base = getBase("watsonx_base", "WATSONX_BASE", "https://us-south.ml.cloud.ibm.com", "WATSONX_BASE_URL");
-      const project = getKey("watsonx_project", "WATSONX_PROJECT", "WATSONX_PROJECT_ID");
-      if (!project) throw new Error("Missing watsonx project id (watsonx_project)");
-      const bearer = await getWatsonxBearerToken(apiKey);
-      const wxv = String(process.env.WATSONX_TEXTGEN_VERSION || process.env.WATSONX_API_VERSION || process.env.WATSONX_VERSION || "2025-02-11").trim();
-      const url = `${base}/ml/v1/text/generation?version=${encodeURIComponent(wxv)}`;
-      const r = await fetch(url, {
-        method:"POST",
-        headers: { "content-type":"application/json", "authorization": `Bearer ${bearer}` },
-        body: JSON.stringify({
-          model_id: wxModel || model || "ibm/granite-13b-chat-v2",
-          input: system ? `${system}
-
-User: ${text}
-Assistant:` : text,
-          parameters: { temperature, max_new_tokens: 1024 },
-          project_id: project
-        })
-      });
-      const raw = await r.text();
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      let j=null;
-      if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch { j=null } }
-      if (!r.ok) throw new Error(raw.slice(0,400));
-      const out = j?.results?.[0]?.generated_text || "";
-      return { reply: out };
-    }
-
-    
     // ---- Provider-agnostic single-shot completion (used for action summaries and tool-planning) ----
+    // Providers live in providers/*.mjs; credentials come from the effective settings or env.
     async function callProviderOnce(promptText, tempOverride = temperature) {
-      const p = String(provider || "openai").toLowerCase();
-      if (openaiCompatProviders.has(p)) {
-        const keyName = p === "openai" ? "openai_key" : (p === "mistral" ? "mistral_key" : "deepseek_key");
-        const baseName = p === "openai" ? "openai_base" : (p === "mistral" ? "mistral_base" : "deepseek_base");
-        const apiKey = getKey(keyName, p.toUpperCase() + "_API_KEY");
-        const baseDefault = (p === "openai") ? "https://api.openai.com" : (p === "mistral" ? "https://api.mistral.ai" : "");
-        const base = getBase(baseName, p.toUpperCase() + "_BASE", baseDefault) || (p === "mistral" ? String(process.env.MISTRAL_BASE_URL||"").trim().replace(/\/$/,"") : "");
-        if (!apiKey) throw new Error(`Missing ${p} API key`);
-        if (!base) throw new Error(`Missing ${p} base URL`);
-        const url = `${base}/v1/chat/completions`;
-        const r = await fetch(url, {
-          method: "POST",
-          headers: { "content-type":"application/json", "authorization": `Bearer ${apiKey}` },
-          body: JSON.stringify({
-            model: model || (p === "openai" ? "gpt-4o-mini" : undefined),
-            temperature: tempOverride,
-            messages: [
-              ...(system ? [{ role: "system", content: system }] : []),
-              { role: "user", content: String(promptText || "") }
-            ],
-          })
-        });
-        const raw = await r.text();
-        const ct = (r.headers.get("content-type") || "").toLowerCase();
-        let j=null; if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch {} }
-        if (!r.ok) throw new Error(j?.error?.message || raw.slice(0,600));
-        return j?.choices?.[0]?.message?.content || "";
-      }
-
-      if (p === "anthropic") {
-        const apiKey = getKey("anthropic_key","ANTHROPIC_API_KEY");
-        if (!apiKey) throw new Error("Missing anthropic API key");
-        const base = getBase("anthropic_base","ANTHROPIC_BASE","https://api.anthropic.com");
-        const r = await fetch(`${base}/v1/messages`, {
-          method:"POST",
-          headers: { "content-type":"application/json", "x-api-key": apiKey, "anthropic-version":"2023-06-01" },
-          body: JSON.stringify({
-            model: model || "claude-3-5-sonnet-latest",
-            max_tokens: 1024,
-            temperature: tempOverride,
-            ...(system ? { system } : {}),
-            messages: [{ role:"user", content: String(promptText || "") }]
-          })
-        });
-        const raw = await r.text();
-        const ct = (r.headers.get("content-type") || "").toLowerCase();
-        let j=null; if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch {} }
-        if (!r.ok) throw new Error(j?.error?.message || raw.slice(0,600));
-        return (j?.content || []).map(x => x?.text).filter(Boolean).join("\n");
-      }
-
-      if (p === "gemini") {
-        const apiKey = getKey("gemini_key","GEMINI_API_KEY");
-        if (!apiKey) throw new Error("Missing gemini API key");
-        const base = getBase("gemini_base","GEMINI_BASE","https://generativelanguage.googleapis.com");
-        const m = model || "gemini-1.5-flash";
-        const url = `${base}/v1beta/models/${encodeURIComponent(m)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-        const fullText = system ? `${system}\n\n${String(promptText || "")}` : String(promptText || "");
-        const r = await fetch(url, {
-          method:"POST",
-          headers:{ "content-type":"application/json" },
-          body: JSON.stringify({ contents: [{ role:"user", parts:[{ text: fullText }] }], generationConfig:{ temperature: tempOverride } })
-        });
-        const raw = await r.text();
-        const ct = (r.headers.get("content-type") || "").toLowerCase();
-        let j=null; if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch {} }
-        if (!r.ok) throw new Error((j && JSON.stringify(j).slice(0,600)) || raw.slice(0,600));
-        return j?.candidates?.[0]?.content?.parts?.map(p=>p.text).filter(Boolean).join("\n") || "";
-      }
-
-      if (p === "watsonx") {
-        const apiKey = getKey("watsonx_api_key","WATSONX_API_KEY");
-        if (!apiKey) throw new Error("Missing watsonx API key");
-        const base = getBase("watsonx_base","WATSONX_BASE","https://us-south.ml.cloud.ibm.com","WATSONX_BASE_URL");
-        const project = getKey("watsonx_project","WATSONX_PROJECT","WATSONX_PROJECT_ID");
-        if (!project) throw new Error("Missing watsonx project id (watsonx_project)");
-        const bearer = await getWatsonxBearerToken(apiKey);
-        const wxv = String(process.env.WATSONX_TEXTGEN_VERSION || process.env.WATSONX_API_VERSION || process.env.WATSONX_VERSION || "2025-02-11").trim();
-      const url = `${base}/ml/v1/text/generation?version=${encodeURIComponent(wxv)}`;
-        const fullText = system ? `${system}\n\nUser: ${String(promptText || "")}\nAssistant:` : String(promptText || "");
-        const r = await fetch(url, {
-          method:"POST",
-          headers:{ "content-type":"application/json", "authorization": `Bearer ${bearer}` },
-          body: JSON.stringify({
-            model_id: model || "ibm/granite-13b-chat-v2",
-            input: fullText,
-            parameters: { temperature: tempOverride, max_new_tokens: 1024 },
-            project_id: project
-          })
-        });
-        const raw = await r.text();
-        const ct = (r.headers.get("content-type") || "").toLowerCase();
-        let j=null; if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch {} }
-        if (!r.ok) throw new Error(raw.slice(0,600));
-        return j?.results?.[0]?.generated_text || "";
-      }
+      const out = await providerComplete(provider, settings, {
+        model,
+        temperature: tempOverride,
+        messages: [
+          ...(system ? [{ role: "system", content: system }] : []),
+          { role: "user", content: String(promptText || "") },
+        ],
+      });
+      return out.text;
+    }
 
-      throw new Error(`Unsupported provider: ${p}`);
+    // Final-reply completion: same prompt as callProviderOnce, but tokens are streamed to the
+    // client in streaming mode.
+    async function replyOnce(promptText) {
+      if (!streamMode) return callProviderOnce(promptText, temperature);
+      _emit("status", { stage: "llm_started", provider, model });
+      const out = await providerStream(provider, settings, {
+        model,
+        temperature,
+        messages: [
+          ...(system ? [{ role: "system", content: system }] : []),
+          { role: "user", content: String(promptText || "") },
+        ],
+      }, (t) => _emit("token", { text: t }));
+      return out.text;
     }
 
-    function extractJsonObject(text) {
-      const s0 = String(text || "").trim();
-
-      // Strip common markdown code fences (LLMs often wrap JSON in ```json ... ```)
-      const s = s0
-        .replace(/^```(?:json)?\s*/i, "")
-        .replace(/\s*```$/i, "")
-        .trim();
-
-      // Try direct parse first
-      const direct = safeJsonParse(s);
-      if (direct) return direct;
-
-      // Otherwise, scan for the first balanced {...} region that parses.
-      // This is far more robust than a greedy regex when the model emits extra braces or multiple JSON blocks.
-      let depth = 0;
-      let start = -1;
-      for (let i = 0; i < s.length; i++) {
-        const ch = s[i];
-        if (ch === "{") {
-          if (depth === 0) start = i;
-          depth++;
-        } else if (ch === "}") {
-          depth = Math.max(0, depth - 1);
-          if (depth === 0 && start !== -1) {
-            const cand = s.slice(start, i + 1);
-            const parsed = safeJsonParse(cand);
-            if (parsed) return parsed;
-            start = -1;
+    // Heuristic guardrails for model-planned maximo_queryOS calls: corrective work orders get
+    // worktype="CM", decommissioned assets get status="DECOMMISSIONED", and both get the default
+    // site when the model didn't filter on siteid. Explicit filters from the model always win.
+    function applyToolGuardrails(name, args) {
+      const isQuery = String(name || "") === "maximo_queryOS" || String(name || "") === "maximo.queryOS";
+      if (!isQuery || !args || typeof args !== "object") return args;
+      try {
+        const userLower = String(text || "").toLowerCase();
+        const wantsCorrective = userLower.includes("corrective") || /\bcm\b/.test(userLower) || userLower.includes("corrective maintenance");
+        const wantsDecommissioned = userLower.includes("decommissioned") || userLower.includes("de-commissioned") || userLower.includes("retired");
+        const osName = String(args?.os || "").toLowerCase();
+        const isWoOs = osName.includes("wo") || osName.includes("workorder") || osName === "mxapiwo" || osName === "mxwo";
+        const isAssetOs = osName.includes("asset") || osName === "mxapiasset" || osName === "mxasset";
+        const defaultSite = String(settings?.maximo?.defaultSite || "").trim().toUpperCase();
+
+        const addClauses = (clauses) => {
+          const p = (args?.params && typeof args.params === "object") ? args.params : {};
+          let where = String(p["oslc.where"] || args?.where || "").trim();
+          for (const [re, clause] of clauses) {
+            if (!re.test(where)) where = where ? `${where} and ${clause}` : clause;
           }
-        }
-      }
-      return null;
+          // Write back using the preferred arg field.
+          if (p["oslc.where"] != null) {
+            p["oslc.where"] = where;
+            args.params = p;
+          } else {
+            args.where = where;
+          }
+        };
+        const siteClause = defaultSite ? [[/\bsiteid\s*=\s*/i, `siteid="${defaultSite}"`]] : [];
+
+        if (wantsCorrective && isWoOs) addClauses([...siteClause, [/\bworktype\s*=\s*/i, `worktype="CM"`]]);
+        if (wantsDecommissioned && isAssetOs) addClauses([[/\bstatus\s*=\s*/i, `status="DECOMMISSIONED"`], ...siteClause]);
+      } catch {}
+      return args;
     }
 
 
-// Tool orchestration supported for OpenAI-compatible providers only (OpenAI/Mistral/DeepSeek).
-// For other providers (Gemini/Anthropic/Watsonx), we implement a fast "tool-first" fallback:
-// infer a Maximo OS from the user's text, call MCP `maximo_queryOS`, and return the table/result.
-const openaiCompatProviders = new Set(["openai","mistral","deepseek"]);
+// ---- Conversation history ----
+// Replay the stored turns that fit AGENT_CONTEXT_TOKENS; older turns are folded into a running
+// summary (LLM-written when the provider is reachable, deterministic otherwise).
+const convHistory = await compactConversation(conv, {
+  budgetTokens: AGENT_CONTEXT_TOKENS,
+  maxToolChars: AGENT_HISTORY_TOOL_CHARS,
+  summarize: (previous, turns) => callProviderOnce(
+    `Summarize this earlier part of a conversation between a user and the Maximo AI Agent in at most 12 short bullet points. ` +
+    `Keep object structures, where clauses, sites, record identifiers and open questions; drop pleasantries.\n\n` +
+    (previous ? `Existing summary:\n${previous}\n\n` : "") +
+    `Conversation:\n${messagesToTranscript(turnsToMessages(turns, { maxToolChars: 600 }))}`,
+    0.2
+  ),
+});
+if (convHistory.summary || convHistory.messages.length) {
+  messages.splice(messages.length - 1, 0,
+    ...(convHistory.summary ? [{ role: "system", content: `Summary of the earlier conversation:\n${convHistory.summary}` }] : []),
+    ...convHistory.messages
+  );
+}
+// Single-prompt paths (action summaries, tool-first replies) get the same context as text.
+const historyPreamble = (convHistory.summary || convHistory.messages.length)
+  ? `Conversation so far (for context):\n${convHistory.summary ? `Summary: ${convHistory.summary}\n` : ""}${messagesToTranscript(convHistory.messages)}\n\n`
+  : "";
 
 
 // ---- Action shortcuts from the UI (still routed through the AI provider for the final reply) ----
@@ -1156,6 +1139,7 @@ if (action && enableTools && mcpUrl) {
 
     if (!toolName || !toolArgs) return _finalJson({ error: "bad_action", detail: "Missing tool mapping for action." });
 
+    _emitToolRequest(toolName, toolArgs);
     const callResp = await fetchWithTimeout(`${mcpUrl}/mcp/call`, {
       method:"POST",
       headers:{
@@ -1175,6 +1159,9 @@ if (action && enableTools && mcpUrl) {
 
     const unwrapped = unwrapMcpToolResult(callJson);
     lastToolResult = unwrapped;
+    _noteToolTurns(toolName, toolArgs, unwrapped);
+    _emitToolResult(toolName, unwrapped);
+    _notePendingApproval(unwrapped);
 
     const table =
       (unwrapped && typeof unwrapped === "object" && unwrapped.table && Array.isArray(unwrapped.table.columns) && Array.isArray(unwrapped.table.rows)
@@ -1186,14 +1173,14 @@ if (action && enableTools && mcpUrl) {
     const jsonText = (() => { try { return JSON.stringify(unwrapped, null, 2); } catch { return String(unwrapped); } })();
     const clipped = jsonText.length > 120000 ? jsonText.slice(0, 120000) + "\n...[truncated]" : jsonText;
 
-    let promptText = `You are the Maximo AI Agent. The user asked:\n\n${text}\n\n` +
+    let promptText = historyPreamble + `You are the Maximo AI Agent. The user asked:\n\n${text}\n\n` +
       `A Maximo/MCP tool was executed:\n- tool: ${toolName}\n- args: ${JSON.stringify(toolArgs)}\n\n` +
       `Tool result (JSON):\n${clipped}\n\n` +
-      `Write a friendly, concise response to the user. If this created a record, confirm the identifier. If this is a list, state how many rows and what it represents.`;
+      `Write a friendly, concise response to the user. If this created a record, confirm the identifier. If the result is pending approval, say the change has not been made yet and awaits approval. If this is a list, state how many rows and what it represents.`;
 
     let reply = "";
     try {
-      reply = await callProviderOnce(promptText, temperature);
+      reply = await replyOnce(promptText);
     } catch (e) {
       // If the provider is unavailable, still return tool output with a deterministic message.
       reply = `Action completed via ${toolName}. (AI provider unavailable: ${String(e?.message || e)})`;
@@ -1217,8 +1204,10 @@ if (action && enableTools && mcpUrl) {
 // Predefined UI actions (e.g., query presets / create record) are handled above.
 //
 // This intentionally bypasses LLM tool-planning for manual prompts to avoid the LLM
-// leaking natural language into `args.where` / `oslc.where`.
-if (!action && enableTools && mcpUrl && text) {
+// leaking natural language into `args.where` / `oslc.where`. Set settings.mcp.toolMode="agent"
+// to let the model plan multi-step tool calls instead; models without tool calling fall back here
+// (fallbackReason is reported in the trace).
+const runToolFirst = async (fallbackReason) => {
   try {
     const maximo = settings?.maximo || {};
     const defaultTenant = String(maximo?.defaultTenant || settings?.maximo_tenant || tenant || "default");
@@ -1231,6 +1220,16 @@ if (!action && enableTools && mcpUrl && text) {
       ...(Number.isFinite(defaultPageSize) ? { pageSize: defaultPageSize } : {})
     };
 
+    // Follow-ups ("only priority 1", "sort those by target date") refine the previous query:
+    // the MCP server keeps its OS and ANDs the new filters onto its where.
+    // The UI can force this either way with body.refine=true/false.
+    const prevQuery = lastQueryOf(conv);
+    const refineFlag = req.body?.refine;
+    if (prevQuery && String(conv.tenant || defaultTenant) === defaultTenant && (refineFlag === true || (refineFlag !== false && looksLikeRefinement(text)))) {
+      toolArgs.refine = { os: prevQuery.os, where: String(prevQuery.where || "") };
+    }
+
+    _emitToolRequest(toolName, toolArgs);
     const callResp = await fetchWithTimeout(`${mcpUrl}/mcp/call`, {
       method:"POST",
       headers:{
@@ -1249,6 +1248,9 @@ if (!action && enableTools && mcpUrl && text) {
 
     const unwrapped = unwrapMcpToolResult(callJson);
     lastToolResult = unwrapped;
+    _noteToolTurns(toolName, toolArgs, unwrapped);
+    _emitToolResult(toolName, unwrapped);
+    _notePendingApproval(unwrapped);
 
     const table =
       (unwrapped && typeof unwrapped === "object" && unwrapped.table && Array.isArray(unwrapped.table.columns) && Array.isArray(unwrapped.table.rows)
@@ -1260,14 +1262,14 @@ if (!action && enableTools && mcpUrl && text) {
     const jsonText = (() => { try { return JSON.stringify(unwrapped, null, 2); } catch { return String(unwrapped); } })();
     const clipped = jsonText.length > 120000 ? jsonText.slice(0, 120000) + "\n...[truncated]" : jsonText;
 
-    let promptText = `You are the Maximo AI Agent. The user asked:\n\n${text}\n\n` +
+    let promptText = historyPreamble + `You are the Maximo AI Agent. The user asked:\n\n${text}\n\n` +
       `The MCP server executed a Maximo query compiled from the user's text (userText mode).\n` +
       `Tool result (JSON):\n${clipped}\n\n` +
       `Write a friendly, concise response to the user. If this is a list, state how many rows and what it represents.`;
 
     let reply = "";
     try {
-      reply = await callProviderOnce(promptText, temperature);
+      reply = await replyOnce(promptText);
     } catch (e) {
       reply = `Query completed via ${toolName}. (AI provider unavailable: ${String(e?.message || e)})`;
     }
@@ -1275,13 +1277,21 @@ if (!action && enableTools && mcpUrl && text) {
     return _finalJson({
       reply,
       table: table || undefined,
-      trace: { tool: toolName, args: toolArgs, tenant: defaultTenant, mode: "tool_first_userText" },
+      trace: {
+        tool: toolName,
+        args: toolArgs,
+        tenant: defaultTenant,
+        mode: toolArgs.refine ? "tool_first_refine" : "tool_first_userText",
+        ...(lastToolResult?._mcp?.query ? { query: lastToolResult._mcp.query } : {}),
+        ...(fallbackReason ? { toolFallback: fallbackReason } : {}),
+      },
       lastToolResult
     });
   } catch (e) {
     return _finalJson({ error: "tool_first_failed", detail: String(e?.message || e) });
   }
-}
+};
+if (!action && enableTools && mcpUrl && text && toolMode !== "agent") return await runToolFirst();
 
 
 // ----- Agent-side defaults (Option B): keep inferred columns in sync with MCP OS_DEFAULTS -----
@@ -1363,9 +1373,16 @@ const inferOsAndColumns = (userText) => {
 };
 
 
-if (enableTools && mcpUrl && !openaiCompatProviders.has(provider)) {
+// ---- Multi-step tool calling (every provider) ----
+// The tenant's MCP tools are offered in the provider's native format; each tool call runs through
+// /mcp/call, the result is fed back, and the model iterates until it answers or maxToolSteps
+// (settings.mcp.maxToolSteps / AGENT_MAX_TOOL_STEPS) model round-trips are used up.
+if (enableTools && mcpUrl) {
+  // Models without native tool calling (e.g. many local models) use the tool-first NLQ path.
+  if (text && !(await modelSupportsTools(provider, settings, model))) return await runToolFirst("model_without_tools");
   try {
-    // Provider-first tool planning (for providers without native OpenAI tool-calling).
+    const step = toolStep(provider, settings, { model, temperature });
+
     const toolsResp = await fetchWithTimeout(`${mcpUrl}/mcp/tools?tenant=${encodeURIComponent(tenant)}`, {
       headers: {
         accept: "application/json",
@@ -1376,324 +1393,108 @@ if (enableTools && mcpUrl && !openaiCompatProviders.has(provider)) {
     const toolsRawText = await toolsResp.text();
     const toolsJson = safeJsonParse(toolsRawText) || {};
     const rawTools = Array.isArray(toolsJson?.tools) ? toolsJson.tools : [];
+    // Convert MCP tool defs into OpenAI-shaped tool objects; the provider adapter converts them.
+    const tools = rawTools.map(normalizeToolDef).filter(t => t?.type === "function" && t?.function?.name);
 
-    const allowedToolNames = new Set([
-      "maximo_queryOS",
-      "maximo_createWO",
-      "maximo_createSR",
-      "maximo_raw",
-      "maximo_listAssets",
-      "maximo_listSites",
-      "maximo_listTenants",
-    ]);
-    const candidateTools = rawTools
-      .map(normalizeToolDef)
-      .filter(t => t?.function?.name && allowedToolNames.has(t.function.name))
-      .slice(0, 16);
-
-    const defaultSite = String(settings?.maximo?.defaultSite || "").trim().toUpperCase();
-
-    const toolLines = candidateTools.map(t => {
-      const name = t.function.name;
-      const desc = (t.function.description || "").replace(/\s+/g, " ").trim();
-      const keys = Object.keys(t.function.parameters?.properties || {}).slice(0, 20);
-      return `- ${name}: ${desc}${keys.length ? ` (args: ${keys.join(", ")})` : ""}`;
-    }).join("\n");
-
-    const plannerPrompt =
-`Return ONLY valid JSON.
-
-If you need to use a tool to answer the user's request, respond with:
-{"tool":"<toolName>","args":{...}}
-
-If no tool is needed, respond with:
-{"reply":"<your answer>"}
-
-OSLC / Maximo guidance (important):
-- Use tool maximo_queryOS for list/search questions against Maximo Object Structures.
-- Pick the correct object structure in args.os (examples: mxapiasset, mxapiwo, mxapisr, mxapipm, mxapijobplan).
-- If you're not sure which OS/where to use, call maximo_queryOS with only {"userText": "<the user's request>"}; the MCP server will resolve it (NLQ mode).
-- args.where must be OSLC where syntax, e.g. status="DECOMMISSIONED" and siteid="BEDFORD".
-- If the user says "decommissioned", use status="DECOMMISSIONED".
-${defaultSite ? `- If the user didn't specify a site, include siteid="${defaultSite}" in args.where.\n` : ""}- If you set orderBy, use OSLC orderBy syntax with a leading + or -, e.g. +changedate or -reportdate.
-
-Available tools:
-${toolLines || "(none)"}
+    // Track the last inferred table from tool outputs
+    let lastTable = null;
 
-User request:
-${text}`;
-
-    const planText = await callProviderOnce(plannerPrompt, 0.2);
-    const plan = extractJsonObject(planText) || {};
-    if (plan.reply && !plan.tool) {
-      return _finalJson({ reply: String(plan.reply) });
-    }
-
-    let toolName = String(plan.tool || plan.name || "").trim();
-    let toolArgs = plan.args && typeof plan.args === "object" ? plan.args : null;
-
-    // NLQ fallback: don't hard-fail if the planner JSON can't be parsed.
-    // Instead, let the MCP server resolve object structure + filters from natural language.
-    if (!toolName || !toolArgs) {
-      toolName = "maximo_queryOS";
-      toolArgs = {
-        userText: String(text || "").trim(),
-        pageSize: 50,
-        lean: true,
-      };
-    }
-
-    // Guardrail: inject default site filter when absent and we can safely do so.
-    try {
-      if (defaultSite && toolName === "maximo_queryOS") {
-        const where0 = String(toolArgs.where || toolArgs?.params?.["oslc.where"] || "").trim();
-        if (!/\bsiteid\s*=\s*/i.test(where0)) {
-          const where = where0 ? `${where0} and siteid="${defaultSite}"` : `siteid="${defaultSite}"`;
-          toolArgs.where = where;
-        }
-      }
-    } catch {}
+    const executeTool = async ({ name, args }) => {
+      const toolArgs = applyToolGuardrails(name, (args && typeof args === "object") ? { ...args } : {});
+      _emitToolRequest(name, toolArgs);
+      const callResp = await fetchWithTimeout(`${mcpUrl}/mcp/call`, {
+        method:"POST",
+        headers:{
+          "content-type":"application/json",
+          ...(MCP_INTERNAL_TOKEN ? { "x-internal-token": MCP_INTERNAL_TOKEN } : {}),
+          "x-ai-provider": String(provider || ""),
+          "x-ai-model": String(model || ""),
+        },
+        body: JSON.stringify({ name, args: toolArgs, userText: text, tenant, meta: { aiProvider: provider, aiModel: model, mode: "agent_loop" } })
+      }, 25000);
+      const callRaw = await callResp.text();
+      const callJson = safeJsonParse(callRaw) || { error: "mcp_parse_failed", detail: callRaw.slice(0, 600), status: callResp.status };
+      // Keep last tool result for "Analyze last response".
+      try { lastToolResult = unwrapMcpToolResult(callJson); } catch { lastToolResult = callJson; }
+      _noteToolTurns(name, toolArgs, lastToolResult);
+      _emitToolResult(name, lastToolResult);
+      _notePendingApproval(lastToolResult);
+
+      // If oslc.select was used, force table columns to exactly that select list.
+      const selectCols = parseOslcSelect(toolArgs?.params?.["oslc.select"]);
+      const selectedTable = selectCols ? tableFromMembersAndSelect(lastToolResult, selectCols) : null;
+      // Fallback: infer an "Excel-like" table from tool JSON (e.g., OSLC member arrays)
+      const maybeTable = selectedTable || inferTableFromResult(lastToolResult);
+      if (maybeTable) lastTable = maybeTable;
+
+      // Failures are reported back to the model so it can correct the call on the next step.
+      return callResp.ok ? lastToolResult : { error: "mcp_call_failed", status: callResp.status, detail: callJson };
+    };
 
-    const callResp = await fetchWithTimeout(`${mcpUrl}/mcp/call`, {
-      method:"POST",
-      headers:{
-        "content-type":"application/json",
-        ...(MCP_INTERNAL_TOKEN ? { "x-internal-token": MCP_INTERNAL_TOKEN } : {}),
-        "x-ai-provider": String(provider || ""),
-        "x-ai-model": String(model || ""),
-      },
-      body: JSON.stringify({ name: toolName, args: toolArgs, tenant, meta: { aiProvider: provider, aiModel: model, userText: toolArgs?.userText || undefined } })
-    }, 30000);
+    const loop = await runToolLoop({ step, messages, tools, executeTool, maxSteps: maxToolSteps });
+    const lastStep = loop.steps[loop.steps.length - 1] || null;
+    const trace = {
+      mode: "agent_loop",
+      tool: lastStep?.tool,
+      args: lastStep?.args,
+      steps: loop.steps,
+      stopped: loop.stopped,
+      maxSteps: maxToolSteps,
+      tenant,
+      ...(lastToolResult?._mcp?.query ? { query: lastToolResult._mcp.query } : {}),
+    };
 
-    const callRaw = await callResp.text();
-    const callJson = safeJsonParse(callRaw) || { error: "mcp_parse_failed", detail: callRaw.slice(0, 800), status: callResp.status };
-    if (!callResp.ok) {
-      return _finalJson({ error: "mcp_call_failed", detail: callJson?.error?.message || callJson?.message || callRaw.slice(0,800), status: callResp.status, lastToolResult: callJson });
+    if (loop.stopped === "max_steps") {
+      return _finalJson({ reply: `Tool orchestration exceeded max iterations (${maxToolSteps} steps).`, table: lastTable || undefined, trace, lastToolResult });
     }
 
-    const unwrapped = unwrapMcpToolResult(callJson);
-    lastToolResult = unwrapped;
-
-    const table =
-      (unwrapped && typeof unwrapped === "object" && unwrapped.table && Array.isArray(unwrapped.table.columns) && Array.isArray(unwrapped.table.rows)
-        ? { columns: unwrapped.table.columns, rows: unwrapped.table.rows }
-        : null) ||
-      inferTableFromResult(unwrapped) ||
-      null;
-
-    const jsonText = (() => { try { return JSON.stringify(unwrapped, null, 2); } catch { return String(unwrapped); } })();
-    const clipped = jsonText.length > 120000 ? jsonText.slice(0, 120000) + "\n...[truncated]" : jsonText;
-
-    const answerPrompt =
-`User request:
-${text}
-
-Tool executed: ${toolName}
-Tool args: ${JSON.stringify(toolArgs)}
-
-Tool result (JSON):
-${clipped}
-
-Write a helpful answer for the user. If there's a table/list, summarize what it contains and highlight anything important.`;
-
-    const reply = await callProviderOnce(answerPrompt, temperature);
-
-    const r0 = String(reply || "").trim();
-    const replyOut = ((r0.toLowerCase() === "ok" || r0.toLowerCase() === "okay") && table && Array.isArray(table.rows)) ? `Found ${table.rows.length} rows.` : reply;
-
-    return _finalJson({ reply: replyOut, table: table || undefined, trace: { tool: toolName, args: toolArgs }, lastToolResult });
+    const c = String(loop.reply || "").trim();
+    const reply = ((c.toLowerCase() === "ok" || c.toLowerCase() === "okay") && lastTable && Array.isArray(lastTable.rows))
+      ? `Found ${lastTable.rows.length} rows.`
+      : loop.reply;
+    return _finalJson({ reply, table: lastTable || undefined, trace, lastToolResult });
   } catch (e) {
+    if (e?.code === "tools_unsupported" && text) return await runToolFirst("model_without_tools");
     return _finalJson({ error:"agent_failed", detail:String(e?.message || e).slice(0,800) });
   }
 }
 
-if (openaiCompatProviders.has(provider)) {
-      const keyName = provider === "openai" ? "openai_key" : (provider === "mistral" ? "mistral_key" : "deepseek_key");
-      const baseName = provider === "openai" ? "openai_base" : (provider === "mistral" ? "mistral_base" : "deepseek_base");
-      const apiKey = getKey(keyName, provider.toUpperCase() + "_API_KEY");
-      const baseDefault = (provider === "openai") ? "https://api.openai.com" : (provider === "mistral" ? "https://api.mistral.ai" : "");
-      const base = getBase(baseName, provider.toUpperCase() + "_BASE", baseDefault) || (provider==="mistral" ? String(process.env.MISTRAL_BASE_URL||"").trim().replace(/\/$/,"") : "");
-      if (!apiKey) return _finalJson({ error:"missing_api_key", detail:`Missing ${provider} API key` });
-      if (!base) return _finalJson({ error:"missing_base", detail:`Missing ${provider} base URL` });
-
-      // no tools: plain chat
-      if (!(enableTools && mcpUrl)) {
-        const out = await openaiCompatChat(base, apiKey, model, []);
-        const reply = out?.choices?.[0]?.message?.content || "";
-        return _finalJson({ reply });
-      }
-
-      // tools: load from MCP and run tool-call loop
-      const toolsResp = await fetchWithTimeout(`${mcpUrl}/mcp/tools?tenant=${encodeURIComponent(tenant)}`, {
-        headers: {
-          accept: "application/json",
-          "x-ai-provider": String(provider || ""),
-          "x-ai-model": String(model || ""),
-        },
-      }, 15000);
-      const toolsRawText = await toolsResp.text();
-      const toolsJson = safeJsonParse(toolsRawText) || {};
-      const rawTools = Array.isArray(toolsJson?.tools) ? toolsJson.tools : [];
-      // Convert MCP tool defs into OpenAI-compatible tool objects: { type:"function", function:{name,description,parameters} }
-      const tools = rawTools.map(normalizeToolDef).filter(t => t?.type === "function" && t?.function?.name);
-
-      let loopMessages = messages.slice();
-
-      // NEW: track last inferred table from tool outputs
-      let lastTable = null;
-
-      for (let i = 0; i < 6; i++) {
-        const out = await openaiCompatChat(base, apiKey, model, tools);
-        const msg = out?.choices?.[0]?.message || {};
-        const toolCalls = msg?.tool_calls || [];
-        const content = msg?.content || "";
-
-        // ✅ Return reply + table (if any)
-        if (!toolCalls.length) {
-          const c = String(content||'').trim();
-          if ((c.toLowerCase()==='ok' || c.toLowerCase()==='okay') && lastTable && Array.isArray(lastTable.rows)) {
-            const n = lastTable.rows.length;
-            return _finalJson({ reply: `Found ${n} rows.`, table: lastTable || undefined, lastToolResult });
-          }
-          return _finalJson({ reply: content, table: lastTable || undefined, lastToolResult });
-        }
-
-        // append assistant with tool_calls
-        loopMessages.push({ role:"assistant", content, tool_calls: toolCalls });
-
-        for (const tc of toolCalls) {
-          const name = tc?.function?.name;
-          const argsStr = tc?.function?.arguments || "{}";
-          let args = {};
-          try { args = JSON.parse(argsStr) } catch { args = { raw: argsStr } }
-
-          // Heuristic guardrails: if the user asked for corrective work orders, ensure WO queries
-          // include worktype=CM (and siteid=defaultSite when available) unless the tool call
-          // already provided those filters explicitly.
-          try {
-            const userLower = String(text || "").toLowerCase();
-            const wantsCorrective = userLower.includes("corrective") || /\bcm\b/.test(userLower) || userLower.includes("corrective maintenance");
-            const wantsDecommissioned = userLower.includes("decommissioned") || userLower.includes("de-commissioned") || userLower.includes("retired");
-            const isQuery = String(name || "") === "maximo_queryOS" || String(name || "") === "maximo.queryOS";
-            const osName = String(args?.os || "").toLowerCase();
-            const isWoOs = osName.includes("wo") || osName.includes("workorder") || osName === "mxapiwo" || osName === "mxwo";
-
-            const defaultSite = String(settings?.maximo?.defaultSite || "").trim().toUpperCase();
-
-            if (wantsCorrective && isQuery && isWoOs) {
-              const p = (args?.params && typeof args.params === "object") ? args.params : {};
-              let where = String(p["oslc.where"] || args?.where || "").trim();
-
-              // Default site filter if missing
-              if (defaultSite && !/\bsiteid\s*=\s*/i.test(where)) {
-                where = where ? `${where} and siteid="${defaultSite}"` : `siteid="${defaultSite}"`;
-              }
-              // Corrective worktype filter if missing
-              if (!/\bworktype\s*=\s*/i.test(where)) {
-                where = where ? `${where} and worktype="CM"` : `worktype="CM"`;
-              }
-
-              // Write back using the preferred arg field.
-              if (p["oslc.where"] != null) {
-                p["oslc.where"] = where;
-                args.params = p;
-              } else {
-                args.where = where;
-              }
-            }
-          } catch {}
-            // Asset-status guardrail: if the user asks for decommissioned assets and the model calls queryOS,
-            // ensure status="DECOMMISSIONED" is applied (unless a status filter already exists).
-            try {
-              const isQuery2 = String(name || "") === "maximo_queryOS" || String(name || "") === "maximo.queryOS";
-              const osName2 = String(args?.os || "").toLowerCase();
-              const isAssetOs = osName2.includes("asset") || osName2 === "mxapiasset" || osName2 === "mxasset";
-
-              if (wantsDecommissioned && isQuery2 && isAssetOs) {
-                const p2 = (args?.params && typeof args.params === "object") ? args.params : {};
-                let where2 = String(p2["oslc.where"] || args?.where || "").trim();
-
-                if (!/\bstatus\s*=\s*/i.test(where2)) {
-                  where2 = where2 ? `${where2} and status="DECOMMISSIONED"` : `status="DECOMMISSIONED"`;
-                }
-
-                // Default site filter if missing
-                const defaultSite2 = String(settings?.maximo?.defaultSite || "").trim().toUpperCase();
-                if (defaultSite2 && !/\bsiteid\s*=\s*/i.test(where2)) {
-                  where2 = where2 ? `${where2} and siteid="${defaultSite2}"` : `siteid="${defaultSite2}"`;
-                }
-
-                if (p2["oslc.where"] != null) {
-                  p2["oslc.where"] = where2;
-                  args.params = p2;
-                } else {
-                  args.where = where2;
-                }
-              }
-            } catch {}
-
-          const callResp = await fetchWithTimeout(`${mcpUrl}/mcp/call`, {
-            method:"POST",
-            headers:{
-              "content-type":"application/json",
-              "x-ai-provider": String(provider || ""),
-              "x-ai-model": String(model || ""),
-            },
-            body: JSON.stringify({ name, args, userText: text, tenant, meta: { aiProvider: provider, aiModel: model,  } })
-          }, 25000);
-          const callRaw = await callResp.text();
-          const callJson = safeJsonParse(callRaw) || { error: "mcp_parse_failed", detail: callRaw.slice(0, 600), status: callResp.status };
-          // Keep last tool result for "Analyze last response".
-          try { lastToolResult = unwrapMcpToolResult(callJson); } catch { lastToolResult = callJson; }
-
-          // NEW: If oslc.select was used, force table columns to exactly that select list.
-          const selectCols = parseOslcSelect(args?.params?.["oslc.select"]);
-          const selectedTable = selectCols ? tableFromMembersAndSelect(lastToolResult, selectCols) : null;
-
-          // Fallback: infer an "Excel-like" table from tool JSON (e.g., OSLC member arrays)
-          const maybeTable = selectedTable || inferTableFromResult(unwrapped);
-          if (maybeTable) lastTable = maybeTable;
-
-          loopMessages.push({ role:"tool", tool_call_id: tc.id, content: JSON.stringify(callJson) });
-        }
-
-        // update messages reference for next loop
-        messages.length = 0;
-        loopMessages.forEach(m => messages.push(m));
-      }
-
-      // ✅ Return reply + table (if any)
-      return _finalJson({ reply: "Tool orchestration exceeded max iterations.", table: lastTable || undefined, lastToolResult });
-    }
-
-    if (provider === "anthropic") {
-      const apiKey = getKey("anthropic_key","ANTHROPIC_API_KEY");
-      if (!apiKey) return _finalJson({ error:"missing_api_key", detail:"Missing anthropic API key" });
-      const out = await anthropicChat(apiKey, model);
-      return _finalJson(out);
-    }
-
-    if (provider === "gemini") {
-      const apiKey = getKey("gemini_key","GEMINI_API_KEY");
-      if (!apiKey) return _finalJson({ error:"missing_api_key", detail:"Missing gemini API key" });
-      const out = await geminiChat(apiKey, model);
-      return _finalJson(out);
-    }
-
-    if (provider === "watsonx") {
-      const apiKey = getKey("watsonx_api_key","WATSONX_API_KEY");
-      if (!apiKey) return _finalJson({ error:"missing_api_key", detail:"Missing watsonx API key (bearer/IAM token)" });
-      const out = await watsonxChat(apiKey, model);
-      return _finalJson(out);
-    }
-
-    return _finalJson({ error:"unsupported_provider", detail:`Provider not supported: ${provider}` });
+// ---- Plain chat (tools disabled) ----
+try {
+  if (streamMode) _emit("status", { stage: "llm_started", provider, model });
+  const out = streamMode
+    ? await providerStream(provider, settings, { model, temperature, messages }, (t) => _emit("token", { text: t }))
+    : await providerComplete(provider, settings, { model, temperature, messages });
+  return _finalJson({ reply: out.text });
+} catch (e) {
+  // Configuration problems (unknown provider, missing key/base/project) keep their error code.
+  if (e?.code && e.code !== "llm_error") return _finalJson({ error: e.code, detail: e.message });
+  throw e;
+}
   } catch (e) {
     _stopKeepAlive();
     return _finalJson({ error:"agent_failed", detail:String(e?.message || e) });
   }
 });
 
+// Conversation memory for the Agent UI (owner-scoped; ids come back from /api/agent/chat)
+app.get("/api/agent/conversations", (req, res) => {
+  res.json({ conversations: listConversations(CONVERSATIONS_DIR, req.user?.username) });
+});
+
+app.get("/api/agent/conversations/:id", (req, res) => {
+  const conv = readConversation(CONVERSATIONS_DIR, req.params.id);
+  if (!conv || String(conv.user || "") !== String(req.user?.username || "")) return res.status(404).json({ error: "not_found" });
+  res.json(conv);
+});
+
+app.delete("/api/agent/conversations/:id", (req, res) => {
+  const conv = readConversation(CONVERSATIONS_DIR, req.params.id);
+  if (!conv || String(conv.user || "") !== String(req.user?.username || "")) return res.status(404).json({ error: "not_found" });
+  deleteConversation(CONVERSATIONS_DIR, conv.id);
+  res.json({ ok: true });
+});
+
 // Analyze/summarize the last MCP tool response (bypasses MCP orchestration; direct LLM call)
 app.post("/api/agent/analyze-last", async (req, res) => {
   try {
@@ -1705,10 +1506,6 @@ app.post("/api/agent/analyze-last", async (req, res) => {
     const settings = getEffectiveSettings(req.body?.settings || {});
     if (lastToolResult == null) return res.status(400).json({ error: "missing_lastToolResult" });
 
-    const secrets = settings.secrets || settings;
-    const getKey = (k, envk, envk2) => String(secrets?.[k] || process.env[envk] || (envk2 ? process.env[envk2] : "") || "").trim();
-    const getBase = (k, envk, defv, envk2) => String(secrets?.[k] || process.env[envk] || (envk2 ? process.env[envk2] : "") || defv || "").trim().replace(/\/$/,"");
-
     const jsonText = (() => {
       try { return JSON.stringify(lastToolResult, null, 2); } catch { return String(lastToolResult); }
     })();
@@ -1730,118 +1527,10 @@ JSON:\n${clipped}`;
     if (system) messages.push({ role: "system", content: system });
     messages.push({ role: "user", content: promptText });
 
-    const openaiCompatProviders = new Set(["openai","mistral","deepseek"]);
-    if (openaiCompatProviders.has(provider)) {
-      const keyName = provider === "openai" ? "openai_key" : (provider === "mistral" ? "mistral_key" : "deepseek_key");
-      const baseName = provider === "openai" ? "openai_base" : (provider === "mistral" ? "mistral_base" : "deepseek_base");
-      const apiKey = getKey(keyName, provider.toUpperCase() + "_API_KEY");
-      const baseDefault = (provider === "openai") ? "https://api.openai.com" : (provider === "mistral" ? "https://api.mistral.ai" : "");
-      const base = getBase(baseName, provider.toUpperCase() + "_BASE", baseDefault) || (provider === "mistral" ? String(process.env.MISTRAL_BASE_URL||"").trim().replace(/\/$/,"") : "");
-      if (!apiKey) return res.status(400).json({ error:"missing_api_key", detail:`Missing ${provider} API key` });
-      if (!base) return res.status(400).json({ error:"missing_base", detail:`Missing ${provider} base URL` });
-
-      const url = `${base}/v1/chat/completions`;
-      const r = await fetch(url, {
-        method: "POST",
-        headers: { "content-type":"application/json", "authorization": `Bearer ${apiKey}` },
-        body: JSON.stringify({ model: model || "gpt-4o-mini", temperature, messages })
-      });
-      const raw = await r.text();
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      let j=null; if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch {} }
-      if (!r.ok) return res.status(r.status).json({ error:"llm_error", detail: j?.error?.message || raw.slice(0,600) });
-      const reply = j?.choices?.[0]?.message?.content || "";
-      return res.json({ reply, truncated: jsonText.length > MAX });
-    }
-
-    if (provider === "anthropic") {
-      const apiKey = getKey("anthropic_key","ANTHROPIC_API_KEY");
-      const base = getBase("anthropic_base","ANTHROPIC_BASE","https://api.anthropic.com");
-      if (!apiKey) return res.status(400).json({ error:"missing_api_key", detail:"Missing anthropic API key" });
-
-      const r = await fetch(`${base}/v1/messages`, {
-        method: "POST",
-        headers: {
-          "content-type": "application/json",
-          "x-api-key": apiKey,
-          "anthropic-version": "2023-06-01",
-        },
-        body: JSON.stringify({
-          model: model || "claude-3-5-sonnet-latest",
-          max_tokens: 1024,
-          temperature,
-          // Anthropic uses a separate system field.
-          ...(system ? { system } : {}),
-          messages: [{ role: "user", content: promptText }],
-        }),
-      });
-
-      const raw = await r.text();
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      let j=null; if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch {} }
-      if (!r.ok) return res.status(r.status).json({ error:"llm_error", detail: j?.error?.message || raw.slice(0,600) });
-      const reply = (j?.content || []).map(x => x?.text).filter(Boolean).join("\n");
-      return res.json({ reply, truncated: jsonText.length > MAX });
-    }
-
-    if (provider === "gemini") {
-      const apiKey = getKey("gemini_key","GEMINI_API_KEY");
-      const base = getBase("gemini_base","GEMINI_BASE","https://generativelanguage.googleapis.com");
-      const m = model || "gemini-1.5-flash";
-      if (!apiKey) return res.status(400).json({ error:"missing_api_key", detail:"Missing gemini API key" });
-
-      const url = `${base}/v1beta/models/${encodeURIComponent(m)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-      const r = await fetch(url, {
-        method:"POST",
-        headers: { "content-type":"application/json" },
-        body: JSON.stringify({
-          contents: [{ role:"user", parts: [{ text: system ? `${system}\n\n${promptText}` : promptText }] }],
-          generationConfig: { temperature }
-        })
-      });
-
-      const raw = await r.text();
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      let j=null; if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch {} }
-      if (!r.ok) return res.status(r.status).json({ error:"llm_error", detail: (j && JSON.stringify(j).slice(0,600)) || raw.slice(0,600) });
-      const reply = j?.candidates?.[0]?.content?.parts?.map(p=>p.text).filter(Boolean).join("\n") || "";
-      return res.json({ reply, truncated: jsonText.length > MAX });
-    }
-
-    if (provider === "watsonx") {
-      const apiKey = getKey("watsonx_api_key","WATSONX_API_KEY");
-      const base = getBase("watsonx_base","WATSONX_BASE","https://us-south.ml.cloud.ibm.com","WATSONX_BASE_URL");
-      const project = getKey("watsonx_project","WATSONX_PROJECT","WATSONX_PROJECT_ID");
-      if (!apiKey) return res.status(400).json({ error:"missing_api_key", detail:"Missing watsonx API key" });
-      if (!project) return res.status(400).json({ error:"missing_project", detail:"Missing watsonx project id (watsonx_project)" });
-
-      // Accept either an IAM bearer token (JWT) or a long-lived IBM Cloud API key.
-      // If it's an API key, exchange it for an IAM token and cache until expiry.
-      const bearer = await getWatsonxBearerToken(apiKey);
-
-      const wxv = String(process.env.WATSONX_TEXTGEN_VERSION || process.env.WATSONX_API_VERSION || process.env.WATSONX_VERSION || "2025-02-11").trim();
-      const url = `${base}/ml/v1/text/generation?version=${encodeURIComponent(wxv)}`;
-      const r = await fetch(url, {
-        method:"POST",
-        headers: { "content-type":"application/json", "authorization": `Bearer ${bearer}` },
-        body: JSON.stringify({
-          model_id: model || "ibm/granite-13b-chat-v2",
-          input: system ? `${system}\n\nUser: ${promptText}\nAssistant:` : promptText,
-          parameters: { temperature, max_new_tokens: 1024 },
-          project_id: project
-        })
-      });
-
-      const raw = await r.text();
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      let j=null; if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch {} }
-      if (!r.ok) return res.status(r.status).json({ error:"llm_error", detail: raw.slice(0,600) });
-      const reply = j?.results?.[0]?.generated_text || "";
-      return res.json({ reply, truncated: jsonText.length > MAX });
-    }
-
-    return res.status(400).json({ error: "unsupported_provider", detail: "Analyze-last supports openai/mistral/deepseek/anthropic/gemini/watsonx." });
+    const out = await providerComplete(provider, settings, { model, temperature, messages, maxTokens: 1024 });
+    return res.json({ reply: out.text, truncated: jsonText.length > MAX });
   } catch (e) {
+    if (e?.code) return res.status(providerErrorStatus(e)).json({ error: e.code, detail: String(e.message || e) });
     return res.status(500).json({ error: "analyze_failed", detail: String(e?.message || e) });
   }
 });
@@ -1859,10 +1548,6 @@ app.post("/api/agent/followup", async (req, res) => {
     if (!context) return res.status(400).json({ error: "missing_context" });
     if (!instruction) return res.status(400).json({ error: "missing_instruction" });
 
-    const secrets = settings.secrets || settings;
-    const getKey = (k, envk, envk2) => String(secrets?.[k] || process.env[envk] || (envk2 ? process.env[envk2] : "") || "").trim();
-    const getBase = (k, envk, defv, envk2) => String(secrets?.[k] || process.env[envk] || (envk2 ? process.env[envk2] : "") || defv || "").trim().replace(/\/$/,"");
-
     const MAX = Number(process.env.FOLLOWUP_MAX_CHARS || 90000);
     const clippedContext = context.length > MAX ? context.slice(0, MAX) + "\n\n...[truncated]" : context;
 
@@ -1878,114 +1563,10 @@ User follow-up instruction:\n${instruction}
     if (system) messages.push({ role: "system", content: system });
     messages.push({ role: "user", content: promptText });
 
-    const openaiCompatProviders = new Set(["openai","mistral","deepseek"]);
-    if (openaiCompatProviders.has(provider)) {
-      const keyName = provider === "openai" ? "openai_key" : (provider === "mistral" ? "mistral_key" : "deepseek_key");
-      const baseName = provider === "openai" ? "openai_base" : (provider === "mistral" ? "mistral_base" : "deepseek_base");
-      const apiKey = getKey(keyName, provider.toUpperCase() + "_API_KEY");
-      const baseDefault = (provider === "openai") ? "https://api.openai.com" : (provider === "mistral" ? "https://api.mistral.ai" : "");
-      const base = getBase(baseName, provider.toUpperCase() + "_BASE", baseDefault) || (provider === "mistral" ? String(process.env.MISTRAL_BASE_URL||"").trim().replace(/\/$/,"") : "");
-      if (!apiKey) return res.status(400).json({ error:"missing_api_key", detail:`Missing ${provider} API key` });
-      if (!base) return res.status(400).json({ error:"missing_base", detail:`Missing ${provider} base URL` });
-
-      const url = `${base}/v1/chat/completions`;
-      const r = await fetch(url, {
-        method: "POST",
-        headers: { "content-type":"application/json", "authorization": `Bearer ${bearer}` },
-        body: JSON.stringify({ model: model || "gpt-4o-mini", temperature, messages })
-      });
-      const raw = await r.text();
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      let j=null; if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch {} }
-      if (!r.ok) return res.status(r.status).json({ error:"llm_error", detail: j?.error?.message || raw.slice(0,600) });
-      const reply = j?.choices?.[0]?.message?.content || "";
-      return res.json({ reply, truncated: context.length > MAX });
-    }
-
-    if (provider === "anthropic") {
-      const apiKey = getKey("anthropic_key","ANTHROPIC_API_KEY");
-      const base = getBase("anthropic_base","ANTHROPIC_BASE","https://api.anthropic.com");
-      if (!apiKey) return res.status(400).json({ error:"missing_api_key", detail:"Missing anthropic API key" });
-
-      const r = await fetch(`${base}/v1/messages`, {
-        method: "POST",
-        headers: {
-          "content-type": "application/json",
-          "x-api-key": apiKey,
-          "anthropic-version": "2023-06-01",
-        },
-        body: JSON.stringify({
-          model: model || "claude-3-5-sonnet-latest",
-          max_tokens: 1200,
-          temperature,
-          ...(system ? { system } : {}),
-          messages: [{ role: "user", content: promptText }],
-        }),
-      });
-
-      const raw = await r.text();
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      let j=null; if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch {} }
-      if (!r.ok) return res.status(r.status).json({ error:"llm_error", detail: j?.error?.message || raw.slice(0,600) });
-      const reply = (j?.content || []).map(x => x?.text).filter(Boolean).join("\n");
-      return res.json({ reply, truncated: context.length > MAX });
-    }
-
-    if (provider === "gemini") {
-      const apiKey = getKey("gemini_key","GEMINI_API_KEY");
-      const base = getBase("gemini_base","GEMINI_BASE","https://generativelanguage.googleapis.com");
-      const m = model || "gemini-1.5-flash";
-      if (!apiKey) return res.status(400).json({ error:"missing_api_key", detail:"Missing gemini API key" });
-
-      const url = `${base}/v1beta/models/${encodeURIComponent(m)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-      const r = await fetch(url, {
-        method:"POST",
-        headers: { "content-type":"application/json" },
-        body: JSON.stringify({
-          contents: [{ role:"user", parts: [{ text: system ? `${system}\n\n${promptText}` : promptText }] }],
-          generationConfig: { temperature }
-        })
-      });
-
-      const raw = await r.text();
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      let j=null; if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch {} }
-      if (!r.ok) return res.status(r.status).json({ error:"llm_error", detail: (j && JSON.stringify(j).slice(0,600)) || raw.slice(0,600) });
-      const reply = j?.candidates?.[0]?.content?.parts?.map(p=>p.text).filter(Boolean).join("\n") || "";
-      return res.json({ reply, truncated: context.length > MAX });
-    }
-
-    if (provider === "watsonx") {
-      const apiKey = getKey("watsonx_api_key","WATSONX_API_KEY");
-      const base = getBase("watsonx_base","WATSONX_BASE","https://us-south.ml.cloud.ibm.com","WATSONX_BASE_URL");
-      const project = getKey("watsonx_project","WATSONX_PROJECT","WATSONX_PROJECT_ID");
-      if (!apiKey) return res.status(400).json({ error:"missing_api_key", detail:"Missing watsonx API key (bearer/IAM token)" });
-      if (!project) return res.status(400).json({ error:"missing_project", detail:"Missing watsonx project id (watsonx_project)" });
-
-      const bearer = await getWatsonxBearerToken(apiKey);
-      const wxv = String(process.env.WATSONX_TEXTGEN_VERSION || process.env.WATSONX_API_VERSION || process.env.WATSONX_VERSION || "2025-02-11").trim();
-      const url = `${base}/ml/v1/text/generation?version=${encodeURIComponent(wxv)}`;
-      const r = await fetch(url, {
-        method:"POST",
-        headers: { "content-type":"application/json", "authorization": `Bearer ${bearer}` },
-        body: JSON.stringify({
-          model_id: model || "ibm/granite-13b-chat-v2",
-          input: system ? `${system}\n\nUser: ${promptText}\nAssistant:` : promptText,
-          parameters: { temperature, max_new_tokens: 1200 },
-          project_id: project
-        })
-      });
-
-      const raw = await r.text();
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      let j=null; if (ct.includes("application/json")) { try { j=JSON.parse(raw) } catch {} }
-      if (!r.ok) return res.status(r.status).json({ error:"llm_error", detail: raw.slice(0,600) });
-      const reply = j?.results?.[0]?.generated_text || "";
-      return res.json({ reply, truncated: context.length > MAX });
-    }
-
-    return res.status(400).json({ error: "unsupported_provider", detail: "Followup supports openai/mistral/deepseek/anthropic/gemini/watsonx." });
+    const out = await providerComplete(provider, settings, { model, temperature, messages, maxTokens: 1200 });
+    return res.json({ reply: out.text, truncated: context.length > MAX });
   } catch (e) {
+    if (e?.code) return res.status(providerErrorStatus(e)).json({ error: e.code, detail: String(e.message || e) });
     return res.status(500).json({ error: "followup_failed", detail: String(e?.message || e) });
   }
 });
@@ -1995,24 +1576,39 @@ function safePdfFilename(name) {
   return s.replace(/[^a-zA-Z0-9._-]+/g, "_").replace(/_+/g,"_").slice(0, 80);
 }
 
-// Render plain text into a downloadable PDF
+// Render a report PDF (pdf-report.mjs): text, chart images, the result table and query provenance,
+// with the header/logo template from settings.reports.
 app.post("/api/pdf", async (req, res) => {
   try {
     const title = String(req.body?.title || "AI Agent Result").trim() || "AI Agent Result";
     const content = String(req.body?.content || "");
     const filename = safePdfFilename(req.body?.filename || title);
+    const settings = getEffectiveSettings(req.body?.settings || {});
+    const reports = (settings?.reports && typeof settings.reports === "object") ? settings.reports : {};
+
+    // charts: [{ title, image }] where image is a PNG data URL rendered by the UI (chartToPng).
+    const charts = (Array.isArray(req.body?.charts) ? req.body.charts : [])
+      .map((c) => {
+        const m = String(c?.image || "").match(/^data:image\/png;base64,([A-Za-z0-9+/=]+)$/);
+        return m ? { title: String(c?.title || "").slice(0, 200), image: Buffer.from(m[1], "base64") } : null;
+      })
+      .filter(Boolean)
+      .slice(0, 8);
+    const t = req.body?.table;
+    const table = (t && Array.isArray(t.columns) && Array.isArray(t.rows)) ? { title: t.title ? String(t.title) : "", columns: t.columns, rows: t.rows } : null;
+    const p = (req.body?.provenance && typeof req.body.provenance === "object") ? req.body.provenance : {};
+    const provenance = {
+      tenant: String(p.tenant || settings?.maximo?.defaultTenant || ""),
+      site: String(p.site || settings?.maximo?.defaultSite || ""),
+      os: String(p.os || ""),
+      where: String(p.where || ""),
+    };
+    const logo = await loadReportLogo(reports.logo);
 
     res.status(200);
     res.setHeader("content-type", "application/pdf");
     res.setHeader("content-disposition", `attachment; filename=\"${filename}.pdf\"`);
-
-    const doc = new PDFDocument({ size: "A4", margin: 48 });
-    doc.info.Title = title;
-    doc.pipe(res);
-    doc.fontSize(18).text(title, { align: "left" });
-    doc.moveDown();
-    doc.fontSize(11).text(content, { align: "left", lineGap: 2 });
-    doc.end();
+    writePdfReport(PDFDocument, res, { title, content, charts, table, provenance, reports, logo });
   } catch (e) {
     try {
       return res.status(500).json({ error: "pdf_failed", detail: String(e?.message || e) });
@@ -2197,6 +1793,8 @@ app.post("/api/agent/create-record", async (req, res) => {
       });
     }
     if (!r.ok) return res.status(r.status).json(j);
+    // Held for approval: nothing was created yet.
+    if (j?.pending) return res.status(202).json({ ok: false, pending: true, type, approval: j.approval, detail: j.message });
 
     const id = String(j?.id || j?.wonum || j?.ticketid || "");
     return res.json({ ok: true, type, id, response: j });
@@ -2205,6 +1803,48 @@ app.post("/api/agent/create-record", async (req, res) => {
   }
 });
 
+// ---- Write approvals (proxied to the MCP server's /api/approvals) ----
+// The signed-in user is forwarded as the approver; the MCP server checks the tenant's approver roles.
+// Requires MCP_INTERNAL_TOKEN here and INTERNAL_TOKEN (or MCP_INTERNAL_TOKEN) on the MCP server.
+async function proxyApprovals(req, res, method, subPath, body) {
+  try {
+    const settings = getEffectiveSettings(req.body?.settings || {});
+    const tenant = String(req.body?.tenant || req.query?.tenant || settings.maximo?.defaultTenant || "default");
+    const mcpBase = normalizeMcpBaseUrl(settings?.mcp?.url);
+    if (!mcpBase) return res.status(400).json({ error: "missing_mcp_url" });
+    const status = String(req.body?.status || req.query?.status || "").trim();
+    const qs = new URLSearchParams({ tenant, ...(status ? { status } : {}) });
+    const r = await fetchWithTimeout(`${mcpBase}/api/approvals${subPath}?${qs.toString()}`, {
+      method,
+      headers: {
+        "content-type": "application/json",
+        accept: "application/json",
+        ...(MCP_INTERNAL_TOKEN ? { "x-internal-token": MCP_INTERNAL_TOKEN } : {}),
+      },
+      ...(method === "GET" ? {} : { body: JSON.stringify({ tenant, ...(body || {}), approver: { username: req.user?.username, role: req.user?.role } }) }),
+    }, 30000);
+    const txt = await r.text();
+    const j = safeJsonParse(txt);
+    if (!j) return res.status(r.ok ? 502 : r.status).json({ error: "mcp_parse_failed", detail: txt.slice(0, 600), status: r.status });
+    if (!MCP_INTERNAL_TOKEN && (r.status === 401 || r.status === 403) && j.error !== "not_approver") {
+      return res.status(r.status).json({
+        ...j,
+        detail: "MCP server denied /api/approvals. Set MCP_INTERNAL_TOKEN on the AI Agent and INTERNAL_TOKEN (or MCP_INTERNAL_TOKEN) on the MCP Server to enable approvals.",
+      });
+    }
+    return res.status(r.status).json(j);
+  } catch (e) {
+    return res.status(500).json({ error: "approval_failed", detail: String(e?.message || e) });
+  }
+}
+
+// Reads are POSTs too, so the browser can send its settings (MCP URL) like the other agent routes.
+app.post("/api/approvals", (req, res) => proxyApprovals(req, res, "GET", ""));
+app.post("/api/approvals/:id", (req, res) => proxyApprovals(req, res, "GET", `/${encodeURIComponent(req.params.id)}`));
+app.put("/api/approvals/:id", (req, res) => proxyApprovals(req, res, "PUT", `/${encodeURIComponent(req.params.id)}`, { args: req.body?.args }));
+app.post("/api/approvals/:id/approve", (req, res) => proxyApprovals(req, res, "POST", `/${encodeURIComponent(req.params.id)}/approve`));
+app.post("/api/approvals/:id/reject", (req, res) => proxyApprovals(req, res, "POST", `/${encodeURIComponent(req.params.id)}/reject`, { reason: req.body?.reason }));
+
 // Direct queryOS via MCP (bypasses the LLM). Used by dynamic Object Structure presets.
 app.post("/api/agent/query-os", async (req, res) => {
   try {
@@ -2241,6 +1881,228 @@ app.post("/api/agent/query-os", async (req, res) => {
   }
 });
 
+// Explain: queryOS in dry-run mode. Returns the compiled OSLC URL, params and rationale; Maximo isn't queried.
+app.post("/api/agent/explain", async (req, res) => {
+  try {
+    const settings = getEffectiveSettings(req.body?.settings || {});
+    const tenant = String(req.body?.tenant || settings.maximo?.defaultTenant || "default");
+    const args = { ...(req.body?.args || {}), dryRun: true };
+    const userText = String(req.body?.userText || "").trim();
+
+    const mcpBase = normalizeMcpBaseUrl(settings?.mcp?.url);
+    if (!mcpBase) return res.status(400).json({ error: "missing_mcp_url" });
+    if (!String(args.os || "").trim() && !String(args.userText || userText).trim()) {
+      return res.status(400).json({ error: "bad_request", detail: "args.os or userText is required" });
+    }
+
+    const r = await fetchWithTimeout(`${mcpBase}/mcp/call`, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...(MCP_INTERNAL_TOKEN ? { "x-internal-token": MCP_INTERNAL_TOKEN } : {}) },
+      body: JSON.stringify({ name: "maximo_queryOS", args, tenant, ...(userText ? { userText } : {}) }),
+    }, 25000);
+
+    const txt = await r.text();
+    const j = safeJsonParse(txt);
+    if (!j) return res.status(r.ok ? 502 : r.status).json({ error: "mcp_parse_failed", detail: txt.slice(0, 600), status: r.status });
+    return res.status(r.status).json(j);
+  } catch (e) {
+    return res.status(500).json({ error: "explain_failed", detail: String(e?.message || e) });
+  }
+});
+
+// Export: the MCP server re-runs the query across all pages (capped) and returns a CSV / XLSX / JSON lines file.
+app.post("/api/agent/export", async (req, res) => {
+  try {
+    const settings = getEffectiveSettings(req.body?.settings || {});
+    const tenant = String(req.body?.tenant || settings.maximo?.defaultTenant || "default");
+    const args = req.body?.args || {};
+    const format = String(req.body?.format || "csv").toLowerCase();
+
+    const mcpBase = normalizeMcpBaseUrl(settings?.mcp?.url);
+    if (!mcpBase) return res.status(400).json({ error: "missing_mcp_url" });
+    if (!String(args?.os || "").trim()) return res.status(400).json({ error: "missing_os", detail: "args.os is required" });
+
+    const r = await fetchWithTimeout(`${mcpBase}/mcp/export`, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...(MCP_INTERNAL_TOKEN ? { "x-internal-token": MCP_INTERNAL_TOKEN } : {}) },
+      body: JSON.stringify({ tenant, args, format, maxRows: req.body?.maxRows, filename: req.body?.filename }),
+    }, Number(process.env.EXPORT_TIMEOUT_MS || 300000));
+
+    const buf = Buffer.from(await r.arrayBuffer());
+    const ct = String(r.headers.get("content-type") || "");
+    if (!r.ok || ct.includes("application/json")) {
+      const j = safeJsonParse(buf.toString("utf8"));
+      return res.status(r.ok ? 502 : r.status).json(j || { error: "export_failed", detail: buf.toString("utf8").slice(0, 600) });
+    }
+    for (const h of ["content-type", "content-disposition", "x-export-rows", "x-export-total", "x-export-truncated", "x-export-redacted"]) {
+      const v = r.headers.get(h);
+      if (v) res.setHeader(h, v);
+    }
+    return res.send(buf);
+  } catch (e) {
+    return res.status(500).json({ error: "export_failed", detail: String(e?.message || e) });
+  }
+});
+
+// -------------------- Scheduled queries (schedules.mjs, delivery.mjs) --------------------
+// Schedules run from the shared settings (MCP URL, presets, settings.smtp), not a browser session.
+// Users manage their own schedules; admins see and manage all of them.
+function renderPdfBuffer(opts) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const sink = new PassThrough();
+    sink.on("data", (c) => chunks.push(c));
+    sink.on("end", () => resolve(Buffer.concat(chunks)));
+    sink.on("error", reject);
+    try { writePdfReport(PDFDocument, sink, opts); } catch (e) { reject(e); }
+  });
+}
+
+function scheduleDeps() {
+  const settings = getEffectiveSettings({});
+  const mcpBase = normalizeMcpBaseUrl(settings?.mcp?.url);
+  const reports = (settings?.reports && typeof settings.reports === "object") ? settings.reports : {};
+  return {
+    settings,
+    // Runs happen outside any request (limitHeaders() is empty), so the schedule's owner is the acting user
+    // and each run counts as one chat for the per-user and per-chat Maximo limits.
+    callTool: async ({ tenant, name, args, owner, runId }) => {
+      if (!mcpBase) return { status: 400, body: { error: "missing_mcp_url", detail: "Set the MCP URL in Settings" } };
+      const r = await fetchWithTimeout(`${mcpBase}/mcp/call`, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "x-ai-provider": "scheduler",
+          ...(MCP_INTERNAL_TOKEN ? { "x-internal-token": MCP_INTERNAL_TOKEN } : {}),
+          ...(owner ? { "x-acting-user": String(owner) } : {}),
+          ...(runId ? { "x-chat-id": String(runId) } : {}),
+        },
+        body: JSON.stringify({ tenant, name, args }),
+      }, Number(process.env.SCHEDULE_QUERY_TIMEOUT_MS || 120000));
+      const txt = await r.text();
+      const j = safeJsonParse(txt);
+      return { status: r.status, body: j ? unwrapMcpToolResult(j) : { error: "mcp_parse_failed", detail: txt.slice(0, 300) } };
+    },
+    toTable: (body) => inferTableFromResult(body),
+    renderPdf: async ({ title, content, table, provenance }) =>
+      renderPdfBuffer({ title, content, table, provenance, reports, logo: await loadReportLogo(reports.logo) }),
+    deliver: (delivery, message) => deliver(delivery, message, { smtp: settings.smtp }),
+  };
+}
+
+function canSeeSchedule(req, s) {
+  return String(req.user?.role || "") === "admin" || String(s?.owner || "") === String(req.user?.username || "");
+}
+
+function scheduleErrorResponse(res, e) {
+  const code = String(e?.code || "");
+  if (code === "invalid_schedule" || code === "invalid_cron") return res.status(400).json({ error: code, detail: String(e.message) });
+  return res.status(500).json({ error: "schedule_failed", detail: String(e?.message || e) });
+}
+
+app.get("/api/schedules", (req, res) => {
+  const schedules = readSchedules(SCHEDULES_DIR).filter((s) => canSeeSchedule(req, s));
+  const ids = new Set(schedules.map((s) => s.id));
+  const runs = readRuns(SCHEDULES_DIR, { limit: 500 }).filter((r) => ids.has(r.scheduleId)).slice(0, 100);
+  res.json({ schedules, runs });
+});
+
+// Choices for the schedule form: query presets (shared settings) and the tenant's MCP tools.
+app.get("/api/schedules/sources", async (req, res) => {
+  const settings = getEffectiveSettings({});
+  const presets = (Array.isArray(settings?.maximo?.queryPresets) ? settings.maximo.queryPresets : [])
+    .map((p) => ({ id: String(p?.id || ""), label: String(p?.label || p?.id || ""), os: String(p?.os || "") }))
+    .filter((p) => p.id);
+  let tools = [];
+  const mcpBase = normalizeMcpBaseUrl(settings?.mcp?.url);
+  const tenant = String(req.query?.tenant || settings?.maximo?.defaultTenant || "default");
+  if (mcpBase) {
+    try {
+      const r = await fetchWithTimeout(`${mcpBase}/mcp/tools?tenant=${encodeURIComponent(tenant)}`, { method: "GET" }, 10000);
+      const j = safeJsonParse(await r.text());
+      tools = (Array.isArray(j?.tools) ? j.tools : [])
+        .filter((t) => t?.enabled !== false && (t?.isBuiltin === false || t?.name === "maximo_queryOS"))
+        .map((t) => ({ name: String(t.name || ""), description: String(t.description || "").slice(0, 160) }))
+        .filter((t) => t.name);
+    } catch {
+      // presets still work without the MCP server
+    }
+  }
+  res.json({ presets, tools, smtpConfigured: !!String(settings?.smtp?.host || "").trim() });
+});
+
+// The schedule's tenant's MCP tools (all=1, disabled ones included) when its source is a tool, so
+// normalizeSchedule can refuse write tools by what the MCP server reports.
+async function scheduleToolList(settings, src) {
+  if (src?.source?.type !== "tool") return [];
+  const mcpBase = normalizeMcpBaseUrl(settings?.mcp?.url);
+  if (!mcpBase) throw new Error("Set the MCP URL in Settings to schedule a tool");
+  const tenant = String(src.tenant || settings?.maximo?.defaultTenant || "default");
+  const r = await fetchWithTimeout(`${mcpBase}/mcp/tools?all=1&tenant=${encodeURIComponent(tenant)}`, { method: "GET" }, 10000);
+  const j = safeJsonParse(await r.text());
+  if (!r.ok || !Array.isArray(j?.tools)) throw new Error(`Could not list the MCP tools (HTTP ${r.status})`);
+  return j.tools;
+}
+
+app.post("/api/schedules", async (req, res) => {
+  try {
+    const settings = getEffectiveSettings({});
+    const s = normalizeSchedule({ ...(req.body || {}), owner: String(req.user?.username || "") }, {
+      presets: settings?.maximo?.queryPresets || [],
+      tools: await scheduleToolList(settings, req.body),
+      isEmail: isEmailAddress,
+    });
+    writeSchedules(SCHEDULES_DIR, [...readSchedules(SCHEDULES_DIR), s]);
+    res.json({ schedule: s });
+  } catch (e) {
+    scheduleErrorResponse(res, e);
+  }
+});
+
+app.put("/api/schedules/:id", async (req, res) => {
+  try {
+    const existing = readSchedules(SCHEDULES_DIR).find((s) => s.id === req.params.id);
+    if (!existing || !canSeeSchedule(req, existing)) return res.status(404).json({ error: "not_found" });
+    const settings = getEffectiveSettings({});
+    const tools = await scheduleToolList(settings, { ...existing, ...(req.body || {}) });
+    // Re-read after the await so a concurrent change to another schedule is kept.
+    const all = readSchedules(SCHEDULES_DIR);
+    const i = all.findIndex((s) => s.id === existing.id);
+    if (i < 0) return res.status(404).json({ error: "not_found" });
+    all[i] = normalizeSchedule(req.body || {}, { existing: all[i], presets: settings?.maximo?.queryPresets || [], tools, isEmail: isEmailAddress });
+    writeSchedules(SCHEDULES_DIR, all);
+    res.json({ schedule: all[i] });
+  } catch (e) {
+    scheduleErrorResponse(res, e);
+  }
+});
+
+app.delete("/api/schedules/:id", (req, res) => {
+  const all = readSchedules(SCHEDULES_DIR);
+  const hit = all.find((s) => s.id === req.params.id);
+  if (!hit || !canSeeSchedule(req, hit)) return res.status(404).json({ error: "not_found" });
+  writeSchedules(SCHEDULES_DIR, all.filter((s) => s.id !== hit.id));
+  res.json({ ok: true });
+});
+
+// Run now (manual trigger); responds with the run record once delivery finished or failed.
+app.post("/api/schedules/:id/run", async (req, res) => {
+  const hit = readSchedules(SCHEDULES_DIR).find((s) => s.id === req.params.id);
+  if (!hit || !canSeeSchedule(req, hit)) return res.status(404).json({ error: "not_found" });
+  try {
+    const run = await runSchedule(SCHEDULES_DIR, hit, scheduleDeps(), { trigger: "manual" });
+    res.json({ run });
+  } catch (e) {
+    scheduleErrorResponse(res, e);
+  }
+});
+
+app.get("/api/schedules/:id/runs", (req, res) => {
+  const hit = readSchedules(SCHEDULES_DIR).find((s) => s.id === req.params.id);
+  if (!hit || !canSeeSchedule(req, hit)) return res.status(404).json({ error: "not_found" });
+  res.json({ runs: readRuns(SCHEDULES_DIR, { scheduleId: hit.id, limit: Number(req.query?.limit) || 50 }) });
+});
+
 // Maximo Mode (guided): execute an intentHint through MCP without using an LLM.
 app.post("/api/maximo/intent-query", async (req, res) => {
   try {
@@ -2318,255 +2180,13 @@ app.get("*", (_req, res) => {
 
 
 // ---- AI model listing (best-effort) ----
+// Each provider adapter lists its own models; a curated fallback keeps the UI usable when the
+// provider blocks listing or no key is configured.
 app.post("/api/models", async (req, res) => {
   try {
     const provider = String(req.query.provider || req.body?.provider || "openai").toLowerCase();
     const settings = getEffectiveSettings(req.body?.settings || {});
-    const ai = settings.ai || {};
-
-    // allow keys/bases to come from settings or env
-    const get = (k) => (ai && ai[k]) || (settings && settings[k]) || "";
-    const openaiKey = get("openai_key") || process.env.OPENAI_API_KEY || settings?.openai_key || "";
-    const openaiBase = (get("openai_base") || process.env.OPENAI_BASE || "https://api.openai.com").replace(/\/$/,"");
-
-    const mistralKey = get("mistral_key") || process.env.MISTRAL_API_KEY || "";
-    const mistralBase =
-      (get("mistral_base") || process.env.MISTRAL_BASE || process.env.MISTRAL_BASE_URL || "https://api.mistral.ai").replace(/\/$/,"");
-
-    const anthropicKey = get("anthropic_key") || process.env.ANTHROPIC_API_KEY || "";
-    const anthropicBase = (get("anthropic_base") || process.env.ANTHROPIC_BASE || "https://api.anthropic.com").replace(/\/$/,"");
-
-    const geminiKey = get("gemini_key") || process.env.GEMINI_API_KEY || "";
-    const geminiBase = (get("gemini_base") || process.env.GEMINI_BASE || "https://generativelanguage.googleapis.com").replace(/\/$/,"");
-
-    const watsonxKey = get("watsonx_api_key") || process.env.WATSONX_API_KEY || "";
-    const watsonxBase =
-      (get("watsonx_base") || (process.env.WATSONX_BASE || process.env.WATSONX_BASE_URL || "https://us-south.ml.cloud.ibm.com")).replace(/\/$/,"");
-    // Version dates are required by the watsonx.ai REST API; allow override via env.
-    const watsonxVersion = String(process.env.WATSONX_API_VERSION || process.env.WATSONX_VERSION || "2024-05-31").trim();
-
-    // Curated fallback lists (keeps UI usable even if provider blocks model listing)
-    const curated = {
-      openai: ["gpt-4o-mini","gpt-4.1-mini","gpt-4o","gpt-4.1"],
-      mistral: ["mistral-large-latest","mistral-small-latest","open-mistral-nemo"],
-      deepseek: ["deepseek-chat","deepseek-reasoner"],
-      anthropic: ["claude-3-5-sonnet-latest","claude-3-5-haiku-latest"],
-      gemini: ["gemini-2.0-flash","gemini-1.5-flash"],
-      watsonx: ["ibm/granite-3-8b-instruct","ibm/granite-13b-chat-v2"]
-    };
-
-
-    // ---- watsonx.ai (foundation models) ----
-    // List models via /ml/v1/foundation_model_specs (preferred) and fall back to curated list if unavailable.
-    // IBM docs: GET {watsonx_ai_url}/ml/v1/foundation_model_specs?version=YYYY-MM-DD
-    if (provider === "watsonx") {
-      if (!watsonxKey) return res.json({ models: curated.watsonx, warning: "Missing watsonx API key" });
-
-      try {
-        const bearer = await getWatsonxBearerToken(watsonxKey);
-        // watsonx can paginate foundation_model_specs. Fetch all pages best-effort.
-        const seenUrls = new Set();
-        let nextUrl = `${watsonxBase}/ml/v1/foundation_model_specs?version=${encodeURIComponent(watsonxVersion)}&limit=200`;
-        let pages = 0;
-        let j = null;
-
-        const fetchJson = async (url) => {
-          const r = await fetch(url, {
-            method: "GET",
-            headers: { "authorization": `Bearer ${bearer}`, "accept": "application/json" }
-          });
-          const raw = await r.text();
-          const ct = (r.headers.get("content-type") || "").toLowerCase();
-          let out = null;
-          if (ct.includes("application/json")) { try { out = JSON.parse(raw) } catch { out = null } }
-          return { r, raw, out };
-        };
-
-        const pageJsons = [];
-        while (nextUrl && pages < 10) {
-          if (seenUrls.has(nextUrl)) break;
-          seenUrls.add(nextUrl);
-          pages++;
-
-          const { r, raw, out } = await fetchJson(nextUrl);
-          if (!r.ok || !out) {
-            // If first page fails, fall back to curated. Otherwise keep what we already collected.
-            if (!pageJsons.length) {
-              return res.json({ models: curated.watsonx, warning: `watsonx foundation_model_specs failed (${r.status})`, detail: raw.slice(0, 200) });
-            }
-            break;
-          }
-          pageJsons.push(out);
-
-          // Discover next page URL across common shapes.
-          const n = out?.next || out?.pagination?.next || out?.page?.next || null;
-          const href = (typeof n === "string") ? n : (typeof n?.href === "string" ? n.href : null);
-          if (!href) { nextUrl = null; break; }
-          if (/^https?:\/\//i.test(href)) nextUrl = href;
-          else nextUrl = `${watsonxBase}${href.startsWith("/") ? "" : "/"}${href}`;
-        }
-
-        // Merge pages into one virtual JSON blob for extraction.
-        j = pageJsons.length === 1 ? pageJsons[0] : { resources: pageJsons.flatMap(p => Array.isArray(p?.resources) ? p.resources : []) };
-
-        // Extract model ids robustly (response shape can vary between environments).
-        const ids = new Set();
-        const maybeAdd = (v) => { if (typeof v === "string" && v.trim()) ids.add(v.trim()); };
-
-        const supportsTextGeneration = (obj) => {
-          // Best-effort: look for common task fields in the spec
-          const taskKeys = ["task_ids", "tasks", "supported_tasks", "task_id", "task"];
-          for (const k of taskKeys) {
-            const v = obj?.[k];
-            if (typeof v === "string" && /text[_-]?generation|generation/i.test(v)) return true;
-            if (Array.isArray(v) && v.some(x => typeof x === "string" && /text[_-]?generation|generation/i.test(x))) return true;
-          }
-          return false; // unknown
-        };
-
-        const walk = (node) => {
-          if (!node) return;
-          if (Array.isArray(node)) { node.forEach(walk); return; }
-          if (typeof node !== "object") return;
-
-          // Common top-level: { resources: [ { model_id, ... } ] }
-          if (Array.isArray(node.resources)) node.resources.forEach(walk);
-
-          // If object has model_id, decide whether to include it
-          if (typeof node.model_id === "string") {
-            // If task info exists and suggests non-text-generation, skip; otherwise include.
-            const hasTaskInfo = ["task_ids","tasks","supported_tasks","task_id","task"].some(k => node[k] != null);
-            if (!hasTaskInfo || supportsTextGeneration(node)) maybeAdd(node.model_id);
-          }
-
-          // Recurse through all fields
-          for (const v of Object.values(node)) walk(v);
-        };
-
-        walk(j);
-
-        const out = Array.from(ids);
-        out.sort();
-
-        return res.json({ models: out.length ? out : curated.watsonx, ...(out.length ? {} : { warning: "No watsonx models found; using curated fallback" }) });
-      } catch (e) {
-        return res.json({ models: curated.watsonx, warning: "watsonx model listing failed; using curated fallback", detail: String(e).slice(0, 200) });
-      }
-    }
-
-    // ---- OpenAI (and OpenAI-base compatible endpoints that support /v1/models) ----
-    if (provider === "openai" && openaiKey) {
-      const r = await fetch(`${openaiBase}/v1/models`, {
-        headers: { "authorization": `Bearer ${openaiKey}` }
-      });
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      const raw = await r.text();
-      if (!r.ok) {
-        return res.json({ models: curated.openai, warning: `OpenAI /v1/models failed (${r.status})`, detail: raw.slice(0,200) });
-      }
-      if (ct.includes("application/json")) {
-        const j = JSON.parse(raw);
-        const ids = Array.from(new Set((j?.data || []).map(x => x.id).filter(Boolean)));
-        // Best-effort filter for chat/LLM models while keeping the full set available.
-        const llm = ids
-          .filter(id => !/(embedding|embed|moderation|whisper|tts|audio\/|realtime\/|image|dall-e|transcribe)/i.test(id))
-          .filter(id => /(gpt|^o\d|chat|ft:)/i.test(id));
-        const out = (llm.length ? llm : ids).slice();
-        out.sort();
-        return res.json({ models: out.length ? out : curated.openai });
-      }
-      return res.json({ models: curated.openai, warning: "OpenAI returned non-JSON model list" });
-    }
-
-    // ---- Mistral ----
-    if (provider === "mistral") {
-      if (!mistralKey) return res.json({ models: curated.mistral, warning: "Missing Mistral API key" });
-
-      // Mistral's API base is https://api.mistral.ai (the /v1 is added per endpoint)
-      const r = await fetch(`${mistralBase}/v1/models`, {
-        headers: { "authorization": `Bearer ${mistralKey}`, "accept": "application/json" }
-      });
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      const raw = await r.text();
-      if (!r.ok) {
-        return res.json({ models: curated.mistral, warning: `Mistral /v1/models failed (${r.status})`, detail: raw.slice(0,200) });
-      }
-      if (!ct.includes("application/json")) {
-        return res.json({ models: curated.mistral, warning: "Mistral returned non-JSON model list" });
-      }
-      const j = JSON.parse(raw);
-      const ids = (j?.data || []).map(x => x.id).filter(Boolean);
-
-      // Best-effort filter for chat-capable models; avoid embeddings, rerankers, etc.
-      const filtered = ids
-        .filter(id => /(mistral|codestral|magistral|open-)/i.test(id))
-        .filter(id => !/(embed|embedding|rerank|moderation)/i.test(id))
-        .slice(0,200);
-
-      return res.json({ models: filtered.length ? filtered : curated.mistral });
-    }
-
-    // ---- Anthropic ----
-    if (provider === "anthropic") {
-      if (!anthropicKey) return res.json({ models: curated.anthropic, warning: "Missing Anthropic API key" });
-
-      const r = await fetch(`${anthropicBase}/v1/models`, {
-        headers: {
-          "x-api-key": anthropicKey,
-          "anthropic-version": "2023-06-01",
-          "accept": "application/json"
-        }
-      });
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      const raw = await r.text();
-      if (!r.ok) {
-        return res.json({ models: curated.anthropic, warning: `Anthropic /v1/models failed (${r.status})`, detail: raw.slice(0,200) });
-      }
-      if (!ct.includes("application/json")) {
-        return res.json({ models: curated.anthropic, warning: "Anthropic returned non-JSON model list" });
-      }
-      const j = JSON.parse(raw);
-      const ids = (j?.data || []).map(x => x.id).filter(Boolean);
-      const filtered = ids.filter(id => /^claude/i.test(id)).slice(0,200);
-      return res.json({ models: filtered.length ? filtered : curated.anthropic });
-    }
-
-    // ---- Gemini (Generative Language API) ----
-    if (provider === "gemini") {
-      if (!geminiKey) return res.json({ models: curated.gemini, warning: "Missing Gemini API key" });
-
-      // models.list: filters to models that support generateContent
-      const r = await fetch(`${geminiBase}/v1beta/models?key=${encodeURIComponent(geminiKey)}`, {
-        headers: { "accept": "application/json" }
-      });
-      const ct = (r.headers.get("content-type") || "").toLowerCase();
-      const raw = await r.text();
-      if (!r.ok) {
-        return res.json({ models: curated.gemini, warning: `Gemini models.list failed (${r.status})`, detail: raw.slice(0,200) });
-      }
-      if (!ct.includes("application/json")) {
-        return res.json({ models: curated.gemini, warning: "Gemini returned non-JSON model list" });
-      }
-      const j = JSON.parse(raw);
-      const models = (j?.models || []).filter(Boolean);
-
-      // Keep only models that support generateContent and normalize names ("models/gemini-..." -> "gemini-...")
-      const ids = models
-        .filter(m => (m?.supportedGenerationMethods || []).includes("generateContent"))
-        .map(m => String(m?.name || "").replace(/^models\//, ""))
-        .filter(Boolean);
-
-      // Filter out non-chat models (embeddings etc.) best-effort
-      const filtered = ids
-        .filter(id => /gemini/i.test(id))
-        .filter(id => !/(embed|embedding)/i.test(id))
-        .slice(0,200);
-
-      return res.json({ models: filtered.length ? filtered : curated.gemini });
-    }
-
-    // Other providers: fall back to curated list (keeps UI usable)
-    return res.json({ models: curated[provider] || curated.openai });
+    return res.json(await listProviderModels(provider, settings));
   } catch (e) {
     return res.json({ models: ["gpt-4o-mini"], warning: String(e?.message || e) });
   }
@@ -2671,9 +2291,12 @@ app.post("/api/maximo/query", async (req, res) => {
 
     // Normalize MCP responses into the UI contract: {summary, table?, trace?}
     if (j?.kind === "aggregate") {
+      // Grouped aggregates come back as a table (group columns + metrics) that the UI charts;
+      // the bullet breakdown is only for callers without one.
+      const grouped = Array.isArray(j.table?.rows) && Array.isArray(j.aggregate?.groupBy) && j.aggregate.groupBy.length;
       const lines = [];
       if (j.summary) lines.push(String(j.summary));
-      if (Array.isArray(j.detail) && j.detail.length) {
+      if (!grouped && Array.isArray(j.detail) && j.detail.length) {
         lines.push("\nBreakdown (top):");
         for (const it of j.detail.slice(0, 25)) {
           lines.push(`- ${String(it.group)}: ${String(it.count)}`);
@@ -2681,15 +2304,15 @@ app.post("/api/maximo/query", async (req, res) => {
       }
       return res.json({
         summary: lines.join("\n"),
-        table: null,
-        trace: { tool: "maximo_queryOS", tenant, args, ...(settings?.debug?.nlq && j?._nlq ? { nlq: j._nlq } : {}) },
+        table: grouped ? { title: `${String(j?._mcp?.query?.os || "Results").toUpperCase()} (aggregate)`, columns: j.table.columns || [], rows: j.table.rows, aggregate: j.table.aggregate } : null,
+        trace: { tool: "maximo_queryOS", tenant, args, ...(j?._mcp?.query ? { query: j._mcp.query } : {}), ...(settings?.debug?.nlq && j?._nlq ? { nlq: j._nlq } : {}) },
       });
     }
     if (j?.kind === "related_list" && j.table) {
       return res.json({
         summary: String(j.summary || `Found related records (${String(j.relation || "")} )`),
         table: { title: String(j.relation || "Related").toUpperCase(), columns: j.table.columns || [], rows: j.table.rows || [] },
-        trace: { tool: "maximo_queryOS", tenant, args, ...(settings?.debug?.nlq && j?._nlq ? { nlq: j._nlq } : {}) },
+        trace: { tool: "maximo_queryOS", tenant, args, ...(j?._mcp?.query ? { query: j._mcp.query } : {}), ...(settings?.debug?.nlq && j?._nlq ? { nlq: j._nlq } : {}) },
       });
     }
 
@@ -2699,7 +2322,7 @@ app.post("/api/maximo/query", async (req, res) => {
     return res.json({
       summary: `Found ${rows.length} record(s) from ${title}.`,
       table: { title, columns, rows },
-      trace: { tool: "maximo_queryOS", tenant, args, ...(settings?.debug?.nlq && j?._nlq ? { nlq: j._nlq } : {}) },
+      trace: { tool: "maximo_queryOS", tenant, args, ...(j?._mcp?.query ? { query: j._mcp.query } : {}), ...(settings?.debug?.nlq && j?._nlq ? { nlq: j._nlq } : {}) },
     });
   } catch (e) {
     return res.status(500).json({ error:"maximo_query_failed", detail:String(e?.message || e) });
@@ -2708,4 +2331,21 @@ app.post("/api/maximo/query", async (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`app listening on :${PORT}`);
-});
\ No newline at end of file
+});
+
+// Token usage goes to the MCP server's ledger (priced and charted there); see usage.mjs.
+loadTokenizer();
+startUsageReporter({
+  mcpBase: () => normalizeMcpBaseUrl(getEffectiveSettings({}).mcp?.url),
+  token: MCP_INTERNAL_TOKEN,
+});
+
+// Cron loop for scheduled queries. Run it on one replica only (SCHEDULER_ENABLED=0 on the others).
+if (!/^(0|false|off)$/i.test(String(process.env.SCHEDULER_ENABLED || ""))) {
+  startScheduler({
+    dir: SCHEDULES_DIR,
+    tickMs: Number(process.env.SCHEDULER_TICK_MS || 30000),
+    runOne: (s) => runSchedule(SCHEDULES_DIR, s, scheduleDeps(), { trigger: "cron" }),
+    onError: (e) => console.error("scheduler:", String(e?.message || e)),
+  });
+}
\ No newline at end of file
@@ -0,0 +1,55 @@
+// Provider-agnostic multi-step tool calling for /api/agent/chat.
+//
+// The loop works on a neutral transcript:
+//   { role: "system" | "user", content }
+//   { role: "assistant", content, toolCalls: [{ id, name, args }] }
+//   { role: "tool", toolCallId, name, content }
+// Provider adapters (providers/*.mjs) translate it to the native wire format and back; a step is
+// usually toolStep() from providers/index.mjs.
+//
+// Tools come in OpenAI shape ({ type: "function", function: { name, description, parameters } }),
+// i.e. normalizeToolDef() over the MCP server's /mcp/tools (mcpToolsForTenant()).
+
+function clip(s, n) {
+  const str = String(s ?? "");
+  return str.length > n ? str.slice(0, n) + "\n...[truncated]" : str;
+}
+
+/**
+ * Run model -> tools -> model until the model answers without tool calls or maxSteps is reached.
+ *
+ *   step         async (transcript, tools) => { text, toolCalls: [{ id, name, args }], usage }
+ *   messages     initial neutral transcript (system, history, user)
+ *   tools        OpenAI-shaped tool list
+ *   executeTool  async ({ id, name, args }) => result fed back to the model (object or string)
+ *   maxSteps     model round-trips allowed (each may request several tool calls)
+ *
+ * Returns { reply, stopped: "final" | "max_steps", steps: [{ step, tool, args, ms, ok }], transcript }.
+ */
+export async function runToolLoop({ step, messages, tools, executeTool, maxSteps = 6, maxResultChars = 60000 }) {
+  const transcript = messages.slice();
+  const steps = [];
+  const limit = Math.max(1, Number(maxSteps) || 1);
+  for (let i = 0; i < limit; i++) {
+    const out = await step(transcript, tools);
+    const calls = Array.isArray(out?.toolCalls) ? out.toolCalls : [];
+    if (!calls.length) return { reply: String(out?.text || ""), stopped: "final", steps, transcript };
+
+    transcript.push({ role: "assistant", content: String(out?.text || ""), toolCalls: calls });
+    for (const c of calls) {
+      const t0 = Date.now();
+      let result;
+      let ok = true;
+      try {
+        result = await executeTool(c);
+      } catch (e) {
+        ok = false;
+        result = { error: "tool_failed", detail: String(e?.message || e) };
+      }
+      const content = typeof result === "string" ? result : JSON.stringify(result ?? null);
+      transcript.push({ role: "tool", toolCallId: c.id, name: c.name, content: clip(content, maxResultChars) });
+      steps.push({ step: i + 1, tool: c.name, args: c.args, ms: Date.now() - t0, ok });
+    }
+  }
+  return { reply: "", stopped: "max_steps", steps, transcript };
+}
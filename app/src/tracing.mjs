@@ -0,0 +1,202 @@
+// app/src/tracing.mjs
+// OpenTelemetry tracing for the app: spans for inbound /api requests, each LLM call and each call to the
+// MCP server, exported over OTLP/HTTP to a collector.
+//
+// fetchWithTimeout() (server.mjs) adds W3C trace context (`traceparent`) to its requests; the MCP server
+// (mcp-server/tracing.mjs, same API) continues it, so one chat turn is one trace: LLM call -> /mcp/call -> Maximo.
+//
+// Env (standard OpenTelemetry names):
+//   OTEL_TRACES_EXPORTER   otlp | console | memory | none
+//                          default: otlp when an OTLP endpoint is set, otherwise none (tracing off)
+//   OTEL_EXPORTER_OTLP_ENDPOINT, OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, OTEL_EXPORTER_OTLP_HEADERS
+//   OTEL_SERVICE_NAME      default: the serviceName passed to initTracing()
+//   OTEL_SDK_DISABLED=true turns tracing off
+//   OTEL_MEMORY_SPANS      spans kept by the memory exporter (default 2000)
+// `memory` keeps finished spans in process (finishedSpans()): an in-process exporter for tests/debugging.
+//
+// Usage:
+//   initTracing({ serviceName: "maximo-ai-agent-app" });      // once, at startup
+//   app.use(requestSpan());                                   // after the body parser; server span per request
+//   await withSpan("llm.complete", { "gen_ai.system": id }, async (span) => { ... });
+//   fetch(url, { headers: injectTraceHeaders({ ...headers }) });
+// Until initTracing() enables an exporter the helpers only cost a no-op span.
+
+import { trace, context, propagation, SpanKind, SpanStatusCode } from "@opentelemetry/api";
+import { NodeTracerProvider, BatchSpanProcessor, SimpleSpanProcessor, ConsoleSpanExporter } from "@opentelemetry/sdk-trace-node";
+import { OTLPTraceExporter } from "@opentelemetry/exporter-trace-otlp-http";
+import { resourceFromAttributes } from "@opentelemetry/resources";
+
+export { SpanKind };
+
+export const TRACE_EXPORTERS = ["otlp", "console", "memory", "none"];
+
+let state = { enabled: false, exporter: "none", serviceName: "", provider: null, memory: null };
+
+// Bounded in-process exporter (SpanExporter interface; 0 = ExportResultCode.SUCCESS).
+function memoryExporter(max) {
+  const spans = [];
+  return {
+    spans,
+    export(batch, done) {
+      spans.push(...batch);
+      if (spans.length > max) spans.splice(0, spans.length - max);
+      done({ code: 0 });
+    },
+    async shutdown() {},
+    async forceFlush() {},
+  };
+}
+
+function exporterKind(exporter) {
+  if (exporter && typeof exporter === "object") return "custom";
+  if (String(process.env.OTEL_SDK_DISABLED || "").trim().toLowerCase() === "true") return "none";
+  const fromEnv = String(exporter || process.env.OTEL_TRACES_EXPORTER || "").trim().toLowerCase();
+  if (fromEnv) return fromEnv;
+  return process.env.OTEL_EXPORTER_OTLP_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ? "otlp" : "none";
+}
+
+/**
+ * Register the global tracer provider. `exporter` overrides OTEL_TRACES_EXPORTER: one of TRACE_EXPORTERS,
+ * or a SpanExporter instance (exported synchronously, e.g. an InMemorySpanExporter in a test).
+ * Idempotent; an unknown exporter name logs and leaves tracing off.
+ */
+export function initTracing({ serviceName = "maximo-ai-agent-app", exporter } = {}) {
+  if (state.provider) return tracingInfo();
+  const kind = exporterKind(exporter);
+  if (kind === "none") return tracingInfo();
+
+  let processor;
+  let memory = null;
+  if (kind === "custom") processor = new SimpleSpanProcessor(exporter);
+  else if (kind === "memory") {
+    memory = memoryExporter(Math.max(1, Number(process.env.OTEL_MEMORY_SPANS) || 2000));
+    processor = new SimpleSpanProcessor(memory);
+  } else if (kind === "console") processor = new SimpleSpanProcessor(new ConsoleSpanExporter());
+  else if (kind === "otlp") processor = new BatchSpanProcessor(new OTLPTraceExporter());
+  else {
+    console.error(`tracing: unknown OTEL_TRACES_EXPORTER "${kind}" (expected ${TRACE_EXPORTERS.join(", ")}); tracing disabled`);
+    return tracingInfo();
+  }
+
+  const name = String(process.env.OTEL_SERVICE_NAME || serviceName).trim() || serviceName;
+  const provider = new NodeTracerProvider({ resource: resourceFromAttributes({ "service.name": name }), spanProcessors: [processor] });
+  provider.register();
+  state = { enabled: true, exporter: kind, serviceName: name, provider, memory };
+  return tracingInfo();
+}
+
+/** Flush pending spans (call before exit). */
+export async function shutdownTracing() {
+  if (!state.provider) return;
+  try { await state.provider.shutdown(); } catch {}
+}
+
+export function tracingInfo() {
+  return { enabled: state.enabled, exporter: state.exporter, serviceName: state.serviceName || null };
+}
+
+function tracer() {
+  return trace.getTracer(state.serviceName || "maximo-ai-agent-app");
+}
+
+// Span attributes must be primitives; drop empty values instead of recording "undefined".
+function cleanAttributes(attrs) {
+  const out = {};
+  for (const [k, v] of Object.entries(attrs || {})) {
+    if (v === undefined || v === null || v === "") continue;
+    out[k] = typeof v === "number" || typeof v === "boolean" ? v : String(v);
+  }
+  return out;
+}
+
+/**
+ * Run fn(span) inside an active span. Thrown errors are recorded on the span (status ERROR) and rethrown;
+ * callers mark handled failures themselves with markSpanError().
+ */
+export async function withSpan(name, attributes, fn, { kind = SpanKind.INTERNAL } = {}) {
+  return tracer().startActiveSpan(name, { kind, attributes: cleanAttributes(attributes) }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (e) {
+      markSpanError(span, e);
+      throw e;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+export function markSpanError(span, err) {
+  if (!span) return;
+  if (err instanceof Error) span.recordException(err);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: String(err?.message || err || "error").slice(0, 500) });
+}
+
+export function setSpanAttributes(span, attributes) {
+  if (span) span.setAttributes(cleanAttributes(attributes));
+}
+
+/** Add W3C trace context (traceparent/tracestate) for the active span to a plain headers object. */
+export function injectTraceHeaders(headers = {}) {
+  propagation.inject(context.active(), headers);
+  return headers;
+}
+
+/** Trace id of the active span ("" when there is none or tracing is off). */
+export function currentTraceId() {
+  if (!state.enabled) return "";
+  const sc = trace.getActiveSpan()?.spanContext();
+  return sc && trace.isSpanContextValid(sc) ? sc.traceId : "";
+}
+
+/**
+ * Express middleware: one SERVER span per request, continuing the caller's trace from `traceparent`.
+ * Mount it after express.json(): the body parser's stream callbacks would otherwise drop the context.
+ * Only paths matching `include` are traced (default /api and /mcp; static assets and probes are skipped).
+ */
+export function requestSpan({ include = /^\/(api|mcp)(\/|$)/ } = {}) {
+  return (req, res, next) => {
+    if (!state.enabled || !include.test(req.path)) return next();
+    const parent = propagation.extract(context.active(), req.headers);
+    const span = tracer().startSpan(
+      `${req.method} ${req.path}`,
+      { kind: SpanKind.SERVER, attributes: cleanAttributes({ "http.request.method": req.method, "url.path": req.path }) },
+      parent
+    );
+    let ended = false;
+    const end = () => {
+      if (ended) return;
+      ended = true;
+      span.setAttribute("http.response.status_code", res.statusCode);
+      if (res.statusCode >= 500) span.setStatus({ code: SpanStatusCode.ERROR });
+      span.end();
+    };
+    res.on("finish", end);
+    res.on("close", end);
+    context.with(trace.setSpan(parent, span), next);
+  };
+}
+
+/**
+ * Spans kept by the memory exporter, oldest first: [{ traceId, spanId, parentSpanId, name, kind, startTime,
+ * durationMs, status, attributes }]. Returns null when the memory exporter is not active.
+ */
+export function finishedSpans({ traceId, limit = 500 } = {}) {
+  if (!state.memory) return null;
+  const all = state.memory.spans.filter((s) => !traceId || s.spanContext().traceId === traceId);
+  return all.slice(-Math.max(1, Number(limit) || 500)).map((s) => ({
+    traceId: s.spanContext().traceId,
+    spanId: s.spanContext().spanId,
+    parentSpanId: s.parentSpanContext?.spanId || s.parentSpanId || null,
+    name: s.name,
+    kind: SpanKind[s.kind] || s.kind,
+    startTime: new Date(s.startTime[0] * 1000 + s.startTime[1] / 1e6).toISOString(),
+    durationMs: Math.round((s.duration[0] * 1000 + s.duration[1] / 1e6) * 100) / 100,
+    status: s.status?.code === SpanStatusCode.ERROR ? "error" : "ok",
+    attributes: s.attributes,
+  }));
+}
+
+export function clearFinishedSpans() {
+  if (state.memory) state.memory.spans.length = 0;
+}
@@ -0,0 +1,133 @@
+// app/src/usage.mjs
+// Token usage reporting: every LLM call's usage goes to the MCP server's ledger (POST /api/usage), where it is
+// priced per tenant / user / model and charted on the MCP Dashboard.
+//
+//   app.use("/api/agent", usageContext(req => tenant))   // who/which tenant the calls in this request belong to
+//   recordLlmUsage({ provider, model, operation, usage, messages, text })   // from providers/index.mjs
+//   startUsageReporter({ mcpBase: () => url, token })    // batches records to the MCP server
+//
+// usage is the adapter's normalized { inputTokens, outputTokens }. When the provider reports none, the tokens are
+// estimated locally (flagged `estimated`): with TOKENIZER=local through the optional gpt-tokenizer package,
+// otherwise bytes ÷ 4. USAGE_ESTIMATE=false records only provider-reported usage.
+//
+// Records are queued in memory (USAGE_QUEUE_MAX, default 5000, oldest dropped first) and flushed every
+// USAGE_FLUSH_MS (default 5000); a failed flush keeps them for the next attempt.
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
+import fetch from "node-fetch";
+
+const scope = new AsyncLocalStorage();
+const queue = [];
+const QUEUE_MAX = Number(process.env.USAGE_QUEUE_MAX || 5000);
+const FLUSH_MS = Number(process.env.USAGE_FLUSH_MS || 5000);
+const BATCH = 500;
+const ESTIMATE = String(process.env.USAGE_ESTIMATE || "true").trim().toLowerCase() !== "false";
+const TOKENIZER_MAX_CHARS = Number(process.env.TOKENIZER_MAX_CHARS || 200000);
+
+let tokenizer = null;
+
+/** Load the local tokenizer when TOKENIZER=local (estimates fall back to bytes ÷ 4 without it). */
+export async function loadTokenizer(mode = process.env.TOKENIZER) {
+  if (String(mode || "").trim().toLowerCase() !== "local" || tokenizer) return !!tokenizer;
+  try {
+    const mod = await import("gpt-tokenizer");
+    tokenizer = typeof mod.countTokens === "function" ? mod.countTokens : null;
+  } catch (e) {
+    console.error(`tokenizer: gpt-tokenizer not available (${String(e?.message || e).slice(0, 120)}); using bytes ÷ 4`);
+  }
+  return !!tokenizer;
+}
+
+export function estimateTokens(text) {
+  const s = typeof text === "string" ? text : text == null ? "" : JSON.stringify(text);
+  if (!s) return 0;
+  if (tokenizer && s.length <= TOKENIZER_MAX_CHARS) {
+    try { return tokenizer(s); } catch {}
+  }
+  return Math.round(Buffer.byteLength(s) / 4);
+}
+
+// Prompt text of a neutral transcript (tool-loop.mjs shape): message contents plus tool calls/results.
+function transcriptText(messages) {
+  return (Array.isArray(messages) ? messages : [])
+    .map((m) => [m?.content, m?.toolCalls ? JSON.stringify(m.toolCalls) : "", m?.result ? JSON.stringify(m.result) : ""].filter(Boolean).join("\n"))
+    .join("\n");
+}
+
+/**
+ * Express middleware: the request's LLM calls are attributed to req.user and resolveTenant(req).
+ * The scope also carries a chatId that limits.mjs sends with the request's MCP calls.
+ */
+export function usageContext(resolveTenant) {
+  return (req, _res, next) => {
+    let tenant = "default";
+    try { tenant = String(resolveTenant(req) || "default"); } catch {}
+    scope.run({
+      user: String(req.user?.username || ""),
+      tenant,
+      conversationId: String(req.body?.conversationId || ""),
+      chatId: crypto.randomUUID(),
+    }, next);
+  };
+}
+
+/** { user, tenant, conversationId, chatId } of the agent request being handled (null outside one). */
+export function usageScope() {
+  return scope.getStore() || null;
+}
+
+export function recordLlmUsage({ provider, model, operation, usage, messages, text, toolCalls }) {
+  const reported = usage && (Number.isFinite(usage.inputTokens) || Number.isFinite(usage.outputTokens));
+  if (!reported && !ESTIMATE) return;
+  const ctx = scope.getStore() || {};
+  const rec = {
+    ts: Date.now(),
+    tenant: ctx.tenant || "default",
+    user: ctx.user || "",
+    provider,
+    model: model || "default",
+    operation,
+    inputTokens: reported ? Number(usage.inputTokens) || 0 : estimateTokens(transcriptText(messages)),
+    outputTokens: reported ? Number(usage.outputTokens) || 0 : estimateTokens([text || "", toolCalls?.length ? JSON.stringify(toolCalls) : ""].join("")),
+    estimated: !reported,
+    ...(ctx.conversationId ? { conversationId: ctx.conversationId } : {}),
+  };
+  queue.push(rec);
+  if (queue.length > QUEUE_MAX) queue.splice(0, queue.length - QUEUE_MAX);
+}
+
+/** Periodically POST queued records to `${mcpBase()}/api/usage` (x-internal-token). */
+export function startUsageReporter({ mcpBase, token }) {
+  let busy = false;
+  const flush = async () => {
+    if (busy || !queue.length) return;
+    const base = mcpBase();
+    if (!base) return;
+    busy = true;
+    try {
+      while (queue.length) {
+        const batch = queue.slice(0, BATCH);
+        const r = await fetch(`${base}/api/usage`, {
+          method: "POST",
+          headers: { "content-type": "application/json", ...(token ? { "x-internal-token": token } : {}) },
+          body: JSON.stringify({ records: batch }),
+        });
+        if (r.status === 400) {
+          // A malformed batch would block the queue forever: drop it.
+          console.error("usage report rejected:", (await r.text()).slice(0, 300));
+        } else if (!r.ok) {
+          throw new Error(`POST /api/usage ${r.status}`);
+        }
+        queue.splice(0, batch.length);
+      }
+    } catch (e) {
+      console.error("usage report failed (will retry):", String(e?.message || e));
+    } finally {
+      busy = false;
+    }
+  };
+  const timer = setInterval(flush, FLUSH_MS);
+  timer.unref?.();
+  return { flush, stop: () => clearInterval(timer) };
+}
@@ -7,8 +7,10 @@ import {
   InlineNotification, InlineLoading, TextInput, Toggle, CodeSnippet,
   SideNav, SideNavItems, SideNavLink
 } from '@carbon/react'
-import { Chat, Settings, Menu, Information, Logout } from '@carbon/icons-react'
+import { Chat, Settings, Menu, Information, Logout, Time } from '@carbon/icons-react'
 import { BrowserRouter, Routes, Route, Navigate, useLocation, useNavigate } from 'react-router-dom'
+import { AggregateChart, aggregateChart, chartToPng } from './Charts.jsx'
+import { SchedulesPage } from './Schedules.jsx'
 import './overrides.css'
 
 // Optional (client-side) Excel export
@@ -111,6 +113,14 @@ const PROVIDERS = [
   { id:'watsonx', label:'IBM watsonx' },
   { id:'mistral', label:'Mistral' },
   { id:'deepseek', label:'DeepSeek' },
+  { id:'local', label:'Local (Ollama / OpenAI-compatible)' },
+]
+
+// Local models differ in native tool calling; without it, agent mode falls back to tool-first NLQ.
+const LOCAL_TOOL_SUPPORT = [
+  { id:'auto', label:'Detect per model' },
+  { id:'on', label:'Supported' },
+  { id:'off', label:'Not supported (use tool-first NLQ)' },
 ]
 
 // Default Object-Structure query presets used for the dynamic "queryOS" chips.
@@ -209,12 +219,21 @@ const DEFAULT_SETTINGS = {
     querySynonyms: {},
   },
   ai: { provider: 'openai', model: 'gpt-4o-mini', system: '', temperature: 0.7 },
-  mcp: { enableTools: false, url: '' },
+  mcp: { enableTools: false, url: '', toolMode: 'nlq', maxToolSteps: 6 },
   results: {
     showReport: true,
     enableExcelDownload: true,
     enableOpenInMaximo: true,
   },
+  // PDF report template (/api/pdf). Templates take {company} {title} {tenant} {site} {os} {date} {timestamp}.
+  reports: {
+    companyName: '',
+    logo: '',
+    headerTemplate: '{company}',
+    footerTemplate: '{title} · {tenant} · {site}',
+  },
+  // Outbound mail for scheduled digests (app/src/delivery.mjs). security: none | starttls | tls.
+  smtp: { host: '', port: 25, security: 'none', user: '', password: '', from: '' },
   maximoUi: {
     // Per-OS overrides. Template supports: {baseUrl} {os} {id} {field}
     // Example: "{baseUrl}/maximo/ui/?event=loadapp&value={id}&app=wotrack"
@@ -223,6 +242,12 @@ const DEFAULT_SETTINGS = {
   avatars: { default: '', user: '', openai: '', anthropic: '', gemini: '', watsonx: '', mistral: '', deepseek: '' },
 }
 
+// How manual prompts are answered when MCP tools are enabled (server: settings.mcp.toolMode).
+const TOOL_MODES = [
+  { id: 'nlq', label: 'Tool-first NLQ (MCP resolves the query)' },
+  { id: 'agent', label: 'Agent (model plans multi-step tool calls)' },
+]
+
 const ACTION_PROMPTS = [
   { id: 'create_wo', label: 'Create WO', action: 'create_wo', kind: 'danger' },
   { id: 'create_sr', label: 'Create SR', action: 'create_sr', kind: 'danger' },
@@ -287,6 +312,8 @@ function normalizeSettings(s) {
     ai: { ...DEFAULT_SETTINGS.ai, ...(src.ai || {}) },
     mcp: { ...DEFAULT_SETTINGS.mcp, ...(src.mcp || {}) },
     results: { ...DEFAULT_SETTINGS.results, ...(src.results || {}) },
+    reports: { ...DEFAULT_SETTINGS.reports, ...(src.reports || {}) },
+    smtp: { ...DEFAULT_SETTINGS.smtp, ...(src.smtp || {}) },
     maximoUi: { ...DEFAULT_SETTINGS.maximoUi, ...(src.maximoUi || {}) },
     avatars: { ...DEFAULT_SETTINGS.avatars, ...(src.avatars || {}) },
   }
@@ -305,16 +332,106 @@ function loadSettings() {
 function persistSettings(v) { try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(v)) } catch {} }
 
 
-async function apiAgentChat(payload) {
-  const r = await fetch('/api/agent/chat', { method:'POST', headers:{'content-type':'application/json'}, credentials:'include', body: JSON.stringify(payload) })
+// /api/agent/chat in streaming mode: the server sends progress/token events (SSE) and a final event
+// carrying the single-JSON response. onEvent(event, data) sees every status/token event.
+async function apiAgentChatStream(payload, onEvent) {
+  const r = await fetch('/api/agent/chat', {
+    method:'POST',
+    headers:{ 'content-type':'application/json', accept:'text/event-stream' },
+    credentials:'include',
+    body: JSON.stringify({ ...payload, stream: true })
+  })
+  const ct = String(r.headers.get('content-type') || '').toLowerCase()
+  if (!r.ok || !ct.includes('text/event-stream') || !r.body?.getReader) {
+    // Errors (and servers without streaming support) answer with plain JSON.
+    const raw = await r.text()
+    let j=null; try{ j=JSON.parse(raw) }catch{}
+    if(!r.ok) {
+      const detail = (j && (j.detail || j.error)) ? (j.detail || j.error) : (raw || `HTTP ${r.status}`)
+      throw new Error(`HTTP ${r.status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`)
+    }
+    if(!j) throw new Error(`Unexpected response (not JSON): ${raw.slice(0,200)}`)
+    return j
+  }
+
+  const reader = r.body.getReader()
+  const decoder = new TextDecoder()
+  let buf = ''
+  let final = null
+  const handle = (block) => {
+    let event = 'message'
+    const data = []
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith('event:')) event = line.slice(6).trim()
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''))
+    }
+    if (!data.length) return
+    let j=null; try{ j=JSON.parse(data.join('\n')) }catch{ return }
+    if (event === 'final') final = j
+    else onEvent?.(event, j)
+  }
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buf += decoder.decode(value, { stream: true })
+    let m
+    while ((m = /\r?\n\r?\n/.exec(buf))) {
+      handle(buf.slice(0, m.index))
+      buf = buf.slice(m.index + m[0].length)
+    }
+  }
+  if (buf.trim()) handle(buf)
+  if (!final) throw new Error('Stream ended without a final response')
+  return final
+}
+
+// Human-readable line for a streaming status event (shown while the reply is in flight).
+function streamStatusText(ev) {
+  const stage = String(ev?.stage || '')
+  if (stage === 'maximo_request') return `Querying Maximo${ev.os ? ` (${ev.os})` : ''}…`
+  if (stage === 'nlq_resolved') return `Resolved ${ev.os}${ev.where ? ` where ${ev.where}` : ''}`
+  if (stage === 'rows_received') return `${ev.rowCount} row(s) received`
+  if (stage === 'llm_started') return 'Writing reply…'
+  if (stage === 'approval_required') return `${ev.tool || 'Write'} is waiting for approval`
+  return stage
+}
+
+// Write approvals (proxied to the MCP server). action: '' (read), 'edit', 'approve' or 'reject'.
+async function apiApproval(id, action, payload = {}) {
+  const path = `/api/approvals/${encodeURIComponent(id)}${action === 'approve' || action === 'reject' ? `/${action}` : ''}`
+  const r = await fetch(path, {
+    method: action === 'edit' ? 'PUT' : 'POST',
+    headers:{ 'content-type':'application/json' },
+    credentials:'include',
+    body: JSON.stringify(payload)
+  })
   const raw = await r.text()
   let j=null; try{ j=JSON.parse(raw) }catch{}
-	if(!r.ok) {
-	  const detail = (j && (j.detail || j.error)) ? (j.detail || j.error) : (raw || `HTTP ${r.status}`)
-	  const msg = typeof detail === 'string' ? detail : JSON.stringify(detail)
-	  const name = (j && j.name) ? ` (${j.name})` : ''
-	  throw new Error(`HTTP ${r.status}: ${msg}${name}`)
-	}
+  if(!r.ok) {
+    const detail = (j && (j.detail || j.error)) ? (j.detail || j.error) : (raw || `HTTP ${r.status}`)
+    throw new Error(`HTTP ${r.status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`)
+  }
+  if(!j) throw new Error(`Unexpected response (not JSON): ${raw.slice(0,200)}`)
+  return j
+}
+
+// Explain: the last maximo_queryOS call of a trace, compiled in dry-run mode (no Maximo query).
+function explainTarget(trace) {
+  if (!trace || typeof trace !== 'object') return null
+  const isQuery = (tool) => tool === 'maximo_queryOS' || tool === 'maximo.queryOS'
+  if (isQuery(trace.tool) && trace.args) return { tenant: trace.tenant, args: trace.args }
+  const step = (Array.isArray(trace.steps) ? trace.steps : []).filter(s => isQuery(s?.tool) && s?.args).pop()
+  return step ? { tenant: trace.tenant, args: step.args } : null
+}
+
+async function apiExplain(payload) {
+  const r = await fetch('/api/agent/explain', { method:'POST', headers:{'content-type':'application/json'}, credentials:'include', body: JSON.stringify(payload) })
+  const raw = await r.text()
+  let j=null; try{ j=JSON.parse(raw) }catch{}
+  if(!r.ok) {
+    const detail = (j && (j.detail || j.error)) ? (j.detail || j.error) : (raw || `HTTP ${r.status}`)
+    throw new Error(`HTTP ${r.status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`)
+  }
   if(!j) throw new Error(`Unexpected response (not JSON): ${raw.slice(0,200)}`)
   return j
 }
@@ -347,16 +464,37 @@ async function apiFollowup(payload) {
   return j
 }
 
+// Where a result came from, for the PDF header block: the effective query the MCP server reported
+// (trace.query / intent trace.compiled) plus tenant and site.
+function reportProvenance(message, settings) {
+  const t = message?.trace || {}
+  const q = t.query || t.compiled || {}
+  return {
+    tenant: String(t.tenant || settings?.maximo?.defaultTenant || ''),
+    site: String(t.args?.site || settings?.maximo?.defaultSite || ''),
+    os: String(q.os || t.args?.os || guessOsFromTitle(message?.table) || ''),
+    where: String(q.where || t.args?.where || ''),
+  }
+}
+
 function safePdfFilename(name) {
   const s = String(name || '').trim() || 'ai-report'
   return s.replace(/[^a-zA-Z0-9._-]+/g, '_').replace(/_+/g,'_').slice(0, 80)
 }
 
-async function downloadPdfFromApi({ title, content, filename }) {
+// charts: [{ title, image }] with PNG data URLs (see chartToPng); table: { title, columns, rows };
+// provenance: { tenant, site, os, where } (see reportProvenance). settings carries the report template.
+async function downloadPdfFromApi({ title, content, filename, charts, table, provenance, settings }) {
   const r = await fetch('/api/pdf', {
     method: 'POST',
     headers: { 'content-type': 'application/json' },
-    body: JSON.stringify({ title, content, filename })
+    body: JSON.stringify({
+      title, content, filename,
+      ...(charts?.length ? { charts } : {}),
+      ...(table ? { table: { title: table.title || '', columns: table.columns || [], rows: table.rows || [] } } : {}),
+      ...(provenance ? { provenance } : {}),
+      settings,
+    })
   })
   if (!r.ok) {
     const t = await r.text()
@@ -373,6 +511,54 @@ async function downloadPdfFromApi({ title, content, filename }) {
   setTimeout(() => URL.revokeObjectURL(url), 1500)
 }
 
+// queryOS args to re-run a result for a server-side export: the original tool args when the result came
+// from maximo_queryOS, else the effective query the MCP server reported (trace.query / intent trace.compiled).
+function exportArgs(message) {
+  const t = message?.trace || {}
+  if (message?.table?.aggregate) return null
+  if (t.tool === 'maximo_queryOS' && t.args?.os) return t.args
+  const q = t.query || t.compiled || {}
+  if (!q.os) return null
+  return {
+    os: q.os,
+    ...(q.where ? { where: q.where } : {}),
+    ...(q.select ? { select: q.select } : {}),
+    ...(q.orderBy ? { orderBy: q.orderBy } : {}),
+  }
+}
+
+// format: csv | xlsx | jsonl. Returns { rows, total, truncated } from the export response headers.
+async function downloadExportFromApi({ message, settings, format, filename }) {
+  const args = exportArgs(message)
+  if (!args) throw new Error('This result cannot be re-run for export.')
+  const r = await fetch('/api/agent/export', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ tenant: message?.trace?.tenant || undefined, args, format, filename, settings })
+  })
+  if (!r.ok) {
+    const raw = await r.text()
+    let j = null; try { j = JSON.parse(raw) } catch {}
+    throw new Error((j && (j.detail || j.error)) || raw || `HTTP ${r.status}`)
+  }
+  const blob = await r.blob()
+  const cd = r.headers.get('content-disposition') || ''
+  const m = cd.match(/filename="([^"]+)"/)
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = m ? m[1] : `${safePdfFilename(filename || args.os)}.${format}`
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1500)
+  return {
+    rows: Number(r.headers.get('x-export-rows') || 0),
+    total: r.headers.get('x-export-total') ? Number(r.headers.get('x-export-total')) : null,
+    truncated: r.headers.get('x-export-truncated') === '1',
+  }
+}
+
 async function apiGetSettings() {
   const r = await fetch('/api/settings', { method:'GET', credentials:'include', cache:'no-store' })
   const raw = await r.text()
@@ -743,7 +929,7 @@ function downloadExcel({ table, message, settings }) {
   XLSX.writeFile(wb, fileName)
 }
 
-function FilterableTable({ table, settings, message }) {
+function FilterableTable({ table, settings, message, onDownloadPdf }) {
   const nt = useMemo(() => normalizeTable(table), [table])
   const [filters, setFilters] = useState({})
   useEffect(() => setFilters({}), [table?.title])
@@ -753,6 +939,22 @@ function FilterableTable({ table, settings, message }) {
   const canOpen = !!settings?.results?.enableOpenInMaximo
   const showReport = !!settings?.results?.showReport
   const report = useMemo(() => (showReport ? computeReport(table) : null), [table, showReport])
+  const canExport = !!exportArgs(message)
+  const [exporting, setExporting] = useState('')
+  const [exportNote, setExportNote] = useState(null)
+
+  const runExport = async (format) => {
+    setExporting(format)
+    setExportNote(null)
+    try {
+      const out = await downloadExportFromApi({ message, settings, format })
+      if (out.truncated) setExportNote({ kind: 'warning', text: `Exported the first ${out.rows}${out.total ? ` of ${out.total}` : ''} rows (export row cap reached).` })
+    } catch (e) {
+      setExportNote({ kind: 'error', text: `Export failed: ${String(e?.message || e)}` })
+    } finally {
+      setExporting('')
+    }
+  }
 
   const filteredRows = useMemo(() => {
     const entries = Object.entries(filters).filter(([,v]) => String(v||'').trim() !== '')
@@ -775,10 +977,23 @@ function FilterableTable({ table, settings, message }) {
             Download Excel
           </Button>
         ) : null}
+        {onDownloadPdf ? (
+          <Button size="sm" kind="ghost" onClick={() => onDownloadPdf({ title: table?.title || 'Results', filename: table?.title || 'results', content: message?.text || '', table, provenance: reportProvenance(message, settings) })}>
+            Download PDF
+          </Button>
+        ) : null}
+        {canExport ? ['csv', 'xlsx', 'jsonl'].map((f) => (
+          <Button key={f} size="sm" kind="ghost" disabled={!!exporting} onClick={() => runExport(f)}>
+            {exporting === f ? <InlineLoading description={`Exporting ${f.toUpperCase()}…`} /> : `Export ${f.toUpperCase()}`}
+          </Button>
+        )) : null}
         {os ? <Tag type="cool-gray">{os}</Tag> : null}
         {message?.provider ? <Tag type="warm-gray">{String(message.provider)}{message?.model ? ` · ${String(message.model)}` : ''}</Tag> : null}
         {report ? <Tag type="green">Report</Tag> : null}
       </div>
+      {exportNote ? (
+        <InlineNotification lowContrast kind={exportNote.kind} title="" subtitle={exportNote.text} onCloseButtonClick={() => setExportNote(null)} />
+      ) : null}
       <DataTable rows={filteredRows} headers={nt.headers} isSortable>
         {({ rows, headers, getHeaderProps, getRowProps, getTableProps }) => (
           <TableContainer title={table?.title || 'Results'} description="">
@@ -898,9 +1113,127 @@ function avatarFallbackText(m) {
   return (p ? p[0] : 'A').toUpperCase()
 }
 
+// Confirm / edit / reject card for a write held by the MCP server. Shows the exact Maximo request;
+// editing re-drafts the tool call with new args so the payload is re-validated before approval.
+function ApprovalCard({ approval, settings }) {
+  const tenant = String(approval?.tenant || settings?.maximo?.defaultTenant || 'default')
+  const [rec, setRec] = useState(approval)
+  const [editing, setEditing] = useState(false)
+  const [argsText, setArgsText] = useState(() => JSON.stringify(approval?.args || {}, null, 2))
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [result, setResult] = useState(null)
+
+  // Cards restored from session history may already be decided.
+  useEffect(() => {
+    let alive = true
+    apiApproval(approval.id, '', { tenant, settings })
+      .then((j) => { if (alive && j?.approval) setRec(j.approval) })
+      .catch(() => {})
+    return () => { alive = false }
+  }, [approval.id, tenant])
+
+  const run = async (action, payload = {}) => {
+    setBusy(true)
+    setError('')
+    try {
+      const j = await apiApproval(rec.id, action, { tenant, settings, ...payload })
+      if (action === 'edit') {
+        setRec((x) => ({ ...x, ...(j?.approval || {}) }))
+        setArgsText(JSON.stringify(j?.approval?.args || {}, null, 2))
+        setEditing(false)
+      } else {
+        if (j?.approval) setRec(j.approval)
+        if (j?.result) setResult(j.result)
+      }
+    } catch (e) {
+      setError(String(e?.message || e))
+      // A failed execution still closes the draft; show its recorded state.
+      if (action === 'approve') apiApproval(rec.id, '', { tenant, settings }).then((j) => { if (j?.approval) setRec(j.approval) }).catch(() => {})
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const saveEdit = () => {
+    let args
+    try { args = JSON.parse(argsText) } catch { setError('Arguments must be valid JSON'); return }
+    run('edit', { args })
+  }
+
+  const status = String(rec?.status || 'pending')
+  const statusType = { pending: 'purple', executed: 'green', rejected: 'red', failed: 'red', approved: 'blue' }[status] || 'gray'
+  const by = rec?.decidedBy?.username ? ` by ${rec.decidedBy.username}${rec.decidedAt ? ` · ${new Date(rec.decidedAt).toLocaleString()}` : ''}` : ''
+  return (
+    <div className="mx-approval">
+      <div className="mx-approval-head">
+        <strong>{rec?.tool}</strong>
+        <Tag type={statusType}>{status}</Tag>
+        <span className="mx-muted">{by}</span>
+      </div>
+      {rec?.requestedBy?.user ? <div className="mx-muted">Requested by {rec.requestedBy.user}</div> : null}
+      <CodeSnippet type="multi" wrapText feedback="Copied">
+        {JSON.stringify(rec?.payload || {}, null, 2)}
+      </CodeSnippet>
+      {editing ? (
+        <TextArea labelText="Tool arguments (JSON)" rows={8} value={argsText} onChange={(e) => setArgsText(e.target.value)} />
+      ) : null}
+      {error ? <InlineNotification kind="error" lowContrast hideCloseButton title="Approval" subtitle={error} /> : null}
+      {result ? <div className="mx-muted">{result.id ? `Done: ${result.os || ''} ${result.id}` : (result.error ? `Error: ${result.detail || result.error}` : 'Done')}</div> : null}
+      {status === 'pending' ? (
+        <div className="mx-approval-actions">
+          {busy ? <InlineLoading status="active" description="" /> : null}
+          {editing ? (
+            <>
+              <Button size="sm" kind="primary" disabled={busy} onClick={saveEdit}>Update draft</Button>
+              <Button size="sm" kind="ghost" disabled={busy} onClick={() => { setEditing(false); setArgsText(JSON.stringify(rec?.args || {}, null, 2)) }}>Cancel</Button>
+            </>
+          ) : (
+            <>
+              <Button size="sm" kind="primary" disabled={busy} onClick={() => run('approve')}>Confirm</Button>
+              <Button size="sm" kind="tertiary" disabled={busy} onClick={() => setEditing(true)}>Edit</Button>
+              <Button size="sm" kind="danger--tertiary" disabled={busy} onClick={() => run('reject')}>Reject</Button>
+            </>
+          )}
+        </div>
+      ) : null}
+    </div>
+  )
+}
+
+// Aggregate results: chart (bar / donut, or line for date buckets) with a toggle to the table view.
+function AggregateResult({ message, settings, onDownloadPdf }) {
+  const table = message.table
+  const spec = useMemo(() => aggregateChart(table), [table])
+  const [view, setView] = useState('chart')
+  const [type, setType] = useState(spec?.types?.[0] || 'bar')
+  const typeLabels = { bar: 'Bar', donut: 'Donut', line: 'Line' }
+
+  return (
+    <div className="mx-aggregate">
+      <div className="mx-table-actions">
+        <Button size="sm" kind={view === 'chart' ? 'secondary' : 'ghost'} onClick={() => setView('chart')}>Chart</Button>
+        <Button size="sm" kind={view === 'table' ? 'secondary' : 'ghost'} onClick={() => setView('table')}>Table</Button>
+        {view === 'chart' ? spec.types.map((t) => (
+          <Button key={t} size="sm" kind={type === t ? 'tertiary' : 'ghost'} onClick={() => setType(t)}>{typeLabels[t] || t}</Button>
+        )) : null}
+        <Button
+          size="sm"
+          kind="ghost"
+          onClick={() => onDownloadPdf?.({ title: table?.title || spec.title, filename: table?.title || 'aggregate', content: message.text || '', chart: { spec, type }, table, provenance: reportProvenance(message, settings) })}
+        >
+          Download PDF
+        </Button>
+      </div>
+      {view === 'chart' ? <AggregateChart spec={spec} type={type} /> : <FilterableTable table={table} settings={settings} message={message} onDownloadPdf={onDownloadPdf} />}
+    </div>
+  )
+}
+
 function ChatPane({ messages, settings, onOpenTrace, onDownloadPdf }) {
   const bottomRef = useRef(null)
-  useEffect(() => { bottomRef.current?.scrollIntoView({ behavior:'smooth' }) }, [messages.length])
+  const last = messages[messages.length - 1]
+  useEffect(() => { bottomRef.current?.scrollIntoView({ behavior:'smooth' }) }, [messages.length, last?.text?.length, last?.progress?.length])
 
   return (
     <div className="mx-chat-scroll">
@@ -930,10 +1263,18 @@ function ChatPane({ messages, settings, onOpenTrace, onDownloadPdf }) {
             })() : null}
           </div>
           {/* Show assistant text only when there is no table. Keep user text always. */}
-          {!(m.role === 'assistant' && m.table) ? (
+          {m.streaming ? (
+            <div className="mx-msg-progress">
+              {(m.progress || []).map((p, i) => <div key={i} className="mx-muted">{p}</div>)}
+              {!m.text ? <InlineLoading status="active" description="Working…" /> : null}
+            </div>
+          ) : null}
+          {(!(m.role === 'assistant' && m.table) || m.table?.aggregate) && (m.text || !m.streaming) ? (
             <div className="mx-msg-body">{m.text}</div>
           ) : null}
-          {m.table ? <FilterableTable table={m.table} settings={settings} message={m} /> : null}
+          {m.table && aggregateChart(m.table) ? <AggregateResult message={m} settings={settings} onDownloadPdf={onDownloadPdf} /> : null}
+          {m.table && !aggregateChart(m.table) ? <FilterableTable table={m.table} settings={settings} message={m} onDownloadPdf={onDownloadPdf} /> : null}
+          {(m.approvals || []).map((a) => <ApprovalCard key={a.id} approval={a} settings={settings} />)}
 
           {settings?.debug?.nlq && m?.trace?.nlq ? (
             <div style={{ marginTop: 8 }}>
@@ -1110,6 +1451,20 @@ function SettingsBody({ local, setLocal, onSave, darkMode, setDarkMode, showSave
     ],
   }
 
+  // Provider list comes from the server registry (GET /api/providers); PROVIDERS is the offline fallback.
+  const [providerItems, setProviderItems] = useState(PROVIDERS)
+  useEffect(() => {
+    let cancelled = false
+    fetch('/api/providers', { credentials:'include', cache:'no-store' })
+      .then((r) => (r.ok ? r.json() : null))
+      .then((j) => {
+        const list = Array.isArray(j?.providers) ? j.providers.filter((p) => p?.id) : []
+        if (!cancelled && list.length) setProviderItems(list.map((p) => ({ id: p.id, label: PROVIDERS.find(x => x.id === p.id)?.label || p.label || p.id })))
+      })
+      .catch(() => {})
+    return () => { cancelled = true }
+  }, [])
+
   const [remoteModelsByProvider, setRemoteModelsByProvider] = useState({})
   const [modelsBusy, setModelsBusy] = useState(false)
   const [modelsWarning, setModelsWarning] = useState('')
@@ -1123,6 +1478,7 @@ function SettingsBody({ local, setLocal, onSave, darkMode, setDarkMode, showSave
     if (providerId === 'gemini') return [ai.gemini_key].filter(Boolean).join('|')
     if (providerId === 'mistral') return [ai.mistral_base, ai.mistral_key].filter(Boolean).join('|')
     if (providerId === 'deepseek') return [ai.deepseek_base, ai.deepseek_key].filter(Boolean).join('|')
+    if (providerId === 'local') return [ai.local_base, ai.local_key].filter(Boolean).join('|')
     // Support both legacy and current watsonx settings keys so changing either triggers a refresh.
     if (providerId === 'watsonx') {
       return [
@@ -1470,6 +1826,52 @@ const [tenantCatalogRawError, setTenantCatalogRawError] = useState('')
         ) : null}
       </details>
 
+      <details className="mx-card" open={detailsOpen}>
+        <summary className="mx-h3" style={{ cursor: 'pointer' }}>PDF reports</summary>
+        <div className="mx-form" style={{ marginTop: '0.75rem' }}>
+          <TextInput id="rep-company" labelText="Company name" value={local?.reports?.companyName || ''} readOnly={!isAdmin}
+            onChange={(e) => { if (!isAdmin) return; setLocal((p) => ({ ...p, reports: { ...(p.reports||{}), companyName: e.target.value } })) }} />
+          <TextInput id="rep-logo" labelText="Logo (https URL or data:image/png / jpeg URL)" value={local?.reports?.logo || ''} readOnly={!isAdmin}
+            onChange={(e) => { if (!isAdmin) return; setLocal((p) => ({ ...p, reports: { ...(p.reports||{}), logo: e.target.value } })) }} />
+          <TextInput id="rep-header" labelText="Header template" value={local?.reports?.headerTemplate ?? ''} readOnly={!isAdmin}
+            onChange={(e) => { if (!isAdmin) return; setLocal((p) => ({ ...p, reports: { ...(p.reports||{}), headerTemplate: e.target.value } })) }} />
+          <TextInput id="rep-footer" labelText="Footer template" value={local?.reports?.footerTemplate ?? ''} readOnly={!isAdmin}
+            onChange={(e) => { if (!isAdmin) return; setLocal((p) => ({ ...p, reports: { ...(p.reports||{}), footerTemplate: e.target.value } })) }} />
+          <p className="mx-muted" style={{ marginTop: 0 }}>
+            Placeholders: <code>{'{company}'}</code> <code>{'{title}'}</code> <code>{'{tenant}'}</code> <code>{'{site}'}</code> <code>{'{os}'}</code> <code>{'{date}'}</code> <code>{'{timestamp}'}</code>. Page numbers are always added. Logos must be PNG or JPEG.
+          </p>
+        </div>
+      </details>
+
+      <details className="mx-card" open={detailsOpen}>
+        <summary className="mx-h3" style={{ cursor: 'pointer' }}>Email (SMTP)</summary>
+        <div className="mx-form" style={{ marginTop: '0.75rem' }}>
+          <TextInput id="smtp-host" labelText="SMTP host" value={local?.smtp?.host || ''} readOnly={!isAdmin}
+            onChange={(e) => { if (!isAdmin) return; setLocal((p) => ({ ...p, smtp: { ...(p.smtp||{}), host: e.target.value } })) }} />
+          <TextInput id="smtp-port" labelText="Port" type="number" value={String(local?.smtp?.port ?? '')} readOnly={!isAdmin}
+            onChange={(e) => { if (!isAdmin) return; setLocal((p) => ({ ...p, smtp: { ...(p.smtp||{}), port: Number(e.target.value) || '' } })) }} />
+          <Dropdown
+            id="smtp-security"
+            titleText="Security"
+            label=""
+            disabled={!isAdmin}
+            items={['none', 'starttls', 'tls']}
+            itemToString={(it) => ({ none: 'None (plain)', starttls: 'STARTTLS', tls: 'TLS (implicit)' }[it] || '')}
+            selectedItem={local?.smtp?.security || 'none'}
+            onChange={({ selectedItem }) => { if (!isAdmin) return; setLocal((p) => ({ ...p, smtp: { ...(p.smtp||{}), security: selectedItem || 'none' } })) }}
+          />
+          <TextInput id="smtp-user" labelText="Username (blank = no AUTH)" value={local?.smtp?.user || ''} readOnly={!isAdmin}
+            onChange={(e) => { if (!isAdmin) return; setLocal((p) => ({ ...p, smtp: { ...(p.smtp||{}), user: e.target.value } })) }} />
+          <TextInput id="smtp-password" labelText="Password" type="password" value={local?.smtp?.password || ''} readOnly={!isAdmin}
+            onChange={(e) => { if (!isAdmin) return; setLocal((p) => ({ ...p, smtp: { ...(p.smtp||{}), password: e.target.value } })) }} />
+          <TextInput id="smtp-from" labelText="From address" value={local?.smtp?.from || ''} readOnly={!isAdmin} placeholder="Maximo Digest <maximo@example.com>"
+            onChange={(e) => { if (!isAdmin) return; setLocal((p) => ({ ...p, smtp: { ...(p.smtp||{}), from: e.target.value } })) }} />
+          <p className="mx-muted" style={{ marginTop: 0 }}>
+            Used by scheduled queries with email delivery. Stored in the shared server settings; the password is never sent to non-admin users.
+          </p>
+        </div>
+      </details>
+
 
       <details className="mx-card" open={detailsOpen}>
         <summary className="mx-h3" style={{ cursor: 'pointer' }}>Maximo</summary>
@@ -1684,6 +2086,20 @@ const [tenantCatalogRawError, setTenantCatalogRawError] = useState('')
               onToggle={(v) => setLocal((p) => ({ ...p, mcp:{ ...(p.mcp||{}), enableTools: !!v } }))} />
             <TextInput id="mcp-url-p" labelText="MCP Server URL" value={local?.mcp?.url || ''}
               onChange={(e) => setLocal((p) => ({ ...p, mcp:{ ...(p.mcp||{}), url:e.target.value } }))} />
+            <Dropdown
+              id="mcp-tool-mode-dd"
+              titleText="Prompt handling"
+              label=""
+              items={TOOL_MODES}
+              itemToString={(it) => (it ? it.label : '')}
+              selectedItem={TOOL_MODES.find(m => m.id === (local?.mcp?.toolMode || 'nlq')) || TOOL_MODES[0]}
+              onChange={({ selectedItem }) => setLocal((p) => ({ ...p, mcp:{ ...(p.mcp||{}), toolMode:(selectedItem?.id || 'nlq') } }))}
+            />
+            {(local?.mcp?.toolMode || 'nlq') === 'agent' ? (
+              <TextInput id="mcp-max-steps-p" type="number" labelText="Max tool steps per prompt (1-20)"
+                value={String(local?.mcp?.maxToolSteps ?? 6)}
+                onChange={(e) => setLocal((p) => ({ ...p, mcp:{ ...(p.mcp||{}), maxToolSteps: Math.max(1, Math.min(20, Number(e.target.value) || 1)) } }))} />
+            ) : null}
           </div>
         </details>
       ) : null}
@@ -1695,9 +2111,9 @@ const [tenantCatalogRawError, setTenantCatalogRawError] = useState('')
             id="ai-provider-dd"
             titleText="Provider"
             label=""
-            items={PROVIDERS}
+            items={providerItems}
             itemToString={(it) => (it ? it.label : '')}
-            selectedItem={PROVIDERS.find(p => p.id === (local?.ai?.provider || 'openai')) || PROVIDERS[0]}
+            selectedItem={providerItems.find(p => p.id === (local?.ai?.provider || 'openai')) || providerItems[0]}
             onChange={({ selectedItem }) => setLocal((p) => ({ ...p, ai:{ ...(p.ai||{}), provider:(selectedItem?.id || 'openai') } }))}
           />
           <Dropdown
@@ -1712,6 +2128,23 @@ const [tenantCatalogRawError, setTenantCatalogRawError] = useState('')
           {modelsWarning ? (
             <InlineNotification kind="warning" lowContrast title="Model list" subtitle={modelsWarning} />
           ) : null}
+          {providerId === 'local' ? (
+            <>
+              <TextInput id="ai-local-base" labelText="Local endpoint URL (Ollama or OpenAI-compatible)"
+                placeholder="http://ollama.my-namespace.svc:11434"
+                value={local?.ai?.local_base || ''}
+                onChange={(e) => setLocal((p) => ({ ...p, ai:{ ...(p.ai||{}), local_base:e.target.value.trim() } }))} />
+              <Dropdown
+                id="ai-local-tools-dd"
+                titleText="Tool calling"
+                label=""
+                items={LOCAL_TOOL_SUPPORT}
+                itemToString={(it) => (it ? it.label : '')}
+                selectedItem={LOCAL_TOOL_SUPPORT.find(t => t.id === (local?.ai?.local_tools || 'auto')) || LOCAL_TOOL_SUPPORT[0]}
+                onChange={({ selectedItem }) => setLocal((p) => ({ ...p, ai:{ ...(p.ai||{}), local_tools:(selectedItem?.id || 'auto') } }))}
+              />
+            </>
+          ) : null}
           <TextArea
             id="ai-system-p"
             labelText="System prompt"
@@ -1742,6 +2175,7 @@ const [tenantCatalogRawError, setTenantCatalogRawError] = useState('')
             { key:'watsonx', label:'IBM watsonx' },
             { key:'mistral', label:'Mistral' },
             { key:'deepseek', label:'DeepSeek' },
+            { key:'local', label:'Local' },
             { key:'user', label:'User' },
           ].map((row) => {
             const v = (local?.avatars?.[row.key] || '').trim()
@@ -2022,6 +2456,16 @@ function Layout({ children, darkMode, setDarkMode, navExpanded, setNavExpanded }
                 >
                   <Chat /> {navExpanded ? 'Chat' : ''}
                 </SideNavLink>
+                <SideNavLink
+                  href="/schedules"
+                  isActive={loc.pathname.startsWith('/schedules')}
+                  onClick={(e) => {
+                    e.preventDefault()
+                    nav('/schedules')
+                  }}
+                >
+                  <Time /> {navExpanded ? 'Schedules' : ''}
+                </SideNavLink>
               </SideNavItems>
 
               <div className="mx-sidenav-footer">
@@ -2045,7 +2489,8 @@ function ChatPage({ settings, setSettings, mode, setMode }) {
       const raw = sessionStorage.getItem(CHAT_STORAGE_KEY)
       if (!raw) return []
       const parsed = JSON.parse(raw)
-      return Array.isArray(parsed?.messages) ? parsed.messages : []
+      // In-flight streaming placeholders don't survive a reload.
+      return Array.isArray(parsed?.messages) ? parsed.messages.filter((m) => !m?.streaming) : []
     } catch { return [] }
   })
   const [input, setInput] = useState(() => {
@@ -2056,10 +2501,21 @@ function ChatPage({ settings, setSettings, mode, setMode }) {
       return String(parsed?.draft || '')
     } catch { return '' }
   })
+  // Server-side conversation memory: the agent returns an id on every reply; we send it back so
+  // follow-ups ("only the open ones") are answered in context. Cleared with the chat.
+  const [conversationId, setConversationId] = useState(() => {
+    try {
+      const raw = sessionStorage.getItem(CHAT_STORAGE_KEY)
+      if (!raw) return ''
+      const parsed = JSON.parse(raw)
+      return String(parsed?.conversationId || '')
+    } catch { return '' }
+  })
   const [pendingIntentHint, setPendingIntentHint] = useState(null)
   const [busy, setBusy] = useState(false)
   const [traceOpen, setTraceOpen] = useState(false)
   const [traceData, setTraceData] = useState(null)
+  const [explain, setExplain] = useState({ busy: false, data: null, error: '' })
 	  const [historyOpen, setHistoryOpen] = useState(false)
 	  const prompts = useMemo(() => buildPromptList(settings), [settings])
 	  const [hasAnalysis, setHasAnalysis] = useState(() => {
@@ -2204,23 +2660,39 @@ function ChatPage({ settings, setSettings, mode, setMode }) {
 
   useEffect(() => {
     try {
-      sessionStorage.setItem(CHAT_STORAGE_KEY, JSON.stringify({ messages, draft: input }))
+      sessionStorage.setItem(CHAT_STORAGE_KEY, JSON.stringify({ messages, draft: input, conversationId }))
     } catch {}
-  }, [messages, input])
+  }, [messages, input, conversationId])
 
-  const openTrace = (t) => { setTraceData(t); setTraceOpen(true) }
+  const openTrace = (t) => { setTraceData(t); setExplain({ busy: false, data: null, error: '' }); setTraceOpen(true) }
+  const runExplain = async () => {
+    const target = explainTarget(traceData)
+    if (!target) return
+    setExplain({ busy: true, data: null, error: '' })
+    try {
+      const j = await apiExplain({ settings, tenant: target.tenant, args: target.args })
+      setExplain({ busy: false, data: { url: j.url, params: j.params, rationale: j.rationale }, error: '' })
+    } catch (e) {
+      setExplain({ busy: false, data: null, error: String(e?.message || e) })
+    }
+  }
   const downloadPdf = async (pdf) => {
     try {
+      const image = pdf?.chart ? chartToPng(pdf.chart.spec, pdf.chart.type) : ''
       await downloadPdfFromApi({
         title: pdf?.title || 'AI Agent Result',
         content: pdf?.content || '',
         filename: pdf?.filename || pdf?.title || 'ai-report',
+        charts: image ? [{ title: pdf.chart.spec.title, image }] : undefined,
+        table: pdf?.table,
+        provenance: pdf?.provenance,
+        settings,
       })
     } catch (e) {
       setMessages((m) => [...m, { role:'assistant', source:'ai', text: `PDF download failed: ${String(e?.message || e)}` }])
     }
   }
-  const clearChat = () => { setMessages([]); setInput(''); try { sessionStorage.removeItem(CHAT_STORAGE_KEY) } catch {} }
+  const clearChat = () => { setMessages([]); setInput(''); setConversationId(''); try { sessionStorage.removeItem(CHAT_STORAGE_KEY) } catch {} }
 
   const send = async (forced, action = null) => {
     const text = String(forced ?? input).trim()
@@ -2248,16 +2720,31 @@ Tooling rules (MCP):
         const resp = intentHint ? await apiMaximoIntentQuery({ text: textForMaximo, intentHint, settings }) : await apiMaximoQuery({ text: textForMaximo, settings })
         setMessages((m) => [...m, { role:'assistant', source:'maximo', text: resp.summary || 'OK', table: resp.table || null, trace: resp.trace || null , provider:'maximo', model:'' }])
       } else {
-        const resp = await apiAgentChat({
-          action: action || undefined,
-          provider: settings?.ai?.provider || 'openai',
-          model: settings?.ai?.model || '',
-          system: systemForAI,
-          temperature: settings?.ai?.temperature ?? 0.7,
-          text,
-          intentHint: intentHint || undefined,
-          settings
-        })
+        // The reply streams into a placeholder message (progress lines + tokens), which is replaced
+        // by the final message once the server is done.
+        const streamId = `stream-${Date.now()}`
+        const patchStream = (fn) => setMessages((m) => m.map((x) => (x.streamId === streamId ? { ...x, ...fn(x) } : x)))
+        setMessages((m) => [...m, { role:'assistant', source:'ai', provider: settings?.ai?.provider || 'openai', model: settings?.ai?.model || '', text:'', streaming:true, streamId, progress:[] }])
+        let resp
+        try {
+          resp = await apiAgentChatStream({
+            action: action || undefined,
+            provider: settings?.ai?.provider || 'openai',
+            model: settings?.ai?.model || '',
+            system: systemForAI,
+            temperature: settings?.ai?.temperature ?? 0.7,
+            text,
+            intentHint: intentHint || undefined,
+            conversationId: conversationId || undefined,
+            settings
+          }, (event, data) => {
+            if (event === 'token') patchStream((x) => ({ text: x.text + String(data?.text || '') }))
+            if (event === 'status') patchStream((x) => ({ progress: [...(x.progress || []), streamStatusText(data)] }))
+          })
+        } finally {
+          setMessages((m) => m.filter((x) => x.streamId !== streamId))
+        }
+        if (resp?.conversationId) setConversationId(resp.conversationId)
         // Store last tool result (if present) for "Analyze / Summarize last response"
         try {
           if (resp && resp.lastToolResult != null) localStorage.setItem(LAST_TOOL_RESULT_KEY, JSON.stringify(resp.lastToolResult))
@@ -2267,7 +2754,7 @@ Tooling rules (MCP):
       if (!assistantText && resp && typeof resp === 'object') {
         try { assistantText = JSON.stringify(resp, null, 2); } catch {}
       }
-      setMessages((m) => [...m, { role:'assistant', source:'ai', provider: settings?.ai?.provider || 'openai', model: settings?.ai?.model || '',  text: assistantText, table: resp?.table || null, trace: resp?.trace || null }])
+      setMessages((m) => [...m, { role:'assistant', source:'ai', provider: settings?.ai?.provider || 'openai', model: settings?.ai?.model || '',  text: assistantText, table: resp?.table || null, trace: resp?.trace || null, approvals: resp?.approvals || null }])
         return resp
       }
     } catch (e) {
@@ -2695,6 +3182,18 @@ Requirements:
         <CodeSnippet type="multi" wrapText hideCopyButton={false}>
           {JSON.stringify(traceData, null, 2)}
         </CodeSnippet>
+        {explainTarget(traceData) ? (
+          <div className="mx-explain">
+            <Button kind="tertiary" size="sm" onClick={runExplain} disabled={explain.busy}>Explain</Button>
+            {explain.busy ? <InlineLoading status="active" description="Compiling query…" /> : null}
+            {explain.error ? <InlineNotification kind="error" lowContrast hideCloseButton title="Explain" subtitle={explain.error} /> : null}
+            {explain.data ? (
+              <CodeSnippet type="multi" wrapText hideCopyButton={false}>
+                {JSON.stringify(explain.data, null, 2)}
+              </CodeSnippet>
+            ) : null}
+          </div>
+        ) : null}
       </Modal>
     </div>
   )
@@ -2779,6 +3278,7 @@ function AppInner() {
       <Routes>
         <Route path="/chat" element={<ChatPage settings={settings} setSettings={setSettings} mode={mode} setMode={setMode} />} />
         {/* Settings are available via the header settings icon dialog. Keep this route only as a redirect for old bookmarks. */}
+        <Route path="/schedules" element={<SchedulesPage />} />
         <Route path="/settings" element={<Navigate to="/chat" replace />} />
         <Route path="*" element={<Navigate to="/chat" replace />} />
       </Routes>
@@ -0,0 +1,293 @@
+import React from 'react'
+
+// Charts for aggregate results (maximo_queryOS `aggregate`, NLQ "how many ..." and aggregate intents).
+// BarList / DonutChart / LineChart follow the MCP UI's dashboard charts; aggregateChart() turns an
+// aggregate table ({ columns, rows, aggregate: { groupBy, metrics } }) into a chart spec, and
+// chartToPng() draws the same spec on a canvas for /api/pdf.
+
+// Carbon-ish palette (works in both light/dark themes)
+const CHART_COLORS = ['#0f62fe', '#42be65', '#ff832b', '#be95ff', '#ee5396', '#007d79', '#fa4d56', '#8a3ffc', '#4589ff', '#a56eff']
+
+export function colorForIndex(i) {
+  return CHART_COLORS[Math.abs(Number(i) || 0) % CHART_COLORS.length]
+}
+
+function topNWithOther(data, n = 7) {
+  const items = Array.isArray(data) ? data.filter(Boolean) : []
+  const sorted = items.slice().sort((a, b) => Number(b?.value || 0) - Number(a?.value || 0))
+  if (sorted.length <= n) return sorted
+  const head = sorted.slice(0, n)
+  const other = sorted.slice(n).reduce((acc, x) => acc + Number(x?.value || 0), 0)
+  return other > 0 ? [...head, { label: 'Other', value: other }] : head
+}
+
+export function formatChartValue(v) {
+  const n = Number(v)
+  return Number.isFinite(n) ? n.toLocaleString(undefined, { maximumFractionDigits: 2 }) : '—'
+}
+
+const MAX_BARS = 24
+const MAX_SERIES = 5
+
+/**
+ * Chart spec for an aggregate table, or null when there is nothing to chart.
+ *   { kind: 'category', types: ['bar','donut'], data: [{ label, value }] }
+ *   { kind: 'time',     types: ['line','bar'],  x: [bucket], series: [{ label, values }] }
+ * The first metric is charted; a date-bucketed group becomes the x axis and the other groups the series.
+ */
+export function aggregateChart(table) {
+  const agg = table?.aggregate
+  const rows = Array.isArray(table?.rows) ? table.rows : []
+  const groupBy = Array.isArray(agg?.groupBy) ? agg.groupBy : []
+  const metric = Array.isArray(agg?.metrics) ? agg.metrics[0] : null
+  if (!groupBy.length || !metric || !rows.length) return null
+
+  const value = (r) => Number(r?.[metric.as] ?? 0) || 0
+  const metricLabel = metric.op === 'count' ? 'Count' : `${metric.op} of ${metric.field}`
+  const title = `${metricLabel} by ${groupBy.map((g) => (g.bucket ? `${g.field} (${g.bucket})` : g.field)).join(', ')}`
+  const time = groupBy.find((g) => g.bucket)
+
+  if (time) {
+    const others = groupBy.filter((g) => g !== time)
+    const seriesKey = (r) => (others.length ? others.map((g) => String(r?.[g.as] ?? '') || '—').join(' | ') : metricLabel)
+    const x = Array.from(new Set(rows.map((r) => String(r?.[time.as] ?? '')))).filter(Boolean).sort()
+    const totals = new Map()
+    for (const r of rows) totals.set(seriesKey(r), (totals.get(seriesKey(r)) || 0) + value(r))
+    const keep = Array.from(totals.entries()).sort((a, b) => b[1] - a[1]).slice(0, MAX_SERIES).map(([k]) => k)
+    const series = keep.map((label) => {
+      const byX = new Map()
+      for (const r of rows) if (seriesKey(r) === label) byX.set(String(r?.[time.as] ?? ''), (byX.get(String(r?.[time.as] ?? '')) || 0) + value(r))
+      return { label, values: x.map((b) => byX.get(b) || 0) }
+    })
+    return { kind: 'time', types: ['line', 'bar'], title, metricLabel, x, series }
+  }
+
+  const data = rows.map((r) => ({ label: groupBy.map((g) => String(r?.[g.as] ?? '') || '—').join(' | '), value: value(r) }))
+  return { kind: 'category', types: ['bar', 'donut'], title, metricLabel, data }
+}
+
+// Bars for one chart type regardless of kind (time charts show the per-bucket total, in order).
+function barData(spec) {
+  if (spec.kind === 'time') return spec.x.map((label, i) => ({ label, value: spec.series.reduce((acc, s) => acc + (s.values[i] || 0), 0) }))
+  return spec.data.slice().sort((a, b) => b.value - a.value).slice(0, MAX_BARS)
+}
+
+export function BarList({ data = [], valueFormatter = formatChartValue, maxItems = MAX_BARS }) {
+  const items = Array.isArray(data) ? data.slice(0, maxItems) : []
+  const max = Math.max(1, ...items.map((d) => Number(d?.value || 0)))
+  return (
+    <div className="mx-chart-bars">
+      {items.map((d, idx) => {
+        const label = String(d?.label ?? '')
+        const value = Number(d?.value || 0)
+        const pct = Math.max(0, Math.min(100, Math.round((value / max) * 100)))
+        const c = colorForIndex(idx)
+        return (
+          <div key={`${label}-${idx}`} className="mx-chart-bar-row">
+            <div className="mx-chart-label" title={label}>
+              <span className="mx-chart-swatch" style={{ background: c }} />
+              <span>{label || '—'}</span>
+            </div>
+            <div className="mx-chart-bar-track">
+              <div style={{ height: '100%', width: `${pct}%`, background: c, opacity: 0.9 }} />
+            </div>
+            <div className="mx-chart-value">{valueFormatter(value)}</div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export function DonutChart({ data = [], size = 180, thickness = 26, maxItems = 7 }) {
+  const items = topNWithOther(data, maxItems).filter((d) => Number(d?.value || 0) > 0)
+  const total = items.reduce((acc, d) => acc + Number(d?.value || 0), 0) || 1
+  const rOuter = size / 2
+  const rInner = Math.max(8, rOuter - thickness)
+
+  const arcPath = (startAngle, endAngle) => {
+    // A full circle can't be drawn as one arc; stop just short of it.
+    const end = Math.min(endAngle, startAngle + Math.PI * 2 - 0.0001)
+    const a0 = startAngle - Math.PI / 2
+    const a1 = end - Math.PI / 2
+    const large = end - startAngle > Math.PI ? 1 : 0
+    const p = (r, a) => `${rOuter + r * Math.cos(a)} ${rOuter + r * Math.sin(a)}`
+    return `M ${p(rOuter, a0)} A ${rOuter} ${rOuter} 0 ${large} 1 ${p(rOuter, a1)} L ${p(rInner, a1)} A ${rInner} ${rInner} 0 ${large} 0 ${p(rInner, a0)} Z`
+  }
+
+  let acc = 0
+  const segs = items.map((d, idx) => {
+    const v = Number(d?.value || 0)
+    const start = acc
+    acc += (v / total) * Math.PI * 2
+    return { label: String(d?.label ?? ''), value: v, pct: Math.round((v / total) * 100), color: colorForIndex(idx), d: arcPath(start, acc) }
+  })
+
+  return (
+    <div className="mx-chart-donut" style={{ gridTemplateColumns: `${size}px 1fr` }}>
+      <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} style={{ display: 'block' }}>
+        {segs.map((s, i) => <path key={`${s.label}-${i}`} d={s.d} fill={s.color} opacity="0.9" />)}
+      </svg>
+      <div className="mx-chart-legend">
+        {segs.map((s, i) => (
+          <div key={`${s.label}-${i}`} className="mx-chart-legend-item">
+            <span className="mx-chart-swatch" style={{ background: s.color }} />
+            <div className="mx-chart-label" title={s.label}>{s.label || '—'}</div>
+            <div className="mx-chart-value">{formatChartValue(s.value)} ({s.pct}%)</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Multi-series line over ordered buckets (Sparkline, with an axis and a legend).
+export function LineChart({ x = [], series = [], height = 180 }) {
+  const w = 600
+  const h = Math.max(60, Number(height || 180))
+  const all = series.flatMap((s) => s.values)
+  const max = Math.max(1, ...all)
+  const px = (i) => (x.length > 1 ? (i / (x.length - 1)) * w : w / 2)
+  const py = (v) => h - (v / max) * (h - 8) - 4
+  return (
+    <div>
+      <svg viewBox={`0 0 ${w} ${h}`} width="100%" height={h} preserveAspectRatio="none" style={{ display: 'block' }}>
+        <line x1="0" y1={h - 1} x2={w} y2={h - 1} stroke="currentColor" opacity="0.2" />
+        {series.map((s, si) => (
+          <polyline
+            key={s.label}
+            points={s.values.map((v, i) => `${px(i).toFixed(2)},${py(v).toFixed(2)}`).join(' ')}
+            fill="none"
+            stroke={colorForIndex(si)}
+            strokeWidth="2"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+      </svg>
+      <div className="mx-chart-axis">
+        <span>{x[0] || ''}</span>
+        <span>max {formatChartValue(max)}</span>
+        <span>{x.length > 1 ? x[x.length - 1] : ''}</span>
+      </div>
+      <div className="mx-chart-legend mx-chart-legend-row">
+        {series.map((s, si) => (
+          <div key={s.label} className="mx-chart-legend-item">
+            <span className="mx-chart-swatch" style={{ background: colorForIndex(si) }} />
+            <div className="mx-chart-label" title={s.label}>{s.label}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export function AggregateChart({ spec, type }) {
+  if (!spec) return null
+  const t = spec.types.includes(type) ? type : spec.types[0]
+  return (
+    <div className="mx-chart">
+      <div className="mx-chart-title">{spec.title}</div>
+      {t === 'line' ? <LineChart x={spec.x} series={spec.series} /> : null}
+      {t === 'donut' ? <DonutChart data={spec.data} /> : null}
+      {t === 'bar' ? <BarList data={barData(spec)} /> : null}
+    </div>
+  )
+}
+
+/**
+ * Draws a chart spec on a canvas and returns a PNG data URL (for /api/pdf), or '' when the browser
+ * can't (no canvas). Light background regardless of the UI theme, since it ends up on paper.
+ */
+export function chartToPng(spec, type, { width = 900, height = 420 } = {}) {
+  if (!spec || typeof document === 'undefined') return ''
+  const t = spec.types.includes(type) ? type : spec.types[0]
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  if (!ctx) return ''
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, width, height)
+  ctx.fillStyle = '#161616'
+  ctx.font = 'bold 18px sans-serif'
+  ctx.textBaseline = 'top'
+  ctx.fillText(spec.title, 16, 12)
+  ctx.font = '14px sans-serif'
+  const top = 48
+  const clipText = (s, max) => {
+    let out = String(s)
+    while (out.length > 1 && ctx.measureText(out).width > max) out = out.slice(0, -2)
+    return out === String(s) ? out : `${out}…`
+  }
+
+  if (t === 'bar') {
+    const data = barData(spec).slice(0, Math.floor((height - top) / 22))
+    const max = Math.max(1, ...data.map((d) => d.value))
+    const labelW = 220
+    const valueW = 110
+    const barW = width - labelW - valueW - 48
+    data.forEach((d, i) => {
+      const y = top + i * 22
+      ctx.fillStyle = '#393939'
+      ctx.fillText(clipText(d.label || '—', labelW - 8), 16, y + 2)
+      ctx.fillStyle = colorForIndex(i)
+      ctx.fillRect(16 + labelW, y + 3, Math.max(1, (d.value / max) * barW), 14)
+      ctx.fillStyle = '#393939'
+      ctx.fillText(formatChartValue(d.value), 32 + labelW + barW, y + 2)
+    })
+  } else if (t === 'donut') {
+    const items = topNWithOther(spec.data, 7).filter((d) => d.value > 0)
+    const total = items.reduce((acc, d) => acc + d.value, 0) || 1
+    const r = Math.min(150, (height - top - 16) / 2)
+    const cx = 16 + r
+    const cy = top + r
+    let a = -Math.PI / 2
+    items.forEach((d, i) => {
+      const a1 = a + (d.value / total) * Math.PI * 2
+      ctx.beginPath()
+      ctx.arc(cx, cy, r, a, a1)
+      ctx.arc(cx, cy, r * 0.62, a1, a, true)
+      ctx.closePath()
+      ctx.fillStyle = colorForIndex(i)
+      ctx.fill()
+      ctx.fillRect(cx + r + 40, top + i * 24 + 3, 12, 12)
+      ctx.fillStyle = '#393939'
+      ctx.fillText(clipText(`${d.label || '—'}: ${formatChartValue(d.value)} (${Math.round((d.value / total) * 100)}%)`, width - cx - r - 80), cx + r + 60, top + i * 24 + 2)
+      a = a1
+    })
+  } else {
+    const legendH = 24
+    const plotH = height - top - legendH - 36
+    const plotW = width - 32
+    const max = Math.max(1, ...spec.series.flatMap((s) => s.values))
+    const px = (i) => 16 + (spec.x.length > 1 ? (i / (spec.x.length - 1)) * plotW : plotW / 2)
+    const py = (v) => top + plotH - (v / max) * plotH
+    ctx.strokeStyle = '#c6c6c6'
+    ctx.beginPath()
+    ctx.moveTo(16, top + plotH)
+    ctx.lineTo(16 + plotW, top + plotH)
+    ctx.stroke()
+    ctx.lineWidth = 2
+    spec.series.forEach((s, si) => {
+      ctx.strokeStyle = colorForIndex(si)
+      ctx.beginPath()
+      s.values.forEach((v, i) => (i ? ctx.lineTo(px(i), py(v)) : ctx.moveTo(px(i), py(v))))
+      ctx.stroke()
+    })
+    ctx.fillStyle = '#6f6f6f'
+    ctx.fillText(spec.x[0] || '', 16, top + plotH + 6)
+    const last = spec.x.length > 1 ? spec.x[spec.x.length - 1] : ''
+    ctx.fillText(last, 16 + plotW - ctx.measureText(last).width, top + plotH + 6)
+    ctx.fillText(`max ${formatChartValue(max)}`, 16, top - 18)
+    let lx = 16
+    spec.series.forEach((s, si) => {
+      const label = clipText(s.label, 180)
+      ctx.fillStyle = colorForIndex(si)
+      ctx.fillRect(lx, height - legendH, 12, 12)
+      ctx.fillStyle = '#393939'
+      ctx.fillText(label, lx + 18, height - legendH - 1)
+      lx += ctx.measureText(label).width + 40
+    })
+  }
+  return canvas.toDataURL('image/png')
+}
@@ -0,0 +1,382 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import {
+  Button, Dropdown, Modal, Tag, TextInput, Toggle, InlineNotification, InlineLoading,
+  Table, TableHead, TableRow, TableHeader, TableBody, TableCell,
+} from '@carbon/react'
+
+// Scheduled queries (/api/schedules, app/src/schedules.mjs): a query preset or saved tool run on a cron
+// expression, delivered as a table / aggregate / PDF digest to a webhook or by email (settings.smtp).
+// The page lists the schedules the user can see and their recent runs, failures included.
+
+const OUTPUTS = [
+  { id: 'table', label: 'Table' },
+  { id: 'aggregate', label: 'Aggregate' },
+  { id: 'pdf', label: 'PDF report' },
+]
+const DELIVERIES = [
+  { id: 'webhook', label: 'Webhook' },
+  { id: 'smtp', label: 'Email (SMTP)' },
+]
+const EMPTY_FORM = {
+  name: '', cron: '0 7 * * MON-FRI', enabled: true,
+  sourceType: 'preset', presetId: '', tool: '', toolArgs: '',
+  tenant: '', site: '', output: 'table', groupBy: '',
+  deliveryType: 'webhook', url: '', to: '', subject: '',
+}
+
+async function apiJson(url, opts = {}) {
+  const r = await fetch(url, { credentials: 'include', ...opts, headers: { 'content-type': 'application/json', ...(opts.headers || {}) } })
+  const raw = await r.text()
+  let j = null; try { j = JSON.parse(raw) } catch {}
+  if (!r.ok) throw new Error((j && (j.detail || j.error)) || raw || `HTTP ${r.status}`)
+  return j || {}
+}
+
+function formatWhen(iso) {
+  if (!iso) return '—'
+  const d = new Date(iso)
+  return Number.isNaN(d.getTime()) ? String(iso) : d.toLocaleString()
+}
+
+function toForm(s) {
+  if (!s) return { ...EMPTY_FORM }
+  return {
+    name: s.name || '',
+    cron: s.cron || '',
+    enabled: s.enabled !== false,
+    sourceType: s.source?.type || 'preset',
+    presetId: s.source?.presetId || '',
+    tool: s.source?.tool || '',
+    toolArgs: s.source?.args && Object.keys(s.source.args).length ? JSON.stringify(s.source.args) : '',
+    tenant: s.tenant || '',
+    site: s.site || '',
+    output: s.output || 'table',
+    groupBy: (s.aggregate?.groupBy || []).map((g) => (typeof g === 'string' ? g : `${g.field}${g.bucket ? `:${g.bucket}` : ''}`)).join(', '),
+    deliveryType: s.delivery?.type || 'webhook',
+    url: s.delivery?.url || '',
+    to: (s.delivery?.to || []).join(', '),
+    subject: s.delivery?.subject || '',
+  }
+}
+
+function fromForm(f) {
+  let args = {}
+  if (f.sourceType === 'tool' && f.toolArgs.trim()) {
+    try { args = JSON.parse(f.toolArgs) } catch { throw new Error('Tool args must be a JSON object') }
+  }
+  return {
+    name: f.name,
+    cron: f.cron,
+    enabled: f.enabled,
+    source: f.sourceType === 'preset' ? { type: 'preset', presetId: f.presetId } : { type: 'tool', tool: f.tool, args },
+    tenant: f.tenant,
+    site: f.site,
+    output: f.output,
+    ...(f.output === 'aggregate' ? { aggregate: { groupBy: f.groupBy } } : {}),
+    delivery: f.deliveryType === 'webhook' ? { type: 'webhook', url: f.url } : { type: 'smtp', to: f.to, subject: f.subject },
+  }
+}
+
+function ScheduleForm({ open, editing, sources, onClose, onSaved }) {
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+  useEffect(() => {
+    if (!open) return
+    setForm(editing ? toForm(editing) : { ...EMPTY_FORM, presetId: sources.presets[0]?.id || '' })
+    setError('')
+  }, [open, editing])
+
+  const set = (k) => (v) => setForm((p) => ({ ...p, [k]: v }))
+  const presetItems = sources.presets
+  const toolItems = sources.tools
+
+  const save = async () => {
+    setSaving(true)
+    setError('')
+    try {
+      const body = JSON.stringify(fromForm(form))
+      const j = editing
+        ? await apiJson(`/api/schedules/${encodeURIComponent(editing.id)}`, { method: 'PUT', body })
+        : await apiJson('/api/schedules', { method: 'POST', body })
+      onSaved(j.schedule)
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Modal
+      open={open}
+      modalHeading={editing ? 'Edit schedule' : 'New schedule'}
+      primaryButtonText={saving ? 'Saving…' : 'Save'}
+      primaryButtonDisabled={saving}
+      secondaryButtonText="Cancel"
+      onRequestClose={onClose}
+      onRequestSubmit={save}
+      size="md"
+    >
+      <div className="mx-form">
+        <TextInput id="sch-name" labelText="Name" value={form.name} onChange={(e) => set('name')(e.target.value)} placeholder="Overdue PMs at BEDFORD" />
+        <TextInput
+          id="sch-cron"
+          labelText="Cron (minute hour day month weekday, server time)"
+          helperText="e.g. 0 7 * * MON-FRI (weekdays 07:00), */30 * * * *, @daily"
+          value={form.cron}
+          onChange={(e) => set('cron')(e.target.value)}
+        />
+        <Dropdown
+          id="sch-source-type"
+          titleText="Query"
+          label=""
+          items={[{ id: 'preset', label: 'Query preset' }, { id: 'tool', label: 'Saved tool' }]}
+          itemToString={(it) => (it ? it.label : '')}
+          selectedItem={{ id: form.sourceType, label: form.sourceType === 'preset' ? 'Query preset' : 'Saved tool' }}
+          onChange={({ selectedItem }) => set('sourceType')(selectedItem?.id || 'preset')}
+        />
+        {form.sourceType === 'preset' ? (
+          <Dropdown
+            id="sch-preset"
+            titleText="Preset"
+            label={presetItems.length ? 'Choose a preset' : 'No presets (Settings → Query presets)'}
+            items={presetItems}
+            itemToString={(it) => (it ? `${it.label}${it.os ? ` (${it.os})` : ''}` : '')}
+            selectedItem={presetItems.find((p) => p.id === form.presetId) || null}
+            onChange={({ selectedItem }) => set('presetId')(selectedItem?.id || '')}
+          />
+        ) : (
+          <>
+            <Dropdown
+              id="sch-tool"
+              titleText="Tool"
+              label={toolItems.length ? 'Choose a tool' : 'MCP server unavailable'}
+              items={toolItems}
+              itemToString={(it) => (it ? it.name : '')}
+              selectedItem={toolItems.find((t) => t.name === form.tool) || null}
+              onChange={({ selectedItem }) => set('tool')(selectedItem?.name || '')}
+            />
+            <TextInput id="sch-tool-args" labelText="Tool args (JSON, optional)" value={form.toolArgs} onChange={(e) => set('toolArgs')(e.target.value)} placeholder='{"os":"mxapiwo","where":"status=\"WAPPR\""}' />
+          </>
+        )}
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+          <TextInput id="sch-tenant" labelText="Tenant (blank = default)" value={form.tenant} onChange={(e) => set('tenant')(e.target.value)} />
+          <TextInput id="sch-site" labelText="Site (blank = default site)" value={form.site} onChange={(e) => set('site')(e.target.value.toUpperCase())} />
+        </div>
+        <Dropdown
+          id="sch-output"
+          titleText="Output"
+          label=""
+          items={OUTPUTS}
+          itemToString={(it) => (it ? it.label : '')}
+          selectedItem={OUTPUTS.find((o) => o.id === form.output) || OUTPUTS[0]}
+          onChange={({ selectedItem }) => set('output')(selectedItem?.id || 'table')}
+        />
+        {form.output === 'aggregate' ? (
+          <TextInput id="sch-groupby" labelText="Group by (comma-separated, date fields take :day / :week / :month)" value={form.groupBy} onChange={(e) => set('groupBy')(e.target.value)} placeholder="status, reportdate:week" />
+        ) : null}
+        <Dropdown
+          id="sch-delivery"
+          titleText="Delivery"
+          label=""
+          items={DELIVERIES}
+          itemToString={(it) => (it ? it.label : '')}
+          selectedItem={DELIVERIES.find((d) => d.id === form.deliveryType) || DELIVERIES[0]}
+          onChange={({ selectedItem }) => set('deliveryType')(selectedItem?.id || 'webhook')}
+        />
+        {form.deliveryType === 'webhook' ? (
+          <TextInput id="sch-url" labelText="Webhook URL" value={form.url} onChange={(e) => set('url')(e.target.value)} placeholder="https://hooks.example.com/…" />
+        ) : (
+          <>
+            {!sources.smtpConfigured ? <InlineNotification kind="warning" lowContrast hideCloseButton title="" subtitle="SMTP is not configured yet (Settings → Email). Runs will fail until an admin sets it up." /> : null}
+            <TextInput id="sch-to" labelText="Recipients (comma-separated)" value={form.to} onChange={(e) => set('to')(e.target.value)} />
+            <TextInput id="sch-subject" labelText="Subject (optional)" value={form.subject} onChange={(e) => set('subject')(e.target.value)} />
+          </>
+        )}
+        <Toggle id="sch-enabled" labelText="Enabled" labelA="Off" labelB="On" toggled={form.enabled} onToggle={(v) => set('enabled')(!!v)} />
+        {error ? <InlineNotification kind="error" lowContrast hideCloseButton title="" subtitle={error} /> : null}
+      </div>
+    </Modal>
+  )
+}
+
+export function SchedulesPage() {
+  const [schedules, setSchedules] = useState([])
+  const [runs, setRuns] = useState([])
+  const [sources, setSources] = useState({ presets: [], tools: [], smtpConfigured: false })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [formOpen, setFormOpen] = useState(false)
+  const [editing, setEditing] = useState(null)
+  const [running, setRunning] = useState('')
+  const [selected, setSelected] = useState('')
+
+  const load = async () => {
+    try {
+      const j = await apiJson('/api/schedules')
+      setSchedules(Array.isArray(j.schedules) ? j.schedules : [])
+      setRuns(Array.isArray(j.runs) ? j.runs : [])
+      setError('')
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    load()
+    apiJson('/api/schedules/sources').then(setSources).catch(() => {})
+    const id = setInterval(load, 30000)
+    return () => clearInterval(id)
+  }, [])
+
+  const runNow = async (s) => {
+    setRunning(s.id)
+    try {
+      await apiJson(`/api/schedules/${encodeURIComponent(s.id)}/run`, { method: 'POST', body: '{}' })
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setRunning('')
+      load()
+    }
+  }
+
+  const toggle = async (s) => {
+    try {
+      await apiJson(`/api/schedules/${encodeURIComponent(s.id)}`, { method: 'PUT', body: JSON.stringify({ enabled: !s.enabled }) })
+    } catch (e) {
+      setError(String(e?.message || e))
+    }
+    load()
+  }
+
+  const remove = async (s) => {
+    if (!window.confirm(`Delete schedule "${s.name}"?`)) return
+    try {
+      await apiJson(`/api/schedules/${encodeURIComponent(s.id)}`, { method: 'DELETE' })
+      if (selected === s.id) setSelected('')
+    } catch (e) {
+      setError(String(e?.message || e))
+    }
+    load()
+  }
+
+  const shownRuns = useMemo(() => (selected ? runs.filter((r) => r.scheduleId === selected) : runs), [runs, selected])
+  const describeSource = (s) => {
+    if (s.source?.type === 'preset') return sources.presets.find((p) => p.id === s.source.presetId)?.label || s.source.presetId
+    return s.source?.tool || ''
+  }
+
+  return (
+    <div className="mx-schedules">
+      <div className="mx-table-actions">
+        <h2 className="mx-h3" style={{ margin: 0, marginRight: 'auto' }}>Scheduled queries</h2>
+        <Button size="sm" kind="primary" onClick={() => { setEditing(null); setFormOpen(true) }}>New schedule</Button>
+      </div>
+      {error ? <InlineNotification kind="error" lowContrast title="" subtitle={error} onCloseButtonClick={() => setError('')} /> : null}
+      {loading ? <InlineLoading description="Loading schedules…" /> : null}
+
+      {!loading && !schedules.length ? (
+        <p className="mx-muted">No schedules yet. Create one to get a query preset or saved tool delivered on a timetable.</p>
+      ) : null}
+      {schedules.length ? (
+        <Table size="sm" useZebraStyles>
+          <TableHead>
+            <TableRow>
+              <TableHeader>Name</TableHeader>
+              <TableHeader>Cron</TableHeader>
+              <TableHeader>Query</TableHeader>
+              <TableHeader>Output</TableHeader>
+              <TableHeader>Delivery</TableHeader>
+              <TableHeader>Next run</TableHeader>
+              <TableHeader>Last run</TableHeader>
+              <TableHeader />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {schedules.map((s) => (
+              <TableRow key={s.id} className={selected === s.id ? 'mx-row-selected' : ''} onClick={() => setSelected((p) => (p === s.id ? '' : s.id))}>
+                <TableCell>
+                  {s.name} {!s.enabled ? <Tag size="sm" type="gray">off</Tag> : null}
+                  {s.owner ? <div className="mx-muted" style={{ fontSize: 12 }}>{s.owner}</div> : null}
+                </TableCell>
+                <TableCell><code>{s.cron}</code></TableCell>
+                <TableCell>{describeSource(s)}{s.site ? ` · ${s.site}` : ''}{s.tenant ? ` · ${s.tenant}` : ''}</TableCell>
+                <TableCell>{OUTPUTS.find((o) => o.id === s.output)?.label || s.output}</TableCell>
+                <TableCell>{s.delivery?.type === 'smtp' ? (s.delivery.to || []).join(', ') : s.delivery?.url}</TableCell>
+                <TableCell>{s.enabled ? formatWhen(s.nextRunAt) : '—'}</TableCell>
+                <TableCell>
+                  {s.lastRunAt ? (
+                    <Tag size="sm" type={s.lastStatus === 'ok' ? 'green' : 'red'} title={s.lastError || ''}>{s.lastStatus === 'ok' ? 'ok' : 'failed'}</Tag>
+                  ) : null}
+                  {formatWhen(s.lastRunAt)}
+                </TableCell>
+                <TableCell onClick={(e) => e.stopPropagation()}>
+                  <div className="mx-schedule-actions">
+                    <Button size="sm" kind="ghost" disabled={!!running} onClick={() => runNow(s)}>
+                      {running === s.id ? <InlineLoading description="Running…" /> : 'Run now'}
+                    </Button>
+                    <Button size="sm" kind="ghost" onClick={() => { setEditing(s); setFormOpen(true) }}>Edit</Button>
+                    <Button size="sm" kind="ghost" onClick={() => toggle(s)}>{s.enabled ? 'Disable' : 'Enable'}</Button>
+                    <Button size="sm" kind="danger--ghost" onClick={() => remove(s)}>Delete</Button>
+                  </div>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      ) : null}
+
+      <div className="mx-table-actions" style={{ marginTop: '1.5rem' }}>
+        <h3 className="mx-h3" style={{ margin: 0, marginRight: 'auto' }}>
+          Run history{selected ? ` · ${schedules.find((s) => s.id === selected)?.name || ''}` : ''}
+        </h3>
+        {selected ? <Button size="sm" kind="ghost" onClick={() => setSelected('')}>Show all</Button> : null}
+        <Button size="sm" kind="ghost" onClick={load}>Refresh</Button>
+      </div>
+      {shownRuns.length ? (
+        <Table size="sm" useZebraStyles>
+          <TableHead>
+            <TableRow>
+              <TableHeader>Started</TableHeader>
+              <TableHeader>Schedule</TableHeader>
+              <TableHeader>Trigger</TableHeader>
+              <TableHeader>Status</TableHeader>
+              <TableHeader>Rows</TableHeader>
+              <TableHeader>Delivered to</TableHeader>
+              <TableHeader>Detail</TableHeader>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {shownRuns.map((r) => (
+              <TableRow key={r.id}>
+                <TableCell>{formatWhen(r.startedAt)}</TableCell>
+                <TableCell>{r.scheduleName}</TableCell>
+                <TableCell>{r.trigger}</TableCell>
+                <TableCell>
+                  <Tag size="sm" type={r.status === 'ok' ? 'green' : 'red'}>{r.status === 'ok' ? 'ok' : `failed${r.stage ? ` (${r.stage})` : ''}`}</Tag>
+                </TableCell>
+                <TableCell>{r.rows ?? ''}</TableCell>
+                <TableCell>{r.delivery ? `${r.delivery.type}: ${r.delivery.target}` : '—'}</TableCell>
+                <TableCell className="mx-run-error">{r.error || (r.ms != null ? `${r.ms} ms` : '')}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      ) : (
+        <p className="mx-muted">No runs yet.</p>
+      )}
+
+      <ScheduleForm
+        open={formOpen}
+        editing={editing}
+        sources={sources}
+        onClose={() => setFormOpen(false)}
+        onSaved={() => { setFormOpen(false); load() }}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,383 @@
+// mcp-server/aggregate.mjs
+// Aggregation engine for maximo_queryOS (`aggregate` arg, NLQ "count ..." questions) and /mcp/intent/query.
+//
+// Spec (all parts optional; the default is a plain count):
+//   {
+//     metrics: [{ op: "count" }, { op: "sum" | "avg" | "min" | "max", field: "totalcost", as? }],
+//     groupBy: ["status", { field: "reportdate", bucket: "day" | "week" | "month" | "quarter" | "year" }],
+//     maxRows,   // paging safety cap (default AGGREGATE_MAX_ROWS or 50000)
+//     limit,     // groups returned (default AGGREGATE_MAX_GROUPS or 500)
+//     sort,      // metric or group column, "-" for descending (default: buckets ascending, else first metric descending)
+//   }
+// groupBy strings may carry the bucket as "reportdate:month".
+//
+// Strategies, cheapest first:
+//   count  - no groupBy, count only: one request with collectioncount=1 and oslc.pageSize=1 (totalCount).
+//   native - Maximo group-by (gbcols=status,count.*,sum.totalcost) when enabled for the tenant and the
+//            grouping needs no date buckets; any unexpected response falls back to paged.
+//   paged  - page through the full result (oslc.select = the needed fields only) up to maxRows and
+//            aggregate here. totalCount (collectioncount=1) tells whether the cap truncated the scan.
+//
+// Usage (from server.mjs):
+//   const spec = normalizeAggregateSpec(args.aggregate, { resolveField }); // throws Error code "invalid_aggregate"
+//   const out = await runAggregate({ spec, params, fetchPage, native, pageSize });
+//   // fetchPage(params) -> { ok, status, body }; params are the compiled oslc.* query params
+
+const METRIC_OPS = new Set(["count", "sum", "avg", "min", "max"]);
+const BUCKETS = new Set(["day", "week", "month", "quarter", "year"]);
+const FIELD_RE = /^[A-Za-z_][A-Za-z0-9_:]*(?:\.[A-Za-z_][A-Za-z0-9_:]*)*$/;
+
+function aggregateError(message) {
+  const e = new Error(message);
+  e.code = "invalid_aggregate";
+  return e;
+}
+
+function envNumber(name, defv) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : defv;
+}
+
+// resolveField(field) -> the schema's spelling (or the field unchanged); called before result labels are derived.
+export function normalizeAggregateSpec(raw, { resolveField = (f) => f } = {}) {
+  const spec = raw === true ? {} : raw;
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) throw aggregateError("aggregate must be an object (or true for a plain count)");
+
+  const metricsIn = Array.isArray(spec.metrics) && spec.metrics.length ? spec.metrics : [{ op: "count" }];
+  const metrics = metricsIn.map((m, i) => {
+    const mm = typeof m === "string" ? { op: m.split(":")[0], field: m.split(":")[1] } : (m || {});
+    const op = String(mm.op || "").trim().toLowerCase();
+    let field = String(mm.field || "").trim();
+    if (!METRIC_OPS.has(op)) throw aggregateError(`metrics[${i}]: unsupported op "${mm.op}" (use count, sum, avg, min, max)`);
+    if (op !== "count" && !FIELD_RE.test(field)) throw aggregateError(`metrics[${i}]: ${op} needs a numeric field`);
+    if (op !== "count") field = resolveField(field);
+    const as = String(mm.as || "").trim() || (op === "count" ? "count" : `${op}_${field.replace(/\./g, "_")}`);
+    return { op, field: op === "count" ? "" : field, as };
+  });
+
+  const groupIn = Array.isArray(spec.groupBy) ? spec.groupBy : (spec.groupBy ? [spec.groupBy] : []);
+  const groupBy = groupIn.map((g, i) => {
+    const gg = typeof g === "string" ? { field: g.split(":")[0], bucket: g.split(":")[1] } : (g || {});
+    const raw = String(gg.field || "").trim();
+    const bucket = String(gg.bucket || "").trim().toLowerCase();
+    if (!FIELD_RE.test(raw)) throw aggregateError(`groupBy[${i}]: invalid field "${gg.field ?? ""}"`);
+    if (bucket && !BUCKETS.has(bucket)) throw aggregateError(`groupBy[${i}]: unsupported bucket "${gg.bucket}" (use day, week, month, quarter, year)`);
+    const field = resolveField(raw);
+    return field ? { field, bucket, as: bucket ? `${field}:${bucket}` : field } : null;
+  }).filter(Boolean);
+
+  const maxRows = Math.min(Number(spec.maxRows) > 0 ? Number(spec.maxRows) : Infinity, envNumber("AGGREGATE_MAX_ROWS", 50000));
+  const limit = Math.min(Number(spec.limit) > 0 ? Number(spec.limit) : Infinity, envNumber("AGGREGATE_MAX_GROUPS", 500));
+  const sort = String(spec.sort || "").trim();
+  return { metrics, groupBy, maxRows, limit, sort };
+}
+
+// Fields the paged strategy needs in oslc.select (relationship paths as nested selects).
+export function aggregateSelect(spec) {
+  const fields = [...spec.groupBy.map((g) => g.field), ...spec.metrics.filter((m) => m.field).map((m) => m.field)];
+  const out = [];
+  for (const f of fields) {
+    const parts = f.split(".");
+    const sel = parts.length === 1 ? f : `${parts.slice(0, -1).join("{")}{${parts[parts.length - 1]}${"}".repeat(parts.length - 1)}`;
+    if (!out.includes(sel)) out.push(sel);
+  }
+  return out.join(",");
+}
+
+export function planAggregate(spec, { native = false } = {}) {
+  if (!spec.groupBy.length && spec.metrics.every((m) => m.op === "count")) return "count";
+  if (native && spec.groupBy.length && spec.groupBy.every((g) => !g.bucket && !g.field.includes("."))) return "native";
+  return "paged";
+}
+
+function valueAt(row, path) {
+  let v = row;
+  for (const p of path.split(".")) {
+    if (Array.isArray(v)) v = v[0];
+    if (!v || typeof v !== "object") return undefined;
+    v = v[p] ?? v[p.toLowerCase()];
+  }
+  return Array.isArray(v) ? v[0] : v;
+}
+
+// Buckets use the date as written by Maximo (site-local), so no timezone shifting.
+export function bucketDate(value, bucket) {
+  const m = String(value ?? "").match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!m) return "";
+  const [, y, mo, d] = m;
+  if (bucket === "year") return y;
+  if (bucket === "quarter") return `${y}-Q${Math.floor((Number(mo) - 1) / 3) + 1}`;
+  if (bucket === "month") return `${y}-${mo}`;
+  if (bucket === "week") {
+    // ISO 8601 week: the week with the year's first Thursday is week 1.
+    const date = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d)));
+    const dow = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - dow);
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((date.getTime() - yearStart) / 86400000 + 1) / 7);
+    return `${date.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+  }
+  return `${y}-${mo}-${d}`;
+}
+
+function toNumber(v) {
+  if (v === null || v === undefined || v === "" || typeof v === "boolean") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function newAcc(spec) {
+  return spec.metrics.map((m) => ({ op: m.op, count: 0, sum: 0, n: 0, min: null, max: null }));
+}
+
+function accumulate(acc, spec, row) {
+  spec.metrics.forEach((m, i) => {
+    const a = acc[i];
+    a.count++;
+    if (m.op === "count") return;
+    const n = toNumber(valueAt(row, m.field));
+    if (n === null) return;
+    a.n++;
+    a.sum += n;
+    a.min = a.min === null ? n : Math.min(a.min, n);
+    a.max = a.max === null ? n : Math.max(a.max, n);
+  });
+}
+
+function round(n) {
+  return n === null ? null : Math.round(n * 1e6) / 1e6;
+}
+
+function finish(acc, spec) {
+  const out = {};
+  spec.metrics.forEach((m, i) => {
+    const a = acc[i];
+    if (m.op === "count") out[m.as] = a.count;
+    else if (m.op === "sum") out[m.as] = a.n ? round(a.sum) : null;
+    else if (m.op === "avg") out[m.as] = a.n ? round(a.sum / a.n) : null;
+    else out[m.as] = round(a[m.op]);
+  });
+  return out;
+}
+
+function sortGroups(groups, spec) {
+  const key = spec.sort.replace(/^[+-]/, "");
+  const desc = spec.sort.startsWith("-");
+  const cmp = (a, b, k) => {
+    const x = a[k];
+    const y = b[k];
+    if (typeof x === "number" && typeof y === "number") return x - y;
+    return String(x ?? "").localeCompare(String(y ?? ""));
+  };
+  if (key && groups.length && key in groups[0]) {
+    return groups.sort((a, b) => (desc ? -1 : 1) * cmp(a, b, key));
+  }
+  if (spec.groupBy.some((g) => g.bucket)) {
+    return groups.sort((a, b) => {
+      for (const g of spec.groupBy) {
+        const c = cmp(a, b, g.as);
+        if (c) return c;
+      }
+      return 0;
+    });
+  }
+  const first = spec.metrics[0].as;
+  return groups.sort((a, b) => cmp(b, a, first));
+}
+
+// rows -> { groups: [{ <groupBy.as>: value, <metric.as>: value }], totals: { <metric.as>: value } }
+export function aggregateRows(rows, spec) {
+  const totals = newAcc(spec);
+  const byKey = new Map();
+  for (const row of rows) {
+    accumulate(totals, spec, row);
+    if (!spec.groupBy.length) continue;
+    const keyVals = spec.groupBy.map((g) => {
+      const v = valueAt(row, g.field);
+      return g.bucket ? bucketDate(v, g.bucket) : String(v ?? "");
+    });
+    const k = JSON.stringify(keyVals);
+    let e = byKey.get(k);
+    if (!e) {
+      e = { keyVals, acc: newAcc(spec) };
+      byKey.set(k, e);
+    }
+    accumulate(e.acc, spec, row);
+  }
+  const groups = Array.from(byKey.values()).map((e) => {
+    const g = {};
+    spec.groupBy.forEach((gb, i) => { g[gb.as] = e.keyVals[i]; });
+    return { ...g, ...finish(e.acc, spec) };
+  });
+  return { groups: sortGroups(groups, spec), totals: finish(totals, spec) };
+}
+
+function membersOf(body) {
+  if (Array.isArray(body)) return body;
+  if (!body || typeof body !== "object") return [];
+  const m = Array.isArray(body.member) ? body.member : Array.isArray(body["rdfs:member"]) ? body["rdfs:member"] : [];
+  return m.length === 1 && Array.isArray(m[0]) ? m[0] : m;
+}
+
+function totalCountOf(body) {
+  const n = Number(body?.["oslc:responseInfo"]?.["oslc:totalCount"] ?? body?.responseInfo?.totalCount ?? body?.totalCount);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Native group-by rows name their aggregates differently across Maximo versions; accept the common shapes.
+function nativeMetric(row, m) {
+  const keys = m.op === "count"
+    ? ["count", "count.*", "_count", "COUNT"]
+    : [`${m.op}.${m.field}`, `${m.op}_${m.field}`, `${m.op}${m.field}`, `${m.op.toUpperCase()}.${m.field}`];
+  for (const k of keys) {
+    if (row && row[k] !== undefined) return toNumber(row[k]);
+  }
+  return undefined;
+}
+
+async function runNative({ spec, params, fetchPage, pageSize }) {
+  const p = { ...params, "oslc.pageSize": String(pageSize) };
+  delete p["oslc.select"];
+  delete p["oslc.orderBy"];
+  delete p.pageno;
+  p.gbcols = [
+    ...spec.groupBy.map((g) => g.field),
+    ...spec.metrics.map((m) => (m.op === "count" ? "count.*" : `${m.op}.${m.field}`)),
+  ].join(",");
+  const r = await fetchPage(p);
+  if (!r.ok) return { ok: false, unsupported: true, reason: `HTTP ${r.status}` };
+  const rows = membersOf(r.body);
+  if (!rows.length) return { ok: true, groups: [], totals: finish(newAcc(spec), spec), params: p };
+  // Plain records back (gbcols ignored): the tenant doesn't do native group-by at all.
+  if (!spec.metrics.some((m) => nativeMetric(rows[0], m) !== undefined)) return { ok: false, unsupported: true, reason: "response is not grouped" };
+  if (rows.length >= pageSize) return { ok: false, reason: `more than ${pageSize} groups` };
+  const groups = [];
+  for (const row of rows) {
+    const g = {};
+    for (const gb of spec.groupBy) {
+      const v = valueAt(row, gb.field);
+      if (v === undefined) return { ok: false, reason: `group column ${gb.field} missing from the response` };
+      g[gb.as] = String(v ?? "");
+    }
+    for (const m of spec.metrics) {
+      const v = nativeMetric(row, m);
+      if (v === undefined) return { ok: false, reason: `${m.op} ${m.field || "*"} missing from the response` };
+      g[m.as] = round(v);
+    }
+    groups.push(g);
+  }
+  // Totals from the groups; avg can't be recombined without the per-group counts.
+  const totals = {};
+  for (const m of spec.metrics) {
+    const vals = groups.map((g) => g[m.as]).filter((v) => v !== null);
+    if (m.op === "count" || m.op === "sum") totals[m.as] = round(vals.reduce((a, b) => a + b, 0));
+    else if (m.op === "min") totals[m.as] = vals.length ? Math.min(...vals) : null;
+    else if (m.op === "max") totals[m.as] = vals.length ? Math.max(...vals) : null;
+    else totals[m.as] = null;
+  }
+  return { ok: true, groups: sortGroups(groups, spec), totals, params: p };
+}
+
+/**
+ * Runs an aggregate over the whole filtered result.
+ * Returns { strategy, groups, totals, total, rowsScanned, truncated, pages, params, nativeFallback?: { reason, unsupported } }
+ * or { error: { status, body } } when Maximo rejects the query.
+ */
+export async function runAggregate({ spec, params, fetchPage, native = false, pageSize = 1000 }) {
+  const strategy = planAggregate(spec, { native });
+
+  if (strategy === "count") {
+    const p = { ...params, collectioncount: "1", "oslc.pageSize": "1" };
+    delete p["oslc.orderBy"];
+    delete p.pageno;
+    const r = await fetchPage(p);
+    if (!r.ok) return { error: { status: r.status, body: r.body } };
+    const total = totalCountOf(r.body);
+    // Tenants without collectioncount support: count by paging instead.
+    if (total !== null) {
+      const totals = {};
+      for (const m of spec.metrics) totals[m.as] = total;
+      return { strategy, groups: [], totals, total, rowsScanned: 0, truncated: false, pages: 1, params: p };
+    }
+  }
+
+  let nativeFallback = null;
+  if (strategy === "native") {
+    const out = await runNative({ spec, params, fetchPage, pageSize });
+    if (out.ok) {
+      const total = spec.metrics.some((m) => m.op === "count") ? out.totals[spec.metrics.find((m) => m.op === "count").as] : null;
+      return { strategy, groups: out.groups, totals: out.totals, total, rowsScanned: 0, truncated: false, pages: 1, params: out.params };
+    }
+    nativeFallback = { reason: out.reason, unsupported: !!out.unsupported };
+  }
+
+  const p = { ...params, "oslc.select": aggregateSelect(spec) || "href", "oslc.pageSize": String(pageSize), collectioncount: "1" };
+  delete p["oslc.orderBy"];
+  const rows = [];
+  let total = null;
+  let pages = 0;
+  for (let page = 1; rows.length < spec.maxRows; page++) {
+    p.pageno = String(page);
+    const r = await fetchPage(p);
+    if (!r.ok) return { error: { status: r.status, body: r.body } };
+    pages++;
+    if (total === null) total = totalCountOf(r.body);
+    const members = membersOf(r.body);
+    for (const m of members) {
+      if (rows.length >= spec.maxRows) break;
+      rows.push(m);
+    }
+    if (members.length < pageSize || (total !== null && rows.length >= total)) break;
+  }
+  const { groups, totals } = aggregateRows(rows, spec);
+  return {
+    strategy: "paged",
+    groups,
+    totals,
+    total: total ?? rows.length,
+    rowsScanned: rows.length,
+    truncated: total !== null ? rows.length < total : rows.length >= spec.maxRows,
+    pages,
+    params: { ...p, pageno: undefined },
+    ...(nativeFallback ? { nativeFallback } : {}),
+  };
+}
+
+// Result body shared by /mcp/call and /mcp/intent/query. detail keeps the older { group, count } breakdown.
+export function aggregateResult(out, spec, { label = "records" } = {}) {
+  const columns = [...spec.groupBy.map((g) => g.as), ...spec.metrics.map((m) => m.as)];
+  const groups = out.groups.slice(0, spec.limit);
+  const countAs = spec.metrics.find((m) => m.op === "count")?.as;
+  const fmt = (n) => (typeof n === "number" ? n.toLocaleString("en-US", { maximumFractionDigits: 2 }) : "n/a");
+
+  const parts = [`There are ${fmt(out.total)} matching ${label}`];
+  if (spec.groupBy.length) parts.push(`, grouped by ${spec.groupBy.map((g) => (g.bucket ? `${g.field} (${g.bucket})` : g.field)).join(", ")} into ${out.groups.length} group(s)`);
+  parts.push(".");
+  const metricText = spec.metrics.filter((m) => m.op !== "count").map((m) => `${m.op} of ${m.field}: ${fmt(out.totals[m.as])}`);
+  if (metricText.length) parts.push(` ${metricText.join("; ")}.`);
+  if (out.truncated) parts.push(` Aggregated over the first ${fmt(out.rowsScanned)} rows only (row cap ${fmt(spec.maxRows)}).`);
+  if (out.groups.length > groups.length) parts.push(` Showing the top ${groups.length} groups.`);
+
+  return {
+    kind: "aggregate",
+    summary: parts.join(""),
+    // table.aggregate lets the Agent UI chart the rows (group columns vs. metric columns).
+    table: { columns, rows: spec.groupBy.length ? groups : [out.totals], aggregate: { groupBy: spec.groupBy, metrics: spec.metrics } },
+    totals: out.totals,
+    total: out.total,
+    detail: spec.groupBy.length && countAs
+      ? groups.map((g) => ({ group: spec.groupBy.map((gb) => g[gb.as]).join(" | "), count: g[countAs] }))
+      : [],
+    aggregate: {
+      strategy: out.strategy,
+      metrics: spec.metrics,
+      groupBy: spec.groupBy,
+      rowsScanned: out.rowsScanned,
+      pages: out.pages,
+      truncated: out.truncated,
+      groupsTotal: out.groups.length,
+      ...(out.nativeFallback ? { nativeFallback: out.nativeFallback.reason } : {}),
+    },
+    sampled: !!out.truncated,
+  };
+}
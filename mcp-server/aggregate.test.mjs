@@ -0,0 +1,144 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeAggregateSpec, aggregateSelect, planAggregate, bucketDate, aggregateRows, runAggregate } from "./aggregate.mjs";
+
+const ROWS = [
+  { status: "WAPPR", reportdate: "2024-01-30T08:00:00-05:00", actlabcost: 100, asset: [{ assettype: "PUMP" }] },
+  { status: "WAPPR", reportdate: "2024-02-02T09:00:00-05:00", actlabcost: "50.5", asset: [{ assettype: "FAN" }] },
+  { status: "APPR", reportdate: "2024-02-10T10:00:00-05:00", actlabcost: null, asset: [{ assettype: "PUMP" }] },
+  { status: "COMP", reportdate: "2024-03-01T00:00:00-05:00", actlabcost: 25 },
+];
+
+test("normalizeAggregateSpec: defaults, string forms and validation", () => {
+  const plain = normalizeAggregateSpec(true);
+  assert.deepEqual(plain.metrics, [{ op: "count", field: "", as: "count" }]);
+  assert.deepEqual(plain.groupBy, []);
+
+  const spec = normalizeAggregateSpec(
+    { metrics: ["count", "sum:actlabcost", { op: "avg", field: "asset.totalcost", as: "avgCost" }], groupBy: ["reportdate:month", "STATUS"] },
+    { resolveField: (f) => f.toLowerCase() },
+  );
+  assert.deepEqual(spec.metrics.map((m) => m.as), ["count", "sum_actlabcost", "avgCost"]);
+  assert.deepEqual(spec.groupBy, [{ field: "reportdate", bucket: "month", as: "reportdate:month" }, { field: "status", bucket: "", as: "status" }]);
+
+  assert.throws(() => normalizeAggregateSpec({ metrics: [{ op: "median", field: "x" }] }), { code: "invalid_aggregate" });
+  assert.throws(() => normalizeAggregateSpec({ metrics: [{ op: "sum" }] }), /sum needs a numeric field/);
+  assert.throws(() => normalizeAggregateSpec({ groupBy: ["reportdate:fortnight"] }), /unsupported bucket "fortnight"/);
+  assert.throws(() => normalizeAggregateSpec([]), { code: "invalid_aggregate" });
+});
+
+test("aggregateSelect and planAggregate", () => {
+  const spec = normalizeAggregateSpec({ metrics: ["count", "sum:actlabcost"], groupBy: ["asset.assettype", "status"] });
+  assert.equal(aggregateSelect(spec), "asset{assettype},status,actlabcost");
+  assert.equal(planAggregate(normalizeAggregateSpec(true)), "count");
+  assert.equal(planAggregate(normalizeAggregateSpec({ groupBy: ["status"] }), { native: true }), "native");
+  assert.equal(planAggregate(normalizeAggregateSpec({ groupBy: ["status"] })), "paged");
+  assert.equal(planAggregate(normalizeAggregateSpec({ groupBy: ["reportdate:week"] }), { native: true }), "paged");
+  assert.equal(planAggregate(normalizeAggregateSpec({ groupBy: ["asset.assettype"] }), { native: true }), "paged");
+});
+
+test("bucketDate: ISO weeks across year boundaries", () => {
+  assert.equal(bucketDate("2024-01-01", "week"), "2024-W01");
+  assert.equal(bucketDate("2023-01-01T12:00:00Z", "week"), "2022-W52");
+  assert.equal(bucketDate("2020-12-31", "week"), "2020-W53");
+  assert.equal(bucketDate("2021-01-03", "week"), "2020-W53");
+  assert.equal(bucketDate("2021-01-04", "week"), "2021-W01");
+  assert.equal(bucketDate("2024-12-30", "week"), "2025-W01");
+});
+
+test("bucketDate: month, quarter, year and day use the date as written", () => {
+  // Site-local timestamps are not shifted to UTC: 23:30 at -05:00 stays in January.
+  assert.equal(bucketDate("2024-01-31T23:30:00-05:00", "month"), "2024-01");
+  assert.equal(bucketDate("2024-11-05", "quarter"), "2024-Q4");
+  assert.equal(bucketDate("2024-03-31", "quarter"), "2024-Q1");
+  assert.equal(bucketDate("2024-07-04", "year"), "2024");
+  assert.equal(bucketDate("2024-07-04T10:00:00", "day"), "2024-07-04");
+  assert.equal(bucketDate("", "month"), "");
+  assert.equal(bucketDate("not a date", "week"), "");
+});
+
+test("aggregateRows: grouped metrics skip non-numeric values and sort by the first metric", () => {
+  const spec = normalizeAggregateSpec({ metrics: ["count", "sum:actlabcost", "avg:actlabcost", "min:actlabcost", "max:actlabcost"], groupBy: ["status"] });
+  const { groups, totals } = aggregateRows(ROWS, spec);
+  assert.deepEqual(groups[0], { status: "WAPPR", count: 2, sum_actlabcost: 150.5, avg_actlabcost: 75.25, min_actlabcost: 50.5, max_actlabcost: 100 });
+  assert.deepEqual(groups.find((g) => g.status === "APPR"), { status: "APPR", count: 1, sum_actlabcost: null, avg_actlabcost: null, min_actlabcost: null, max_actlabcost: null });
+  assert.deepEqual(totals, { count: 4, sum_actlabcost: 175.5, avg_actlabcost: 58.5, min_actlabcost: 25, max_actlabcost: 100 });
+});
+
+test("aggregateRows: date buckets sort chronologically; relationship paths and an explicit sort", () => {
+  const byMonth = aggregateRows(ROWS, normalizeAggregateSpec({ groupBy: ["reportdate:month"] }));
+  assert.deepEqual(byMonth.groups, [
+    { "reportdate:month": "2024-01", count: 1 },
+    { "reportdate:month": "2024-02", count: 2 },
+    { "reportdate:month": "2024-03", count: 1 },
+  ]);
+  const byWeek = aggregateRows(ROWS, normalizeAggregateSpec({ groupBy: ["reportdate:week"] }));
+  assert.deepEqual(byWeek.groups.map((g) => [g["reportdate:week"], g.count]), [["2024-W05", 2], ["2024-W06", 1], ["2024-W09", 1]]);
+
+  const byType = aggregateRows(ROWS, normalizeAggregateSpec({ groupBy: ["asset.assettype"], sort: "asset.assettype" }));
+  assert.deepEqual(byType.groups.map((g) => [g["asset.assettype"], g.count]), [["", 1], ["FAN", 1], ["PUMP", 2]]);
+});
+
+// fetchPage stub: records the params of every request and answers from `reply(params)`.
+function fakeMaximo(reply) {
+  const calls = [];
+  return { calls, fetchPage: async (params) => { calls.push({ ...params }); return reply(params); } };
+}
+
+test("runAggregate: a plain count is one collectioncount request", async () => {
+  const m = fakeMaximo(() => ({ ok: true, status: 200, body: { member: [{}], responseInfo: { totalCount: 42 } } }));
+  const out = await runAggregate({ spec: normalizeAggregateSpec(true), params: { "oslc.where": "status=\"WAPPR\"", "oslc.orderBy": "-wonum" }, fetchPage: m.fetchPage });
+  assert.equal(out.strategy, "count");
+  assert.equal(out.total, 42);
+  assert.deepEqual(out.totals, { count: 42 });
+  assert.equal(m.calls.length, 1);
+  assert.equal(m.calls[0].collectioncount, "1");
+  assert.equal(m.calls[0]["oslc.orderBy"], undefined);
+});
+
+test("runAggregate: count falls back to paging when the tenant has no collectioncount", async () => {
+  const m = fakeMaximo((p) => ({ ok: true, status: 200, body: { member: p.pageno === "1" ? [{}, {}] : p.pageno === "2" ? [{}] : [] } }));
+  const out = await runAggregate({ spec: normalizeAggregateSpec(true), params: {}, fetchPage: m.fetchPage, pageSize: 2 });
+  assert.equal(out.strategy, "paged");
+  assert.equal(out.total, 3);
+  assert.equal(out.pages, 2);
+  assert.equal(out.truncated, false);
+});
+
+test("runAggregate: native group-by falls back to paging when Maximo ignores gbcols", async () => {
+  const m = fakeMaximo((p) => {
+    if (p.gbcols) return { ok: true, status: 200, body: { member: [{ status: "WAPPR", wonum: "1" }] } };
+    return { ok: true, status: 200, body: { member: ROWS, responseInfo: { totalCount: ROWS.length } } };
+  });
+  const spec = normalizeAggregateSpec({ groupBy: ["status"] });
+  const out = await runAggregate({ spec, params: {}, fetchPage: m.fetchPage, native: true });
+  assert.equal(out.strategy, "paged");
+  assert.deepEqual(out.nativeFallback, { reason: "response is not grouped", unsupported: true });
+  assert.equal(m.calls[0].gbcols, "status,count.*");
+  assert.equal(m.calls[1]["oslc.select"], "status");
+  assert.deepEqual(out.groups.map((g) => [g.status, g.count]), [["WAPPR", 2], ["APPR", 1], ["COMP", 1]]);
+});
+
+test("runAggregate: native group-by answers in one request when supported", async () => {
+  const m = fakeMaximo(() => ({ ok: true, status: 200, body: { member: [{ status: "WAPPR", count: 5 }, { status: "APPR", count: 7 }] } }));
+  const out = await runAggregate({ spec: normalizeAggregateSpec({ groupBy: ["status"] }), params: {}, fetchPage: m.fetchPage, native: true });
+  assert.equal(out.strategy, "native");
+  assert.equal(out.total, 12);
+  assert.deepEqual(out.groups, [{ status: "APPR", count: 7 }, { status: "WAPPR", count: 5 }]);
+  assert.equal(m.calls.length, 1);
+});
+
+test("runAggregate: the row cap marks the result truncated; Maximo errors are returned", async () => {
+  const page = Array.from({ length: 2 }, () => ({ status: "WAPPR" }));
+  const m = fakeMaximo(() => ({ ok: true, status: 200, body: { member: page, responseInfo: { totalCount: 10 } } }));
+  const out = await runAggregate({ spec: normalizeAggregateSpec({ groupBy: ["status"], maxRows: 3 }), params: {}, fetchPage: m.fetchPage, pageSize: 2 });
+  assert.equal(out.rowsScanned, 3);
+  assert.equal(out.total, 10);
+  assert.equal(out.truncated, true);
+
+  const bad = fakeMaximo(() => ({ ok: false, status: 400, body: { Error: { message: "BMXAA" } } }));
+  assert.deepEqual(await runAggregate({ spec: normalizeAggregateSpec({ groupBy: ["status"] }), params: {}, fetchPage: bad.fetchPage }), {
+    error: { status: 400, body: { Error: { message: "BMXAA" } } },
+  });
+});
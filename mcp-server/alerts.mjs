@@ -0,0 +1,283 @@
+// mcp-server/alerts.mjs
+// Alert rules: a maximo_queryOS query evaluated on an interval, with a condition, debounce and webhooks.
+//
+// Rule (stored per tenant, see server.mjs "Alert rules"):
+//   {
+//     id, name, enabled,
+//     args: { os, where?, filters?, select?, orderBy?, site? },      // maximo_queryOS args
+//     condition: { type: "count", op: ">" | ">=" | "<" | "<=" | "=" | "!=", value }
+//              | { type: "new" }                                     // records not seen on the previous evaluation
+//              | { type: "changed", fields? },                       // new records, or tracked ones whose fields changed
+//     age?: { field: "statusdate", hours: 4 },                       // only records whose field is older than this
+//     intervalMinutes,   // evaluation interval (default 5)
+//     consecutive,       // count rules: breaches in a row before firing (default 1)
+//     cooldownMinutes,   // minimum gap between notifications (default 60); new records wait in `pending`
+//     notifyResolved,    // count rules: also notify when the condition clears
+//     baseline,          // new/changed: the first evaluation only records what exists (default: true without `age`)
+//     webhooks: [{ url, headers? }],
+//   }
+//
+// Usage (from server.mjs):
+//   const rule = normalizeAlertRule(body, { existing });            // throws Error code "invalid_alert"
+//   const obs = { count, records: trackRecords(os, members, rule, memberKey) };
+//   const { state, event } = evaluateAlert(rule, prevState, obs, Date.now());
+//   if (event) post alertPayload(rule, event, { tenant }) to rule.webhooks
+
+import crypto from "node:crypto";
+
+export const ALERT_CONDITIONS = ["count", "new", "changed"];
+const COUNT_OPS = [">", ">=", "<", "<=", "=", "!="];
+const FIELD_RE = /^[A-Za-z_][A-Za-z0-9_:]*(?:\.[A-Za-z_][A-Za-z0-9_:]*)*$/;
+const PENDING_MAX = 200;
+const PAYLOAD_RECORDS = Number(process.env.ALERT_PAYLOAD_RECORDS || 20);
+
+function alertError(message) {
+  const e = new Error(message);
+  e.code = "invalid_alert";
+  return e;
+}
+
+function intIn(v, min, max, dflt) {
+  if (v === undefined || v === null || v === "") return dflt;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < min || n > max) return NaN;
+  return Math.round(n);
+}
+
+function normalizeField(f, what) {
+  const s = String(f || "").trim().toLowerCase();
+  if (!FIELD_RE.test(s)) throw alertError(`${what}: invalid field "${f}"`);
+  return s;
+}
+
+function normalizeWebhooks(raw) {
+  const list = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  const out = list.map((w) => (typeof w === "string" ? { url: w } : w || {})).map((w) => {
+    const url = String(w.url || "").trim();
+    let u;
+    try { u = new URL(url); } catch { throw alertError(`Webhook URL is not valid: ${url || "(empty)"}`); }
+    if (!["http:", "https:"].includes(u.protocol)) throw alertError(`Webhook URL must be http(s): ${url}`);
+    const headers = {};
+    if (w.headers && typeof w.headers === "object" && !Array.isArray(w.headers)) {
+      for (const [k, v] of Object.entries(w.headers)) if (String(k).trim()) headers[String(k).trim()] = String(v ?? "");
+    }
+    return Object.keys(headers).length ? { url, headers } : { url };
+  });
+  if (!out.length) throw alertError("At least one webhook is required");
+  if (out.length > 5) throw alertError("At most 5 webhooks per rule");
+  return out;
+}
+
+/** Validates and fills defaults. `existing` keeps id / createdAt when updating. */
+export function normalizeAlertRule(raw, { existing, user } = {}) {
+  const src = { ...(existing || {}), ...(raw || {}) };
+  const name = String(src.name || "").trim();
+  if (!name) throw alertError("name is required");
+
+  const argsIn = src.args && typeof src.args === "object" && !Array.isArray(src.args) ? src.args : {};
+  const os = String(argsIn.os || "").trim().toLowerCase();
+  if (!os) throw alertError("args.os is required");
+  // Alerts read plain rows; paging, shaping and dry runs are controlled by the evaluator.
+  const args = { ...argsIn, os };
+  for (const k of ["aggregate", "dryRun", "page", "pageSize", "rawResponse", "_mcpResultKind", "_mcpGroupBy", "_mcpRelation", "_mcpLimit"]) delete args[k];
+
+  const c = src.condition && typeof src.condition === "object" ? src.condition : {};
+  const type = String(c.type || "").trim().toLowerCase();
+  if (!ALERT_CONDITIONS.includes(type)) throw alertError(`condition.type must be one of ${ALERT_CONDITIONS.join(", ")}`);
+  let condition;
+  if (type === "count") {
+    const op = String(c.op || ">").trim();
+    if (!COUNT_OPS.includes(op)) throw alertError(`condition.op must be one of ${COUNT_OPS.join(" ")}`);
+    const value = Number(c.value);
+    if (!Number.isFinite(value)) throw alertError("condition.value must be a number");
+    condition = { type, op, value };
+  } else if (type === "changed") {
+    const fields = (Array.isArray(c.fields) ? c.fields : String(c.fields || "").split(","))
+      .map((f) => String(f).trim()).filter(Boolean).map((f) => normalizeField(f, "condition.fields"));
+    condition = fields.length ? { type, fields } : { type };
+  } else {
+    condition = { type };
+  }
+
+  let age = null;
+  if (src.age && (src.age.field || src.age.hours)) {
+    const hours = Number(src.age.hours);
+    if (!Number.isFinite(hours) || hours <= 0) throw alertError("age.hours must be a positive number");
+    age = { field: normalizeField(src.age.field, "age.field"), hours };
+  }
+
+  const intervalMinutes = intIn(src.intervalMinutes, 1, 1440, 5);
+  const consecutive = intIn(src.consecutive, 1, 100, 1);
+  const cooldownMinutes = intIn(src.cooldownMinutes, 0, 10080, 60);
+  if (Number.isNaN(intervalMinutes)) throw alertError("intervalMinutes must be between 1 and 1440");
+  if (Number.isNaN(consecutive)) throw alertError("consecutive must be between 1 and 100");
+  if (Number.isNaN(cooldownMinutes)) throw alertError("cooldownMinutes must be between 0 and 10080");
+
+  const now = new Date().toISOString();
+  return {
+    id: existing?.id || crypto.randomBytes(8).toString("hex"),
+    name: name.slice(0, 120),
+    enabled: src.enabled !== false,
+    args,
+    condition,
+    ...(age ? { age } : {}),
+    intervalMinutes,
+    consecutive,
+    cooldownMinutes,
+    notifyResolved: type === "count" && src.notifyResolved === true,
+    baseline: type === "count" ? false : typeof src.baseline === "boolean" ? src.baseline : !age,
+    webhooks: normalizeWebhooks(src.webhooks),
+    createdAt: existing?.createdAt || now,
+    createdBy: existing?.createdBy || user || "",
+    updatedAt: now,
+  };
+}
+
+/** True when an edit changes what the rule watches, so tracked state must start over. */
+export function alertQueryChanged(a, b) {
+  const key = (r) => JSON.stringify({ args: r?.args, condition: r?.condition, age: r?.age || null });
+  return key(a) !== key(b);
+}
+
+function getPath(obj, p) {
+  let cur = obj;
+  for (const part of String(p).split(".")) {
+    if (cur === null || cur === undefined) return undefined;
+    if (Array.isArray(cur)) cur = cur[0];
+    cur = cur?.[part] ?? cur?.[part.toUpperCase()];
+  }
+  return Array.isArray(cur) ? cur[0] : cur;
+}
+
+/** Members whose age field is older than age.hours (records without a parseable date are dropped). */
+export function filterByAge(members, age, now = Date.now()) {
+  if (!age) return members;
+  const cutoff = now - age.hours * 3600 * 1000;
+  return members.filter((m) => {
+    const t = Date.parse(String(getPath(m, age.field) ?? ""));
+    return Number.isFinite(t) && t <= cutoff;
+  });
+}
+
+function stableJson(v) {
+  if (Array.isArray(v)) return `[${v.map(stableJson).join(",")}]`;
+  if (v && typeof v === "object") return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${stableJson(v[k])}`).join(",")}}`;
+  return JSON.stringify(v ?? null);
+}
+
+/**
+ * { key, fingerprint, member } per record. memberKey(os, m) is the server's oslcMemberKey; records without
+ * a key can't be tracked and are skipped. The fingerprint covers condition.fields, else the whole record.
+ */
+export function trackRecords(os, members, rule, memberKey) {
+  const fields = rule?.condition?.fields;
+  const out = [];
+  for (const m of members || []) {
+    const key = memberKey(os, m);
+    if (!key) continue;
+    const basis = fields ? fields.map((f) => getPath(m, f)) : m;
+    out.push({ key, fingerprint: crypto.createHash("sha1").update(stableJson(basis)).digest("hex"), member: m });
+  }
+  return out;
+}
+
+function compare(n, op, v) {
+  switch (op) {
+    case ">": return n > v;
+    case ">=": return n >= v;
+    case "<": return n < v;
+    case "<=": return n <= v;
+    case "=": return n === v;
+    case "!=": return n !== v;
+    default: return false;
+  }
+}
+
+/**
+ * One evaluation. prev: the rule's stored state ({} the first time); obs: { count, records }.
+ * Returns { state, event } where event is null or { status: "fired" | "resolved", count, records, keys }.
+ */
+export function evaluateAlert(rule, prev, obs, now = Date.now()) {
+  const p = prev || {};
+  const nowIso = new Date(now).toISOString();
+  const cooledDown = !p.lastNotifiedAt || now - Date.parse(p.lastNotifiedAt) >= rule.cooldownMinutes * 60 * 1000;
+  const count = Number(obs?.count) || 0;
+  const base = { lastEvaluatedAt: nowIso, lastCount: count, lastError: "" };
+
+  if (rule.condition.type === "count") {
+    const breached = compare(count, rule.condition.op, rule.condition.value);
+    const breaches = breached ? (Number(p.breaches) || 0) + 1 : 0;
+    if (breached && breaches >= rule.consecutive) {
+      if (!p.firing || cooledDown) {
+        return {
+          state: { ...p, ...base, breaches, firing: true, lastStatus: "firing", lastNotifiedAt: nowIso },
+          event: { status: "fired", count, records: (obs?.records || []).map((r) => r.member), keys: (obs?.records || []).map((r) => r.key) },
+        };
+      }
+      return { state: { ...p, ...base, breaches, firing: true, lastStatus: "firing" }, event: null };
+    }
+    const resolved = !breached && p.firing;
+    const state = { ...p, ...base, breaches, firing: breached && !!p.firing, lastStatus: breached ? (p.firing ? "firing" : "pending") : "ok" };
+    if (resolved && rule.notifyResolved) return { state: { ...state, lastNotifiedAt: nowIso }, event: { status: "resolved", count, records: [], keys: [] } };
+    return { state, event: null };
+  }
+
+  // new / changed: diff against the records seen last time (records that left the result are forgotten,
+  // so one that comes back fires again).
+  const seen = p.seen && typeof p.seen === "object" ? p.seen : null;
+  const records = obs?.records || [];
+  const nextSeen = {};
+  for (const r of records) nextSeen[r.key] = r.fingerprint;
+  const hits = records.filter((r) => {
+    if (!seen || !(r.key in seen)) return true;
+    return rule.condition.type === "changed" && seen[r.key] !== r.fingerprint;
+  });
+
+  if (!seen && rule.baseline) {
+    return { state: { ...p, ...base, seen: nextSeen, pending: [], lastStatus: "ok" }, event: null };
+  }
+
+  const pendingByKey = new Map((Array.isArray(p.pending) ? p.pending : []).map((x) => [x.key, x]));
+  for (const r of hits) pendingByKey.set(r.key, { key: r.key, member: r.member });
+  // Pending records that are no longer in the result (WO left WAPPR meanwhile) aren't worth a notification.
+  for (const k of Array.from(pendingByKey.keys())) if (!(k in nextSeen)) pendingByKey.delete(k);
+  const pending = Array.from(pendingByKey.values()).slice(-PENDING_MAX);
+
+  if (pending.length && cooledDown) {
+    return {
+      state: { ...p, ...base, seen: nextSeen, pending: [], lastStatus: "firing", lastNotifiedAt: nowIso },
+      event: { status: "fired", count, records: pending.map((x) => x.member), keys: pending.map((x) => x.key) },
+    };
+  }
+  return { state: { ...p, ...base, seen: nextSeen, pending, lastStatus: pending.length ? "pending" : "ok" }, event: null };
+}
+
+function describeCondition(rule) {
+  const c = rule.condition;
+  const age = rule.age ? `, ${rule.age.field} older than ${rule.age.hours}h` : "";
+  if (c.type === "count") return `count ${c.op} ${c.value}${age}`;
+  if (c.type === "changed") return `new or changed records${c.fields ? ` (${c.fields.join(", ")})` : ""}${age}`;
+  return `new records${age}`;
+}
+
+/** Webhook body. `text` makes it readable as-is by chat webhooks (Slack / Teams style). */
+export function alertPayload(rule, event, { tenant, test = false } = {}) {
+  const c = rule.condition;
+  const n = event.records.length;
+  let text;
+  if (test) text = `[TEST] ${rule.name}: webhook check`;
+  else if (event.status === "resolved") text = `[RESOLVED] ${rule.name}: ${event.count} (${describeCondition(rule)})`;
+  else if (c.type === "count") text = `[ALERT] ${rule.name}: ${event.count} (${describeCondition(rule)})`;
+  else text = `[ALERT] ${rule.name}: ${n} ${c.type === "changed" ? "new or changed" : "new"} record(s)`;
+  return {
+    text,
+    status: test ? "test" : event.status,
+    alert: { id: rule.id, name: rule.name, condition: describeCondition(rule) },
+    tenant,
+    query: { os: rule.args.os, where: rule.args.where || "", site: rule.args.site || "" },
+    count: event.count,
+    records: event.records.slice(0, PAYLOAD_RECORDS),
+    moreRecords: Math.max(0, n - PAYLOAD_RECORDS),
+    firedAt: new Date().toISOString(),
+  };
+}
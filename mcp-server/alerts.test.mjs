@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeAlertRule, evaluateAlert, trackRecords, filterByAge, alertQueryChanged } from "./alerts.mjs";
+
+const MIN = 60 * 1000;
+const T0 = Date.parse("2024-09-02T08:00:00Z");
+const HOOK = "https://hooks.example.com/alerts";
+
+const rule = (extra) => normalizeAlertRule({ name: "Waiting approval", args: { os: "MXAPIWO", where: `status="WAPPR"` }, webhooks: [HOOK], ...extra });
+const memberKey = (_os, m) => m.wonum ? `BEDFORD|${m.wonum}` : "";
+const wo = (wonum, extra = {}) => ({ wonum, status: "WAPPR", priority: 1, ...extra });
+
+// Runs evaluateAlert over [minute, observation] steps, threading the state; returns each step's event status.
+function run(r, steps, records = (members) => trackRecords(r.args.os, members, r, memberKey)) {
+  let state = {};
+  return steps.map(([minute, obs]) => {
+    const out = evaluateAlert(r, state, { count: obs.count ?? (obs.members || []).length, records: records(obs.members || []) }, T0 + minute * MIN);
+    state = out.state;
+    return out.event ? `${out.event.status}:${out.event.keys.map((k) => k.split("|")[1]).join(",") || out.event.count}` : state.lastStatus;
+  });
+}
+
+test("normalizeAlertRule: defaults, lowercased OS and validation", () => {
+  const r = rule({ condition: { type: "count", op: ">=", value: "5" }, args: { os: "MXAPIWO", pageSize: 500, dryRun: true } });
+  assert.deepEqual(r.args, { os: "mxapiwo" });
+  assert.deepEqual(r.condition, { type: "count", op: ">=", value: 5 });
+  assert.equal(r.intervalMinutes, 5);
+  assert.equal(r.consecutive, 1);
+  assert.equal(r.cooldownMinutes, 60);
+  assert.equal(r.baseline, false);
+  assert.deepEqual(r.webhooks, [{ url: HOOK }]);
+
+  const changed = rule({ condition: { type: "changed", fields: "Status, asset.assettype" } });
+  assert.deepEqual(changed.condition, { type: "changed", fields: ["status", "asset.assettype"] });
+  assert.equal(changed.baseline, true);
+  assert.equal(rule({ condition: { type: "new" }, age: { field: "statusdate", hours: 4 } }).baseline, false);
+
+  const kept = normalizeAlertRule({ name: "Renamed" }, { existing: r });
+  assert.equal(kept.id, r.id);
+  assert.equal(alertQueryChanged(r, kept), false);
+  assert.equal(alertQueryChanged(r, normalizeAlertRule({ condition: { type: "count", op: ">", value: 5 } }, { existing: r })), true);
+
+  for (const [bad, message] of [
+    [{ condition: { type: "sum" } }, /condition.type must be one of count, new, changed/],
+    [{ condition: { type: "count", op: "~", value: 1 } }, /condition.op must be one of/],
+    [{ condition: { type: "count", value: "many" } }, /condition.value must be a number/],
+    [{ condition: { type: "new" }, consecutive: 0 }, /consecutive must be between 1 and 100/],
+    [{ condition: { type: "new" }, age: { field: "statusdate", hours: -1 } }, /age.hours must be a positive number/],
+    [{ condition: { type: "new" }, webhooks: ["ftp://example.com/x"] }, /Webhook URL must be http\(s\)/],
+    [{ condition: { type: "new" }, webhooks: [] }, /At least one webhook is required/],
+    [{ condition: { type: "new" }, args: {} }, /args.os is required/],
+  ]) {
+    assert.throws(() => rule(bad), { code: "invalid_alert", message }, JSON.stringify(bad));
+  }
+});
+
+test("evaluateAlert count: fires after `consecutive` breaches in a row; a clear breach resets the run", () => {
+  const r = rule({ condition: { type: "count", op: ">", value: 2 }, consecutive: 3 });
+  assert.deepEqual(run(r, [[0, { count: 5 }], [5, { count: 5 }], [10, { count: 1 }], [15, { count: 5 }], [20, { count: 5 }], [25, { count: 6 }]]), [
+    "pending", "pending", "ok", "pending", "pending", "fired:6",
+  ]);
+});
+
+test("evaluateAlert count: the cooldown holds repeat notifications while firing; resolved when notifyResolved", () => {
+  const r = rule({ condition: { type: "count", op: ">=", value: 1 }, cooldownMinutes: 30, notifyResolved: true });
+  assert.deepEqual(run(r, [[0, { count: 1 }], [5, { count: 2 }], [25, { count: 3 }], [30, { count: 4 }], [35, { count: 0 }], [40, { count: 0 }]]), [
+    "fired:1", "firing", "firing", "fired:4", "resolved:0", "ok",
+  ]);
+
+  const quiet = rule({ condition: { type: "count", op: ">=", value: 1 } });
+  assert.deepEqual(run(quiet, [[0, { count: 1 }], [5, { count: 0 }]]), ["fired:1", "ok"]);
+});
+
+test("evaluateAlert new: the first evaluation is a baseline; later records fire once", () => {
+  const r = rule({ condition: { type: "new" }, cooldownMinutes: 0 });
+  assert.deepEqual(run(r, [
+    [0, { members: [wo("1001"), wo("1002")] }],
+    [5, { members: [wo("1001"), wo("1002"), wo("1003")] }],
+    [10, { members: [wo("1001"), wo("1002"), wo("1003")] }],
+    // 1002 leaves the result and comes back: it is new again.
+    [15, { members: [wo("1001")] }],
+    [20, { members: [wo("1001"), wo("1002")] }],
+  ]), ["ok", "fired:1003", "ok", "ok", "fired:1002"]);
+
+  const noBaseline = rule({ condition: { type: "new" }, baseline: false });
+  assert.deepEqual(run(noBaseline, [[0, { members: [wo("1001")] }]]), ["fired:1001"]);
+});
+
+test("evaluateAlert new: records found during the cooldown wait in pending and go out together after it", () => {
+  const r = rule({ condition: { type: "new" }, cooldownMinutes: 30, baseline: false });
+  assert.deepEqual(run(r, [
+    [0, { members: [wo("1001")] }],
+    [5, { members: [wo("1001"), wo("1002")] }],
+    [10, { members: [wo("1001"), wo("1002"), wo("1003"), wo("1004")] }],
+    // 1003 was approved meanwhile: it is no longer worth a notification.
+    [20, { members: [wo("1001"), wo("1002"), wo("1004")] }],
+    [30, { members: [wo("1001"), wo("1002"), wo("1004")] }],
+  ]), ["fired:1001", "pending", "pending", "pending", "fired:1002,1004"]);
+});
+
+test("trackRecords and evaluateAlert changed: fingerprints cover condition.fields only", () => {
+  const r = rule({ condition: { type: "changed", fields: ["priority"] }, cooldownMinutes: 0 });
+  const tracked = trackRecords("mxapiwo", [wo("1001"), { status: "WAPPR" }, wo("1002", { priority: 2 })], r, memberKey);
+  assert.deepEqual(tracked.map((t) => t.key), ["BEDFORD|1001", "BEDFORD|1002"]);
+  assert.notEqual(tracked[0].fingerprint, tracked[1].fingerprint);
+  assert.equal(trackRecords("mxapiwo", [wo("1001", { description: "other text" })], r, memberKey)[0].fingerprint, tracked[0].fingerprint);
+
+  assert.deepEqual(run(r, [
+    [0, { members: [wo("1001"), wo("1002")] }],
+    [5, { members: [wo("1001", { description: "edited" }), wo("1002")] }],
+    [10, { members: [wo("1001", { priority: 3 }), wo("1002")] }],
+  ]), ["ok", "ok", "fired:1001"]);
+});
+
+test("filterByAge keeps records whose field is older than age.hours", () => {
+  const now = Date.parse("2024-09-02T12:00:00Z");
+  const members = [
+    wo("1001", { statusdate: "2024-09-02T07:00:00Z" }),
+    wo("1002", { statusdate: "2024-09-02T11:00:00Z" }),
+    wo("1003"),
+  ];
+  assert.deepEqual(filterByAge(members, { field: "statusdate", hours: 4 }, now).map((m) => m.wonum), ["1001"]);
+  assert.equal(filterByAge(members, null, now), members);
+});
@@ -0,0 +1,290 @@
+// mcp-server/export.mjs
+// File exports of maximo_queryOS results (POST /mcp/export): CSV, XLSX and JSON lines.
+//
+// The server re-runs the query page by page (rawResponse) and hands each page's members here:
+//   const columns = exportColumns(select);           // "asset{assetnum,assettype}" -> asset.assetnum, asset.assettype
+//   const rows = projectExportRows(members, columns); // dot paths resolved against nested objects/arrays
+//   const file = writeExport(format, columns, rows);  // { contentType, extension, body: Buffer }
+//
+// Dot-path columns are kept as the column header (invbalances.curbal). Values under an array
+// relationship (several invbalances rows) are joined with "|", as in the chat table.
+
+import zlib from "node:zlib";
+
+export const EXPORT_FORMATS = ["csv", "xlsx", "jsonl"];
+
+function exportError(message) {
+  const e = new Error(message);
+  e.code = "invalid_export";
+  return e;
+}
+
+// Split a select string at top-level commas (braces nest).
+function splitTopLevel(s) {
+  const out = [];
+  let cur = "";
+  let depth = 0;
+  for (const ch of String(s || "")) {
+    if (ch === "{") depth++;
+    if (ch === "}") depth = Math.max(0, depth - 1);
+    if (ch === "," && depth === 0) {
+      if (cur.trim()) out.push(cur.trim());
+      cur = "";
+      continue;
+    }
+    cur += ch;
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+}
+
+/**
+ * Column list for an oslc.select string, with nested brace selectors flattened to dot paths.
+ * "*" selectors are skipped: their columns come from the data (see dataColumns).
+ */
+export function exportColumns(select) {
+  const out = [];
+  const walk = (sel, prefix) => {
+    for (const tok of splitTopLevel(sel)) {
+      const m = tok.match(/^([^{]+)\{(.*)\}$/);
+      if (m) walk(m[2], `${prefix}${m[1].trim()}.`);
+      else if (tok !== "*" && !tok.endsWith(".*")) out.push(`${prefix}${tok}`);
+    }
+  };
+  walk(select, "");
+  return [...new Set(out)];
+}
+
+/** Scalar top-level keys of the first rows, minus OSLC bookkeeping (href, _rowstamp, *_collectionref). */
+export function dataColumns(members) {
+  const out = new Set();
+  for (const m of (Array.isArray(members) ? members : []).slice(0, 50)) {
+    for (const [k, v] of Object.entries(m || {})) {
+      if (k === "href" || k.startsWith("_") || k.endsWith("_collectionref") || k === "localref") continue;
+      if (v !== null && typeof v === "object") continue;
+      out.add(k);
+    }
+  }
+  return [...out];
+}
+
+function valueAt(obj, parts, idx) {
+  if (obj === null || obj === undefined) return undefined;
+  if (idx >= parts.length) return obj;
+  if (Array.isArray(obj)) {
+    const vals = obj
+      .map((el) => valueAt(el, parts, idx))
+      .filter((v) => v !== undefined && v !== null && String(v).trim() !== "");
+    if (!vals.length) return undefined;
+    return vals.length === 1 ? vals[0] : vals.map(String).join("|");
+  }
+  if (typeof obj !== "object") return undefined;
+  const key = Object.keys(obj).find((k) => k.toLowerCase() === parts[idx].toLowerCase());
+  return key === undefined ? undefined : valueAt(obj[key], parts, idx + 1);
+}
+
+/** Rows keyed by column (dot paths resolved case-insensitively); missing values are "". */
+export function projectExportRows(members, columns) {
+  return (Array.isArray(members) ? members : []).map((m) => {
+    const row = {};
+    for (const c of columns) {
+      const v = valueAt(m, String(c).split("."), 0);
+      row[c] = v === undefined || v === null ? "" : typeof v === "object" ? JSON.stringify(v) : v;
+    }
+    return row;
+  });
+}
+
+// ---------- CSV ----------
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const r of rows) lines.push(columns.map((c) => csvCell(r[c])).join(","));
+  // BOM so Excel opens UTF-8 correctly.
+  return Buffer.from(`﻿${lines.join("\r\n")}\r\n`, "utf8");
+}
+
+// ---------- JSON lines ----------
+function toJsonl(columns, rows) {
+  const lines = rows.map((r) => JSON.stringify(Object.fromEntries(columns.map((c) => [c, r[c] ?? ""]))));
+  return Buffer.from(lines.length ? `${lines.join("\n")}\n` : "", "utf8");
+}
+
+// ---------- XLSX (SpreadsheetML in a zip; no dependency) ----------
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data } of files) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const packed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, packed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + packed.length;
+  }
+  const dir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, end]);
+}
+
+function xmlEscape(s) {
+  // Strip control characters XML 1.0 doesn't allow.
+  return String(s ?? "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function columnLetter(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+function xlsxCell(ref, v, style) {
+  const s = style ? ` s="${style}"` : "";
+  if (typeof v === "number" && Number.isFinite(v)) return `<c r="${ref}"${s}><v>${v}</v></c>`;
+  if (typeof v === "boolean") return `<c r="${ref}"${s} t="b"><v>${v ? 1 : 0}</v></c>`;
+  const str = String(v ?? "");
+  if (!str) return "";
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(str)}</t></is></c>`;
+}
+
+function toXlsx(columns, rows, { sheetName = "Export" } = {}) {
+  const sheetRows = [];
+  const header = columns.map((c, i) => xlsxCell(`${columnLetter(i)}1`, c, 1)).join("");
+  sheetRows.push(`<row r="1">${header}</row>`);
+  rows.forEach((r, ri) => {
+    const n = ri + 2;
+    sheetRows.push(`<row r="${n}">${columns.map((c, i) => xlsxCell(`${columnLetter(i)}${n}`, r[c])).join("")}</row>`);
+  });
+  const lastRef = `${columnLetter(Math.max(0, columns.length - 1))}${rows.length + 1}`;
+  const sheet =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+    `<sheetData>${sheetRows.join("")}</sheetData>` +
+    (columns.length ? `<autoFilter ref="A1:${lastRef}"/>` : "") +
+    `</worksheet>`;
+  const name = xmlEscape(String(sheetName).replace(/[\\/?*[\]:]/g, " ").slice(0, 31) || "Export");
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      xml:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+        `<Default Extension="xml" ContentType="application/xml"/>` +
+        `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+        `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+        `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+        `</Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      xml:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+        `</Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      xml:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+        `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>` +
+        `</workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      xml:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        `</Relationships>`,
+    },
+    {
+      name: "xl/styles.xml",
+      xml:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+        `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>` +
+        `<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>` +
+        `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+        `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+        `<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>` +
+        `</styleSheet>`,
+    },
+    { name: "xl/worksheets/sheet1.xml", xml: sheet },
+  ];
+  return zip(files.map((f) => ({ name: f.name, data: Buffer.from(f.xml, "utf8") })));
+}
+
+/**
+ * Serialise rows in the requested format.
+ * Returns { contentType, extension, body: Buffer }; throws Error code "invalid_export" for an unknown format.
+ */
+export function writeExport(format, columns, rows, opts = {}) {
+  const f = String(format || "").trim().toLowerCase();
+  if (f === "csv") return { contentType: "text/csv; charset=utf-8", extension: "csv", body: toCsv(columns, rows) };
+  if (f === "jsonl") return { contentType: "application/x-ndjson; charset=utf-8", extension: "jsonl", body: toJsonl(columns, rows) };
+  if (f === "xlsx") {
+    return {
+      contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      extension: "xlsx",
+      body: toXlsx(columns, rows, opts),
+    };
+  }
+  throw exportError(`format must be one of ${EXPORT_FORMATS.join(", ")}`);
+}
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+
+import { exportColumns, dataColumns, projectExportRows, writeExport } from "./export.mjs";
+
+const MEMBERS = [
+  {
+    itemnum: "PUMP-100",
+    description: `Pump, 3" "heavy"`,
+    href: "http://maximo/oslc/os/mxapiinventory/_UFVNUC0xMDA-",
+    _rowstamp: "123",
+    invbalances: [{ curbal: 4, binnum: "A-1" }, { curbal: 2, binnum: "B-7" }],
+    vendor: { name: "Acme\r\nPumps" },
+  },
+  { itemnum: "FAN-7", description: "Fan", invbalances: [{ curbal: 0 }], vendor: null },
+];
+
+// Bitwise CRC-32 (independent of export.mjs's table-driven one).
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) {
+    c ^= b;
+    for (let k = 0; k < 8; k++) c = c & 1 ? (c >>> 1) ^ 0xedb88320 : c >>> 1;
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Walks the local file headers of a zip: { name, data } per entry, checking sizes and CRC on the way.
+function unzip(buf) {
+  const entries = [];
+  let at = 0;
+  while (buf.readUInt32LE(at) === 0x04034b50) {
+    assert.equal(buf.readUInt16LE(at + 8), 8, "deflate");
+    const crc = buf.readUInt32LE(at + 14);
+    const packedSize = buf.readUInt32LE(at + 18);
+    const size = buf.readUInt32LE(at + 22);
+    const nameLen = buf.readUInt16LE(at + 26);
+    const extraLen = buf.readUInt16LE(at + 28);
+    const name = buf.subarray(at + 30, at + 30 + nameLen).toString("utf8");
+    const start = at + 30 + nameLen + extraLen;
+    const data = zlib.inflateRawSync(buf.subarray(start, start + packedSize));
+    assert.equal(data.length, size, `${name} size`);
+    assert.equal(crc32(data), crc, `${name} CRC-32`);
+    entries.push({ name, data: data.toString("utf8") });
+    at = start + packedSize;
+  }
+  // Then the central directory and its end record, which counts the same entries.
+  assert.equal(buf.readUInt32LE(at), 0x02014b50);
+  const end = buf.length - 22;
+  assert.equal(buf.readUInt32LE(end), 0x06054b50);
+  assert.equal(buf.readUInt16LE(end + 10), entries.length);
+  assert.equal(buf.readUInt32LE(end + 16), at, "central directory offset");
+  return entries;
+}
+
+test("exportColumns flattens nested selects to dot paths and skips *", () => {
+  assert.deepEqual(exportColumns("itemnum, description, invbalances{curbal,binnum}, vendor{name}"), [
+    "itemnum", "description", "invbalances.curbal", "invbalances.binnum", "vendor.name",
+  ]);
+  assert.deepEqual(exportColumns("*,asset{assetnum,location{description}},asset.*,wonum,wonum"), ["asset.assetnum", "asset.location.description", "wonum"]);
+  // Objects and arrays are left out; a null counts as a scalar.
+  assert.deepEqual(dataColumns(MEMBERS), ["itemnum", "description", "vendor"]);
+  assert.deepEqual(dataColumns(MEMBERS.slice(0, 1)), ["itemnum", "description"]);
+});
+
+test("projectExportRows: dot paths, arrays joined with |, missing values empty", () => {
+  const rows = projectExportRows(MEMBERS, ["ITEMNUM", "invbalances.curbal", "invbalances.binnum", "vendor.name", "vendor"]);
+  assert.deepEqual(rows[0], { ITEMNUM: "PUMP-100", "invbalances.curbal": "4|2", "invbalances.binnum": "A-1|B-7", "vendor.name": "Acme\r\nPumps", vendor: `{"name":"Acme\\r\\nPumps"}` });
+  // A single value keeps its type (0 stays a number); an array element without the field is skipped.
+  assert.deepEqual(rows[1], { ITEMNUM: "FAN-7", "invbalances.curbal": 0, "invbalances.binnum": "", "vendor.name": "", vendor: "" });
+});
+
+test("CSV: UTF-8 BOM, CRLF rows and quoting", () => {
+  const columns = ["itemnum", "description", "vendor.name", "invbalances.curbal"];
+  const { contentType, extension, body } = writeExport("csv", columns, projectExportRows(MEMBERS, columns));
+  assert.equal(contentType, "text/csv; charset=utf-8");
+  assert.equal(extension, "csv");
+  assert.deepEqual([...body.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+  assert.equal(
+    body.subarray(3).toString("utf8"),
+    "itemnum,description,vendor.name,invbalances.curbal\r\n" +
+    `PUMP-100,"Pump, 3"" ""heavy""","Acme\r\nPumps",4|2\r\n` +
+    "FAN-7,Fan,,0\r\n",
+  );
+});
+
+test("JSON lines: one object per row in column order", () => {
+  const { body } = writeExport("jsonl", ["itemnum", "invbalances.curbal"], projectExportRows(MEMBERS, ["itemnum", "invbalances.curbal"]));
+  assert.equal(body.toString("utf8"), `{"itemnum":"PUMP-100","invbalances.curbal":"4|2"}\n{"itemnum":"FAN-7","invbalances.curbal":0}\n`);
+  assert.equal(writeExport("jsonl", ["x"], []).body.length, 0);
+});
+
+test("XLSX: a valid zip whose entries inflate to the workbook parts", () => {
+  const columns = ["itemnum", "description", "invbalances.curbal"];
+  const { contentType, extension, body } = writeExport("xlsx", columns, projectExportRows(MEMBERS, columns), { sheetName: "Inventory/2024" });
+  assert.equal(contentType, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  assert.equal(extension, "xlsx");
+
+  const entries = unzip(body);
+  assert.deepEqual(entries.map((e) => e.name), [
+    "[Content_Types].xml", "_rels/.rels", "xl/workbook.xml", "xl/_rels/workbook.xml.rels", "xl/styles.xml", "xl/worksheets/sheet1.xml",
+  ]);
+  const file = (name) => entries.find((e) => e.name === name).data;
+  assert.match(file("xl/workbook.xml"), /<sheet name="Inventory 2024" sheetId="1" r:id="rId1"\/>/);
+
+  const sheet = file("xl/worksheets/sheet1.xml");
+  assert.match(sheet, /<row r="1"><c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">itemnum<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">Pump, 3&quot; &quot;heavy&quot;<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="C2" t="inlineStr"><is><t xml:space="preserve">4\|2<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="C3"><v>0<\/v><\/c>/);
+  assert.match(sheet, /<autoFilter ref="A1:C3"\/>/);
+});
+
+test("writeExport: unknown formats are invalid_export", () => {
+  assert.throws(() => writeExport("pdf", [], []), { code: "invalid_export", message: "format must be one of csv, xlsx, jsonl" });
+});
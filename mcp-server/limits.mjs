@@ -0,0 +1,193 @@
+// mcp-server/limits.mjs
+// Per-tenant and per-user limits on LLM and Maximo traffic, edited on the Settings page (GET/PUT /api/limits).
+//
+// Config (DATA_DIR/limits.json):
+//   { enabled: true,
+//     user:   { chatPerMinute: 20, dailyTokens: 200000, maximoPerMinute: 60, maxMaximoCallsPerChat: 15 },
+//     tenant: { chatPerMinute: 200, dailyTokens: 5000000, maximoPerMinute: 600, maxPageSize: 500 },
+//     users:   { "alice": { dailyTokens: 1000000 } },     // overrides `user` for one user
+//     tenants: { "prod": { maximoPerMinute: 300 } } }     // overrides `tenant` for one tenant
+// A missing or 0 value means no limit. `user` values apply to each authenticated user on their own, `tenant`
+// values to all users of a tenant together. maxMaximoCallsPerChat and maxPageSize take the lower of the two.
+//
+//   chatPerMinute           agent chat requests (/api/agent/chat, analyze-last, followup; checked by the app)
+//   dailyTokens             LLM tokens per UTC day, from the usage ledger (checked by the app before each chat)
+//   maximoPerMinute         tool calls that reach Maximo (/mcp/call, MCP tools/call, /mcp/intent/query, /mcp/export)
+//   maxMaximoCallsPerChat   tool calls made while answering one chat request (x-chat-id from the app)
+//   maxPageSize             rows per Maximo request; larger pageSize / oslc.pageSize is capped like MAX_PAGE_SIZE
+//
+// Counters live in this process: a sliding 60 s window per user / tenant, and a per-chat count kept for
+// CHAT_WINDOW_MS. A refused request gets { error, detail, scope, key, limit, retryAfter } and the caller answers 429.
+
+export const LIMIT_FIELDS = ["chatPerMinute", "dailyTokens", "maximoPerMinute", "maxMaximoCallsPerChat", "maxPageSize"];
+
+const MINUTE_MS = 60 * 1000;
+const CHAT_WINDOW_MS = 30 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function limitsError(message) {
+  const e = new Error(message);
+  e.code = "invalid_limits";
+  return e;
+}
+
+function normalizeScope(raw, where) {
+  if (raw === undefined || raw === null) return {};
+  if (typeof raw !== "object" || Array.isArray(raw)) throw limitsError(`${where} must be an object`);
+  const out = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (!LIMIT_FIELDS.includes(k)) throw limitsError(`${where}.${k} is not a limit (expected ${LIMIT_FIELDS.join(", ")})`);
+    if (v === undefined || v === null || v === "") continue;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 0) throw limitsError(`${where}.${k} must be a whole number >= 0 (0 = no limit)`);
+    out[k] = n;
+  }
+  return out;
+}
+
+function normalizeOverrides(raw, where) {
+  if (raw === undefined || raw === null) return {};
+  if (typeof raw !== "object" || Array.isArray(raw)) throw limitsError(`${where} must be an object keyed by name`);
+  const out = {};
+  for (const [name, scope] of Object.entries(raw)) {
+    const key = String(name).trim();
+    if (key) out[key] = normalizeScope(scope, `${where}.${key}`);
+  }
+  return out;
+}
+
+/** Validate a limits config. Throws Error code "invalid_limits". */
+export function normalizeLimits(raw = {}) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw limitsError("Limits must be an object");
+  return {
+    enabled: raw.enabled !== false,
+    user: normalizeScope(raw.user, "user"),
+    tenant: normalizeScope(raw.tenant, "tenant"),
+    users: normalizeOverrides(raw.users, "users"),
+    tenants: normalizeOverrides(raw.tenants, "tenants"),
+  };
+}
+
+/** Limits that apply to one user of one tenant: { user: {...}, tenant: {...} } (no user -> user: {}). */
+export function effectiveLimits(cfg, { tenant, user }) {
+  if (!cfg?.enabled) return { user: {}, tenant: {} };
+  return {
+    user: user ? { ...cfg.user, ...(cfg.users?.[user] || {}) } : {},
+    tenant: { ...cfg.tenant, ...(cfg.tenants?.[tenant] || {}) },
+  };
+}
+
+// Lowest positive value of a field across both scopes (0 = no limit).
+function tightest(eff, field) {
+  const vals = [eff.user[field], eff.tenant[field]].filter((n) => Number(n) > 0);
+  return vals.length ? Math.min(...vals) : 0;
+}
+
+function secondsToNextUtcDay(now) {
+  const d = new Date(now);
+  return Math.max(1, Math.ceil((Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) + DAY_MS - now) / 1000));
+}
+
+// Sliding-window counters: key -> timestamps (ms) still inside the window.
+function createWindows() {
+  const hits = new Map();
+  const live = (key, windowMs, now) => {
+    const arr = (hits.get(key) || []).filter((t) => t > now - windowMs);
+    if (arr.length) hits.set(key, arr);
+    else hits.delete(key);
+    return arr;
+  };
+  return {
+    count: (key, windowMs, now) => live(key, windowMs, now).length,
+    retryAfter: (key, windowMs, now) => Math.max(1, Math.ceil(((live(key, windowMs, now)[0] || now) + windowMs - now) / 1000)),
+    add(key, now) {
+      const arr = hits.get(key) || [];
+      arr.push(now);
+      hits.set(key, arr);
+    },
+    sweep(now) {
+      for (const key of hits.keys()) live(key, key.startsWith("perchat:") ? CHAT_WINDOW_MS : MINUTE_MS, now);
+    },
+    keys: () => Array.from(hits.keys()),
+  };
+}
+
+/**
+ * Limit checks over the config from getConfig() (re-read on every check, so edits apply immediately).
+ * tokensToday({ tenant, user }) -> { user, tenant } LLM tokens used in the current UTC day.
+ * The check* functions record the request when it is allowed and return null, or the refusal body.
+ */
+export function createLimiter({ getConfig, tokensToday }) {
+  const windows = createWindows();
+  const sweep = setInterval(() => windows.sweep(Date.now()), MINUTE_MS);
+  sweep.unref?.();
+
+  const refusal = (error, scope, key, limit, retryAfter, detail) => ({ error, detail, scope, key, limit, retryAfter });
+
+  // Rate checks for both scopes first, then record both, so a refused request doesn't use up quota.
+  function checkRate(kind, field, { tenant, user }, eff, now) {
+    const scopes = [["user", user], ["tenant", tenant]].filter(([scope, key]) => key && Number(eff[scope][field]) > 0);
+    for (const [scope, key] of scopes) {
+      const limit = eff[scope][field];
+      const wkey = `rate:${kind}:${scope}:${key}`;
+      if (windows.count(wkey, MINUTE_MS, now) >= limit) {
+        return refusal("rate_limited", scope, key, limit, windows.retryAfter(wkey, MINUTE_MS, now),
+          `${scope === "user" ? "User" : "Tenant"} "${key}" reached ${limit} ${kind === "chat" ? "chat requests" : "Maximo calls"} per minute`);
+      }
+    }
+    for (const [scope, key] of scopes) windows.add(`rate:${kind}:${scope}:${key}`, now);
+    return null;
+  }
+
+  return {
+    /** Before an agent chat request: chatPerMinute and dailyTokens. */
+    checkChat({ tenant = "default", user = "" } = {}, now = Date.now()) {
+      const eff = effectiveLimits(getConfig(), { tenant, user });
+      if (eff.user.dailyTokens || eff.tenant.dailyTokens) {
+        const used = tokensToday({ tenant, user });
+        for (const [scope, key] of [["user", user], ["tenant", tenant]]) {
+          const limit = Number(eff[scope].dailyTokens);
+          if (key && limit > 0 && Number(used[scope] || 0) >= limit) {
+            return refusal("token_budget_exceeded", scope, key, limit, secondsToNextUtcDay(now),
+              `${scope === "user" ? "User" : "Tenant"} "${key}" used ${used[scope]} of ${limit} LLM tokens today (UTC)`);
+          }
+        }
+      }
+      return checkRate("chat", "chatPerMinute", { tenant, user }, eff, now);
+    },
+
+    /** Before a tool call that reaches Maximo: maximoPerMinute and, with a chat id, maxMaximoCallsPerChat. */
+    checkMaximo({ tenant = "default", user = "", chatId = "" } = {}, now = Date.now()) {
+      const eff = effectiveLimits(getConfig(), { tenant, user });
+      const perChat = tightest(eff, "maxMaximoCallsPerChat");
+      const ckey = `perchat:${chatId}`;
+      if (chatId && perChat && windows.count(ckey, CHAT_WINDOW_MS, now) >= perChat) {
+        return refusal("chat_call_limit", "chat", chatId, perChat, 0,
+          `This chat request reached the limit of ${perChat} Maximo calls per chat; answer with the data you have`);
+      }
+      const out = checkRate("maximo", "maximoPerMinute", { tenant, user }, eff, now);
+      if (!out && chatId && perChat) windows.add(ckey, now);
+      return out;
+    },
+
+    /** Largest page size the user may request from the tenant (0 = no limit). */
+    maxPageSize({ tenant = "default", user = "" } = {}) {
+      return tightest(effectiveLimits(getConfig(), { tenant, user }), "maxPageSize");
+    },
+
+    /** Current counters, for the Settings page: [{ scope, key, chatPerMinute, maximoPerMinute }]. */
+    activity(now = Date.now()) {
+      const rows = new Map();
+      for (const wkey of windows.keys()) {
+        const [prefix, kind, scope, ...rest] = wkey.split(":");
+        if (prefix !== "rate") continue;
+        const key = rest.join(":");
+        const id = `${scope}:${key}`;
+        const row = rows.get(id) || { scope, key, chatPerMinute: 0, maximoPerMinute: 0 };
+        row[`${kind}PerMinute`] = windows.count(wkey, MINUTE_MS, now);
+        rows.set(id, row);
+      }
+      return Array.from(rows.values()).filter((r) => r.chatPerMinute || r.maximoPerMinute);
+    },
+  };
+}
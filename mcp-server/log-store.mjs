@@ -0,0 +1,400 @@
+// mcp-server/log-store.mjs
+// Log store behind pushLog and /api/logs: in-memory ring, append-only JSONL files, or SQLite.
+//
+//   const store = createLogStore({ backend: "jsonl", dir: "/data/logs", ... });
+//   store.append(evt);                         // evt: { id, ts, iso, kind, title, tenant, status, ... }
+//   await store.query({ tenant, kind, tool, status, from, to, correlationId, before, limit })
+//     -> { logs, nextBefore }                  // logs oldest -> newest; nextBefore pages to older events
+//   await store.get(id); await store.clear(); store.prune(); store.info();
+//   await store.flush?.();                     // jsonl: write buffered events now (on shutdown); flushSync() on exit
+//
+// Filters: kind may be a list ("rx_agent,tx_agent"); status is a code (500), a class ("4xx", "5xx") or
+// "error" (>= 400); from / to are ISO dates or epoch ms (normalizeLogQuery's defaultWindowMs fills in `from` when
+// neither is given); correlationId matches an event's id or its relatedId
+// (top level or meta.relatedId), so it returns a request and everything it caused. Events are ordered by
+// (ts, id); the cursor is "<ts>_<id>" of the oldest event returned.
+//
+// JSONL: one file per writer and day (mcp-<host>-<yyyymmdd>-<n>.jsonl, UTC), rotated at maxFileBytes. Queries read
+// the files in the directory backwards and asynchronously, skipping those whose day is outside from / to / before, so
+// replicas sharing the volume see one history. Retention removes files older
+// than retentionDays, and the oldest files beyond maxFiles. Appends are buffered and written asynchronously every
+// flushMs (or once FLUSH_MAX_EVENTS are waiting); buffered events are answered from memory until they are on disk.
+// SQLite: better-sqlite3 (optional dependency), one table with indexed columns and the event as JSON.
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createRequire } from "node:module";
+
+export const LOG_STORE_BACKENDS = ["memory", "jsonl", "sqlite"];
+const READ_CHUNK = 256 * 1024;
+const FLUSH_MAX_EVENTS = 1000;
+const DAY_MS = 86400000;
+// An event is appended a moment after its ts, so a day's file can start with the last events of the day before.
+const DAY_SKEW_MS = 3600000;
+
+function toMs(v) {
+  if (v === undefined || v === null || v === "") return undefined;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const t = Date.parse(String(v));
+  return Number.isFinite(t) ? t : undefined;
+}
+
+function parseCursor(c) {
+  const m = String(c || "").match(/^(\d+)_(.+)$/);
+  return m ? { ts: Number(m[1]), id: m[2] } : null;
+}
+
+function cursorOf(e) {
+  return `${e.ts}_${e.id}`;
+}
+
+// Indexed fields of an event (shared by the filters of every backend).
+function fieldsOf(e) {
+  return {
+    tenant: e.tenant !== undefined && e.tenant !== null ? String(e.tenant) : "",
+    kind: String(e.kind || ""),
+    tool: String(e.tool || e.meta?.tool || ""),
+    status: Number.isFinite(Number(e.status)) && e.status !== null && e.status !== "" ? Number(e.status) : null,
+    correlation: String(e.relatedId || e.meta?.relatedId || ""),
+  };
+}
+
+/**
+ * Normalized filter ({ kinds, statusMin, statusMax, fromMs, toMs, cursor, limit, ... }) from query params. With
+ * `defaultWindowMs` and neither from nor to, only events that far back from the cursor (or now) are searched.
+ */
+export function normalizeLogQuery(q = {}, { maxLimit = 5000, defaultWindowMs = 0 } = {}) {
+  const kinds = String(q.kind || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const out = {
+    tenant: String(q.tenant || "").trim(),
+    kinds,
+    tool: String(q.tool || "").trim(),
+    correlationId: String(q.correlationId || q.correlation || "").trim(),
+    fromMs: toMs(q.from),
+    toMs: toMs(q.to),
+    cursor: parseCursor(q.before),
+    limit: Math.max(1, Math.min(Number(q.limit) || 200, maxLimit)),
+  };
+  if (defaultWindowMs > 0 && out.fromMs === undefined && out.toMs === undefined) {
+    out.fromMs = (out.cursor ? out.cursor.ts : Date.now()) - defaultWindowMs;
+  }
+  const st = String(q.status || "").trim().toLowerCase();
+  if (st === "error") Object.assign(out, { statusMin: 400, statusMax: 999 });
+  else if (/^[1-5]xx$/.test(st)) Object.assign(out, { statusMin: Number(st[0]) * 100, statusMax: Number(st[0]) * 100 + 99 });
+  else if (/^\d{3}$/.test(st)) Object.assign(out, { statusMin: Number(st), statusMax: Number(st) });
+  return out;
+}
+
+function matches(e, f) {
+  if (f.cursor && !(e.ts < f.cursor.ts || (e.ts === f.cursor.ts && String(e.id) < f.cursor.id))) return false;
+  if (f.fromMs !== undefined && e.ts < f.fromMs) return false;
+  if (f.toMs !== undefined && e.ts > f.toMs) return false;
+  const x = fieldsOf(e);
+  if (f.tenant && x.tenant !== f.tenant) return false;
+  if (f.kinds.length && !f.kinds.includes(x.kind)) return false;
+  if (f.tool && x.tool !== f.tool) return false;
+  if (f.statusMin !== undefined && (x.status === null || x.status < f.statusMin || x.status > f.statusMax)) return false;
+  if (f.correlationId && e.id !== f.correlationId && x.correlation !== f.correlationId) return false;
+  return true;
+}
+
+const newestFirst = (a, b) => (b.ts - a.ts) || (String(b.id) < String(a.id) ? -1 : String(b.id) > String(a.id) ? 1 : 0);
+
+// Top `limit` (newest first) -> page result.
+function page(sortedNewestFirst, limit) {
+  const hits = sortedNewestFirst.slice(0, limit);
+  const more = sortedNewestFirst.length > limit;
+  return { logs: hits.reverse(), nextBefore: more && hits.length ? cursorOf(hits[0]) : null };
+}
+
+// ---------- memory ----------
+function memoryStore({ limit }) {
+  const logs = [];
+  return {
+    backend: "memory",
+    append(e) {
+      logs.push(e);
+      if (logs.length > limit) logs.splice(0, logs.length - limit);
+    },
+    query(f) {
+      const out = [];
+      for (let i = logs.length - 1; i >= 0 && out.length <= f.limit; i--) if (matches(logs[i], f)) out.push(logs[i]);
+      return page(out.sort(newestFirst), f.limit);
+    },
+    get: (id) => logs.find((x) => x.id === id) || null,
+    clear() { logs.splice(0, logs.length); },
+    prune() {},
+    info: () => ({ backend: "memory", events: logs.length, limit }),
+  };
+}
+
+// ---------- JSONL ----------
+// Lines of a file from the end: yields parsed events, newest first. Splits on bytes so multi-byte
+// characters at a chunk boundary stay intact.
+async function* readBackwards(fp) {
+  let fh;
+  try { fh = await fs.promises.open(fp, "r"); } catch { return; }
+  try {
+    let pos = (await fh.stat()).size;
+    let rest = Buffer.alloc(0);
+    while (pos > 0) {
+      const n = Math.min(READ_CHUNK, pos);
+      pos -= n;
+      const buf = Buffer.alloc(n);
+      await fh.read(buf, 0, n, pos);
+      let data = Buffer.concat([buf, rest]);
+      if (pos > 0) {
+        const nl = data.indexOf(10);
+        if (nl < 0) { rest = data; continue; }
+        rest = data.subarray(0, nl);
+        data = data.subarray(nl + 1);
+      }
+      const lines = data.toString("utf8").split("\n");
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i].trim()) continue;
+        try { yield JSON.parse(lines[i]); } catch {}
+      }
+    }
+  } finally {
+    await fh.close();
+  }
+}
+
+// Start of the (UTC) day in a file name, or undefined for a name that does not follow the pattern.
+function fileDayMs(name) {
+  const m = name.match(/-(\d{4})(\d{2})(\d{2})-\d+\.jsonl$/);
+  return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : undefined;
+}
+
+function jsonlStore({ dir, maxFileBytes, maxFiles, retentionDays, writer, flushMs }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const host = String(writer || os.hostname() || "mcp").replace(/[^A-Za-z0-9_.-]+/g, "_");
+  const day = () => new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  let current = null; // { file, day, size }
+
+  // Write buffer: events waiting for the next flush, and the batch being written. [{ file, line, e }]
+  let queued = [];
+  let writing = [];
+  let timer = null;
+  let chain = Promise.resolve();
+
+  const byFile = (batch) => {
+    const out = new Map();
+    for (const x of batch) out.set(x.file, (out.get(x.file) || "") + x.line);
+    return out;
+  };
+  const writeFailed = (err) => console.error("log store write failed:", String(err?.message || err));
+
+  // Batches are written one after another, so each file keeps append order.
+  const flush = () => {
+    if (timer) { clearTimeout(timer); timer = null; }
+    chain = chain.then(async () => {
+      if (!queued.length) return;
+      writing = queued;
+      queued = [];
+      for (const [file, text] of byFile(writing)) {
+        try { await fs.promises.appendFile(file, text, "utf8"); } catch (err) { writeFailed(err); }
+      }
+      writing = [];
+    });
+    return chain;
+  };
+
+  // Buffered events, newest first (a batch that is being written may already be in its file too).
+  const buffered = () => [...writing, ...queued].map((x) => x.e).reverse();
+
+  const files = () => {
+    try {
+      return fs.readdirSync(dir)
+        .filter((n) => n.endsWith(".jsonl"))
+        .map((n) => { const fp = path.join(dir, n); try { return { fp, name: n, day: fileDayMs(n), mtime: fs.statSync(fp).mtimeMs }; } catch { return null; } })
+        .filter(Boolean)
+        .sort((a, b) => b.mtime - a.mtime);
+    } catch {
+      return [];
+    }
+  };
+
+  const open = () => {
+    const d = day();
+    const prefix = `mcp-${host}-${d}-`;
+    const seq = files().filter((f) => f.name.startsWith(prefix)).map((f) => Number(f.name.slice(prefix.length, -6)) || 0);
+    let n = seq.length ? Math.max(...seq) : 1;
+    let file = path.join(dir, `${prefix}${n}.jsonl`);
+    let size = 0;
+    try { size = fs.statSync(file).size; } catch {}
+    if (size >= maxFileBytes) { n += 1; file = path.join(dir, `${prefix}${n}.jsonl`); size = 0; }
+    current = { file, day: d, size, n };
+  };
+
+  const store = {
+    backend: "jsonl",
+    append(e) {
+      if (!current || current.day !== day()) open();
+      else if (current.size >= maxFileBytes) {
+        current = { ...current, n: current.n + 1, size: 0 };
+        current.file = path.join(dir, `mcp-${host}-${current.day}-${current.n}.jsonl`);
+      }
+      const line = JSON.stringify(e) + "\n";
+      queued.push({ file: current.file, line, e });
+      current.size += Buffer.byteLength(line);
+      if (queued.length >= FLUSH_MAX_EVENTS) flush();
+      else if (!timer) {
+        timer = setTimeout(flush, flushMs);
+        timer.unref?.();
+      }
+    },
+    flush,
+    // Last resort on process exit: queued events only (a batch already being written is left to finish).
+    flushSync() {
+      if (timer) { clearTimeout(timer); timer = null; }
+      const batch = queued;
+      queued = [];
+      for (const [file, text] of byFile(batch)) {
+        try { fs.appendFileSync(file, text, "utf8"); } catch (err) { writeFailed(err); }
+      }
+    },
+    async query(f) {
+      // Buffered events first, then the newest files; within a file events are in append order, so reading
+      // backwards gives descending ts. A file can't contribute once `limit` hits exist that are all newer than
+      // what it still holds, or when its day is outside the range asked for.
+      const upper = Math.min(f.toMs ?? Infinity, f.cursor?.ts ?? Infinity);
+      const hits = [];
+      const mem = buffered();
+      const inMemory = new Set(mem.map((e) => e.id));
+      for (const e of mem) if (matches(e, f)) hits.push(e);
+      const floor = () => (hits.length > f.limit ? hits.sort(newestFirst)[f.limit].ts : -Infinity);
+      for (const file of files()) {
+        if (hits.length > f.limit && file.mtime < floor()) continue;
+        if (f.fromMs !== undefined && file.mtime < f.fromMs) continue;
+        if (file.day !== undefined && (file.day + DAY_MS <= (f.fromMs ?? -Infinity) || file.day - DAY_SKEW_MS > upper)) continue;
+        let fl = floor();
+        for await (const e of readBackwards(file.fp)) {
+          if (e.ts < fl || (f.fromMs !== undefined && e.ts < f.fromMs)) break;
+          if (inMemory.has(e.id) || !matches(e, f)) continue;
+          hits.push(e);
+          if (hits.length > f.limit * 2) { hits.sort(newestFirst).splice(f.limit + 1); fl = floor(); }
+        }
+      }
+      return page(hits.sort(newestFirst), f.limit);
+    },
+    async get(id) {
+      const mem = buffered().find((e) => e.id === id);
+      if (mem) return mem;
+      for (const file of files()) {
+        for await (const e of readBackwards(file.fp)) if (e.id === id) return e;
+      }
+      return null;
+    },
+    // Files are removed after the batch being written, so a pending append can't bring one back.
+    clear() {
+      if (timer) { clearTimeout(timer); timer = null; }
+      queued = [];
+      writing = [];
+      current = null;
+      chain = chain.then(() => {
+        for (const f of files()) { try { fs.unlinkSync(f.fp); } catch {} }
+      });
+      return chain;
+    },
+    prune() {
+      const list = files();
+      const cutoff = Date.now() - retentionDays * 86400000;
+      list.forEach((f, i) => {
+        if (current && f.fp === current.file) return;
+        if ((retentionDays > 0 && f.mtime < cutoff) || i >= maxFiles) { try { fs.unlinkSync(f.fp); } catch {} }
+      });
+    },
+    info() {
+      const list = files();
+      let bytes = 0;
+      for (const f of list) { try { bytes += fs.statSync(f.fp).size; } catch {} }
+      return { backend: "jsonl", dir, files: list.length, bytes, buffered: queued.length + writing.length, retentionDays, maxFileBytes, maxFiles };
+    },
+  };
+  return store;
+}
+
+// ---------- SQLite ----------
+function sqliteStore({ file, retentionDays, maxRows }) {
+  let Database;
+  try {
+    Database = createRequire(import.meta.url)("better-sqlite3");
+  } catch {
+    throw new Error("LOG_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)");
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS logs (
+      id TEXT PRIMARY KEY, ts INTEGER NOT NULL, tenant TEXT, kind TEXT, tool TEXT, status INTEGER, correlation TEXT, body TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS logs_ts ON logs (ts, id);
+    CREATE INDEX IF NOT EXISTS logs_tenant_ts ON logs (tenant, ts);
+    CREATE INDEX IF NOT EXISTS logs_kind_ts ON logs (kind, ts);
+    CREATE INDEX IF NOT EXISTS logs_correlation ON logs (correlation);
+  `);
+  const insert = db.prepare("INSERT OR REPLACE INTO logs (id, ts, tenant, kind, tool, status, correlation, body) VALUES (?, ?, ?, ?, ?, ?, ?, ?)");
+
+  return {
+    backend: "sqlite",
+    append(e) {
+      const x = fieldsOf(e);
+      insert.run(String(e.id), Number(e.ts) || Date.now(), x.tenant, x.kind, x.tool, x.status, x.correlation || null, JSON.stringify(e));
+    },
+    query(f) {
+      const where = [];
+      const params = [];
+      if (f.cursor) { where.push("(ts < ? OR (ts = ? AND id < ?))"); params.push(f.cursor.ts, f.cursor.ts, f.cursor.id); }
+      if (f.fromMs !== undefined) { where.push("ts >= ?"); params.push(f.fromMs); }
+      if (f.toMs !== undefined) { where.push("ts <= ?"); params.push(f.toMs); }
+      if (f.tenant) { where.push("tenant = ?"); params.push(f.tenant); }
+      if (f.kinds.length) { where.push(`kind IN (${f.kinds.map(() => "?").join(",")})`); params.push(...f.kinds); }
+      if (f.tool) { where.push("tool = ?"); params.push(f.tool); }
+      if (f.statusMin !== undefined) { where.push("status BETWEEN ? AND ?"); params.push(f.statusMin, f.statusMax); }
+      if (f.correlationId) { where.push("(id = ? OR correlation = ?)"); params.push(f.correlationId, f.correlationId); }
+      const sql = `SELECT body FROM logs ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY ts DESC, id DESC LIMIT ?`;
+      const rows = db.prepare(sql).all(...params, f.limit + 1).map((r) => JSON.parse(r.body));
+      return page(rows, f.limit);
+    },
+    get(id) {
+      const r = db.prepare("SELECT body FROM logs WHERE id = ?").get(String(id));
+      return r ? JSON.parse(r.body) : null;
+    },
+    clear() { db.exec("DELETE FROM logs"); },
+    prune() {
+      if (retentionDays > 0) db.prepare("DELETE FROM logs WHERE ts < ?").run(Date.now() - retentionDays * 86400000);
+      const n = db.prepare("SELECT COUNT(*) AS n FROM logs").get().n;
+      if (n > maxRows) db.prepare("DELETE FROM logs WHERE id IN (SELECT id FROM logs ORDER BY ts ASC, id ASC LIMIT ?)").run(n - maxRows);
+    },
+    info: () => ({ backend: "sqlite", file, events: db.prepare("SELECT COUNT(*) AS n FROM logs").get().n, retentionDays, maxRows }),
+  };
+}
+
+/**
+ * Builds the store for `backend`. A store that can't be opened falls back (sqlite -> jsonl -> memory), with the
+ * reason in info().fallbackReason, so logging never takes the server down.
+ */
+export function createLogStore({ backend = "jsonl", dir, limit = 2000, retentionDays = 14, maxFileBytes = 20 * 1024 * 1024, maxFiles = 50, maxRows = 500000, writer, flushMs = 250 } = {}) {
+  const chain = { sqlite: ["sqlite", "jsonl", "memory"], jsonl: ["jsonl", "memory"], memory: ["memory"] }[backend] || ["jsonl", "memory"];
+  const reasons = [];
+  for (const kind of chain) {
+    try {
+      let store;
+      if (kind === "sqlite") store = sqliteStore({ file: path.join(dir, "logs.sqlite"), retentionDays, maxRows });
+      else if (kind === "jsonl") store = jsonlStore({ dir, maxFileBytes, maxFiles, retentionDays, writer, flushMs });
+      else store = memoryStore({ limit });
+      if (!reasons.length) return store;
+      const fallbackReason = reasons.join("; ");
+      console.error(`log store: ${fallbackReason}; using ${kind}`);
+      return { ...store, info: () => ({ ...store.info(), fallbackReason }) };
+    } catch (e) {
+      reasons.push(`${kind} unavailable: ${String(e?.message || e)}`);
+    }
+  }
+  return memoryStore({ limit });
+}
@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { createLogStore, normalizeLogQuery } from "./log-store.mjs";
+
+// Recent times: files are named for the day they are written, and queries skip files by that day.
+const BASE = Date.now() - 60_000;
+const event = (n, extra = {}) => ({ id: `e${String(n).padStart(4, "0")}`, ts: BASE + n, kind: "rx_agent", tenant: "default", status: 200, ...extra });
+
+function tempStore(opts = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "log-store-test-"));
+  const store = createLogStore({ backend: "jsonl", dir, writer: "test", ...opts });
+  const lines = () => fs.readdirSync(dir).flatMap((f) => fs.readFileSync(path.join(dir, f), "utf8").split("\n").filter(Boolean));
+  return { dir, store, lines, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test("jsonl: appends are buffered, queryable right away and written by flush()", async () => {
+  const t = tempStore({ flushMs: 60_000 });
+  try {
+    for (let i = 1; i <= 3; i++) t.store.append(event(i, { status: i === 2 ? 500 : 200 }));
+    assert.deepEqual(t.lines(), []);
+    assert.equal(t.store.info().buffered, 3);
+
+    assert.deepEqual((await t.store.query(normalizeLogQuery({}))).logs.map((e) => e.id), ["e0001", "e0002", "e0003"]);
+    assert.deepEqual((await t.store.query(normalizeLogQuery({ status: "5xx" }))).logs.map((e) => e.id), ["e0002"]);
+    assert.equal((await t.store.get("e0003")).id, "e0003");
+
+    await t.store.flush();
+    assert.deepEqual(t.lines().map((l) => JSON.parse(l).id), ["e0001", "e0002", "e0003"]);
+    assert.equal(t.store.info().buffered, 0);
+
+    // Written and buffered events together, without duplicates, paged newest first.
+    t.store.append(event(4));
+    const first = await t.store.query(normalizeLogQuery({ limit: 2 }));
+    assert.deepEqual(first.logs.map((e) => e.id), ["e0003", "e0004"]);
+    const rest = await t.store.query(normalizeLogQuery({ limit: 2, before: first.nextBefore }));
+    assert.deepEqual(rest.logs.map((e) => e.id), ["e0001", "e0002"]);
+  } finally {
+    t.cleanup();
+  }
+});
+
+test("jsonl: the timer flushes on its own; flushSync writes what is still queued", async () => {
+  const t = tempStore({ flushMs: 20 });
+  try {
+    t.store.append(event(1));
+    await new Promise((r) => setTimeout(r, 100));
+    assert.equal(t.lines().length, 1);
+
+    const s = tempStore({ flushMs: 60_000 });
+    try {
+      s.store.append(event(2));
+      s.store.flushSync();
+      assert.deepEqual(s.lines().map((l) => JSON.parse(l).id), ["e0002"]);
+    } finally {
+      s.cleanup();
+    }
+  } finally {
+    t.cleanup();
+  }
+});
+
+test("jsonl: rotation counts buffered bytes", async () => {
+  const t = tempStore({ flushMs: 60_000, maxFileBytes: 200 });
+  try {
+    for (let i = 1; i <= 6; i++) t.store.append(event(i, { title: "x".repeat(40) }));
+    await t.store.flush();
+    assert.ok(fs.readdirSync(t.dir).length > 1);
+    assert.deepEqual((await t.store.query(normalizeLogQuery({}))).logs.map((e) => e.id), ["e0001", "e0002", "e0003", "e0004", "e0005", "e0006"]);
+  } finally {
+    t.cleanup();
+  }
+});
+
+test("jsonl: files are skipped by the day in their name; normalizeLogQuery's default window", async () => {
+  const t = tempStore({ flushMs: 60_000 });
+  try {
+    // Event times that don't match the file days, so a hit shows which files were read.
+    const day = Date.UTC(2024, 2, 10);
+    fs.writeFileSync(path.join(t.dir, "mcp-other-20240301-1.jsonl"), JSON.stringify(event(1, { ts: day })) + "\n");
+    fs.writeFileSync(path.join(t.dir, "mcp-other-20240310-1.jsonl"), JSON.stringify(event(2, { ts: day + 1 })) + "\n");
+    fs.writeFileSync(path.join(t.dir, "mcp-other-20240320-1.jsonl"), JSON.stringify(event(3, { ts: day + 2 })) + "\n");
+    const ids = async (q) => (await t.store.query(normalizeLogQuery(q))).logs.map((e) => e.id);
+
+    assert.deepEqual(await ids({}), ["e0001", "e0002", "e0003"]);
+    assert.deepEqual(await ids({ from: "2024-03-05", to: "2024-03-15" }), ["e0002"]);
+    assert.deepEqual(await ids({ from: "2024-03-05" }), ["e0002", "e0003"]);
+    assert.deepEqual(await ids({ before: `${Date.UTC(2024, 2, 15)}_z` }), ["e0001", "e0002"]);
+
+    const now = Date.now();
+    assert.equal(normalizeLogQuery({}, { defaultWindowMs: 3600000 }).fromMs >= now - 3600000, true);
+    assert.equal(normalizeLogQuery({ before: `${day}_e1` }, { defaultWindowMs: 3600000 }).fromMs, day - 3600000);
+    assert.equal(normalizeLogQuery({ to: day }, { defaultWindowMs: 3600000 }).fromMs, undefined);
+  } finally {
+    t.cleanup();
+  }
+});
+
+test("jsonl: clear() waits for the batch being written and drops the buffer", async () => {
+  const t = tempStore({ flushMs: 60_000 });
+  try {
+    t.store.append(event(1));
+    const writing = t.store.flush();
+    t.store.append(event(2));
+    await t.store.clear();
+    await writing;
+    assert.deepEqual(fs.readdirSync(t.dir), []);
+    assert.equal(t.store.info().buffered, 0);
+    assert.deepEqual((await t.store.query(normalizeLogQuery({}))).logs, []);
+
+    t.store.append(event(3));
+    await t.store.flush();
+    assert.deepEqual(t.lines().map((l) => JSON.parse(l).id), ["e0003"]);
+  } finally {
+    t.cleanup();
+  }
+});
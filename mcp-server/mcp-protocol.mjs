@@ -0,0 +1,272 @@
+// mcp-server/mcp-protocol.mjs
+// Transport-agnostic Model Context Protocol (JSON-RPC 2.0) message handling.
+//
+// The HTTP transport (Streamable HTTP, POST/GET/DELETE /mcp) and any other transport
+// feed parsed JSON-RPC messages into the handler returned by createMcpRpcHandler().
+// The handler never touches Maximo directly: tool listing and execution are injected
+// so every call still goes through the existing /mcp/call dispatch.
+//
+// Usage (from server.mjs):
+//   const rpc = createMcpRpcHandler({ serverInfo, listTools, callTool });
+//   const response = await rpc.handle(message, { session });   // null for notifications
+
+export const JSONRPC_PARSE_ERROR = -32700;
+export const JSONRPC_INVALID_REQUEST = -32600;
+export const JSONRPC_METHOD_NOT_FOUND = -32601;
+export const JSONRPC_INVALID_PARAMS = -32602;
+export const JSONRPC_INTERNAL_ERROR = -32603;
+// MCP-specific: resources/read (and subscribe) for a URI the server does not serve.
+export const MCP_RESOURCE_NOT_FOUND = -32002;
+
+// Newest first. initialize echoes the client's version when we support it, otherwise the newest.
+export const MCP_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+export const MCP_LATEST_PROTOCOL_VERSION = MCP_PROTOCOL_VERSIONS[0];
+
+export function jsonRpcResult(id, result) {
+  return { jsonrpc: "2.0", id, result };
+}
+
+export function jsonRpcError(id, code, message, data) {
+  return { jsonrpc: "2.0", id: id === undefined ? null : id, error: { code, message, ...(data !== undefined ? { data } : {}) } };
+}
+
+export function isJsonRpcRequest(msg) {
+  return !!msg && typeof msg === "object" && typeof msg.method === "string" && msg.id !== undefined && msg.id !== null;
+}
+
+export function isJsonRpcNotification(msg) {
+  return !!msg && typeof msg === "object" && typeof msg.method === "string" && (msg.id === undefined || msg.id === null);
+}
+
+export function isJsonRpcResponse(msg) {
+  return !!msg && typeof msg === "object" && typeof msg.method !== "string" && ("result" in msg || "error" in msg);
+}
+
+export function negotiateProtocolVersion(requested) {
+  const v = String(requested || "").trim();
+  return MCP_PROTOCOL_VERSIONS.includes(v) ? v : MCP_LATEST_PROTOCOL_VERSION;
+}
+
+// Map a /mcp/call outcome ({ status, body }) onto an MCP CallToolResult.
+// Tool failures are reported in-band (isError) so the model can see and react to them.
+export function toolResultFromCall({ status, body }) {
+  const isError = !(Number(status) >= 200 && Number(status) < 300);
+  const text = typeof body === "string" ? body : JSON.stringify(body ?? null, null, 2);
+  const out = { content: [{ type: "text", text }], isError };
+  if (!isError && body && typeof body === "object" && !Array.isArray(body)) out.structuredContent = body;
+  return out;
+}
+
+// MCP tool descriptors only carry name/description/inputSchema; strip the UI management fields.
+function toMcpTool(t) {
+  return {
+    name: String(t?.name || ""),
+    ...(t?.title ? { title: String(t.title) } : {}),
+    description: String(t?.description || ""),
+    inputSchema: (t?.inputSchema && typeof t.inputSchema === "object") ? t.inputSchema : { type: "object", properties: {} },
+  };
+}
+
+/**
+ * Create a JSON-RPC handler for the MCP lifecycle + tools methods.
+ *
+ * deps:
+ *   serverInfo   { name, version }
+ *   instructions optional string returned from initialize
+ *   listTools    async ({ session }) => [{ name, description, inputSchema }]
+ *   callTool     async ({ session, name, args }) => { status, body }
+ *   log          optional (evt) => void, receives protocol-level events
+ *   resources    optional { list, listTemplates, read, subscribe?, unsubscribe? }:
+ *                  list          async ({ session }) => [{ uri, name, description?, mimeType? }]
+ *                  listTemplates async ({ session }) => [{ uriTemplate, name, description?, mimeType? }]
+ *                  read          async ({ session, uri }) => { mimeType, json } | { mimeType, text } | null
+ *                  subscribe     async ({ session, uri }) => void (throw to reject); only for sessions with an id
+ *   prompts      optional { list, get }:
+ *                  list          async ({ session }) => [{ name, title?, description?, arguments?: [{ name, description?, required? }] }]
+ *                  get           async ({ session, name, args }) => { description?, messages } | null
+ *   methods      optional { [method]: async (params, ctx) => result } for extra capabilities
+ *   capabilities optional object merged into the initialize capabilities
+ */
+export function createMcpRpcHandler(deps = {}) {
+  const serverInfo = deps.serverInfo || { name: "maximo-mcp-server", version: "0.0.0" };
+  const log = typeof deps.log === "function" ? deps.log : () => {};
+  const extraMethods = deps.methods || {};
+  const resources = deps.resources && typeof deps.resources.read === "function" ? deps.resources : null;
+  const prompts = deps.prompts && typeof deps.prompts.get === "function" ? deps.prompts : null;
+
+  const methods = {
+    initialize: async (params, ctx) => {
+      const protocolVersion = negotiateProtocolVersion(params?.protocolVersion);
+      if (ctx?.session) {
+        ctx.session.protocolVersion = protocolVersion;
+        ctx.session.clientInfo = params?.clientInfo || null;
+        ctx.session.clientCapabilities = params?.capabilities || {};
+      }
+      log({ title: "MCP initialize", protocolVersion, clientInfo: params?.clientInfo || null });
+      return {
+        protocolVersion,
+        capabilities: {
+          tools: { listChanged: false },
+          ...(resources ? { resources: { subscribe: typeof resources.subscribe === "function", listChanged: false } } : {}),
+          ...(prompts ? { prompts: { listChanged: false } } : {}),
+          ...(deps.capabilities || {}),
+        },
+        serverInfo,
+        ...(deps.instructions ? { instructions: String(deps.instructions) } : {}),
+      };
+    },
+
+    ping: async () => ({}),
+
+    "tools/list": async (_params, ctx) => {
+      const tools = await deps.listTools({ session: ctx?.session });
+      return { tools: (Array.isArray(tools) ? tools : []).map(toMcpTool).filter((t) => t.name) };
+    },
+
+    "tools/call": async (params, ctx) => {
+      const name = String(params?.name || "").trim();
+      if (!name) throw rpcError(JSONRPC_INVALID_PARAMS, "Missing tool name");
+      const args = params?.arguments ?? {};
+      if (!args || typeof args !== "object" || Array.isArray(args)) {
+        throw rpcError(JSONRPC_INVALID_PARAMS, "Tool arguments must be an object");
+      }
+      const tools = await deps.listTools({ session: ctx?.session });
+      if (!(Array.isArray(tools) ? tools : []).some((t) => String(t?.name) === name)) {
+        throw rpcError(JSONRPC_INVALID_PARAMS, `Unknown tool: ${name}`);
+      }
+      const out = await deps.callTool({ session: ctx?.session, name, args });
+      return toolResultFromCall(out || { status: 500, body: { error: "mcp_failed" } });
+    },
+
+    ...(resources ? resourceMethods(resources) : {}),
+    ...(prompts ? promptMethods(prompts) : {}),
+
+    ...extraMethods,
+  };
+
+  const notifications = {
+    "notifications/initialized": async (_params, ctx) => {
+      if (ctx?.session) ctx.session.initialized = true;
+    },
+    "notifications/cancelled": async (params) => {
+      // Tool calls run to completion against Maximo; cancellation is acknowledged only.
+      log({ title: "MCP request cancelled by client", requestId: params?.requestId, reason: params?.reason });
+    },
+  };
+
+  async function handle(msg, ctx = {}) {
+    if (!msg || typeof msg !== "object" || Array.isArray(msg) || msg.jsonrpc !== "2.0") {
+      return jsonRpcError(msg?.id ?? null, JSONRPC_INVALID_REQUEST, "Invalid Request");
+    }
+
+    // Responses to server-initiated requests: nothing is pending on our side.
+    if (isJsonRpcResponse(msg)) return null;
+
+    if (isJsonRpcNotification(msg)) {
+      const fn = notifications[msg.method];
+      try { if (fn) await fn(msg.params, ctx); } catch {}
+      return null;
+    }
+
+    if (!isJsonRpcRequest(msg)) return jsonRpcError(msg.id ?? null, JSONRPC_INVALID_REQUEST, "Invalid Request");
+
+    const fn = methods[msg.method];
+    if (!fn) return jsonRpcError(msg.id, JSONRPC_METHOD_NOT_FOUND, `Method not found: ${msg.method}`);
+
+    try {
+      const result = await fn(msg.params || {}, ctx);
+      return jsonRpcResult(msg.id, result ?? {});
+    } catch (e) {
+      if (e && typeof e.rpcCode === "number") return jsonRpcError(msg.id, e.rpcCode, String(e.message || e), e.rpcData);
+      return jsonRpcError(msg.id, JSONRPC_INTERNAL_ERROR, String(e?.message || e));
+    }
+  }
+
+  return { handle, methods };
+}
+
+function resourceMethods(resources) {
+  const requireUri = (params) => {
+    const uri = String(params?.uri || "").trim();
+    if (!uri) throw rpcError(JSONRPC_INVALID_PARAMS, "Missing resource uri");
+    return uri;
+  };
+
+  const methods = {
+    "resources/list": async (_params, ctx) => {
+      const list = typeof resources.list === "function" ? await resources.list({ session: ctx?.session }) : [];
+      return { resources: Array.isArray(list) ? list : [] };
+    },
+
+    "resources/templates/list": async (_params, ctx) => {
+      const list = typeof resources.listTemplates === "function" ? await resources.listTemplates({ session: ctx?.session }) : [];
+      return { resourceTemplates: Array.isArray(list) ? list : [] };
+    },
+
+    "resources/read": async (params, ctx) => {
+      const uri = requireUri(params);
+      const out = await resources.read({ session: ctx?.session, uri });
+      if (!out) throw rpcError(MCP_RESOURCE_NOT_FOUND, "Resource not found", { uri });
+      const mimeType = String(out.mimeType || (out.json !== undefined ? "application/json" : "text/plain"));
+      const text = out.json !== undefined ? JSON.stringify(out.json, null, 2) : String(out.text ?? "");
+      return { contents: [{ uri, mimeType, text }] };
+    },
+  };
+
+  if (typeof resources.subscribe === "function") {
+    // Subscriptions belong to a session that outlives the request (Mcp-Session-Id over HTTP, the stdio
+    // session); a stateless request has nothing to notify and would never be cleaned up.
+    const requireSession = (ctx) => {
+      if (!ctx?.session?.id) {
+        throw rpcError(JSONRPC_INVALID_REQUEST, "Resource subscriptions need a session: initialize first and send Mcp-Session-Id");
+      }
+      return ctx.session;
+    };
+    methods["resources/subscribe"] = async (params, ctx) => {
+      const uri = requireUri(params);
+      const session = requireSession(ctx);
+      await resources.subscribe({ session, uri });
+      if (!session.subscriptions) session.subscriptions = new Set();
+      session.subscriptions.add(uri);
+      return {};
+    };
+    methods["resources/unsubscribe"] = async (params, ctx) => {
+      const uri = requireUri(params);
+      requireSession(ctx);
+      try { await resources.unsubscribe?.({ session: ctx?.session, uri }); } catch {}
+      ctx?.session?.subscriptions?.delete(uri);
+      return {};
+    };
+  }
+
+  return methods;
+}
+
+function promptMethods(prompts) {
+  return {
+    "prompts/list": async (_params, ctx) => {
+      const list = typeof prompts.list === "function" ? await prompts.list({ session: ctx?.session }) : [];
+      return { prompts: Array.isArray(list) ? list : [] };
+    },
+
+    "prompts/get": async (params, ctx) => {
+      const name = String(params?.name || "").trim();
+      if (!name) throw rpcError(JSONRPC_INVALID_PARAMS, "Missing prompt name");
+      const args = params?.arguments ?? {};
+      if (!args || typeof args !== "object" || Array.isArray(args)) {
+        throw rpcError(JSONRPC_INVALID_PARAMS, "Prompt arguments must be an object");
+      }
+      const out = await prompts.get({ session: ctx?.session, name, args });
+      if (!out) throw rpcError(JSONRPC_INVALID_PARAMS, `Unknown prompt: ${name}`);
+      return out;
+    },
+  };
+}
+
+// Throw from a method implementation to return a specific JSON-RPC error code.
+export function rpcError(code, message, data) {
+  const e = new Error(message);
+  e.rpcCode = code;
+  if (data !== undefined) e.rpcData = data;
+  return e;
+}
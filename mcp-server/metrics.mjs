@@ -0,0 +1,124 @@
+// mcp-server/metrics.mjs
+// Prometheus metrics for the MCP server, served at GET /metrics (text exposition format).
+//
+//   mcp_maximo_requests_total{tenant, os, method, status}        status: HTTP code, or "error" (network)
+//   mcp_maximo_request_duration_seconds{tenant, os, method}      histogram
+//   mcp_tool_calls_total{tenant, tool, status}                   /mcp/call (HTTP and in-process), by HTTP status
+//   mcp_tool_call_duration_seconds{tool}                         histogram
+//   mcp_nlq_resolutions_total{tenant, outcome}                   resolved | dropped_filters | unresolved | fallback
+//   mcp_cache_lookups_total{cache, result}                       result: hit | miss (hit rate = hit / all)
+//   mcp_active_streams{transport}                                open SSE responses on /mcp
+// plus the prom-client default Node.js process metrics.
+//
+// Labels are bounded: server.mjs passes "unknown" for a tenant that is not configured or a tool the tenant does
+// not have, and `os` (the object structure from the request path, lowercased, never the query) only when it is on
+// the tenant's allowlist or in its discovered OS catalog, "other" otherwise or when Maximo answered 404.
+// GET /metrics is open like /healthz unless METRICS_TOKEN is set (then `Authorization: Bearer <token>`);
+// METRICS_ENABLED=false removes the endpoint.
+
+import client from "prom-client";
+
+export const metricsRegistry = new client.Registry();
+client.collectDefaultMetrics({ register: metricsRegistry });
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const maximoRequests = new client.Counter({
+  name: "mcp_maximo_requests_total",
+  help: "Requests sent to Maximo, by tenant, object structure, method and HTTP status",
+  labelNames: ["tenant", "os", "method", "status"],
+  registers: [metricsRegistry],
+});
+const maximoDuration = new client.Histogram({
+  name: "mcp_maximo_request_duration_seconds",
+  help: "Maximo request latency",
+  labelNames: ["tenant", "os", "method"],
+  buckets: LATENCY_BUCKETS,
+  registers: [metricsRegistry],
+});
+const toolCalls = new client.Counter({
+  name: "mcp_tool_calls_total",
+  help: "MCP tool calls, by tenant, tool and HTTP status",
+  labelNames: ["tenant", "tool", "status"],
+  registers: [metricsRegistry],
+});
+const toolDuration = new client.Histogram({
+  name: "mcp_tool_call_duration_seconds",
+  help: "MCP tool call latency (including Maximo round-trips)",
+  labelNames: ["tool"],
+  buckets: LATENCY_BUCKETS,
+  registers: [metricsRegistry],
+});
+const nlqResolutions = new client.Counter({
+  name: "mcp_nlq_resolutions_total",
+  help: "NLQ expansions, by outcome (resolved, dropped_filters, unresolved, fallback)",
+  labelNames: ["tenant", "outcome"],
+  registers: [metricsRegistry],
+});
+const cacheLookups = new client.Counter({
+  name: "mcp_cache_lookups_total",
+  help: "Metadata/catalog cache lookups, by cache and result (hit, miss)",
+  labelNames: ["cache", "result"],
+  registers: [metricsRegistry],
+});
+const activeStreams = new client.Gauge({
+  name: "mcp_active_streams",
+  help: "Open streaming (SSE) responses",
+  labelNames: ["transport"],
+  registers: [metricsRegistry],
+});
+
+const label = (v, fallback = "unknown") => String(v || "").trim() || fallback;
+
+/** Object structure from a Maximo URL (`.../os/mxapiwo?...` -> "mxapiwo"); "other" for non-OS endpoints. */
+export function maximoOsLabel(url) {
+  let p = "";
+  try { p = new URL(url).pathname; } catch { p = String(url || "").split("?")[0]; }
+  const m = p.match(/\/os\/([^/?#]+)/i);
+  return m ? decodeURIComponent(m[1]).toLowerCase() : "other";
+}
+
+export function observeMaximoRequest({ tenant, os, method, status, seconds }) {
+  const labels = { tenant: label(tenant, "default"), os: label(os, "other"), method: label(method, "GET").toUpperCase() };
+  maximoRequests.inc({ ...labels, status: label(status, "error") });
+  if (Number.isFinite(seconds)) maximoDuration.observe(labels, seconds);
+}
+
+export function observeToolCall({ tenant, tool, status, seconds }) {
+  toolCalls.inc({ tenant: label(tenant, "default"), tool: label(tool), status: label(status) });
+  if (Number.isFinite(seconds)) toolDuration.observe({ tool: label(tool) }, seconds);
+}
+
+export function countNlqResolution(tenant, outcome) {
+  nlqResolutions.inc({ tenant: label(tenant, "default"), outcome: label(outcome) });
+}
+
+export function countCacheLookup(cache, hit) {
+  cacheLookups.inc({ cache, result: hit ? "hit" : "miss" });
+}
+
+/** Count a streaming response as active until it closes. */
+export function trackStream(res, transport = "sse") {
+  activeStreams.inc({ transport });
+  let open = true;
+  res.on("close", () => {
+    if (!open) return;
+    open = false;
+    activeStreams.dec({ transport });
+  });
+}
+
+/** Express handler for GET /metrics. */
+export function metricsHandler({ token = String(process.env.METRICS_TOKEN || "").trim() } = {}) {
+  return async (req, res) => {
+    if (token && String(req.headers.authorization || "") !== `Bearer ${token}`) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    try {
+      res.set("Content-Type", metricsRegistry.contentType);
+      return res.send(await metricsRegistry.metrics());
+    } catch (e) {
+      return res.status(500).json({ error: "metrics_failed", detail: String(e?.message || e) });
+    }
+  };
+}
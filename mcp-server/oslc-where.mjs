@@ -0,0 +1,373 @@
+// mcp-server/oslc-where.mjs
+// Tokenizer, parser and formatter for Maximo OSLC where clauses (oslc.where).
+//
+// Grammar (keywords are case-insensitive):
+//   where     := or
+//   or        := and ("or" and)*
+//   and       := primary ("and" primary)*
+//   primary   := "(" or ")" | predicate
+//   predicate := path op value | path "in" ("[" | "(") value ("," value)* ("]" | ")")
+//   path      := ident ("." ident)*            e.g. status, asset.assettype, spi:wonum
+//   op        := "=" | "!=" | "<" | "<=" | ">" | ">=" | "like"      ("<>" and "==" are accepted)
+//   value     := "string" | 'string' | number | date | bareword     (2024-01-31, 2024-01-31T08:00:00Z)
+//
+// AST nodes:
+//   { type: "and" | "or", items: [node] }
+//   { type: "predicate", path: [ident], op, value: { kind, value } }     (op "in": values: [{ kind, value }])
+// where kind is "string" | "number" | "date" | "boolean" | "null" | "word" (a bare identifier).
+//
+// formatWhere() serializes canonically: double-quoted literals (bare words and dates get quoted), no spaces
+// around comparison operators, and parentheses only where "or" is nested inside "and".
+//
+// Usage (from server.mjs / relprefetch.mjs):
+//   const { ast, error } = tryParseWhere(where);   // error: Error with code "invalid_where", position, expected
+//   const next = mapPredicates(ast, (p) => ...);    // return a node to replace, null to drop
+//   params["oslc.where"] = formatWhere(next);
+
+const KEYWORDS = new Set(["and", "or", "in", "like"]);
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?/;
+const NUMBER_RE = /^-?\d+(?:\.\d+)?(?![\w.])/;
+const IDENT_RE = /^[A-Za-z_][A-Za-z0-9_:]*/;
+// Unquoted values that start with a digit but aren't numbers, e.g. wonum=1001A.
+const WORD_RE = /^[0-9][A-Za-z0-9_-]*/;
+
+function whereError(message, { position, expected, found } = {}) {
+  const e = new Error(message);
+  e.code = "invalid_where";
+  if (position !== undefined) e.position = position;
+  if (expected) e.expected = expected;
+  if (found !== undefined) e.found = found;
+  return e;
+}
+
+function describe(tok) {
+  if (!tok) return "end of input";
+  if (tok.type === "string") return `"${tok.value}"`;
+  return `"${tok.text}"`;
+}
+
+export function tokenizeWhere(input) {
+  const s = String(input ?? "");
+  const toks = [];
+  let i = 0;
+  while (i < s.length) {
+    const ch = s[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const rest = s.slice(i);
+
+    const punct = { "(": "lparen", ")": "rparen", "[": "lbracket", "]": "rbracket", ",": "comma", ".": "dot" }[ch];
+    if (punct) { toks.push({ type: punct, text: ch, pos: i }); i++; continue; }
+
+    const op = rest.match(/^(?:!=|<>|<=|>=|==|=|<|>)/)?.[0];
+    if (op) {
+      toks.push({ type: "op", value: op === "<>" ? "!=" : op === "==" ? "=" : op, text: op, pos: i });
+      i += op.length;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      let value = "";
+      while (j < s.length && s[j] !== ch) {
+        // Escaped quotes (\" \') as produced by escapeWhereString and most LLMs; other backslashes are literal.
+        if (s[j] === "\\" && (s[j + 1] === '"' || s[j + 1] === "'")) { value += s[j + 1]; j += 2; continue; }
+        value += s[j++];
+      }
+      if (j >= s.length) throw whereError(`Unterminated string literal starting at position ${i}`, { position: i, expected: [ch] });
+      toks.push({ type: "string", value, text: s.slice(i, j + 1), pos: i });
+      i = j + 1;
+      continue;
+    }
+
+    const date = rest.match(DATE_RE)?.[0];
+    if (date) { toks.push({ type: "date", value: date, text: date, pos: i }); i += date.length; continue; }
+
+    const num = rest.match(NUMBER_RE)?.[0];
+    if (num) { toks.push({ type: "number", value: num, text: num, pos: i }); i += num.length; continue; }
+
+    const ident = rest.match(IDENT_RE)?.[0];
+    if (ident) { toks.push({ type: "ident", value: ident, text: ident, pos: i }); i += ident.length; continue; }
+
+    const word = rest.match(WORD_RE)?.[0];
+    if (word) { toks.push({ type: "word", value: word, text: word, pos: i }); i += word.length; continue; }
+
+    throw whereError(`Unexpected character "${ch}" at position ${i}`, { position: i, found: ch });
+  }
+  return toks;
+}
+
+const isKeyword = (tok, kw) => tok?.type === "ident" && tok.value.toLowerCase() === kw;
+
+export function parseWhere(input) {
+  const toks = tokenizeWhere(input);
+  let i = 0;
+  const peek = () => toks[i];
+  const posOf = (tok) => (tok ? tok.pos : String(input ?? "").length);
+  const fail = (expected, tok = peek()) => {
+    throw whereError(`Expected ${expected.length > 1 ? `one of ${expected.join(", ")}` : expected[0]} at position ${posOf(tok)}, found ${describe(tok)}`, {
+      position: posOf(tok),
+      expected,
+      found: tok ? tok.text : null,
+    });
+  };
+
+  function parseValue() {
+    const tok = peek();
+    if (!tok) fail(["a value"]);
+    if (tok.type === "string") { i++; return { kind: tok.value.match(DATE_RE)?.[0] === tok.value ? "date" : "string", value: tok.value }; }
+    if (tok.type === "number" || tok.type === "date" || tok.type === "word") { i++; return { kind: tok.type, value: tok.value }; }
+    if (tok.type === "ident" && !KEYWORDS.has(tok.value.toLowerCase())) {
+      // A dotted bare word would be a field-to-field comparison, which OSLC doesn't support.
+      if (toks[i + 1]?.type === "dot") fail(["a literal value (field-to-field comparisons are not supported)"]);
+      i++;
+      const low = tok.value.toLowerCase();
+      if (low === "true" || low === "false") return { kind: "boolean", value: low };
+      if (low === "null") return { kind: "null", value: "null" };
+      return { kind: "word", value: tok.value };
+    }
+    return fail(["a value"]);
+  }
+
+  function parsePredicate() {
+    const first = peek();
+    if (first?.type !== "ident" || KEYWORDS.has(first.value.toLowerCase())) fail(["a field name", "\"(\""]);
+    const path = [first.value];
+    i++;
+    while (peek()?.type === "dot") {
+      i++;
+      const seg = peek();
+      if (seg?.type !== "ident") fail(["a field name after \".\""]);
+      path.push(seg.value);
+      i++;
+    }
+
+    const opTok = peek();
+    if (opTok?.type === "op") {
+      i++;
+      return { type: "predicate", path, op: opTok.value, value: parseValue() };
+    }
+    if (isKeyword(opTok, "like")) {
+      i++;
+      return { type: "predicate", path, op: "like", value: parseValue() };
+    }
+    if (isKeyword(opTok, "in")) {
+      i++;
+      const open = peek();
+      if (open?.type !== "lbracket" && open?.type !== "lparen") fail(["\"[\" after in"]);
+      i++;
+      const close = open.type === "lbracket" ? "rbracket" : "rparen";
+      const values = [parseValue()];
+      while (peek()?.type === "comma") { i++; values.push(parseValue()); }
+      if (peek()?.type !== close) fail([close === "rbracket" ? "\"]\"" : "\")\"", "\",\""]);
+      i++;
+      return { type: "predicate", path, op: "in", values };
+    }
+    return fail([`a comparison operator (=, !=, <, <=, >, >=, in, like) after "${path.join(".")}"`], opTok);
+  }
+
+  function parsePrimary() {
+    if (peek()?.type === "lparen") {
+      i++;
+      const node = parseOr();
+      if (peek()?.type !== "rparen") fail(["\")\"", "and", "or"]);
+      i++;
+      return node;
+    }
+    return parsePredicate();
+  }
+
+  function parseAnd() {
+    const items = [parsePrimary()];
+    while (isKeyword(peek(), "and")) { i++; items.push(parsePrimary()); }
+    return andOf(items);
+  }
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (isKeyword(peek(), "or")) { i++; items.push(parseAnd()); }
+    return orOf(items);
+  }
+
+  if (!toks.length) return null;
+  const ast = parseOr();
+  if (i < toks.length) fail(["and", "or", "end of input"]);
+  return ast;
+}
+
+// Never throws: { ast, error }. An empty clause parses to { ast: null }.
+export function tryParseWhere(input) {
+  try {
+    return { ast: parseWhere(input), error: null };
+  } catch (e) {
+    return { ast: null, error: e };
+  }
+}
+
+// True when the text is (an attempt at) an OSLC where rather than natural language: it has a comparison
+// operator or an `in [...]` list outside of string literals.
+export function looksLikeWhere(text) {
+  let toks;
+  try {
+    toks = tokenizeWhere(text);
+  } catch {
+    return /[=!<>]/.test(String(text || ""));
+  }
+  return toks.some((t, k) => t.type === "op" || (isKeyword(t, "in") && toks[k + 1]?.type === "lbracket"));
+}
+
+// Flattens nested groups of the same kind; a single item is returned as-is, no items as null.
+function groupOf(type, items) {
+  const flat = [];
+  for (const n of items) {
+    if (!n) continue;
+    if (n.type === type) flat.push(...n.items);
+    else flat.push(n);
+  }
+  if (!flat.length) return null;
+  return flat.length === 1 ? flat[0] : { type, items: flat };
+}
+
+export function andOf(items) {
+  return groupOf("and", items);
+}
+
+export function orOf(items) {
+  return groupOf("or", items);
+}
+
+export function predicate(field, op, value, kind = "string") {
+  return { type: "predicate", path: String(field).split("."), op, value: { kind, value: String(value ?? "") } };
+}
+
+// Top-level AND terms of a clause (a single term for anything else).
+export function conjuncts(ast) {
+  if (!ast) return [];
+  return ast.type === "and" ? ast.items : [ast];
+}
+
+export function predicatesOf(ast) {
+  if (!ast) return [];
+  if (ast.type === "predicate") return [ast];
+  return ast.items.flatMap(predicatesOf);
+}
+
+// Rebuilds the tree with fn(predicate) -> replacement node, the same node, or null to drop it.
+// Groups left empty are dropped too.
+export function mapPredicates(ast, fn) {
+  if (!ast) return null;
+  if (ast.type === "predicate") return fn(ast) ?? null;
+  const items = ast.items.map((n) => mapPredicates(n, fn));
+  return ast.type === "and" ? andOf(items) : orOf(items);
+}
+
+function formatValue(v) {
+  if (v.kind === "number" || v.kind === "boolean" || v.kind === "null") return v.value;
+  return `"${String(v.value).replace(/"/g, "\\\"")}"`;
+}
+
+export function formatWhere(ast, parentType = "") {
+  if (!ast) return "";
+  if (ast.type === "predicate") {
+    const path = ast.path.join(".");
+    if (ast.op === "in") return `${path} in [${ast.values.map(formatValue).join(",")}]`;
+    if (ast.op === "like") return `${path} like ${formatValue(ast.value)}`;
+    return `${path}${ast.op}${formatValue(ast.value)}`;
+  }
+  const s = ast.items.map((n) => formatWhere(n, ast.type)).join(` ${ast.type} `);
+  return ast.type === "or" && parentType === "and" ? `(${s})` : s;
+}
+
+// ANDs clauses together, keeping "or" precedence intact. Unparseable clauses are joined textually.
+export function andWhere(...wheres) {
+  const parts = wheres.map((w) => String(w || "").trim()).filter(Boolean);
+  const parsed = parts.map((w) => tryParseWhere(w));
+  if (parsed.some((p) => p.error)) return parts.join(" and ");
+  return formatWhere(andOf(parsed.map((p) => p.ast)));
+}
+
+// ---------- Structured filters (maximo_queryOS `filters`) ----------
+// A list of filters is ANDed. Each item is
+//   { field, op, value }                  op: = != < <= > >= (or eq ne lt lte gt gte)
+//   { field, op: "in" | "notin", values } (value may also be an array)
+//   { field, op: "contains" | "startswith" | "endswith", value }
+//   { field, op: "between", from, to }    date/number ranges; either end may be omitted (also value: { from, to })
+//   { field, op: "isnull" | "notnull" }   ({ op: "=", value: null } works too)
+//   { and: [filter] } | { or: [filter] }  nested groups
+// Returns { ast, errors: [{ path, message }] }; invalid items are left out of the AST.
+
+const FILTER_OP_ALIASES = { eq: "=", "==": "=", ne: "!=", neq: "!=", "<>": "!=", lt: "<", lte: "<=", le: "<=", gt: ">", gte: ">=", ge: ">=", nin: "notin", isnotnull: "notnull" };
+export const FILTER_OPS = ["=", "!=", "<", "<=", ">", ">=", "in", "notin", "contains", "startswith", "endswith", "between", "isnull", "notnull"];
+const FIELD_PATH_RE = /^[A-Za-z_][A-Za-z0-9_:]*(?:\.[A-Za-z_][A-Za-z0-9_:]*)*$/;
+
+function literal(v) {
+  if (typeof v === "number") return { kind: "number", value: String(v) };
+  if (typeof v === "boolean") return { kind: "boolean", value: String(v) };
+  const s = String(v);
+  return { kind: s.match(DATE_RE)?.[0] === s ? "date" : "string", value: s };
+}
+
+const isScalar = (v) => v !== undefined && v !== null && typeof v !== "object";
+// Maximo OSLC null checks: field!="*" matches empty values, field="*" any value.
+const NULL_CHECK = { kind: "string", value: "*" };
+
+export function compileFilters(filters) {
+  const errors = [];
+  const fail = (path, message) => { errors.push({ path, message }); return null; };
+
+  function compile(f, at) {
+    if (!f || typeof f !== "object" || Array.isArray(f)) return fail(at, "expected { field, op, value } or { and | or: [...] }");
+    if (f.and !== undefined && f.or !== undefined) return fail(at, "use either and or or in one group, not both (nest one inside the other)");
+    for (const kind of ["and", "or"]) {
+      if (f[kind] === undefined) continue;
+      if (!Array.isArray(f[kind]) || !f[kind].length) return fail(at, `"${kind}" needs a non-empty array of filters`);
+      const items = f[kind].map((x, k) => compile(x, `${at}.${kind}[${k}]`));
+      return kind === "and" ? andOf(items) : orOf(items);
+    }
+
+    const field = String(f.field || "").trim();
+    if (!field) return fail(at, "field is required");
+    if (!FIELD_PATH_RE.test(field)) return fail(at, `invalid field name "${field}"`);
+    const path = field.split(".");
+    const rawOp = String(f.op ?? "=").trim().toLowerCase().replace(/[\s_]+/g, "");
+    const op = FILTER_OP_ALIASES[rawOp] || rawOp;
+    const pred = (o, value) => ({ type: "predicate", path, op: o, value });
+    const v = f.value;
+
+    switch (op) {
+      case "=": case "!=": case "<": case "<=": case ">": case ">=":
+        if (v === null && op !== "<" && op !== "<=" && op !== ">" && op !== ">=") return pred(op === "!=" ? "=" : "!=", NULL_CHECK);
+        if (!isScalar(v)) return fail(at, `op "${op}" on ${field} needs a string, number or boolean value`);
+        return pred(op, literal(v));
+      case "in": case "notin": {
+        const list = Array.isArray(f.values) ? f.values : Array.isArray(v) ? v : (isScalar(v) ? [v] : []);
+        if (!list.length || !list.every(isScalar)) return fail(at, `op "${op}" on ${field} needs a non-empty values array`);
+        if (op === "in") return { type: "predicate", path, op: "in", values: list.map(literal) };
+        // OSLC has no "not in"; expand to field!="a" and field!="b".
+        return andOf(list.map((x) => pred("!=", literal(x))));
+      }
+      case "contains": case "startswith": case "endswith": {
+        if (!isScalar(v) || String(v) === "") return fail(at, `op "${op}" on ${field} needs a non-empty value`);
+        const s = String(v);
+        return pred("=", { kind: "string", value: op === "contains" ? `%${s}%` : op === "startswith" ? `${s}%` : `%${s}` });
+      }
+      case "between": {
+        const range = (v && typeof v === "object") ? v : {};
+        const from = Array.isArray(v) ? v[0] : (f.from ?? range.from);
+        const to = Array.isArray(v) ? v[1] : (f.to ?? range.to);
+        const hasFrom = isScalar(from) && String(from) !== "";
+        const hasTo = isScalar(to) && String(to) !== "";
+        if (!hasFrom && !hasTo) return fail(at, `op "between" on ${field} needs from and/or to`);
+        return andOf([hasFrom ? pred(">=", literal(from)) : null, hasTo ? pred("<=", literal(to)) : null]);
+      }
+      case "isnull":
+        return pred("!=", NULL_CHECK);
+      case "notnull":
+        return pred("=", NULL_CHECK);
+      default:
+        return fail(at, `unsupported op "${f.op}" (use one of ${FILTER_OPS.join(" ")})`);
+    }
+  }
+
+  const list = Array.isArray(filters) ? filters : (filters && typeof filters === "object" ? [filters] : []);
+  return { ast: andOf(list.map((f, k) => compile(f, `filters[${k}]`))), errors };
+}
@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { tokenizeWhere, parseWhere, tryParseWhere, looksLikeWhere, formatWhere, andWhere, compileFilters } from "./oslc-where.mjs";
+
+const kinds = (where) => tokenizeWhere(where).map((t) => [t.type, t.value ?? t.text]);
+
+test("tokenizer: literals, lists, normalized operators and bare words", () => {
+  assert.deepEqual(kinds(`status in ["WAPPR",'APPR'] and wonum<>1001A`), [
+    ["ident", "status"], ["ident", "in"], ["lbracket", "["], ["string", "WAPPR"], ["comma", ","], ["string", "APPR"],
+    ["rbracket", "]"], ["ident", "and"], ["ident", "wonum"], ["op", "!="], ["word", "1001A"],
+  ]);
+  assert.deepEqual(kinds(`reportdate>=2024-01-31T08:00:00Z and priority==2.5`), [
+    ["ident", "reportdate"], ["op", ">="], ["date", "2024-01-31T08:00:00Z"], ["ident", "and"], ["ident", "priority"], ["op", "="], ["number", "2.5"],
+  ]);
+  assert.deepEqual(kinds(`description="say \\"hi\\""`), [["ident", "description"], ["op", "="], ["string", `say "hi"`]]);
+});
+
+test("tokenizer: unterminated strings and stray characters are invalid_where errors with a position", () => {
+  assert.throws(() => tokenizeWhere(`status = "x`), { code: "invalid_where", position: 9 });
+  assert.throws(() => tokenizeWhere(`status # 1`), { code: "invalid_where", position: 7, found: "#" });
+});
+
+test("parser: and binds tighter than or; groups, paths, like and in", () => {
+  assert.deepEqual(parseWhere(`a=1 or b=2 and c=3`), {
+    type: "or",
+    items: [
+      { type: "predicate", path: ["a"], op: "=", value: { kind: "number", value: "1" } },
+      {
+        type: "and",
+        items: [
+          { type: "predicate", path: ["b"], op: "=", value: { kind: "number", value: "2" } },
+          { type: "predicate", path: ["c"], op: "=", value: { kind: "number", value: "3" } },
+        ],
+      },
+    ],
+  });
+  assert.deepEqual(parseWhere(`asset.assettype like "%PUMP%"`), {
+    type: "predicate", path: ["asset", "assettype"], op: "like", value: { kind: "string", value: "%PUMP%" },
+  });
+  assert.deepEqual(parseWhere(`status in ("A", b)`).values, [{ kind: "string", value: "A" }, { kind: "word", value: "b" }]);
+  assert.deepEqual(parseWhere(`x=true and y=NULL and d="2024-01-31"`).items.map((p) => p.value.kind), ["boolean", "null", "date"]);
+  assert.equal(parseWhere("   "), null);
+});
+
+test("parser: errors report what was expected where", () => {
+  const { ast, error } = tryParseWhere(`status = `);
+  assert.equal(ast, null);
+  assert.equal(error.code, "invalid_where");
+  assert.equal(error.position, 9);
+  assert.deepEqual(error.expected, ["a value"]);
+  assert.match(error.message, /found end of input/);
+
+  assert.throws(() => parseWhere(`(a=1 or b=2`), { code: "invalid_where", expected: ["\")\"", "and", "or"] });
+  assert.throws(() => parseWhere(`a=1 b=2`), { code: "invalid_where", expected: ["and", "or", "end of input"] });
+  assert.throws(() => parseWhere(`a=b.c`), /field-to-field comparisons are not supported/);
+  assert.throws(() => parseWhere(`status WAPPR`), /comparison operator/);
+});
+
+test("formatWhere: canonical output that parses back to the same tree", () => {
+  const cases = [
+    [`status = "WAPPR" and (priority=1 or priority = 2) and reportdate>=2024-01-31`, `status="WAPPR" and (priority=1 or priority=2) and reportdate>="2024-01-31"`],
+    [`(a=1 and b=2) or c=3`, `a=1 and b=2 or c=3`],
+    [`status in ['A','B'] and description like "%pump%"`, `status in ["A","B"] and description like "%pump%"`],
+    [`wonum=1001A and x<>null`, `wonum="1001A" and x!=null`],
+    [`description="say \\"hi\\""`, `description="say \\"hi\\""`],
+  ];
+  for (const [input, canonical] of cases) {
+    const out = formatWhere(parseWhere(input));
+    assert.equal(out, canonical);
+    assert.equal(formatWhere(parseWhere(out)), out);
+  }
+});
+
+test("andWhere keeps or precedence and joins unparseable clauses as text", () => {
+  assert.equal(andWhere("a=1 or b=2", "c=3"), "(a=1 or b=2) and c=3");
+  assert.equal(andWhere("", "c=3", null), "c=3");
+  assert.equal(andWhere("a=", "c=3"), "a= and c=3");
+});
+
+test("looksLikeWhere tells where clauses from natural language", () => {
+  assert.equal(looksLikeWhere("show me open work orders"), false);
+  assert.equal(looksLikeWhere(`status in ["A"]`), true);
+  assert.equal(looksLikeWhere("priority>2"), true);
+  assert.equal(looksLikeWhere(`description="a = b"`), true);
+  assert.equal(looksLikeWhere(`"status = open"`), false);
+});
+
+test("compileFilters: every op compiles to OSLC", () => {
+  const { ast, errors } = compileFilters([
+    { field: "status", op: "in", values: ["A", "B"] },
+    { field: "status", op: "notin", value: ["X", "Y"] },
+    { field: "description", op: "contains", value: "pump" },
+    { field: "location", op: "startswith", value: "BR" },
+    { field: "reportdate", op: "between", from: "2024-01-01", to: "2024-02-01" },
+    { field: "actfinish", op: "isnull" },
+    { field: "asset.assetnum", op: "not null" },
+    { or: [{ field: "priority", op: "eq", value: 1 }, { field: "priority", op: "gte", value: 3 }] },
+  ]);
+  assert.deepEqual(errors, []);
+  assert.equal(
+    formatWhere(ast),
+    `status in ["A","B"] and status!="X" and status!="Y" and description="%pump%" and location="BR%" and ` +
+    `reportdate>="2024-01-01" and reportdate<="2024-02-01" and actfinish!="*" and asset.assetnum="*" and (priority=1 or priority>=3)`,
+  );
+  assert.equal(formatWhere(compileFilters({ field: "x", op: "=", value: null }).ast), `x!="*"`);
+  assert.equal(formatWhere(compileFilters({ field: "n", op: "between", value: { to: 5 } }).ast), "n<=5");
+});
+
+test("compileFilters: invalid items are reported by path and left out", () => {
+  const { ast, errors } = compileFilters([
+    { field: "status", value: "APPR" },
+    { field: "bad field", value: 1 },
+    { field: "x", op: "nope", value: 1 },
+    { and: [] },
+    { or: [{ field: "y", op: "in", values: [] }, { field: "z", value: 2 }] },
+  ]);
+  assert.equal(formatWhere(ast), `status="APPR" and z=2`);
+  assert.deepEqual(errors.map((e) => e.path), ["filters[1]", "filters[2]", "filters[3]", "filters[4].or[0]"]);
+  assert.match(errors[0].message, /invalid field name "bad field"/);
+  assert.match(errors[1].message, /unsupported op "nope"/);
+});
+
+test("compileFilters: a group with both and and or is an error, not a silent drop", () => {
+  const { ast, errors } = compileFilters([
+    { field: "status", value: "APPR" },
+    { and: [{ field: "a", value: 1 }], or: [{ field: "b", value: 2 }] },
+  ]);
+  assert.equal(formatWhere(ast), `status="APPR"`);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].path, "filters[1]");
+  assert.match(errors[0].message, /use either and or or in one group/);
+});
@@ -7,9 +7,11 @@
 // Usage (from server.mjs):
 //   const { plan } = await applyRelationshipPrefetch({ tenantId, t, os, params, defaultSite, rxId, maximoFetch, authHeaders, maximoApiBase });
 //   // params may be mutated in-place; plan can be attached to response._mcp.plan
+//   // dryRun: true returns the plan without running the prefetch queries or mutating params
 
 import fs from "fs";
 import path from "path";
+import { parseWhere, predicatesOf, mapPredicates, formatWhere, orOf, predicate } from "./oslc-where.mjs";
 
 function safeJson(s) {
   try {
@@ -29,45 +31,28 @@ function getOslcMembers(body) {
   return one;
 }
 
-function normalizeOp(opRaw) {
-  const op = String(opRaw || "").trim().toLowerCase();
-  if (op === "=") return "=";
-  if (op === "!=") return "!=";
-  if (op === "like") return "like";
-  // treat default as equals
-  return "=";
-}
-
 function escapeWhereString(v) {
   // OSLC uses double quotes for literals; escape embedded quotes.
   return String(v ?? "").replace(/"/g, "\\\"");
 }
 
-function detectRelationshipPredicates(where) {
-  // Detect simple predicates of the form:
-  //   rel.field = "..."
-  //   rel.field != "..."
-  //   rel.field like "..."
-  // And also accept single quoted literals.
-  const w = String(where || "");
-  const preds = [];
-
-  // Capture: rel, field, op, quote, value
-  const re = /\b([A-Za-z_][A-Za-z0-9_]*)\s*\.\s*([A-Za-z_][A-Za-z0-9_]*)\s*(=|!=|\blike\b)\s*("([^"]*)"|'([^']*)')/gi;
-  let m;
-  while ((m = re.exec(w))) {
-    const rel = String(m[1]).trim();
-    const field = String(m[2]).trim();
-    const op = normalizeOp(m[3]);
-    const val = (typeof m[5] === "string" ? m[5] : m[6]) ?? "";
-    preds.push({ rel, field, op, value: String(val) });
-  }
-  return preds;
+function detectRelationshipPredicates(ast) {
+  // Every predicate on a relationship path, at any depth of and/or nesting:
+  //   asset.assettype="SENSOR", location.status in ["OPERATING","ACTIVE"], asset.description like "%PUMP%"
+  // node is the AST predicate, used to rewrite exactly that clause.
+  return predicatesOf(ast)
+    .filter((p) => p.path.length > 1)
+    .map((p) => ({
+      rel: p.path[0],
+      field: p.path.slice(1).join("."),
+      op: p.op,
+      value: p.op === "in" ? p.values.map((v) => v.value) : p.value.value,
+      node: p,
+    }));
 }
 
 function buildOrBlock(rootJoinField, keys) {
-  const parts = keys.map((k) => `${rootJoinField}="${escapeWhereString(k)}"`);
-  return `(${parts.join(" or ")})`;
+  return orOf(keys.map((k) => predicate(rootJoinField, "=", k)));
 }
 
 function loadRelationshipsConfig({ dataDir, tenantId }) {
@@ -203,7 +188,7 @@ async function prefetchKeys({
   return { keys, rawCount: keys.length };
 }
 
-export async function applyRelationshipPrefetch({ tenantId, t, os, params, defaultSite, rxId, maximoFetch, authHeaders, maximoApiBase }) {
+export async function applyRelationshipPrefetch({ tenantId, t, os, params, defaultSite, rxId, maximoFetch, authHeaders, maximoApiBase, dryRun = false }) {
   const plan = {
     mode: "none",
     detected: [],
@@ -220,14 +205,22 @@ export async function applyRelationshipPrefetch({ tenantId, t, os, params, defau
     const cfg = loadRelationshipsConfig({ dataDir, tenantId });
     const relsForOs = cfg?.relationships?.[String(os || "").toLowerCase()] || cfg?.relationships?.[String(os || "")] || null;
 
-    const preds = detectRelationshipPredicates(where);
+    // Unparseable clauses are reported by the caller; nothing to plan here.
+    let ast;
+    try {
+      ast = parseWhere(where);
+    } catch {
+      return { plan };
+    }
+    const preds = detectRelationshipPredicates(ast);
     if (!preds.length) return { plan };
-    plan.detected = preds;
+    plan.detected = preds.map(({ node, ...p }) => p);
 
     // For safety, only rewrite predicates we have a configured relationship for.
     const apiBase = maximoApiBase(t);
 
-    let mutatedWhere = where;
+    // AST predicate -> replacement node
+    const rewrites = new Map();
 
     for (const p of preds) {
       const relName = String(p.rel || "");
@@ -244,14 +237,11 @@ export async function applyRelationshipPrefetch({ tenantId, t, os, params, defau
 
       if (!relatedOs || !rootJoinField || !relatedKeyField) continue;
 
-      // Build the related where
-      const val = escapeWhereString(p.value);
-      const op = p.op === "like" ? "like" : (p.op === "!=" ? "!=" : "=");
-
-      let relWhere = `${p.field} ${op} "${val}"`;
+      // Build the related where: the same predicate, relative to the related OS.
+      let relWhere = formatWhere({ ...p.node, path: p.node.path.slice(1) });
       if (defaultSite && relatedSiteField) {
-        // Do not double-add if caller already filtered by siteid (best-effort)
-        if (!/(^|\W)siteid\s*(=|!=|\bin\b)/i.test(relWhere)) {
+        // Do not double-add if the predicate itself filters by site
+        if (p.field.toLowerCase() !== relatedSiteField.toLowerCase()) {
           relWhere = `${relatedSiteField}="${escapeWhereString(defaultSite)}" and ${relWhere}`;
         }
       }
@@ -268,6 +258,18 @@ export async function applyRelationshipPrefetch({ tenantId, t, os, params, defau
         maxKeys
       });
 
+      // Dry run: record the planned rewrite without querying Maximo or touching params.
+      if (dryRun) {
+        plan.dryRun = true;
+        plan.steps.push({
+          kind: "rewrite",
+          relationship: relName,
+          replacedWith: `${rootJoinField} in (<${relatedKeyField} values from ${relatedOs}>)`,
+          note: "dry run: prefetch not executed"
+        });
+        continue;
+      }
+
       let keys = [];
       try {
         const out = await prefetchKeys({
@@ -299,24 +301,20 @@ export async function applyRelationshipPrefetch({ tenantId, t, os, params, defau
       if (!keys.length) {
         // No matching related rows; rewrite the predicate to something that yields no root rows.
         // Using a false clause is safer than returning everything.
-        const falseClause = `${rootJoinField}="__NO_MATCH__"`;
-        const clauseRe = new RegExp(`\\b${relName}\\s*\\.\\s*${p.field}\\s*(=|!=|\\blike\\b)\\s*(\"[^\"]*\"|'[^']*')`, "i");
-        mutatedWhere = mutatedWhere.replace(clauseRe, falseClause);
-        plan.steps.push({ kind: "rewrite", relationship: relName, replacedWith: falseClause, note: "no related matches" });
+        const falseClause = predicate(rootJoinField, "=", "__NO_MATCH__");
+        rewrites.set(p.node, falseClause);
+        plan.steps.push({ kind: "rewrite", relationship: relName, replacedWith: formatWhere(falseClause), note: "no related matches" });
         continue;
       }
 
-      const orBlock = buildOrBlock(rootJoinField, keys);
-
       // Replace ONLY this clause occurrence.
-      const clauseRe = new RegExp(`\\b${relName}\\s*\\.\\s*${p.field}\\s*(=|!=|\\blike\\b)\\s*(\"[^\"]*\"|'[^']*')`, "i");
-      mutatedWhere = mutatedWhere.replace(clauseRe, orBlock);
-
-      plan.steps.push({ kind: "rewrite", relationship: relName, replacedWith: orBlock });
+      const orBlock = buildOrBlock(rootJoinField, keys);
+      rewrites.set(p.node, orBlock);
+      plan.steps.push({ kind: "rewrite", relationship: relName, replacedWith: formatWhere(orBlock) });
     }
 
-    if (mutatedWhere !== where) {
-      params["oslc.where"] = mutatedWhere;
+    if (rewrites.size) {
+      params["oslc.where"] = formatWhere(mapPredicates(ast, (n) => rewrites.get(n) || n));
     }
 
     return { plan };
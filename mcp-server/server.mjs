@@ -9,6 +9,27 @@ import fetch from "node-fetch";
 
 // ✅ NEW: redaction policy engine (best-effort, safe by default)
 import { applyRedactionPolicy } from "./redaction.js";
+// ✅ NEW: MCP JSON-RPC 2.0 protocol handling (shared by the HTTP transport)
+import {
+  createMcpRpcHandler,
+  jsonRpcError,
+  rpcError,
+  isJsonRpcRequest,
+  MCP_PROTOCOL_VERSIONS,
+  JSONRPC_PARSE_ERROR,
+  JSONRPC_INVALID_REQUEST,
+  JSONRPC_INVALID_PARAMS,
+} from "./mcp-protocol.mjs";
+// OSLC where-clause parser (AST-based validation and rewriting; also used by the inlined prefetch executor below)
+import { parseWhere, tryParseWhere, formatWhere, predicatesOf, mapPredicates, conjuncts, andOf, orOf, predicate, looksLikeWhere, andWhere, compileFilters, FILTER_OPS } from "./oslc-where.mjs";
+import { normalizeAggregateSpec, planAggregate, aggregateSelect, runAggregate, aggregateResult } from "./aggregate.mjs";
+import { EXPORT_FORMATS, exportColumns, dataColumns, projectExportRows, writeExport } from "./export.mjs";
+import { createLogStore, normalizeLogQuery } from "./log-store.mjs";
+import { normalizeAlertRule, alertQueryChanged, filterByAge, trackRecords, evaluateAlert, alertPayload } from "./alerts.mjs";
+import { initTracing, shutdownTracing, tracingInfo, requestSpan, withSpan, markSpanError, setSpanAttributes, currentTraceId, finishedSpans, clearFinishedSpans, SpanKind } from "./tracing.mjs";
+import { loadTokenizer, tokenizerInfo, estimateTokens, normalizePriceTable, normalizeUsageRecord, createUsageLedger, summarizeUsage } from "./usage.mjs";
+import { normalizeLimits, createLimiter } from "./limits.mjs";
+import { metricsHandler, maximoOsLabel, observeMaximoRequest, observeToolCall, countNlqResolution, countCacheLookup, trackStream } from "./metrics.mjs";
 // ✅ NEW: generic relationship-prefetch executor (inlined to avoid missing-module issues)
 const { applyRelationshipPrefetch } = (() => {
 // mcp-server/relprefetch.mjs
@@ -20,7 +41,7 @@ const { applyRelationshipPrefetch } = (() => {
 // Usage (from server.mjs):
 //   const { plan } = await applyRelationshipPrefetch({ tenantId, t, os, params, defaultSite, rxId, maximoFetch, authHeaders, maximoApiBase });
 //   // params may be mutated in-place; plan can be attached to response._mcp.plan
-
+//   // dryRun: true returns the plan without running the prefetch queries or mutating params
 
 function safeJson(s) {
   try {
@@ -40,45 +61,28 @@ function getOslcMembers(body) {
   return one;
 }
 
-function normalizeOp(opRaw) {
-  const op = String(opRaw || "").trim().toLowerCase();
-  if (op === "=") return "=";
-  if (op === "!=") return "!=";
-  if (op === "like") return "like";
-  // treat default as equals
-  return "=";
-}
-
 function escapeWhereString(v) {
   // OSLC uses double quotes for literals; escape embedded quotes.
   return String(v ?? "").replace(/"/g, "\\\"");
 }
 
-function detectRelationshipPredicates(where) {
-  // Detect simple predicates of the form:
-  //   rel.field = "..."
-  //   rel.field != "..."
-  //   rel.field like "..."
-  // And also accept single quoted literals.
-  const w = String(where || "");
-  const preds = [];
-
-  // Capture: rel, field, op, quote, value
-  const re = /\b([A-Za-z_][A-Za-z0-9_]*)\s*\.\s*([A-Za-z_][A-Za-z0-9_]*)\s*(=|!=|\blike\b)\s*("([^"]*)"|'([^']*)')/gi;
-  let m;
-  while ((m = re.exec(w))) {
-    const rel = String(m[1]).trim();
-    const field = String(m[2]).trim();
-    const op = normalizeOp(m[3]);
-    const val = (typeof m[5] === "string" ? m[5] : m[6]) ?? "";
-    preds.push({ rel, field, op, value: String(val) });
-  }
-  return preds;
+function detectRelationshipPredicates(ast) {
+  // Every predicate on a relationship path, at any depth of and/or nesting:
+  //   asset.assettype="SENSOR", location.status in ["OPERATING","ACTIVE"], asset.description like "%PUMP%"
+  // node is the AST predicate, used to rewrite exactly that clause.
+  return predicatesOf(ast)
+    .filter((p) => p.path.length > 1)
+    .map((p) => ({
+      rel: p.path[0],
+      field: p.path.slice(1).join("."),
+      op: p.op,
+      value: p.op === "in" ? p.values.map((v) => v.value) : p.value.value,
+      node: p,
+    }));
 }
 
 function buildOrBlock(rootJoinField, keys) {
-  const parts = keys.map((k) => `${rootJoinField}="${escapeWhereString(k)}"`);
-  return `(${parts.join(" or ")})`;
+  return orOf(keys.map((k) => predicate(rootJoinField, "=", k)));
 }
 
 function loadRelationshipsConfig({ dataDir, tenantId }) {
@@ -214,7 +218,23 @@ async function prefetchKeys({
   return { keys, rawCount: keys.length };
 }
 
-async function applyRelationshipPrefetch({ tenantId, t, os, params, defaultSite, rxId, maximoFetch, authHeaders, maximoApiBase }) {
+// Traced when there is a where clause to inspect (the only case where a prefetch can run).
+async function applyRelationshipPrefetch(input) {
+  if (!input?.params?.["oslc.where"]) return runRelationshipPrefetch(input);
+  return withSpan("relationship.prefetch", { "mcp.tenant": input.tenantId, "maximo.os": input.os, "prefetch.dry_run": !!input.dryRun }, async (span) => {
+    const out = await runRelationshipPrefetch(input);
+    const plan = out?.plan || {};
+    setSpanAttributes(span, {
+      "prefetch.mode": plan.mode,
+      "prefetch.steps": Array.isArray(plan.steps) ? plan.steps.length : undefined,
+      "prefetch.truncated": !!plan.truncated,
+      "prefetch.errors": Array.isArray(plan.errors) ? plan.errors.length : undefined,
+    });
+    return out;
+  });
+}
+
+async function runRelationshipPrefetch({ tenantId, t, os, params, defaultSite, rxId, maximoFetch, authHeaders, maximoApiBase, dryRun = false }) {
   const plan = {
     mode: "none",
     detected: [],
@@ -231,14 +251,22 @@ async function applyRelationshipPrefetch({ tenantId, t, os, params, defaultSite,
     const cfg = loadRelationshipsConfig({ dataDir, tenantId });
     const relsForOs = cfg?.relationships?.[String(os || "").toLowerCase()] || cfg?.relationships?.[String(os || "")] || null;
 
-    const preds = detectRelationshipPredicates(where);
+    // Unparseable clauses are reported by the caller; nothing to plan here.
+    let ast;
+    try {
+      ast = parseWhere(where);
+    } catch {
+      return { plan };
+    }
+    const preds = detectRelationshipPredicates(ast);
     if (!preds.length) return { plan };
-    plan.detected = preds;
+    plan.detected = preds.map(({ node, ...p }) => p);
 
     // For safety, only rewrite predicates we have a configured relationship for.
     const apiBase = maximoApiBase(t);
 
-    let mutatedWhere = where;
+    // AST predicate -> replacement node
+    const rewrites = new Map();
 
     for (const p of preds) {
       const relName = String(p.rel || "");
@@ -255,14 +283,11 @@ async function applyRelationshipPrefetch({ tenantId, t, os, params, defaultSite,
 
       if (!relatedOs || !rootJoinField || !relatedKeyField) continue;
 
-      // Build the related where
-      const val = escapeWhereString(p.value);
-      const op = p.op === "like" ? "like" : (p.op === "!=" ? "!=" : "=");
-
-      let relWhere = `${p.field} ${op} "${val}"`;
+      // Build the related where: the same predicate, relative to the related OS.
+      let relWhere = formatWhere({ ...p.node, path: p.node.path.slice(1) });
       if (defaultSite && relatedSiteField) {
-        // Do not double-add if caller already filtered by siteid (best-effort)
-        if (!/(^|\W)siteid\s*(=|!=|\bin\b)/i.test(relWhere)) {
+        // Do not double-add if the predicate itself filters by site
+        if (p.field.toLowerCase() !== relatedSiteField.toLowerCase()) {
           relWhere = `${relatedSiteField}="${escapeWhereString(defaultSite)}" and ${relWhere}`;
         }
       }
@@ -279,6 +304,18 @@ async function applyRelationshipPrefetch({ tenantId, t, os, params, defaultSite,
         maxKeys
       });
 
+      // Dry run: record the planned rewrite without querying Maximo or touching params.
+      if (dryRun) {
+        plan.dryRun = true;
+        plan.steps.push({
+          kind: "rewrite",
+          relationship: relName,
+          replacedWith: `${rootJoinField} in (<${relatedKeyField} values from ${relatedOs}>)`,
+          note: "dry run: prefetch not executed"
+        });
+        continue;
+      }
+
       let keys = [];
       try {
         const out = await prefetchKeys({
@@ -310,24 +347,20 @@ async function applyRelationshipPrefetch({ tenantId, t, os, params, defaultSite,
       if (!keys.length) {
         // No matching related rows; rewrite the predicate to something that yields no root rows.
         // Using a false clause is safer than returning everything.
-        const falseClause = `${rootJoinField}="__NO_MATCH__"`;
-        const clauseRe = new RegExp(`\\b${relName}\\s*\\.\\s*${p.field}\\s*(=|!=|\\blike\\b)\\s*(\"[^\"]*\"|'[^']*')`, "i");
-        mutatedWhere = mutatedWhere.replace(clauseRe, falseClause);
-        plan.steps.push({ kind: "rewrite", relationship: relName, replacedWith: falseClause, note: "no related matches" });
+        const falseClause = predicate(rootJoinField, "=", "__NO_MATCH__");
+        rewrites.set(p.node, falseClause);
+        plan.steps.push({ kind: "rewrite", relationship: relName, replacedWith: formatWhere(falseClause), note: "no related matches" });
         continue;
       }
 
-      const orBlock = buildOrBlock(rootJoinField, keys);
-
       // Replace ONLY this clause occurrence.
-      const clauseRe = new RegExp(`\\b${relName}\\s*\\.\\s*${p.field}\\s*(=|!=|\\blike\\b)\\s*(\"[^\"]*\"|'[^']*')`, "i");
-      mutatedWhere = mutatedWhere.replace(clauseRe, orBlock);
-
-      plan.steps.push({ kind: "rewrite", relationship: relName, replacedWith: orBlock });
+      const orBlock = buildOrBlock(rootJoinField, keys);
+      rewrites.set(p.node, orBlock);
+      plan.steps.push({ kind: "rewrite", relationship: relName, replacedWith: formatWhere(orBlock) });
     }
 
-    if (mutatedWhere !== where) {
-      params["oslc.where"] = mutatedWhere;
+    if (rewrites.size) {
+      params["oslc.where"] = formatWhere(mapPredicates(ast, (n) => rewrites.get(n) || n));
     }
 
     return { plan };
@@ -353,6 +386,8 @@ app.use(
 );
 app.use(morgan("combined"));
 app.use(express.json({ limit: "10mb" }));
+// OpenTelemetry server span per /api and /mcp request (continues the app's traceparent); see tracing.mjs.
+app.use(requestSpan());
 
 
 app.set("trust proxy", 1);
@@ -405,6 +440,7 @@ const HELP_HTML = `<!doctype html><html><body>
 <ul>
   <li><code>GET /mcp/tools</code> — discover tools</li>
   <li><code>POST /mcp/call</code> — execute a tool</li>
+  <li><code>POST /mcp</code> — MCP JSON-RPC 2.0 endpoint (Streamable HTTP) for standard MCP clients; pick the tenant with <code>?tenant=</code></li>
   <li><code>POST /api/auth/login</code> — login (UI)</li>
   <li><code>POST /api/auth/verify</code> — verify credentials (for AI Agent)</li>
 </ul>
@@ -650,7 +686,7 @@ app.delete("/api/tenants/:id", requireAdmin(), (req, res) => {
 });
 
 
-// -------------------- inbound request logging (into in-memory LOGS for the UI) --------------------
+// -------------------- inbound request logging (into the log store for the UI) --------------------
 // Note: morgan logs to stdout; this middleware records /api/*, /mcp/* and /healthz in the UI log buffer.
 app.use((req, res, next) => {
   const start = Date.now();
@@ -675,7 +711,7 @@ app.use((req, res, next) => {
   res.on("finish", () => {
     try {
       const url = req.originalUrl || req.url || "";
-      if (!(url.startsWith("/api/") || url.startsWith("/mcp/") || url === "/healthz")) return;
+      if (!(url.startsWith("/api/") || /^\/mcp(\/|\?|$)/.test(url) || url === "/healthz")) return;
 
       const pathOnly = String(url).split("?")[0];
       const routeKey = `${req.method} ${pathOnly}`;
@@ -715,8 +751,20 @@ app.use((req, res, next) => {
 
 
 const PORT = process.env.PORT || 8081;
+const MCP_TRANSPORT = String(process.env.MCP_TRANSPORT || "http").trim().toLowerCase();
 const LOG_LIMIT = Number(process.env.LOG_LIMIT || 2000);
 
+// OpenTelemetry (off unless OTEL_TRACES_EXPORTER / an OTLP endpoint is set). The console exporter would
+// write to stdout, which is the protocol channel on the stdio transport.
+if (MCP_TRANSPORT === "stdio" && String(process.env.OTEL_TRACES_EXPORTER || "").trim().toLowerCase() === "console") {
+  console.error("tracing: console exporter is not available on the stdio transport; tracing disabled");
+} else {
+  initTracing({ serviceName: "maximo-mcp-server" });
+}
+
+// TOKENIZER=local: token estimates (reqTokensApprox/resTokensApprox) from a real tokenizer instead of bytes ÷ 4.
+loadTokenizer();
+
 // -------------------- SETTINGS (NEW) --------------------
 const SETTINGS_PATH = path.join(DATA_DIR, "mcp_settings.json");
 const CONCEPTS_OVERRIDES_DIR = path.join(DATA_DIR, "concepts");
@@ -1114,33 +1162,24 @@ function sanitizeWhereWithSchema(os, whereStr, fieldsIdx) {
 
   if (!fieldsIdx || fieldsIdx.size === 0) return { where: w, dropped: [] };
 
+  // Syntax errors are reported before this point (invalid_where); keep an unparseable clause as-is.
+  const parsed = tryParseWhere(w);
+  if (parsed.error) return { where: w, dropped: [] };
+
+  // Every predicate is checked, including those inside or-groups; a group left empty is dropped with it.
   const dropped = [];
-  const parts = w.split(/\s+and\s+/i).map((x) => String(x || "").trim()).filter(Boolean);
-  const kept = [];
-  for (const p of parts) {
-    // Try to capture "field<op>..." where <op> is a comparison operator.
-    const m = p.match(/^([A-Za-z0-9_:\-.]+)\s*(=|!=|>=|<=|>|<)\s*(.+)$/);
-    if (!m) {
-      // unknown clause shape; keep it rather than guessing
-      kept.push(p);
-      continue;
-    }
-    let field = sanitizeSelectColumn(os, m[1]);
+  const ast = mapPredicates(parsed.ast, (p) => {
+    const field = sanitizeSelectColumn(os, p.path.join("."));
     // If the field still contains dot-path, we can't validate safely; keep it.
-    if (!field || field.includes(".")) {
-      kept.push(p);
-      continue;
-    }
+    if (!field || field.includes(".")) return p;
     const hit = normalizeToExistingField(field, fieldsIdx);
     if (!hit) {
-      dropped.push(p);
-      continue;
+      dropped.push(formatWhere(p));
+      return null;
     }
-    const op = m[2];
-    const rhs = String(m[3] || "").trim();
-    kept.push(`${hit}${op}${rhs}`);
-  }
-  return { where: kept.join(" and "), dropped };
+    return { ...p, path: [hit] };
+  });
+  return { where: formatWhere(ast), dropped };
 }
 
 function sanitizeSelectColumn(os, col) {
@@ -1409,8 +1448,43 @@ function dedupeOslcMembers(os, members) {
   return out;
 }
 
-// ---------- in-memory logs ----------
-const LOGS = [];
+// ---------- logs ----------
+// Events go to the log store (log-store.mjs), opened on first use:
+//   LOG_STORE=jsonl (default)  append-only files under LOG_DIR (default <DATA_DIR>/logs), rotated at LOG_FILE_MAX_BYTES
+//   LOG_STORE=sqlite           <LOG_DIR>/logs.sqlite (better-sqlite3), capped at LOG_MAX_ROWS
+//   LOG_STORE=memory           the last LOG_LIMIT events in memory (lost on restart)
+// Retention: LOG_RETENTION_DAYS (default 14), applied at startup and hourly.
+// jsonl buffers appends for LOG_FLUSH_MS (default 250); they are flushed on SIGTERM / SIGINT and at exit.
+let LOG_STORE = null;
+function logStore() {
+  if (!LOG_STORE) {
+    LOG_STORE = createLogStore({
+      backend: String(process.env.LOG_STORE || "jsonl").trim().toLowerCase(),
+      dir: process.env.LOG_DIR || path.join(DATA_DIR, "logs"),
+      limit: LOG_LIMIT,
+      retentionDays: Number(process.env.LOG_RETENTION_DAYS || 14),
+      maxFileBytes: Number(process.env.LOG_FILE_MAX_BYTES || 20 * 1024 * 1024),
+      maxFiles: Number(process.env.LOG_MAX_FILES || 50),
+      maxRows: Number(process.env.LOG_MAX_ROWS || 500000),
+      flushMs: Number(process.env.LOG_FLUSH_MS || 250),
+    });
+    try { LOG_STORE.prune(); } catch {}
+  }
+  return LOG_STORE;
+}
+// Write out buffered log events and spans before stopping.
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.once(signal, () => {
+    Promise.allSettled([LOG_STORE?.flush?.(), shutdownTracing()]).finally(() => process.exit(0));
+  });
+}
+process.on("exit", () => { try { LOG_STORE?.flushSync?.(); } catch {} });
+
+// Optional sink (stdio transport): when set, events go there instead of the log store.
+let LOG_SINK = null;
+function setLogSink(fn) {
+  LOG_SINK = typeof fn === "function" ? fn : null;
+}
 function pushLog(evt) {
   // NEW: When trace OFF, keep meta logs but avoid large bodies/headers
   const sanitized = { ...evt };
@@ -1425,15 +1499,21 @@ function pushLog(evt) {
     if (evt?.responseBody) sanitized.responseBody = "[httpTrace disabled]";
   }
 
+  const traceId = currentTraceId();
   const e = {
     id: uuid(),
     ts: Date.now(),
     iso: nowIso(),
+    ...(traceId ? { traceId } : {}),
     ...sanitized,
   };
 
-  LOGS.push(e);
-  if (LOGS.length > LOG_LIMIT) LOGS.splice(0, LOGS.length - LOG_LIMIT);
+  if (LOG_SINK) {
+    try { LOG_SINK(e); } catch {}
+    return e.id;
+  }
+
+  try { logStore().append(e); } catch (err) { console.error("log store append failed:", String(err?.message || err)); }
   return e.id;
 }
 
@@ -1601,6 +1681,25 @@ function isLikelyWhereClauseError(status, respText) {
          /(invalid|syntax|parse|cannot|unable)/i.test(s);
 }
 
+// Native Maximo group-by (gbcols) for aggregates. AGGREGATE_NATIVE=auto|on|off (default auto): with auto,
+// a tenant whose response can't be read as grouped rows is remembered and aggregated by paging instead.
+const AGGREGATE_NATIVE_UNSUPPORTED = new Map(); // tenantId -> reason
+
+function aggregateNativeEnabled(tenantId) {
+  const mode = String(process.env.AGGREGATE_NATIVE || "auto").trim().toLowerCase();
+  if (mode === "off") return false;
+  if (mode === "on") return true;
+  return !AGGREGATE_NATIVE_UNSUPPORTED.has(tenantId);
+}
+
+// Rows per request when aggregating by paging (AGGREGATE_PAGE_SIZE, bounded by MAX_PAGE_SIZE).
+function aggregatePageSize() {
+  const n = Number(process.env.AGGREGATE_PAGE_SIZE || 1000);
+  const max = Number(process.env.MAX_PAGE_SIZE || 2000);
+  const size = Number.isFinite(n) && n > 0 ? n : 1000;
+  return Number.isFinite(max) && max > 0 ? Math.min(size, max) : size;
+}
+
 function isLikelyInvalidOrderBy(status, respText) {
   if (status !== 400) return false;
   const s = String(respText || "");
@@ -1719,7 +1818,108 @@ function isToolEnabled(tenantId, toolName, enabledTools) {
 }
 
 
+// ---------- write approvals (human-in-the-loop) ----------
+// Write tools don't reach Maximo directly: /mcp/call stores a draft with the exact request
+// (method, url, body) and answers 202. An approver confirms, edits (re-draft) or rejects it via
+// /api/approvals; approval re-runs the tool and only sends the request if it still matches the draft.
+const WRITE_TOOL_NAMES = ["maximo_createWO", "maximo_createSR", "maximo_updateRecord", "maximo_changeStatus", "maximo_addWorklog", "maximo_raw"];
+const APPROVALS_MAX = Number(process.env.APPROVALS_MAX || 500);
+
+function approvalConfigPath(tenantId) {
+  return path.join(DATA_DIR, `approval_config_${tenantId}.json`);
+}
+// Default: every write tool needs approval and admins approve.
+function readApprovalConfig(tenantId) {
+  const defaults = { tools: WRITE_TOOL_NAMES.slice(), approverRoles: ["admin"] };
+  try {
+    const p = approvalConfigPath(tenantId);
+    if (!fs.existsSync(p)) return defaults;
+    const j = JSON.parse(fs.readFileSync(p, "utf-8"));
+    return {
+      tools: Array.isArray(j?.tools) ? j.tools.map(String) : defaults.tools,
+      approverRoles: Array.isArray(j?.approverRoles) && j.approverRoles.length ? j.approverRoles.map(String) : defaults.approverRoles,
+    };
+  } catch {
+    return defaults;
+  }
+}
+function writeApprovalConfig(tenantId, cfg) {
+  const clean = (arr) => Array.from(new Set((Array.isArray(arr) ? arr : []).map((x) => String(x).trim()).filter(Boolean)));
+  const out = {
+    tools: clean(cfg?.tools).filter((x) => WRITE_TOOL_NAMES.includes(x)),
+    approverRoles: clean(cfg?.approverRoles).length ? clean(cfg?.approverRoles) : ["admin"],
+  };
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(approvalConfigPath(tenantId), JSON.stringify(out, null, 2), "utf-8");
+  return out;
+}
+// maximo_raw only needs approval for non-GET requests.
+function toolRequiresApproval(tenantId, toolName, args) {
+  const name = String(toolName || "") === "maximo.raw" ? "maximo_raw" : String(toolName || "");
+  if (!readApprovalConfig(tenantId).tools.includes(name)) return false;
+  if (name === "maximo_raw") return !["GET", "HEAD"].includes(String(args?.method || "GET").toUpperCase());
+  return true;
+}
+
+function approvalsPath(tenantId) {
+  return path.join(DATA_DIR, `approvals_${tenantId}.json`);
+}
+function readApprovals(tenantId) {
+  try {
+    const p = approvalsPath(tenantId);
+    if (!fs.existsSync(p)) return [];
+    const j = JSON.parse(fs.readFileSync(p, "utf-8"));
+    return Array.isArray(j?.approvals) ? j.approvals : [];
+  } catch {
+    return [];
+  }
+}
+function writeApprovals(tenantId, list) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(approvalsPath(tenantId), JSON.stringify({ approvals: (list || []).slice(-APPROVALS_MAX) }, null, 2), "utf-8");
+}
+// Insert or replace one approval record (by id).
+function saveApproval(tenantId, rec) {
+  const list = readApprovals(tenantId).filter((x) => x?.id !== rec.id);
+  list.push(rec);
+  writeApprovals(tenantId, list);
+  return rec;
+}
+function findApproval(tenantId, id) {
+  return readApprovals(tenantId).find((x) => x?.id === id) || null;
+}
+
+// Compare what would be sent now with what the approver saw.
+function samePayload(a, b) {
+  const norm = (p) => JSON.stringify({ method: String(p?.method || "").toUpperCase(), url: String(p?.url || ""), body: p?.body ?? null });
+  return norm(a) === norm(b);
+}
+
+// The 202 body returned for a held write (also what the LLM sees as the tool result).
+function approvalDraftBody(rec) {
+  return {
+    ok: false,
+    pending: true,
+    approval: {
+      id: rec.id,
+      tenant: rec.tenant,
+      tool: rec.tool,
+      status: rec.status,
+      args: rec.args,
+      payload: rec.payload,
+      requestedBy: rec.requestedBy,
+      createdAt: rec.createdAt,
+      updatedAt: rec.updatedAt,
+    },
+    message: `Not executed yet: ${rec.tool} is waiting for approval (${rec.id}). Tell the user to review and confirm it.`,
+  };
+}
+
+
 // ---------- OS discovery (best-effort) ----------
+// Lowercased OS names from the last successful discovery, per tenant (see metricOs).
+const DISCOVERED_OS = new Map();
+
 async function fetchOsListBestEffort(t) {
   const maximoBase = normalizeBaseUrl(t.baseUrl);
   const candidates = [
@@ -1751,6 +1951,7 @@ async function fetchOsListBestEffort(t) {
         .map((s) => String(s).trim())
         .filter(Boolean);
 
+      if (names.length) DISCOVERED_OS.set(String(t.tenantId || "default"), new Set(names.map((n) => n.toLowerCase())));
       return { names: Array.from(new Set(names)), raw: j };
     } catch (e) {
       lastErr = e;
@@ -1761,7 +1962,34 @@ async function fetchOsListBestEffort(t) {
 }
 
 // ---------- outgoing Maximo request wrapper ----------
-async function maximoFetch(t, { method, url, headers, body, kind, title, meta }) {
+// One CLIENT span per Maximo request (path only: oslc.where can carry record data).
+async function maximoFetch(t, opts) {
+  let target = null;
+  try { target = new URL(opts.url); } catch {}
+  const attrs = {
+    "http.request.method": opts.method,
+    "server.address": target?.hostname,
+    "url.path": target?.pathname,
+    "mcp.tenant": t.tenantId,
+  };
+  const metric = { tenant: metricTenant(t.tenantId), method: opts.method };
+  const start = Date.now();
+  return withSpan("maximo.fetch", attrs, async (span) => {
+    let out;
+    try {
+      out = await maximoFetchLogged(t, opts);
+    } catch (e) {
+      observeMaximoRequest({ ...metric, os: metricOs(t.tenantId, opts.url), status: "error", seconds: (Date.now() - start) / 1000 });
+      throw e;
+    }
+    observeMaximoRequest({ ...metric, os: metricOs(t.tenantId, opts.url, out.r.status), status: out.r.status, seconds: out.ms / 1000 });
+    setSpanAttributes(span, { "http.response.status_code": out.r.status, "http.response.body.size": out.resBytes });
+    if (out.r.status >= 400) markSpanError(span, `HTTP ${out.r.status}`);
+    return out;
+  }, { kind: SpanKind.CLIENT });
+}
+
+async function maximoFetchLogged(t, { method, url, headers, body, kind, title, meta }) {
   const start = Date.now();
   const redaction = getRedactionPolicy();
 
@@ -1794,7 +2022,7 @@ async function maximoFetch(t, { method, url, headers, body, kind, title, meta })
         })()
       : "",
     requestBytes: reqBytes,
-    reqTokensApprox: reqBytes ? Math.round(reqBytes / 4) : 0,
+    reqTokensApprox: reqBytes ? estimateTokens(String(outgoingBody)) : 0,
     meta,
   });
 
@@ -1842,7 +2070,7 @@ async function maximoFetch(t, { method, url, headers, body, kind, title, meta })
     relatedId: txId,
     ms,
     responseBytes: resBytes,
-    resTokensApprox: resBytes ? Math.round(resBytes / 4) : 0,
+    resTokensApprox: resBytes ? estimateTokens(respText) : 0,
     responseHeaders: HTTP_TRACE_ENABLED ? { "content-type": r.headers.get("content-type") || "" } : undefined,
     responseBody: HTTP_TRACE_ENABLED ? clip(redRes) : "",
     meta,
@@ -1854,23 +2082,61 @@ async function maximoFetch(t, { method, url, headers, body, kind, title, meta })
 // ---------- health ----------
 app.get("/healthz", (_req, res) => res.json({ ok: true }));
 
+// ---------- Prometheus metrics (see metrics.mjs; METRICS_TOKEN protects it, METRICS_ENABLED=false removes it) ----------
+if (String(process.env.METRICS_ENABLED || "true").trim().toLowerCase() !== "false") {
+  app.get("/metrics", metricsHandler());
+}
+
 // ---------- logs api ----------
-app.get("/api/logs", (req, res) => {
-  const limit = Math.min(Number(req.query.limit || 200), 5000);
-  res.json({ logs: LOGS.slice(Math.max(0, LOGS.length - limit)) });
+// Filters: tenant, kind (comma list), tool, status (500 | 4xx | 5xx | error), from / to (ISO or epoch ms),
+// correlationId (an event id: returns it and the events related to it). Logs come oldest -> newest;
+// pass nextBefore back as ?before= for the previous page. ?info=1 adds the store details.
+// Without from / to only the last LOG_QUERY_WINDOW_HOURS (default 24) before now or ?before= are searched.
+const LOG_QUERY_WINDOW_MS = Number(process.env.LOG_QUERY_WINDOW_HOURS || 24) * 3600000;
+app.get("/api/logs", async (req, res) => {
+  const store = logStore();
+  try {
+    const out = await store.query(normalizeLogQuery(req.query, { defaultWindowMs: LOG_QUERY_WINDOW_MS }));
+    res.json({ ...out, store: store.backend, ...(String(req.query.info || "") === "1" ? { storeInfo: store.info() } : {}) });
+  } catch (e) {
+    res.status(500).json({ error: "log_query_failed", detail: String(e?.message || e) });
+  }
 });
-app.get("/api/logs/:id", (req, res) => {
+app.get("/api/logs/:id", async (req, res) => {
   const id = String(req.params.id || "");
-  const hit = LOGS.find((x) => x.id === id);
-  if (!hit) return res.status(404).json({ error: "not_found" });
-  return res.json(hit);
+  try {
+    const hit = await logStore().get(id);
+    if (!hit) return res.status(404).json({ error: "not_found" });
+    return res.json(hit);
+  } catch (e) {
+    return res.status(500).json({ error: "log_query_failed", detail: String(e?.message || e) });
+  }
 });
 // Clearing logs is an admin-only action.
-app.post("/api/logs/clear", requireAdmin(), (_req, res) => {
-  LOGS.splice(0, LOGS.length);
+app.post("/api/logs/clear", requireAdmin(), async (_req, res) => {
+  try {
+    await logStore().clear();
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: "log_clear_failed", detail: String(e?.message || e) });
+  }
+});
+
+// Spans from the in-process exporter (OTEL_TRACES_EXPORTER=memory), for checking the instrumentation.
+app.get("/api/otel/spans", requireAdmin(), (req, res) => {
+  const spans = finishedSpans({ traceId: String(req.query.traceId || "").trim() || undefined, limit: req.query.limit });
+  if (!spans) return res.status(404).json({ error: "memory_exporter_disabled", tracing: tracingInfo() });
+  return res.json({ tracing: tracingInfo(), spans });
+});
+app.delete("/api/otel/spans", requireAdmin(), (_req, res) => {
+  clearFinishedSpans();
   return res.json({ ok: true });
 });
 
+if (MCP_TRANSPORT !== "stdio") {
+  setInterval(() => { try { logStore().prune(); } catch {} }, 60 * 60 * 1000).unref();
+}
+
 // ---------- settings api (UPDATED) ----------
 app.get("/api/settings", (_req, res) => {
   refreshTenants();
@@ -2144,6 +2410,106 @@ app.put("/api/enabled-tools/:name", requireAdmin(), (req, res) => {
 });
 
 
+// -------------------- write approvals api --------------------
+// The AI Agent calls these with the internal token and names its signed-in user in body.approver;
+// MCP UI sessions act as themselves.
+function approvalActor(req) {
+  if (req.user?.username === "internal" && req.body?.approver?.username) {
+    return { username: String(req.body.approver.username), role: String(req.body.approver.role || "") };
+  }
+  return { username: String(req.user?.username || ""), role: String(req.user?.role || "") };
+}
+
+// Load a pending approval the current actor may decide; answers the error itself and returns null otherwise.
+function approvalForDecision(req, res) {
+  const tenantId = String(req.body?.tenant || req.query?.tenant || "default");
+  const rec = findApproval(tenantId, String(req.params.id || ""));
+  if (!rec) { res.status(404).json({ error: "approval_not_found" }); return null; }
+  if (rec.status !== "pending") { res.status(409).json({ error: "approval_closed", detail: `Approval is ${rec.status}`, approval: rec }); return null; }
+  const actor = approvalActor(req);
+  const { approverRoles } = readApprovalConfig(tenantId);
+  if (!approverRoles.includes(actor.role)) {
+    res.status(403).json({ error: "not_approver", detail: `Approver role required: ${approverRoles.join(", ")}` });
+    return null;
+  }
+  return { tenantId, rec, actor };
+}
+
+app.get("/api/approvals/config", (req, res) => {
+  const tenantId = String(req.query.tenant || "default");
+  res.json({ tenant: tenantId, writeTools: WRITE_TOOL_NAMES, ...readApprovalConfig(tenantId) });
+});
+
+app.put("/api/approvals/config", requireAdmin(), (req, res) => {
+  const tenantId = String(req.body?.tenant || req.query?.tenant || "default");
+  try {
+    const saved = writeApprovalConfig(tenantId, { ...readApprovalConfig(tenantId), ...(req.body || {}) });
+    return res.json({ ok: true, tenant: tenantId, ...saved });
+  } catch (e) {
+    return res.status(500).json({ error: "approval_config_save_failed", detail: String(e?.message || e) });
+  }
+});
+
+// Newest first; ?status=pending to get the queue.
+app.get("/api/approvals", (req, res) => {
+  const tenantId = String(req.query.tenant || "default");
+  const status = String(req.query.status || "").trim();
+  const approvals = readApprovals(tenantId).filter((x) => !status || x?.status === status).reverse();
+  res.json({ tenant: tenantId, approvals });
+});
+
+app.get("/api/approvals/:id", (req, res) => {
+  const tenantId = String(req.query.tenant || "default");
+  const rec = findApproval(tenantId, String(req.params.id || ""));
+  if (!rec) return res.status(404).json({ error: "approval_not_found" });
+  res.json({ tenant: tenantId, approval: rec });
+});
+
+// Edit: re-run the tool with new args in draft mode, so validation and the stored payload stay exact.
+app.put("/api/approvals/:id", async (req, res) => {
+  const d = approvalForDecision(req, res);
+  if (!d) return;
+  const args = req.body?.args;
+  if (!args || typeof args !== "object" || Array.isArray(args)) return res.status(400).json({ error: "bad_request", detail: "args object required" });
+  const out = await invokeInProcess(handleMcpCall, {
+    body: { tenant: d.tenantId, name: d.rec.tool, args, ...(d.rec.userText ? { userText: d.rec.userText } : {}), meta: d.rec.requestedBy },
+    origin: requestOrigin(req),
+    context: { _approval: { record: d.rec, redraft: true, user: d.actor } },
+  });
+  // Validation errors leave the original draft untouched.
+  return res.status(out.status).json(out.body);
+});
+
+app.post("/api/approvals/:id/approve", async (req, res) => {
+  const d = approvalForDecision(req, res);
+  if (!d) return;
+  // Close the draft before executing so a second click can't send it twice.
+  let rec = saveApproval(d.tenantId, { ...d.rec, status: "approved", decidedBy: d.actor, decidedAt: new Date().toISOString() });
+  const out = await invokeInProcess(handleMcpCall, {
+    body: { tenant: d.tenantId, name: rec.tool, args: rec.args, ...(rec.userText ? { userText: rec.userText } : {}), meta: { ...(rec.requestedBy || {}), approval: rec.id } },
+    origin: requestOrigin(req),
+    context: { _approval: { record: rec } },
+  });
+  const ok = out.status >= 200 && out.status < 300;
+  rec = saveApproval(d.tenantId, {
+    ...rec,
+    status: ok ? "executed" : "failed",
+    executedAt: new Date().toISOString(),
+    result: { status: out.status, body: clip(out.body, 4000) },
+  });
+  return res.status(out.status).json({ ok, approval: rec, result: out.body });
+});
+
+app.post("/api/approvals/:id/reject", (req, res) => {
+  const d = approvalForDecision(req, res);
+  if (!d) return;
+  const reason = String(req.body?.reason || "").trim();
+  const rec = saveApproval(d.tenantId, { ...d.rec, status: "rejected", decidedBy: d.actor, decidedAt: new Date().toISOString(), ...(reason ? { reason } : {}) });
+  pushLog({ kind: "tx_agent", title: "approval rejected", tenant: d.tenantId, status: 200, relatedId: rec.relatedId, responseBody: clip({ approval: rec.id, tool: rec.tool, by: d.actor.username, reason }) });
+  return res.json({ ok: true, approval: rec });
+});
+
+
 // Backward compat: UI may POST instead of PUT (admin-only)
 app.post("/api/settings", requireAdmin(), (req, res) => {
   const v = req.body?.httpTraceEnabled;
@@ -2178,12 +2544,17 @@ app.post("/api/settings", requireAdmin(), (req, res) => {
 // -------------------- BACKWARD COMPAT: /api/trace --------------------
 // The UI expects /api/trace. Keep it stable even if we also support /api/settings.
 
-app.get("/api/trace", (req, res) => {
+app.get("/api/trace", async (req, res) => {
   const limit = Math.min(Number(req.query.limit || 2000), 5000);
 
   // Combine Maximo responses + inbound HTTP responses for a single "payload/token trace" view.
-  // Tokens≈ bytes ÷ 4 (rough heuristic).
-  const events = LOGS.filter((e) => e.kind === "rx_maximo" || e.kind === "http_in").slice(-limit);
+  // Tokens≈ as recorded: bytes ÷ 4, or the local tokenizer with TOKENIZER=local (see usage.mjs).
+  let events;
+  try {
+    events = (await logStore().query(normalizeLogQuery({ kind: "rx_maximo,http_in", limit }, { defaultWindowMs: LOG_QUERY_WINDOW_MS }))).logs;
+  } catch (e) {
+    return res.status(500).json({ error: "log_query_failed", detail: String(e?.message || e) });
+  }
 
   // Recent: latest events first
   const recent = events
@@ -2249,7 +2620,7 @@ app.get("/api/trace", (req, res) => {
     httpTraceEnabled: HTTP_TRACE_ENABLED,
     traceHttp: HTTP_TRACE_ENABLED,
     enabled: HTTP_TRACE_ENABLED,
-    tokensHeuristic: "Tokens≈ bytes ÷ 4",
+    tokensHeuristic: tokenizerInfo().label,
     aggregates,
     recent,
   });
@@ -2549,19 +2920,29 @@ function resolveFiltersFromText(osKey, text, rules) {
   return { filters, applied };
 }
 
+// NLQ filters and the maximo_queryOS `filters` argument share one compiler (compileFilters in
+// oslc-where.mjs: and/or groups, in-lists, ranges, null checks). Invalid items are skipped here.
 function compileFiltersToWhere(filters) {
-  const parts = [];
-  for (const f of (Array.isArray(filters) ? filters : [])) {
-    const field = String(f?.field || "").trim();
-    const op = String(f?.op || "").trim();
-    const value = String(f?.value || "");
-    if (!field || !op) continue;
-    const safeVal = value.replace(/"/g, '\\"');
-    parts.push(`${field}${op}"${safeVal}"`);
-  }
-
+  return formatWhere(compileFilters(filters).ast);
+}
 
-  return parts.join(" and ");
+// Follow-up refinement ("only priority 1", "now the closed ones"): AND the new NLQ clauses onto the
+// previous where. A new clause on a field the previous where already filters replaces that clause.
+// Only flat and-joined wheres are merged; anything with "or" is kept intact and ANDed as a whole.
+function mergeRefinedWhere(baseWhere, where) {
+  const base = String(baseWhere || "").trim();
+  const next = String(where || "").trim();
+  if (!base) return next;
+  if (!next) return base;
+  const a = tryParseWhere(base);
+  const b = tryParseWhere(next);
+  if (a.error || b.error) return `${base} and ${next}`;
+  // Top-level predicates of the new where replace base predicates on the same field; or-groups are kept.
+  const fieldOf = (n) => (n.type === "predicate" ? n.path.join(".").toLowerCase() : "");
+  const nextClauses = conjuncts(b.ast);
+  const nextFields = new Set(nextClauses.map(fieldOf).filter(Boolean));
+  const kept = conjuncts(a.ast).filter((n) => !nextFields.has(fieldOf(n)));
+  return formatWhere(andOf([...kept, ...nextClauses]));
 }
 
 // --- OSLC field discovery + field mapping ---
@@ -2584,11 +2965,20 @@ async function fetchOasDoc({ tenantId, t }) {
   const ttlMs = Number(process.env.NLQ_OAS_TTL_MS || (24 * 60 * 60 * 1000));
   const now = Date.now();
   const cached = _oasCache.get(tenantId);
-  if (cached && (now - cached.ts) < ttlMs) return cached.oas;
+  const hit = !!(cached && (now - cached.ts) < ttlMs);
+  countCacheLookup("oas", hit);
+  if (hit) return cached.oas;
 
   const url = maximoOasUrl(t);
   const headers = authHeaders(t);
-  const resp = await fetch(url, { headers });
+  let resp;
+  try {
+    resp = await fetch(url, { headers });
+  } catch (e) {
+    observeMaximoRequest({ tenant: metricTenant(tenantId), os: "oas", method: "GET", status: "error", seconds: (Date.now() - now) / 1000 });
+    throw e;
+  }
+  observeMaximoRequest({ tenant: metricTenant(tenantId), os: "oas", method: "GET", status: resp.status, seconds: (Date.now() - now) / 1000 });
   if (!resp.ok) throw new Error(`oas_http_${resp.status}`);
   const oas = await resp.json();
   _oasCache.set(tenantId, { ts: now, oas });
@@ -2692,6 +3082,51 @@ function extractRelationsFromOas(oas, os) {
     return null;
   }
 }
+// Scalar field metadata (type/format/maxLength/title) from the OpenAPI schema, for MCP schema resources.
+// Returns: { [field]: { type?, format?, maxLength?, title? } } or null when the OS is not in the spec.
+function extractFieldTypesFromOas(oas, os) {
+  try {
+    const osKey = String(os || "").toLowerCase();
+    const paths = oas?.paths && typeof oas.paths === "object" ? oas.paths : {};
+    let bestPath = null;
+    for (const p of Object.keys(paths)) {
+      const pl = String(p).toLowerCase();
+      if (pl.endsWith(`/os/${osKey}`)) { bestPath = p; break; }
+      if (pl.endsWith(`/api/os/${osKey}`)) { bestPath = p; break; }
+    }
+    if (!bestPath) return null;
+
+    const getOp = paths?.[bestPath]?.get || paths?.[bestPath]?.GET;
+    const resp200 = getOp?.responses?.["200"] || getOp?.responses?.["201"] || null;
+    const content = resp200?.content?.["application/json"] || resp200?.content?.["application/ld+json"] || null;
+    let schema = content?.schema || resp200?.schema || null;
+    if (schema?.$ref) schema = _oasResolveRef(oas, schema.$ref);
+
+    const member = schema?.properties?.member || schema?.properties?.["rdfs:member"] || null;
+    let itemSchema = member?.items || null;
+    if (itemSchema?.$ref) itemSchema = _oasResolveRef(oas, itemSchema.$ref);
+    const candidate = itemSchema || schema;
+    const props = candidate?.properties && typeof candidate.properties === "object" ? candidate.properties : null;
+    if (!props) return null;
+
+    const out = {};
+    for (const [name, raw] of Object.entries(props)) {
+      let ps = raw;
+      if (ps?.$ref) ps = _oasResolveRef(oas, ps.$ref);
+      if (!ps || ps.type === "array" || ps.type === "object" || ps.properties) continue; // relationships
+      const meta = {};
+      if (ps.type) meta.type = String(ps.type);
+      if (ps.format) meta.format = String(ps.format);
+      if (Number.isFinite(Number(ps.maxLength))) meta.maxLength = Number(ps.maxLength);
+      const title = ps.title || ps.description;
+      if (title) meta.title = String(title);
+      out[String(name).trim()] = meta;
+    }
+    return out;
+  } catch {
+    return null;
+  }
+}
 const _osFieldCache = new Map(); // key: `${tenantId}:${os}` -> { ts, fields: Set<string> }
 
 const _osRelCache = new Map(); // key: `${tenantId}:${os}` -> { ts, rels: Map<string,{name,fields}> }
@@ -2701,7 +3136,9 @@ async function fetchOsRelations({ tenantId, t, os }) {
   const ttlMs = Number(process.env.NLQ_METADATA_TTL_MS || (24 * 60 * 60 * 1000));
   const now = Date.now();
   const cached = _osRelCache.get(key);
-  if (cached && (now - cached.ts) < ttlMs) return cached.rels;
+  const hit = !!(cached && (now - cached.ts) < ttlMs);
+  countCacheLookup("os_relations", hit);
+  if (hit) return cached.rels;
 
   try {
     const oas = await fetchOasDoc({ tenantId, t });
@@ -2724,7 +3161,9 @@ async function fetchOsFields({ tenantId, t, os, rxId }) {
   const ttlMs = Number(process.env.NLQ_METADATA_TTL_MS || (24 * 60 * 60 * 1000));
   const now = Date.now();
   const cached = _osFieldCache.get(key);
-  if (cached && (now - cached.ts) < ttlMs) return cached.fields;
+  const hit = !!(cached && (now - cached.ts) < ttlMs);
+  countCacheLookup("os_fields", hit);
+  if (hit) return cached.fields;
 
   // Prefer OpenAPI (Swagger) schema discovery (authoritative, tenant-specific).
   try {
@@ -2817,6 +3256,11 @@ function normalizeOslcWhere(where) {
   // collapse doubled quotes: status=""CLOSE"" -> status="CLOSE"
   w = w.replace(/""([^"]+)""/g, '"$1"');
 
+  // Parseable clauses are re-serialized canonically (double-quoted literals, no spaces around operators).
+  const parsed = tryParseWhere(w);
+  if (!parsed.error) return formatWhere(parsed.ast);
+
+  // Unparseable: best-effort text cleanup; the syntax error is reported by the caller.
   // convert single-quoted literals to double quotes: status='CLOSE' -> status="CLOSE"
   // (best-effort; won't handle nested quotes)
   w = w.replace(/'([^']*)'/g, (_, v) => `"${String(v).replace(/"/g, '\"')}"`);
@@ -3152,7 +3596,25 @@ async function normalizeFilterValues(osKey, filters, t, tenantId, rxId, aiMeta,
   return { filters: out, normalized, dropped, schemaObject: info.object || "" };
 }
 
-async function expandNlqToArgs({ tenantId, t, rxId, aiMeta, userText, args }) {
+// Outcome metric: resolved (an OS), dropped_filters (resolved, but some filters were not understood),
+// unresolved (no OS), fallback (expansion failed; the caller keeps its own args).
+async function expandNlqToArgs(input) {
+  return withSpan("nlq.expand", { "mcp.tenant": input?.tenantId, "maximo.os": input?.args?.os }, async (span) => {
+    let out;
+    try {
+      out = await expandNlqToArgsUntraced(input);
+    } catch (e) {
+      countNlqResolution(metricTenant(input?.tenantId), "fallback");
+      throw e;
+    }
+    const dropped = Array.isArray(out?.debug?.dropped) ? out.debug.dropped.length : 0;
+    countNlqResolution(metricTenant(input?.tenantId), !out?.debug?.resolvedOs ? "unresolved" : dropped ? "dropped_filters" : "resolved");
+    setSpanAttributes(span, { "nlq.resolved_os": out?.debug?.resolvedOs, "nlq.applied_rules": Array.isArray(out?.debug?.applied) ? out.debug.applied.length : undefined });
+    return out;
+  });
+}
+
+async function expandNlqToArgsUntraced({ tenantId, t, rxId, aiMeta, userText, args }) {
   const rules = readNlqRules(tenantId);
   const text = String(userText || "");
   const outArgs = { ...(args || {}) };
@@ -3166,7 +3628,7 @@ async function expandNlqToArgs({ tenantId, t, rxId, aiMeta, userText, args }) {
 
   const applied = [];
   let normalized = [];
-  const hasWhere = !!(outArgs?.where || (outArgs?.params && outArgs.params["oslc.where"]));
+  const hasWhere = !!(outArgs?.where || outArgs?.filters || (outArgs?.params && outArgs.params["oslc.where"]));
   if (resolvedOs && !hasWhere) {
     const r = resolveFiltersFromText(resolvedOs, text, rules);
     const heur = extractHeuristicFilters(resolvedOs, text);
@@ -3284,6 +3746,64 @@ if (where) outArgs.where = where;
   return { args: outArgs, debug: { resolvedOs: resolvedOs || "", applied, normalized, dropped: (typeof dropped !== 'undefined' ? dropped : []), schemaObject: (typeof schemaObject !== 'undefined' ? schemaObject : "") } };
 }
 
+// ---------- write tools (update / change status / worklog) ----------
+// Records are located by their key attribute (+ siteid) and written with POST + x-method-override: PATCH.
+// Other Object Structures need args.idField, or an href from a previous query.
+const WRITE_KEY_FIELDS = {
+  mxapiwo: "wonum", mxwo: "wonum",
+  mxapisr: "ticketid", mxsr: "ticketid",
+  mxapiasset: "assetnum", mxasset: "assetnum",
+  mxapioperloc: "location", mxoperloc: "location",
+};
+// Prefer mxapi* OS names, but support environments that expose legacy mxwo/mxsr.
+const WRITE_RECORD_OS = { wo: ["mxapiwo", "mxwo"], sr: ["mxapisr", "mxsr"] };
+
+// Map requested field names onto the OS schema (case-insensitive). Unknown names are rejected instead
+// of guessed; when the schema is unknown (empty index) fields pass through and Maximo validates them.
+function validateWriteFields(fieldsIdx, fields) {
+  const body = {};
+  const unknown = [];
+  for (const [k, v] of Object.entries(fields || {})) {
+    const f = String(k || "").trim();
+    if (!f) continue;
+    if (!fieldsIdx?.size) { body[f] = v; continue; }
+    const real = fieldsIdx.get(f.toLowerCase());
+    if (real) body[real] = v;
+    else unknown.push(f);
+  }
+  return { body, unknown };
+}
+
+// Rebase a record href onto the tenant's API base (Maximo may report an internal host name).
+function writeRecordUrl(api, os, href) {
+  const m = String(href || "").match(/\/os\/[^/?#]+\/([^/?#]+)/i);
+  if (m) return `${api}/os/${encodeURIComponent(os)}/${m[1]}`;
+  return /^https?:\/\//i.test(href) ? href : "";
+}
+
+// Look up the record to write. Returns { r, respText, members } (members = [{ href, ...fields }]).
+async function findRecordsForWrite({ t, os, keyField, keyValue, site, rxId, meta }) {
+  const quote = (v) => `"${String(v ?? "").replace(/"/g, '\\"')}"`;
+  const where = [`${keyField}=${quote(keyValue)}`];
+  if (site) where.push(`siteid=${quote(site)}`);
+  const url = new URL(`${maximoApiBase(t)}/os/${encodeURIComponent(os)}`);
+  url.searchParams.set("oslc.where", where.join(" and "));
+  url.searchParams.set("oslc.select", [keyField, ...(site ? ["siteid"] : []), "status"].join(","));
+  url.searchParams.set("oslc.pageSize", "2");
+  url.searchParams.set("lean", "1");
+  const { r, respText } = await maximoFetch(t, {
+    method: "GET",
+    url: url.toString(),
+    headers: { ...authHeaders(t), accept: "application/json" },
+    kind: "tx_maximo",
+    title: `→ Maximo LOOKUP ${os} ${keyValue}`,
+    meta: { relatedId: rxId, ...(meta || {}) },
+  });
+  const j = r.ok ? safeJson(respText) : null;
+  const members = j?.member || j?.["rdfs:member"] || [];
+  return { r, respText, members: Array.isArray(members) ? members : [] };
+}
+
 // ---------- MCP tools ----------
 function mcpToolsForTenant(tenantId, opts = {}) {
   const all = opts?.all === true;
@@ -3295,7 +3815,7 @@ function mcpToolsForTenant(tenantId, opts = {}) {
     {
       name: "maximo_queryOS",
       description:
-        "Query a Maximo Object Structure (OS). Returns a table by default. Args: { os?, userText?, columns|select, where, orderBy, pageSize, page, lean, rawResponse, params }. If os is omitted, you may pass userText and the server will resolve OS + filters deterministically (NLQ mode).",
+        "Query a Maximo Object Structure (OS). Returns a table by default. Args: { os?, userText?, columns|select, where|filters, orderBy, pageSize, page, lean, rawResponse, aggregate, dryRun, params }. If os is omitted, you may pass userText and the server will resolve OS + filters deterministically (NLQ mode).",
       isBuiltin: true,
       enabled: isEnabledByAllowlist("maximo_queryOS"),
       inputSchema: {
@@ -3303,16 +3823,62 @@ function mcpToolsForTenant(tenantId, opts = {}) {
         properties: {
           os: { type: "string", description: "Maximo Object Structure name, e.g. mxapiwo. Optional if you provide userText." },
           userText: { type: "string", description: "Natural language query. If provided and os is omitted, the server will resolve os/where/orderBy via NLQ rules." },
+          refine: {
+            type: "object",
+            description: "Follow-up mode: the previous query ({ os, where }, as returned in _mcp.query). userText filters are ANDed onto it unless userText names a different OS.",
+            properties: { os: { type: "string" }, where: { type: "string" } },
+          },
 
           // Preferred (LLM-friendly)
           columns: { type: "array", items: { type: "string" }, description: "Preferred. List of columns to select, e.g. [\"assetnum\",\"description\",\"status\"]." },
           select: { type: "string", description: "Comma-separated OSLC select list, e.g. 'assetnum,description,status'." },
           where: { type: "string", description: "OSLC where clause, e.g. siteid=\"BEDFORD\"." },
+          filters: {
+            type: "array",
+            description:
+              "Preferred over where. Structured filters, ANDed (and ANDed with where). Item: { field, op, value } | { field, op: \"in\"|\"notin\", values } | { field, op: \"between\", from, to } | { field, op: \"isnull\"|\"notnull\" } | { or: [items] } | { and: [items] }. Dates as YYYY-MM-DD or ISO. Fields must exist on the OS (relationship paths like asset.assettype are allowed).",
+            items: {
+              type: "object",
+              properties: {
+                field: { type: "string", description: "OS field, e.g. status, reportdate, asset.assettype" },
+                op: { type: "string", enum: FILTER_OPS, description: "Default =. contains/startswith/endswith match text." },
+                value: { type: ["string", "number", "boolean"], description: "Comparison value" },
+                values: { type: "array", items: { type: "string" }, description: "Values for in / notin" },
+                from: { type: "string", description: "Range start for between (inclusive)" },
+                to: { type: "string", description: "Range end for between (inclusive)" },
+                or: { type: "array", items: { type: "object" }, description: "Nested filters, any of which must match" },
+                and: { type: "array", items: { type: "object" }, description: "Nested filters, all of which must match" },
+              },
+            },
+          },
+          aggregate: {
+            type: "object",
+            description:
+              "Aggregate over ALL matching rows instead of returning them: { metrics: [{ op: count|sum|avg|min|max, field? }], groupBy: [field | \"field:month\" | { field, bucket: day|week|month|quarter|year }], limit?, sort? }. Example: { metrics: [{ op: \"sum\", field: \"totalcost\" }], groupBy: [\"status\"] }. Returns { summary, table, totals }.",
+            properties: {
+              metrics: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    op: { type: "string", enum: ["count", "sum", "avg", "min", "max"] },
+                    field: { type: "string", description: "Numeric field (not needed for count)" },
+                    as: { type: "string", description: "Result column name" },
+                  },
+                },
+              },
+              groupBy: { type: "array", items: { type: ["string", "object"] }, description: "Group columns; date fields may take a bucket." },
+              limit: { type: "number", description: "Max groups returned (default 500)" },
+              sort: { type: "string", description: "Result column to sort by, \"-\" prefix for descending" },
+              maxRows: { type: "number", description: "Row cap when paging (default AGGREGATE_MAX_ROWS)" },
+            },
+          },
           orderBy: { type: "string", description: "OSLC orderBy, e.g. '-changedate,assetnum'." },
           pageSize: { type: ["string", "number"], description: "OSLC page size (oslc.pageSize)." },
           page: { type: ["string", "number"], description: "Page number for paging (maps to Maximo pageno). Default 1." },
           lean: { type: ["boolean", "string"], description: "If true, adds lean=1 to reduce response envelope." },
           rawResponse: { type: "boolean", description: "If true, return the raw Maximo JSON instead of projecting to columns/rows." },
+          dryRun: { type: "boolean", description: "If true, don't call Maximo: return the compiled OSLC URL, params and the rationale (NLQ, schema sanitizing, prefetch plan)." },
 
           // Backward compatible: arbitrary query params (including oslc.*)
           params: { type: "object", additionalProperties: { type: "string" } },
@@ -3386,6 +3952,67 @@ function mcpToolsForTenant(tenantId, opts = {}) {
         required: ["site", "description"],
       },
     },
+    {
+      name: "maximo_updateRecord",
+      description: "Update fields on an existing record. Args: { os|recordType, id, idField?, site?, href?, fields }. Field names are validated against the OS schema. Returns updated identifiers.",
+      isBuiltin: true,
+      enabled: isEnabledByAllowlist("maximo_updateRecord"),
+      inputSchema: {
+        type: "object",
+        properties: {
+          os: { type: "string", description: "Maximo Object Structure, e.g. mxapiwo. Optional when recordType is given." },
+          recordType: { type: "string", enum: ["wo", "sr"], description: "Shortcut for the Work Order / Service Request OS." },
+          id: { type: "string", description: "Record key value, e.g. the wonum or ticketid." },
+          idField: { type: "string", description: "Key attribute for OSs other than WO/SR/asset/location." },
+          site: { type: "string", description: "Maximo siteid (defaults to the tenant's default site)." },
+          href: { type: "string", description: "Record href from a previous query; replaces id lookup." },
+          fields: { type: "object", additionalProperties: true, description: "Attributes to set, e.g. { \"priority\": 1 }." },
+        },
+        required: ["fields"],
+      },
+    },
+    {
+      name: "maximo_changeStatus",
+      description: "Change the status of a Work Order or Service Request. Args: { recordType, id, status, memo?, site?, date? }. Returns the record identifiers and new status.",
+      isBuiltin: true,
+      enabled: isEnabledByAllowlist("maximo_changeStatus"),
+      inputSchema: {
+        type: "object",
+        properties: {
+          recordType: { type: "string", enum: ["wo", "sr"], description: "wo (default) or sr." },
+          os: { type: "string", description: "Optional Object Structure override." },
+          id: { type: "string", description: "wonum / ticketid." },
+          site: { type: "string" },
+          href: { type: "string" },
+          status: { type: "string", description: "Target status, e.g. APPR, INPRG, COMP, CLOSE." },
+          memo: { type: "string", description: "Status change memo." },
+          date: { type: "string", description: "Optional status date (ISO 8601)." },
+        },
+        required: ["status"],
+      },
+    },
+    {
+      name: "maximo_addWorklog",
+      description: "Add a work log entry to a Work Order or Service Request. Args: { recordType, id, description, longDescription?, logtype?, clientViewable?, site? }. Returns the record identifiers.",
+      isBuiltin: true,
+      enabled: isEnabledByAllowlist("maximo_addWorklog"),
+      inputSchema: {
+        type: "object",
+        properties: {
+          recordType: { type: "string", enum: ["wo", "sr"], description: "wo (default) or sr." },
+          os: { type: "string", description: "Optional Object Structure override." },
+          id: { type: "string", description: "wonum / ticketid." },
+          site: { type: "string" },
+          href: { type: "string" },
+          description: { type: "string", description: "Work log summary." },
+          longDescription: { type: "string" },
+          logtype: { type: "string", description: "Log type, e.g. CLIENTNOTE or WORK." },
+          clientViewable: { type: "boolean" },
+          fields: { type: "object", additionalProperties: true, description: "Optional additional worklog fields." },
+        },
+        required: ["description"],
+      },
+    },
   ];
 
   const savedAll = readSavedTools(tenantId).map((t) => ({
@@ -3419,7 +4046,8 @@ function mcpToolsForTenant(tenantId, opts = {}) {
   // What we expose to the UI Tools page: pass all=1 to include disabled tools as well.
   const saved = all ? savedAll : savedAll.filter((t) => t.enabled === true);
 
-  const combined = [...builtins, ...saved];
+  // `write`: the tool changes Maximo records (and is held for approval); saved tools are queries.
+  const combined = [...builtins, ...saved].map((t) => ({ ...t, write: t.isBuiltin === true && WRITE_TOOL_NAMES.includes(t.name) }));
   return all ? combined : combined.filter((t) => t?.enabled === true);
 }
 
@@ -3508,13 +4136,15 @@ async function safeFetchOsFields(args) {
   }
 }
 
-app.get("/mcp/concepts", (_req, res) => {
+function handleMcpConcepts(_req, res) {
   const tenantId = String(_req.query?.tenant || "default");
   const overrides = readConceptOverrides(tenantId) || {};
 
   // Fast path: cached catalog
   const cached = CONCEPTS_CACHE.get(tenantId);
-  if (cached && (Date.now() - cached.ts) < CONCEPTS_CACHE_TTL_MS) {
+  const hit = !!(cached && (Date.now() - cached.ts) < CONCEPTS_CACHE_TTL_MS);
+  countCacheLookup("concepts", hit);
+  if (hit) {
     return res.json(cached.payload);
   }
 
@@ -3736,11 +4366,13 @@ app.get("/mcp/concepts", (_req, res) => {
     CONCEPTS_CACHE.set(tenantId, { ts: Date.now(), payload });
     return res.json(payload);
   });
+}
 
+app.get("/mcp/concepts", handleMcpConcepts);
 
 // Deterministic intent execution (no LLM): compile an intentHint into a validated OSLC query and execute it.
 // This powers Maximo Mode execution from Assistive UI chips and other structured callers.
-app.post("/mcp/intent/query", requireAuth(), async (req, res) => {
+app.post("/mcp/intent/query", requireAuth(), maximoLimits(), async (req, res) => {
   const tenantId = String(req.body?.tenant || req.query?.tenant || "default");
   const userText = String(req.body?.userText || "");
   const intentHint = req.body?.intentHint || null;
@@ -3765,6 +4397,7 @@ app.post("/mcp/intent/query", requireAuth(), async (req, res) => {
     }
 
     const t = tenantOrThrow(tenantId, requestOrigin(req));
+    const overrides = readConceptOverrides(tenantId) || {};
 
     // 1) Load tenant-aware concept catalog (controlled, discovery-enriched)
     //    We reuse the same logic as GET /mcp/concepts (no secrets).
@@ -4035,7 +4668,7 @@ app.post("/mcp/intent/query", requireAuth(), async (req, res) => {
 
     const rk = String(resultKind || "list").trim().toLowerCase();
     const limit = Number(intentHint?.result?.limit || intentHint?.limit || (rk === "aggregate" ? 1 : 50));
-    const MAX_PAGE_SIZE = Number(process.env.MAX_PAGE_SIZE || 2000);
+    const MAX_PAGE_SIZE = pageSizeCap(req, tenantId);
     const pageSize = (rk === "related_list") ? "1" : ((Number.isFinite(limit) && limit > 0) ? String((Number.isFinite(MAX_PAGE_SIZE) && MAX_PAGE_SIZE > 0) ? Math.min(MAX_PAGE_SIZE, Math.max(1, limit)) : Math.max(1, limit)) : "50");
 
     // 4) Execute OS call (no LLM)
@@ -4202,65 +4835,47 @@ app.post("/mcp/intent/query", requireAuth(), async (req, res) => {
       return res.json({ ok: true, summary, table, trace });
     }
 
-    // B) aggregate: return narrative count (optionally grouped)
+    // B) aggregate: count/sum/avg/min/max over all matching rows, optionally grouped (aggregate.mjs)
     if (resultKind === "aggregate") {
-      const groupBy = Array.isArray(intentHint?.result?.groupBy) ? intentHint.result.groupBy : [];
-      const gb = groupBy.map(x => String(x||"").trim()).filter(Boolean);
-      // Map known concepts to fields
-      const gbFields = gb.map(g => {
-        if (g === "status") return "status";
-        if (g === "worktype") return "worktype";
-        const mapped = entity?.fields?.[g]?.maximoField || null;
-        return mapped;
-      }).filter(Boolean);
-
-      const colsAgg = Array.from(new Set([...(gbFields), ...(entity?._discoveredFields||[]).includes("status") ? ["status"] : []].filter(Boolean)));
-      const qs = new URLSearchParams();
-      if (where) qs.set("oslc.where", where);
-      qs.set("oslc.select", colsAgg.join(","));
-      qs.set("oslc.pageSize", "200");
-      qs.set("lean", "1");
-
-      // Page through a bounded amount to avoid runaway
-      let page = 1;
-      const maxRows = 5000;
-      const rows = [];
-      while (rows.length < maxRows) {
-        qs.set("pageno", String(page));
-        const { r, respText } = await doFetch(qs);
-        const ct = (r.headers.get("content-type") || "").toLowerCase();
-        const bodyRaw = ct.includes("application/json") ? (safeJson(respText) ?? { raw: respText }) : { raw: respText };
-        if (!r.ok) {
-          pushLog({ kind: "tx_agent", title: "Error /mcp/intent/query", tenant: tenantId, status: r.status, relatedId: rxId, responseBody: clip(bodyRaw), ...aiMeta });
-          return res.status(r.status).json(bodyRaw);
-        }
-        const members = bodyRaw?.member || bodyRaw?.["rdfs:member"] || [];
-        if (!Array.isArray(members) || members.length === 0) break;
-        for (const m of members) {
-          if (rows.length >= maxRows) break;
-          rows.push(m);
-        }
-        if (members.length < 200) break;
-        page += 1;
+      // Concepts map to fields; groupBy items may carry a date bucket ("reportdate:month" or { field, bucket }).
+      const toField = (c) => {
+        const g = String(c || "").trim();
+        if (!g) return "";
+        return entity?.fields?.[g]?.maximoField || g;
+      };
+      const resIn = intentHint?.result || {};
+      const groupBy = (Array.isArray(resIn.groupBy) ? resIn.groupBy : []).map((g) => {
+        if (g && typeof g === "object") return { ...g, field: toField(g.field || g.concept) };
+        const [c, bucket] = String(g || "").split(":");
+        return { field: toField(c), bucket: bucket || resIn.bucket || "" };
+      }).filter((g) => g.field);
+      const metrics = (Array.isArray(resIn.metrics) ? resIn.metrics : []).map((m) => (m && typeof m === "object" ? { ...m, field: (m.field || m.concept) ? toField(m.field || m.concept) : "" } : m));
+
+      let spec;
+      try {
+        spec = normalizeAggregateSpec({ metrics, groupBy, limit: resIn.limit, sort: resIn.sort, maxRows: resIn.maxRows });
+      } catch (e) {
+        return res.status(400).json({ error: "invalid_aggregate", detail: String(e?.message || e) });
       }
 
-      const total = rows.length;
-      const breakdown = new Map();
-      if (gbFields.length) {
-        for (const m of rows) {
-          const key = gbFields.map(f => String(m?.[f] ?? "")).join(" | ");
-          breakdown.set(key, (breakdown.get(key) || 0) + 1);
-        }
+      const params = { lean: "1" };
+      if (where) params["oslc.where"] = where;
+      const fetchPage = async (p) => {
+        const { r, respText } = await doFetch(new URLSearchParams(Object.entries(p).filter(([, v]) => v !== undefined && v !== null && String(v) !== "")));
+        const isJson = (r.headers.get("content-type") || "").toLowerCase().includes("application/json");
+        return { ok: r.ok && isJson, status: r.status, body: isJson ? (safeJson(respText) ?? { raw: respText }) : { raw: respText } };
+      };
+      const agg = await runAggregate({ spec, params, fetchPage, native: aggregateNativeEnabled(tenantId), pageSize: aggregatePageSize() });
+      if (agg.error) {
+        pushLog({ kind: "tx_agent", title: "Error /mcp/intent/query", tenant: tenantId, status: agg.error.status, relatedId: rxId, responseBody: clip(agg.error.body), ...aiMeta });
+        return res.status(agg.error.status >= 400 ? agg.error.status : 502).json(agg.error.body);
       }
-      const top = Array.from(breakdown.entries()).sort((a,b)=>b[1]-a[1]).slice(0, 25);
-      const detail = gbFields.length ? top.map(([k,v]) => ({ group: k, count: v })) : [];
-      const summary = gbFields.length
-        ? `There are ${total} matching ${entity?.label || entityId}, grouped by ${gb.join(", ")}.`
-        : `There are ${total} matching ${entity?.label || entityId}.`;
-
-      const trace = { compiled: { entity: entityId, os, where, select: qs.get("oslc.select"), orderBy: "", pageSize: qs.get("oslc.pageSize") }, intentHint, userText };
-      pushLog({ kind: "tx_agent", title: "200 /mcp/intent/query", tenant: tenantId, status: 200, relatedId: rxId, responseBody: clip({ summary, compiled: trace.compiled, detailCount: detail.length }) });
-      return res.json({ ok: true, summary, detail, trace });
+      if (agg.nativeFallback?.unsupported) AGGREGATE_NATIVE_UNSUPPORTED.set(tenantId, agg.nativeFallback.reason);
+      const out = aggregateResult(agg, spec, { label: entity?.label || entityId });
+
+      const trace = { compiled: { entity: entityId, os, where, select: aggregateSelect(spec), orderBy: "", pageSize: agg.params?.["oslc.pageSize"] || "" }, aggregate: out.aggregate, intentHint, userText };
+      pushLog({ kind: "tx_agent", title: "200 /mcp/intent/query", tenant: tenantId, status: 200, relatedId: rxId, responseBody: clip({ summary: out.summary, compiled: trace.compiled, detailCount: out.detail.length }) });
+      return res.json({ ok: true, summary: out.summary, detail: out.detail, table: out.table, totals: out.totals, trace });
     }
 
     // Default list execution
@@ -4299,7 +4914,17 @@ app.post("/mcp/intent/query", requireAuth(), async (req, res) => {
   }
 });
 
-});
+// Concept catalog for in-process callers (MCP prompts): cached payload, or a fresh build via the GET handler.
+async function loadConceptsCatalog(tenantId, origin = "") {
+  const cached = CONCEPTS_CACHE.get(tenantId);
+  // A miss is counted by the handler itself.
+  if (cached && (Date.now() - cached.ts) < CONCEPTS_CACHE_TTL_MS) {
+    countCacheLookup("concepts", true);
+    return cached.payload;
+  }
+  const out = await invokeInProcess(handleMcpConcepts, { method: "GET", query: { tenant: tenantId }, origin });
+  return out?.body && typeof out.body === "object" ? out.body : null;
+}
 
 
 
@@ -4333,7 +4958,13 @@ app.post("/mcp/nlq/test", requireAuth(), async (req, res) => {
     const t = tenantOrThrow(tenantId, requestOrigin(req));
     const rxId = pushLog({ kind: "rx_agent", title: "POST /mcp/nlq/test", method: "POST", path: "/mcp/nlq/test", tenant: tenantId, args: clip({ userText, args: argsIn }) });
     const out = await expandNlqToArgs({ tenantId, t, rxId, userText, args: argsIn });
-    res.json({ tenant: tenantId, input: { userText, args: argsIn }, output: out });
+    // dryRun: also compile the full queryOS request (prefetch plan, schema sanitizing, URL) without running it.
+    let dryRun;
+    if (req.body?.dryRun) {
+      const r = await invokeMcpCall({ tenant: tenantId, name: "maximo_queryOS", args: { ...argsIn, dryRun: true }, userText, origin: requestOrigin(req) });
+      dryRun = r.body;
+    }
+    res.json({ tenant: tenantId, input: { userText, args: argsIn }, output: out, ...(dryRun ? { dryRun } : {}) });
   } catch (e) {
     res.status(500).json({ error: "nlq_test_failed", detail: String(e?.message || e) });
   }
@@ -4434,7 +5065,53 @@ app.get("/mcp/tenants-raw", requireInternalOrAdmin(), (_req, res) => {
   res.json({ tenants });
 });
 
-app.post("/mcp/call", async (req, res) => {
+// Metric labels must stay bounded, but tenant and tool come from the (possibly unauthenticated) request body:
+// anything that is not a configured tenant / one of its tools is counted as "unknown".
+function metricTenant(tenantId) {
+  const id = String(tenantId || "default");
+  return TENANTS[id] ? id : "unknown";
+}
+
+function metricTool(tenantId, name) {
+  const id = metricTenant(tenantId);
+  if (id === "unknown" || !name) return "unknown";
+  return mcpToolsForTenant(id, { all: true }).some((t) => t?.name === name) ? name : "unknown";
+}
+
+// The OS in a Maximo URL is whatever the caller asked for, so it is only a label value when the tenant's
+// allowlist or discovered catalog has it; anything else, and any 404, is counted as "other".
+function metricOs(tenantId, url, status) {
+  const os = maximoOsLabel(url);
+  if (os === "other" || Number(status) === 404 || metricTenant(tenantId) === "unknown") return "other";
+  if ((readAllowlist(tenantId) || []).some((n) => n.toLowerCase() === os)) return os;
+  return DISCOVERED_OS.get(String(tenantId))?.has(os) ? os : "other";
+}
+
+// Tool dispatch. Kept as a named handler so other MCP transports (JSON-RPC, stdio) can reuse it
+// via invokeMcpCall() with identical tenant, allowlist and logging behaviour.
+// /mcp/call (HTTP or in-process) as one span; NLQ expansion, prefetch and Maximo requests nest under it.
+async function handleMcpCall(req, res) {
+  const attrs = {
+    "mcp.tenant": String(req.body?.tenant || req.query?.tenant || "default"),
+    "mcp.tool": String(req.body?.name || req.body?.tool || ""),
+    "maximo.os": typeof req.body?.args?.os === "string" ? req.body.args.os : undefined,
+  };
+  const start = Date.now();
+  return withSpan("mcp.call", attrs, async (span) => {
+    const out = await dispatchMcpCall(req, res);
+    observeToolCall({
+      tenant: metricTenant(attrs["mcp.tenant"]),
+      tool: metricTool(attrs["mcp.tenant"], attrs["mcp.tool"]),
+      status: res.statusCode,
+      seconds: (Date.now() - start) / 1000,
+    });
+    setSpanAttributes(span, { "http.response.status_code": res.statusCode });
+    if (res.statusCode >= 500) markSpanError(span, `HTTP ${res.statusCode}`);
+    return out;
+  });
+}
+
+async function dispatchMcpCall(req, res) {
   const tenantId = String(req.body?.tenant || req.query?.tenant || "default");
   const name = String(req.body?.name || req.body?.tool || "");
   let args = req.body?.args || {};
@@ -4468,6 +5145,46 @@ app.post("/mcp/call", async (req, res) => {
     }
     const allowlist = readAllowlist(tenantId);
 
+    // Approval gate for write tools: call right before the Maximo write with the exact request.
+    // Returns null to proceed, or { status, body } to answer instead (draft held / stale approval).
+    // req._approval is only set in-process by the /api/approvals routes.
+    const gateWrite = (payload) => {
+      if (!toolRequiresApproval(tenantId, name, args)) return null;
+      const ctx = req._approval || null;
+      const now = new Date().toISOString();
+      if (ctx && ctx.redraft) {
+        const rec = saveApproval(tenantId, { ...ctx.record, args, payload, updatedAt: now, editedBy: ctx.user || null });
+        pushLog({ kind: "tx_agent", title: "202 /mcp/call", tenant: tenantId, status: 202, relatedId: rxId, responseBody: clip({ approval: rec.id, redraft: true }), ...aiMeta });
+        return { status: 202, body: approvalDraftBody(rec) };
+      }
+      if (ctx) {
+        if (ctx.record?.tool === name && samePayload(ctx.record.payload, payload)) return null;
+        pushLog({ kind: "tx_agent", title: "409 /mcp/call", tenant: tenantId, status: 409, relatedId: rxId, responseBody: clip({ error: "approval_stale", approval: ctx.record?.id, payload }), ...aiMeta });
+        return { status: 409, body: { error: "approval_stale", detail: "The Maximo request no longer matches the approved draft; review it again.", payload } };
+      }
+      const requester = limitSubject(req, tenantId).user || String(req.user?.username || "");
+      const rec = saveApproval(tenantId, {
+        id: `apr_${crypto.randomUUID()}`,
+        tenant: tenantId,
+        tool: name,
+        args,
+        userText: userText || undefined,
+        payload,
+        status: "pending",
+        createdAt: now,
+        updatedAt: now,
+        requestedBy: {
+          // The AI Agent calls with the internal token and names its signed-in user in x-acting-user.
+          ...(requester ? { user: requester } : {}),
+          ...(aiMeta || {}),
+          ...(req.body?.meta?.mode ? { mode: String(req.body.meta.mode) } : {}),
+        },
+        relatedId: rxId,
+      });
+      pushLog({ kind: "tx_agent", title: "202 /mcp/call", tenant: tenantId, status: 202, relatedId: rxId, responseBody: clip({ approval: rec.id, tool: name, payload }), ...aiMeta });
+      return { status: 202, body: approvalDraftBody(rec) };
+    };
+
     // ✅ NEW: resolve saved tool presets (dynamic OS query tools)
     const preset = readSavedTools(tenantId).find((x) => x && x.enabled !== false && String(x.name) === name);
     if (preset) {
@@ -4489,8 +5206,9 @@ app.post("/mcp/call", async (req, res) => {
     // Example failure mode: oslc.where="count all work orders with status WAPPR" => Maximo lexical error at "count(".
     if (args && typeof args === "object") {
       const w0 = String(args.where || "").trim();
-      const hasOperators = /[=!<>]/.test(w0);
-      const looksNl = w0 && !hasOperators && /\s/.test(w0) && /[A-Za-z]/.test(w0);
+      // A where with a comparison operator (outside string literals) or an `in [...]` list stays a where,
+      // even when malformed, so the syntax error goes back to the caller.
+      const looksNl = w0 && !looksLikeWhere(w0) && /\s/.test(w0) && /[A-Za-z]/.test(w0);
       if (looksNl && !String(args.userText || "").trim()) {
         args.userText = w0;
         delete args.where;
@@ -4498,19 +5216,39 @@ app.post("/mcp/call", async (req, res) => {
     }
 
     if (preset || name === "maximo.queryOS" || name === "maximo_queryOS") {
+      // Dry run / explain: compile the request exactly as below but return it instead of calling
+      // Maximo. `explain` collects the rationale (NLQ resolution, aliases, schema sanitizing, prefetch plan).
+      const dryRun = args?.dryRun === true || String(args?.dryRun || "").toLowerCase() === "true";
+      const explain = [];
+
       // --- NLQ mode ---------------------------------------------------------
       // Allow callers to send natural language (args.userText or request userText)
       // and let the MCP server deterministically resolve the Object Structure + filters.
       // This enables "ask anything" behavior without requiring the AI layer to guess OSLC.
       try {
         const nlqText = String(args?.userText || userText || "").trim();
+        // Conversation follow-ups: the agent sends the previous turn's { os, where } as args.refine.
+        // Keep that OS unless the new text clearly names a different one, and AND the new filters on.
+        let refineWhere = "";
+        const refine = (args?.refine && typeof args.refine === "object") ? args.refine : null;
+        if (args && typeof args === "object") delete args.refine;
+        if (refine && nlqText && !String(args?.os || "").trim() && !String(args?.where || "").trim()) {
+          const prevOs = String(refine.os || "").trim().toLowerCase();
+          const named = resolveOsFromText(nlqText, readNlqRules(tenantId));
+          if (prevOs && (!named || named === prevOs)) {
+            args = { ...args, os: prevOs };
+            refineWhere = String(refine.where || "").trim();
+            explain.push({ step: "refine", note: `Kept previous OS ${prevOs}; new filters are ANDed onto its where.`, previous: refine });
+          }
+        }
         const hasOs = String(args?.os || "").trim();
-        const hasWhere = String(args?.where || args?.params?.["oslc.where"] || "").trim();
+        const hasWhere = String(args?.where || args?.params?.["oslc.where"] || "").trim() || args?.filters;
         if (nlqText && !hasOs) {
           const out = await expandNlqToArgs({ tenantId, t, rxId, aiMeta, userText: nlqText, args });
           if (out?.args && typeof out.args === "object") {
             args = out.args;
             pushLog({ kind: "info", title: "NLQ expanded to args", tenant: tenantId, relatedId: rxId, meta: clip(out?.debug || out) });
+            explain.push({ step: "nlq", note: `NLQ resolved the OS${out?.debug?.resolvedOs ? ` (${out.debug.resolvedOs})` : ""} and filters from the text.`, userText: nlqText, debug: out?.debug || null });
           }
         } else if (nlqText && hasOs && !hasWhere) {
           // If OS is supplied but where is missing, still let NLQ attempt to derive filters/order.
@@ -4518,8 +5256,13 @@ app.post("/mcp/call", async (req, res) => {
           if (out?.args && typeof out.args === "object") {
             args = { ...args, ...out.args };
             pushLog({ kind: "info", title: "NLQ expanded filters", tenant: tenantId, relatedId: rxId, meta: clip(out?.debug || out) });
+            explain.push({ step: "nlq", note: "OS was given; NLQ derived filters/order from the text.", userText: nlqText, debug: out?.debug || null });
           }
         }
+        if (refineWhere) {
+          args = { ...args, where: mergeRefinedWhere(refineWhere, args?.where) };
+          pushLog({ kind: "info", title: "NLQ refined previous query", tenant: tenantId, relatedId: rxId, meta: { os: args.os, previousWhere: refineWhere, where: args.where } });
+        }
       } catch (e) {
         // Best-effort: if NLQ expansion fails, continue with the caller-supplied args.
         pushLog({ kind: "warn", title: "NLQ expansion failed", tenant: tenantId, relatedId: rxId, meta: { message: String(e?.message || e) } });
@@ -4588,6 +5331,7 @@ app.post("/mcp/call", async (req, res) => {
 
       if (osIn && osIn !== os) {
         pushLog({ kind: "info", title: "OS alias applied", tenant: tenantId, relatedId: rxId, meta: { from: osIn, to: os } });
+        explain.push({ step: "os_alias", note: `OS alias ${osIn} -> ${os}.` });
       }
 
       if (!isAllowedOs(tenantId, os, allowlist)) {
@@ -4620,6 +5364,31 @@ app.post("/mcp/call", async (req, res) => {
         if (osKey === "mxapiwo") w = w.replace(/\bwo\./gi, "").replace(/\bworkorder\./gi, "");
         params["oslc.where"] = normalizeOslcWhere(w);
       }
+      // Structured filters compile to oslc.where (ANDed with any where string); fields are checked
+      // against the OS schema once it's known (below).
+      let filtersAst = null;
+      if (args?.filters !== undefined && args?.filters !== null && args?.filters !== "") {
+        let filters = args.filters;
+        if (typeof filters === "string") {
+          try { filters = JSON.parse(filters); } catch { filters = null; }
+        }
+        const compiled = filters && typeof filters === "object" ? compileFilters(filters) : { ast: null, errors: [{ path: "filters", message: "expected an array of filters" }] };
+        if (compiled.errors.length) {
+          const out = {
+            error: "invalid_filters",
+            detail: compiled.errors.map((e) => `${e.path}: ${e.message}`).join("; "),
+            errors: compiled.errors,
+            supportedOps: FILTER_OPS,
+          };
+          pushLog({ kind: "tx_agent", title: "400 /mcp/call", tenant: tenantId, status: 400, relatedId: rxId, responseBody: clip(out), ...aiMeta });
+          return res.status(400).json(out);
+        }
+        filtersAst = compiled.ast;
+        if (filtersAst) {
+          params["oslc.where"] = andWhere(params["oslc.where"], formatWhere(filtersAst));
+          explain.push({ step: "filters", note: "Compiled structured filters to oslc.where.", where: formatWhere(filtersAst) });
+        }
+      }
       if (args?.orderBy && !params["oslc.orderBy"]) params["oslc.orderBy"] = String(args.orderBy);
       // If caller supplies a top-level pageSize, it should win (even if params already had oslc.pageSize).
       if (typeof args?.pageSize !== "undefined" && args?.pageSize !== null)
@@ -4698,28 +5467,42 @@ app.post("/mcp/call", async (req, res) => {
         if (ob) params["oslc.orderBy"] = ob;
       }
 
+      // ---- where syntax ----
+      // Parse oslc.where once up front: a malformed clause goes back to the caller (usually the LLM) with
+      // the exact position instead of becoming a Maximo lexical error. Later steps work on the AST.
+      let whereAst = null;
+      if (params["oslc.where"]) {
+        const parsedW = tryParseWhere(params["oslc.where"]);
+        if (parsedW.error) {
+          const e = parsedW.error;
+          const out = {
+            error: "invalid_where",
+            detail: `${e.message}. Fix the OSLC where clause (e.g. status="WAPPR" and siteid in ["BEDFORD","NASHUA"]) or pass userText instead.`,
+            where: String(params["oslc.where"]),
+            ...(e.position !== undefined ? { position: e.position } : {}),
+            ...(e.expected ? { expected: e.expected } : {}),
+          };
+          pushLog({ kind: "tx_agent", title: "400 /mcp/call", tenant: tenantId, status: 400, relatedId: rxId, responseBody: clip(out), ...aiMeta });
+          return res.status(400).json(out);
+        }
+        whereAst = parsedW.ast;
+      }
+
       // If the where clause references relationship fields (rel.field), ensure those
       // fields are included in the select so the UI can display them.
       // Example: where contains "asset.assettype=..." => add "asset{assettype}".
-      try {
-        const w = String(params["oslc.where"] || "");
+      {
         const sel0 = String(params["oslc.select"] || "");
-        const relFieldRefs = [];
-        const re = /\b([A-Za-z_][A-Za-z0-9_]*)\.([A-Za-z_][A-Za-z0-9_]*)\b/g;
-        let m;
-        while ((m = re.exec(w))) {
-          relFieldRefs.push({ rel: m[1], field: m[2] });
-        }
-        if (relFieldRefs.length) {
-          const extra = [];
-          for (const rf of relFieldRefs) {
-            const token1 = `${rf.rel}.${rf.field}`;
-            const token2 = `${rf.rel}{${rf.field}}`;
-            if (!sel0.includes(token1) && !sel0.includes(token2)) extra.push(token2);
-          }
-          if (extra.length) params["oslc.select"] = [sel0, ...extra].filter(Boolean).join(",");
+        const extra = [];
+        for (const p of predicatesOf(whereAst)) {
+          if (p.path.length < 2) continue;
+          const token1 = p.path.join(".");
+          // asset.location.status -> asset{location{status}}
+          const token2 = p.path.slice(0, -1).join("{") + `{${p.path[p.path.length - 1]}` + "}".repeat(p.path.length - 1);
+          if (!sel0.includes(token1) && !sel0.includes(token2) && !extra.includes(token2)) extra.push(token2);
         }
-      } catch {}
+        if (extra.length) params["oslc.select"] = [sel0, ...extra].filter(Boolean).join(",");
+      }
 
       // NLQ special modes can require extra shaping BEFORE the Maximo request is executed.
       const rkPre = String(args?._mcpResultKind || "").trim().toLowerCase();
@@ -4742,17 +5525,80 @@ app.post("/mcp/call", async (req, res) => {
       let droppedWhereClauses = [];
       let droppedOrderBy = [];
 
+      // Structured filters are strict: an unknown field is an error for the caller to fix, not a silently dropped clause.
+      if (filtersAst && fieldsIdx.size) {
+        const unknown = [];
+        let rels = null;
+        for (const p of predicatesOf(filtersAst)) {
+          const [head, ...rest] = p.path;
+          if (!rest.length) {
+            if (!fieldsIdx.has(head.toLowerCase())) unknown.push(head);
+            continue;
+          }
+          // Relationships the schema doesn't list may still be configured for prefetch; check known ones only.
+          if (!rels) rels = await fetchOsRelations({ tenantId, t, os }).catch(() => new Map());
+          const rel = rels.get(head.toLowerCase());
+          if (rel?.fields?.size && rest.length === 1 && !buildLowerFieldIndex(rel.fields).has(rest[0].toLowerCase())) unknown.push(p.path.join("."));
+        }
+        if (unknown.length) {
+          const out = {
+            error: "invalid_filters",
+            detail: `Unknown field(s) for ${os}: ${Array.from(new Set(unknown)).join(", ")}`,
+            unknown: Array.from(new Set(unknown)),
+            knownFields: Array.from(fieldsIdx.values()).sort().slice(0, 200),
+          };
+          pushLog({ kind: "tx_agent", title: "400 /mcp/call", tenant: tenantId, status: 400, relatedId: rxId, responseBody: clip(out), ...aiMeta });
+          return res.status(400).json(out);
+        }
+      }
+
+      // ---- Aggregation (args.aggregate, or NLQ "count ..." questions) ----
+      // Runs over the whole filtered result instead of the fetched page; see aggregate.mjs.
+      let aggSpec = null;
+      const aggFromNlq = (args?.aggregate === undefined || args?.aggregate === null) && String(args?._mcpResultKind || "").trim().toLowerCase() === "aggregate";
+      const aggIn = aggFromNlq ? { groupBy: Array.isArray(args?._mcpGroupBy) ? args._mcpGroupBy : [] } : args?.aggregate;
+      if (aggIn !== null && aggIn !== undefined && aggIn !== false) {
+        // Same strictness as filters for root fields (schema spelling); NLQ's default breakdown just skips fields the OS lacks.
+        const unknown = [];
+        const resolveField = (f) => {
+          if (!fieldsIdx.size || f.includes(".")) return f;
+          const real = fieldsIdx.get(f.toLowerCase());
+          if (!real && !aggFromNlq) unknown.push(f);
+          return real || (aggFromNlq ? "" : f);
+        };
+        let out = null;
+        try {
+          aggSpec = normalizeAggregateSpec(typeof aggIn === "string" ? JSON.parse(aggIn) : aggIn, { resolveField });
+        } catch (e) {
+          out = { error: "invalid_aggregate", detail: String(e?.message || e) };
+        }
+        if (!out && unknown.length) {
+          out = {
+            error: "invalid_aggregate",
+            detail: `Unknown field(s) for ${os}: ${Array.from(new Set(unknown)).join(", ")}`,
+            unknown: Array.from(new Set(unknown)),
+            knownFields: Array.from(fieldsIdx.values()).sort().slice(0, 200),
+          };
+        }
+        if (out) {
+          pushLog({ kind: "tx_agent", title: "400 /mcp/call", tenant: tenantId, status: 400, relatedId: rxId, responseBody: clip(out), ...aiMeta });
+          return res.status(400).json(out);
+        }
+      }
+
       // ---- Default site filter (tenant setting) ----
       // Ensure the tenant's default site is always applied as a key filter when the OS supports siteid,
       // unless the caller explicitly provided a siteid filter.
       const defaultSite = String(args?.site || t?.defaultSite || "").trim().toUpperCase();
       const osHasSiteId = !!fieldsIdx?.has?.("siteid");
       const where0 = String(params["oslc.where"] || "");
-      const hasSiteInWhere = /(^|\W)siteid\s*(=|!=|\bin\b)/i.test(where0);
+      // Root siteid predicates only; asset.siteid and the like don't count.
+      const hasSiteInWhere = predicatesOf(whereAst).some((p) => p.path.length === 1 && p.path[0].toLowerCase() === "siteid");
       if (defaultSite && osHasSiteId && !hasSiteInWhere) {
         const siteClause = `siteid="${defaultSite}"`;
-        // Avoid parentheses; some OSLC parsers are strict.
-        params["oslc.where"] = where0 ? `${where0} and ${siteClause}` : siteClause;
+        // Parentheses only when the existing where has a top-level "or"; some OSLC parsers are strict.
+        params["oslc.where"] = where0 ? andWhere(where0, siteClause) : siteClause;
+        explain.push({ step: "default_site", note: `Added the ${args?.site ? "requested" : "tenant default"} site filter ${siteClause}.` });
       }
 
       // ---- Relationship-prefetch executor (generic) ----
@@ -4760,13 +5606,20 @@ app.post("/mcp/call", async (req, res) => {
       // prefetch + rewrite plan (configured per tenant).
       let relPrefetchPlan = null;
       if (params["oslc.where"]) {
-        const out = await applyRelationshipPrefetch({ tenantId, t, os, params, defaultSite, rxId, maximoFetch, authHeaders, maximoApiBase });
+        const out = await applyRelationshipPrefetch({ tenantId, t, os, params, defaultSite, rxId, maximoFetch, authHeaders, maximoApiBase, dryRun });
         relPrefetchPlan = out?.plan || null;
+        if (relPrefetchPlan?.mode && relPrefetchPlan.mode !== "none") {
+          explain.push({ step: "relationship_prefetch", note: dryRun ? "Relationship filters would be resolved by prefetching keys (not executed in a dry run)." : "Relationship filters were resolved by prefetching keys.", plan: relPrefetchPlan });
+        }
       }
 
+      explain.push({ step: "schema", note: fieldsIdx.size ? `Validated against ${fieldsIdx.size} known ${os} fields.` : `No schema found for ${os}; fields are passed through unchecked.` });
+
       // Validate/sanitize oslc.select against schema (drops unknown fields but keeps dot-path selectors).
       if (params["oslc.select"]) {
+        const sel0 = String(params["oslc.select"]);
         params["oslc.select"] = sanitizeSelectWithSchema(os, params["oslc.select"], fieldsIdx);
+        if (params["oslc.select"] !== sel0) explain.push({ step: "select_sanitized", note: "Dropped or normalized select columns not in the OS schema.", before: sel0, after: params["oslc.select"] });
       }
 
       // Validate/sanitize oslc.where against schema (drops clauses that reference non-existent fields).
@@ -4774,16 +5627,19 @@ app.post("/mcp/call", async (req, res) => {
         const outW = sanitizeWhereWithSchema(os, params["oslc.where"], fieldsIdx);
         params["oslc.where"] = outW.where;
         droppedWhereClauses = outW.dropped || [];
+        if (droppedWhereClauses.length) explain.push({ step: "where_sanitized", note: "Dropped where clauses on fields the OS doesn't have.", dropped: droppedWhereClauses });
       }
 
-      // Enforce a max page size (configurable). Set MAX_PAGE_SIZE=0 to disable this cap.
-      const MAX_PAGE_SIZE = Number(process.env.MAX_PAGE_SIZE || 2000);
+      // Enforce a max page size (configurable). Set MAX_PAGE_SIZE=0 to disable this cap; the tenant / user
+      // maxPageSize limit can lower it.
+      const MAX_PAGE_SIZE = pageSizeCap(req, tenantId);
       if (params["oslc.pageSize"]) {
         const n = Number(params["oslc.pageSize"]);
         if (!Number.isFinite(n) || n <= 0) {
           delete params["oslc.pageSize"];
         } else if (Number.isFinite(MAX_PAGE_SIZE) && MAX_PAGE_SIZE > 0 && n > MAX_PAGE_SIZE) {
           params["oslc.pageSize"] = String(MAX_PAGE_SIZE);
+          explain.push({ step: "page_size_capped", note: `pageSize ${n} capped at ${MAX_PAGE_SIZE} (MAX_PAGE_SIZE / maxPageSize limit).` });
         }
       }
 
@@ -4794,6 +5650,7 @@ app.post("/mcp/call", async (req, res) => {
         const outOb = sanitizeOrderByWithSchema(os, params["oslc.orderBy"], fieldsIdx);
         params["oslc.orderBy"] = outOb.orderBy;
         droppedOrderBy = outOb.dropped || [];
+        if (droppedOrderBy.length) explain.push({ step: "orderby_sanitized", note: "Dropped orderBy fields the OS doesn't have.", dropped: droppedOrderBy });
 
         // Some Maximo endpoints are picky and require the orderBy identifiers to be part of the projection.
         // If an explicit oslc.select is present, ensure it includes the orderBy fields.
@@ -4828,22 +5685,7 @@ app.post("/mcp/call", async (req, res) => {
       // - Maximo OSLC query syntax expects string literals in double quotes (field="VALUE").
       //   If an LLM produces single-quoted literals (field='VALUE'), rewrite them.
       if (params["oslc.where"]) {
-        let w = String(params["oslc.where"]);
-
-        // 1) Unescape LLM-style escaped quotes
-        w = w
-          .replace(/\\'/g, "'")
-          .replace(/\\"/g, '"');
-
-        // 2) Rewrite single-quoted literals to double-quoted literals
-        //    Handles: =, !=, <, <=, >, >=, like (case-insensitive)
-        //    Example: status='WAPPR' -> status="WAPPR"
-        w = w.replace(/(\b[\w\.]+\b\s*(?:=|!=|<=|>=|<|>|\blike\b)\s*)'([^']*)'/gi, (_m, lhs, val) => {
-          const safe = String(val).replace(/"/g, '\\"');
-          return `${lhs}"${safe}"`;
-        });
-
-        params["oslc.where"] = w;
+        params["oslc.where"] = normalizeOslcWhere(params["oslc.where"]);
       }
 
       const qs = new URLSearchParams();
@@ -4853,8 +5695,63 @@ app.post("/mcp/call", async (req, res) => {
       }
 
       const url = `${api}/os/${encodeURIComponent(os)}${qs.toString() ? `?${qs.toString()}` : ""}`;
+
+      const aggNative = aggSpec ? aggregateNativeEnabled(tenantId) : false;
+      if (aggSpec) explain.push({ step: "aggregate", note: `Aggregated over all matching rows (strategy: ${planAggregate(aggSpec, { native: aggNative })}, row cap ${aggSpec.maxRows}).`, select: aggregateSelect(aggSpec), spec: aggSpec });
+
+      if (dryRun) {
+        const out = {
+          ok: true,
+          dryRun: true,
+          os,
+          method: "GET",
+          url,
+          params,
+          rationale: explain,
+          ...(aggSpec ? { aggregate: { strategy: planAggregate(aggSpec, { native: aggNative }), spec: aggSpec } } : {}),
+          _mcp: { query: { os, where: String(params["oslc.where"] || ""), select: String(params["oslc.select"] || ""), orderBy: String(params["oslc.orderBy"] || "") } },
+        };
+        pushLog({ kind: "tx_agent", title: "200 /mcp/call (dry run)", tenant: tenantId, status: 200, relatedId: rxId, responseBody: clip(out), ...aiMeta });
+        return res.json(out);
+      }
+
       const headers = authHeaders(t);
 
+      if (aggSpec) {
+        const fetchPage = async (p) => {
+          const qsA = new URLSearchParams();
+          for (const [k, v] of Object.entries(p)) {
+            if (v === undefined || v === null || String(v).trim() === "") continue;
+            qsA.set(k, String(v));
+          }
+          const out = await maximoFetch(t, {
+            method: "GET",
+            url: `${api}/os/${encodeURIComponent(os)}?${qsA.toString()}`,
+            headers,
+            kind: "tx_maximo",
+            title: `→ Maximo OS ${os} (aggregate${p.gbcols ? ", group-by" : p.pageno ? ` page ${p.pageno}` : ""})`,
+            meta: { tool: name, relatedId: rxId, ...(aiMeta || {}) },
+          });
+          const isJson = (out.r.headers.get("content-type") || "").toLowerCase().includes("application/json");
+          return { ok: out.r.ok && isJson, status: out.r.status, body: isJson ? (safeJson(out.respText) ?? { raw: out.respText }) : { raw: out.respText } };
+        };
+        const agg = await runAggregate({ spec: aggSpec, params, fetchPage, native: aggNative, pageSize: aggregatePageSize() });
+        if (agg.error) {
+          pushLog({ kind: "tx_agent", title: `${agg.error.status} /mcp/call`, tenant: tenantId, status: agg.error.status, relatedId: rxId, responseBody: clip(agg.error.body), ...aiMeta });
+          return res.status(agg.error.status >= 400 ? agg.error.status : 502).json(agg.error.body);
+        }
+        if (agg.nativeFallback?.unsupported) AGGREGATE_NATIVE_UNSUPPORTED.set(tenantId, agg.nativeFallback.reason);
+        const out = aggregateResult(agg, aggSpec);
+        out._mcp = {
+          ...(droppedWhereClauses.length ? { droppedWhere: droppedWhereClauses } : {}),
+          ...(relPrefetchPlan && typeof relPrefetchPlan === "object" ? { plan: relPrefetchPlan } : {}),
+          query: { os, where: String(args?.where || params["oslc.where"] || ""), select: String(params["oslc.select"] || ""), orderBy: "" },
+        };
+        pushLog({ kind: "tx_agent", title: "200 /mcp/call", tenant: tenantId, status: 200, relatedId: rxId, responseBody: clip(out), ...aiMeta });
+        if (req._nlqDebug) out._nlq = req._nlqDebug;
+        return res.json(out);
+      }
+
       let { r, respText } = await maximoFetch(t, {
         method: "GET",
         url,
@@ -5036,35 +5933,6 @@ app.post("/mcp/call", async (req, res) => {
         };
       }
 
-      // B) Aggregate (count + optional breakdown) — return narrative, not a row table.
-      if (rk === "aggregate" && r.status >= 200 && r.status < 300 && ct.includes("application/json")) {
-        const gb = Array.isArray(args?._mcpGroupBy) ? args._mcpGroupBy : [];
-        const gbFields = gb.map(x => String(x||"").trim()).filter(Boolean);
-
-        // Build rows from the (potentially multi-page) response
-        const members = getOslcMembers(bodyOutRaw);
-        const tc = getOslcTotalCount(bodyOutRaw);
-        const total = (typeof tc !== "undefined" && tc !== null && !Number.isNaN(Number(tc))) ? Number(tc) : members.length;
-        const breakdown = new Map();
-        if (gbFields.length) {
-          for (const m of members) {
-            const k = gbFields.map(f => String(m?.[f] ?? "")).join(" | ");
-            breakdown.set(k, (breakdown.get(k) || 0) + 1);
-          }
-        }
-        const top = Array.from(breakdown.entries()).sort((a,b)=>b[1]-a[1]).slice(0, 25);
-        const detail = top.map(([group, count]) => ({ group, count }));
-
-        bodyOut = {
-          kind: "aggregate",
-          summary: gbFields.length
-            ? `There are ${total} matching records, grouped by ${gbFields.join(", ")}${(members.length && members.length !== total) ? ` (breakdown sampled from ${members.length} rows)` : ""}.`
-            : `There are ${total} matching records.`,
-          detail,
-          sampled: members.length && members.length !== total,
-        };
-      }
-
       if (bodyOut === bodyOutRaw && !(args?.rawResponse === true) && r.status >= 200 && r.status < 300 && ct.includes("application/json")) {
         const cols = parseSelectColumns(params["oslc.select"] || "");
         if (cols.length) bodyOut = projectOslcResponseToTable(os, bodyOutRaw, cols, { pageSize: Number(params["oslc.pageSize"] || 0), page: Number(params["pageno"] || 1) });
@@ -5078,6 +5946,13 @@ app.post("/mcp/call", async (req, res) => {
         if (Array.isArray(droppedWhereClauses) && droppedWhereClauses.length) diag.droppedWhere = droppedWhereClauses;
         if (Array.isArray(droppedOrderBy) && droppedOrderBy.length) diag.droppedOrderBy = droppedOrderBy;
         if (relPrefetchPlan && typeof relPrefetchPlan === "object") diag.plan = relPrefetchPlan;
+        // The effective query, so conversational callers can refine it on the next turn.
+        diag.query = {
+          os,
+          where: String(args?.where || params["oslc.where"] || ""),
+          select: String(params["oslc.select"] || ""),
+          orderBy: String(params["oslc.orderBy"] || ""),
+        };
         if (Object.keys(diag).length) bodyOut._mcp = { ...(bodyOut._mcp || {}), ...diag };
       }
 
@@ -5292,6 +6167,10 @@ app.post("/mcp/call", async (req, res) => {
         ...(fields || {}),
       };
 
+      // Drafts show the preferred OS; on approval the legacy fallback may still be tried.
+      const held = gateWrite({ method: "POST", url: `${api}/os/${encodeURIComponent(osCandidates[0])}?lean=1`, body });
+      if (held) return res.status(held.status).json(held.body);
+
       let usedOs = osCandidates[0];
       let r = null;
       let respText = "";
@@ -5335,6 +6214,163 @@ app.post("/mcp/call", async (req, res) => {
       return res.status(r.status).json(out);
     }
 
+    if (name === "maximo_updateRecord" || name === "maximo_changeStatus" || name === "maximo_addWorklog") {
+      const fail = (status, error, detail, extra = {}) => {
+        pushLog({ kind: "tx_agent", title: `${status} /mcp/call`, tenant: tenantId, status, relatedId: rxId, responseBody: clip({ error, detail, ...extra }), ...aiMeta });
+        return res.status(status).json({ error, detail, ...extra });
+      };
+      const rt = String(args?.recordType || "").trim().toLowerCase();
+      const osArg = String(args?.os || "").trim().toLowerCase();
+      const keyValue = String(args?.id ?? "").trim();
+      const hrefArg = String(args?.href || "").trim();
+      const site = String(args?.site || t?.defaultSite || "").trim().toUpperCase();
+      if (rt && !WRITE_RECORD_OS[rt]) return fail(400, "bad_request", "args.recordType must be 'wo' or 'sr'");
+
+      // updateRecord works on any OS; status changes and worklogs default to Work Orders.
+      const osCandidatesAll = osArg ? [osArg] : (WRITE_RECORD_OS[rt] || (name === "maximo_updateRecord" ? [] : WRITE_RECORD_OS.wo));
+      if (!osCandidatesAll.length) return fail(400, "bad_request", "args.os or args.recordType is required");
+      if (!keyValue && !hrefArg) return fail(400, "bad_request", "args.id (or args.href) is required");
+
+      let patch;
+      let properties;
+      if (name === "maximo_updateRecord") {
+        const fields = (args?.fields && typeof args.fields === "object" && !Array.isArray(args.fields)) ? args.fields : {};
+        if (!Object.keys(fields).length) return fail(400, "bad_request", "args.fields must set at least one attribute");
+        patch = { fields };
+      } else if (name === "maximo_changeStatus") {
+        const status = String(args?.status || "").trim().toUpperCase();
+        if (!status) return fail(400, "bad_request", "args.status is required");
+        const memo = String(args?.memo || "").trim();
+        const date = String(args?.date || "").trim();
+        patch = { status, ...(memo ? { memo } : {}), ...(date ? { date } : {}) };
+      } else {
+        const description = String(args?.description || "").trim();
+        if (!description) return fail(400, "bad_request", "args.description is required");
+        const longDescription = String(args?.longDescription || "").trim();
+        const logtype = String(args?.logtype || "").trim().toUpperCase();
+        const extra = (args?.fields && typeof args.fields === "object" && !Array.isArray(args.fields)) ? args.fields : {};
+        patch = {
+          worklog: {
+            description,
+            ...(longDescription ? { description_longdescription: longDescription } : {}),
+            ...(logtype ? { logtype } : {}),
+            ...(args?.clientViewable != null ? { clientviewable: args.clientViewable === true || String(args.clientViewable) === "true" } : {}),
+            ...extra,
+          },
+        };
+      }
+
+      const osCandidates = (allowlist && allowlist.length)
+        ? osCandidatesAll.filter((osName) => isAllowedOs(tenantId, osName, allowlist))
+        : osCandidatesAll;
+      if (!osCandidates.length) return fail(403, "os_not_allowed", `OS not allowed by allowlist: ${osCandidatesAll.join(", ")}`);
+
+      const api = maximoApiBase(t);
+      const toolMeta = { tool: name, ...(aiMeta || {}) };
+
+      // Resolve the OS and the record href (first candidate that exposes the record).
+      let usedOs = osCandidates[0];
+      let keyField = "";
+      let recordUrl = "";
+      let fieldsIdx = new Map();
+      for (const osName of osCandidates) {
+        usedOs = osName;
+        fieldsIdx = buildLowerFieldIndex(await fetchOsFields({ tenantId, t, os: osName, rxId }));
+        if (hrefArg) {
+          recordUrl = writeRecordUrl(api, osName, hrefArg);
+          if (!recordUrl) return fail(400, "bad_request", "args.href is not a Maximo record href");
+          break;
+        }
+        keyField = String(args?.idField || WRITE_KEY_FIELDS[osName] || "").trim().toLowerCase();
+        if (!keyField) return fail(400, "bad_request", `args.idField is required for ${osName}`);
+        if (fieldsIdx.size && !fieldsIdx.has(keyField)) return fail(400, "unknown_fields", `${keyField} is not a field of ${osName}`, { os: osName, unknown: [keyField] });
+        keyField = fieldsIdx.get(keyField) || keyField;
+        const siteFilter = (!fieldsIdx.size || fieldsIdx.has("siteid")) ? site : "";
+
+        const found = await findRecordsForWrite({ t, os: osName, keyField, keyValue, site: siteFilter, rxId, meta: toolMeta });
+        if (!found.r.ok) {
+          const notFound = found.r.status === 404 || (found.r.status === 400 && /not\s+found/i.test(found.respText));
+          if (notFound && osName !== osCandidates[osCandidates.length - 1]) continue;
+          return fail(found.r.status, "maximo_failed", found.respText.slice(0, 600), { os: osName });
+        }
+        if (found.members.length > 1) return fail(409, "ambiguous_record", `More than one ${osName} record has ${keyField}=${keyValue}; pass site`, { os: osName });
+        if (!found.members.length) return fail(404, "record_not_found", `No ${osName} record with ${keyField}=${keyValue}${siteFilter ? ` at site ${siteFilter}` : ""}`, { os: osName });
+        recordUrl = writeRecordUrl(api, osName, found.members[0]?.href);
+        if (!recordUrl) return fail(502, "maximo_failed", `Maximo returned no href for ${osName} ${keyValue}`, { os: osName });
+        break;
+      }
+
+      // Schema validation against the resolved OS.
+      let body;
+      if (name === "maximo_updateRecord") {
+        const { body: b, unknown } = validateWriteFields(fieldsIdx, patch.fields);
+        if (unknown.length) return fail(400, "unknown_fields", `Not fields of ${usedOs}: ${unknown.join(", ")}`, { os: usedOs, unknown });
+        body = b;
+        properties = Object.keys(b);
+      } else if (name === "maximo_changeStatus") {
+        if (fieldsIdx.size && !fieldsIdx.has("status")) return fail(400, "unknown_fields", `${usedOs} has no status field`, { os: usedOs, unknown: ["status"] });
+        body = patch;
+        properties = ["status"];
+      } else {
+        const rels = await fetchOsRelations({ tenantId, t, os: usedOs });
+        const rel = rels.get("worklog");
+        if (rels.size && !rel) return fail(400, "unknown_fields", `${usedOs} has no worklog relationship`, { os: usedOs, unknown: ["worklog"] });
+        const { body: wl, unknown } = validateWriteFields(buildLowerFieldIndex(rel?.fields), patch.worklog);
+        if (unknown.length) return fail(400, "unknown_fields", `Not worklog fields of ${usedOs}: ${unknown.join(", ")}`, { os: usedOs, unknown });
+        body = { worklog: [wl] };
+        properties = ["worklog{worklogid,description,logtype,createdate}"];
+      }
+      if (keyField) properties = [keyField, ...properties];
+      if (fieldsIdx.has("siteid")) properties.push("siteid");
+
+      const actionQs = name === "maximo_changeStatus" ? "action=wsmethod:changeStatus&lean=1" : "lean=1";
+      const writeUrl = `${recordUrl}${recordUrl.includes("?") ? "&" : "?"}${actionQs}`;
+      const held = gateWrite({ method: "POST", url: writeUrl, headers: { "x-method-override": "PATCH", patchtype: "MERGE" }, body });
+      if (held) return res.status(held.status).json(held.body);
+
+      const { r, respText } = await maximoFetch(t, {
+        method: "POST",
+        url: writeUrl,
+        headers: {
+          ...authHeaders(t),
+          "content-type": "application/json",
+          accept: "application/json",
+          "x-method-override": "PATCH",
+          patchtype: "MERGE",
+          properties: Array.from(new Set(properties)).join(","),
+        },
+        body: JSON.stringify(body),
+        kind: "tx_maximo",
+        title: `→ Maximo ${name === "maximo_changeStatus" ? `STATUS ${patch.status}` : name === "maximo_addWorklog" ? "WORKLOG" : "UPDATE"} ${usedOs} ${keyValue || ""}`.trim(),
+        meta: { relatedId: rxId, ...toolMeta },
+      });
+
+      const ct = (r.headers.get("content-type") || "").toLowerCase();
+      const bodyOut = ct.includes("application/json") ? (safeJson(respText) ?? { raw: respText }) : { raw: respText };
+
+      // Best-effort id extraction (the record key, or the response when addressed by href)
+      const id = keyValue || bodyOut?.wonum || bodyOut?.ticketid || bodyOut?.assetnum || "";
+      const out = { ok: r.ok, os: usedOs, id: String(id || ""), href: recordUrl, response: bodyOut };
+      if (name === "maximo_changeStatus") out.status = String(bodyOut?.status || patch.status);
+      if (name === "maximo_addWorklog") {
+        const logs = Array.isArray(bodyOut?.worklog) ? bodyOut.worklog : [];
+        const last = logs[logs.length - 1];
+        if (last?.worklogid != null) out.worklogid = String(last.worklogid);
+      }
+
+      pushLog({
+        kind: "tx_agent",
+        title: `${r.status} /mcp/call`,
+        tenant: tenantId,
+        status: r.status,
+        relatedId: rxId,
+        responseBody: clip(out),
+        ...aiMeta,
+      });
+      // A PATCH without a properties echo answers 204; keep the JSON summary.
+      return res.status(r.status === 204 ? 200 : r.status).json(out);
+    }
+
     if (name === "maximo.raw" || name === "maximo_raw") {
       const method = String(args?.method || "GET").toUpperCase();
       const p = String(args?.path || "").trim();
@@ -5352,6 +6388,9 @@ app.post("/mcp/call", async (req, res) => {
       const headers = { ...authHeaders(t), "content-type": "application/json" };
       const bodyStr = ["GET", "HEAD"].includes(method) ? undefined : JSON.stringify(body ?? {});
 
+      const held = gateWrite({ method, url, body: body ?? {} });
+      if (held) return res.status(held.status).json(held.body);
+
       const { r, respText } = await maximoFetch(t, {
         method,
         url,
@@ -5390,6 +6429,1116 @@ app.post("/mcp/call", async (req, res) => {
     pushLog({ kind: "tx_agent", title: "500 /mcp/call", tenant: tenantId, status: 500, relatedId: rxId, responseBody: msg, ...aiMeta });
     return res.status(500).json({ error: "mcp_failed", detail: msg });
   }
+}
+
+app.post("/mcp/call", maximoLimits(), handleMcpCall);
+
+// Run a route handler in-process with a synthetic req/res; resolves with { status, body }.
+// `context` is merged onto req for in-process-only flags (e.g. _approval), which HTTP callers can't set.
+async function invokeInProcess(handler, { method = "POST", body = {}, query = {}, headers, origin, context } = {}) {
+  let originUrl = null;
+  try { originUrl = origin ? new URL(origin) : null; } catch {}
+  const hdrs = {};
+  for (const [k, v] of Object.entries(headers || {})) if (v != null) hdrs[String(k).toLowerCase()] = String(v);
+  const req = {
+    method,
+    body,
+    query,
+    headers: hdrs,
+    protocol: originUrl ? originUrl.protocol.replace(/:$/, "") : "http",
+    get: (h) => (String(h).toLowerCase() === "host" ? (originUrl ? originUrl.host : hdrs.host) : hdrs[String(h).toLowerCase()]),
+    ...(context || {}),
+  };
+  return await new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = Number(code) || 200; return this; },
+      json(b) { resolve({ status: this.statusCode, body: b }); return this; },
+      send(b) { resolve({ status: this.statusCode, body: b }); return this; },
+    };
+    Promise.resolve()
+      .then(() => handler(req, res))
+      .catch((e) => resolve({ status: 500, body: { error: "mcp_failed", detail: String(e?.message || e) } }));
+  });
+}
+
+// In-process /mcp/call: same dispatch (tenant, allowlist, logging) as the HTTP route.
+async function invokeMcpCall({ tenant, name, args, userText, meta, headers, origin } = {}) {
+  return await invokeInProcess(handleMcpCall, {
+    body: { tenant: String(tenant || "default"), name: String(name || ""), args: args || {}, ...(userText ? { userText } : {}), ...(meta ? { meta } : {}) },
+    headers,
+    origin,
+  });
+}
+
+// -------------------- File export of queryOS results --------------------
+// POST /mcp/export { tenant, args, format: csv|xlsx|jsonl, maxRows?, filename? }
+// Re-runs maximo_queryOS (same args as the chat result, so where/filters/site scoping are identical) page by
+// page until the result ends or EXPORT_MAX_ROWS (default 50000) is reached, and returns the file.
+// Nested selects become dot-path columns (invbalances{curbal} -> invbalances.curbal). When the redaction
+// policy is enabled (either mode) it is applied to every exported row: a file leaves the system like a log does.
+// Response headers: X-Export-Rows, X-Export-Total (when Maximo reports it), X-Export-Truncated, X-Export-Redacted.
+function exportMaxRows() {
+  const n = Number(process.env.EXPORT_MAX_ROWS || 50000);
+  return Number.isFinite(n) && n > 0 ? n : 50000;
+}
+
+function exportPageSize() {
+  const n = Number(process.env.EXPORT_PAGE_SIZE || 1000);
+  const max = Number(process.env.MAX_PAGE_SIZE || 2000);
+  const size = Number.isFinite(n) && n > 0 ? n : 1000;
+  return Number.isFinite(max) && max > 0 ? Math.min(size, max) : size;
+}
+
+app.post("/mcp/export", requireAuth(), maximoLimits(), async (req, res) => {
+  const tenantId = String(req.body?.tenant || req.query?.tenant || "default");
+  const format = String(req.body?.format || "csv").trim().toLowerCase();
+  const argsIn = req.body?.args && typeof req.body.args === "object" ? req.body.args : {};
+  const os = String(argsIn.os || "").trim().toLowerCase();
+  const rxId = pushLog({ kind: "rx_agent", title: "POST /mcp/export", method: "POST", path: "/mcp/export", tenant: tenantId, args: clip({ format, args: argsIn, maxRows: req.body?.maxRows }) });
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: "invalid_export", detail: `format must be one of ${EXPORT_FORMATS.join(", ")}` });
+  }
+  if (!os) return res.status(400).json({ error: "bad_request", detail: "args.os is required" });
+
+  const cap = exportMaxRows();
+  const requested = Number(req.body?.maxRows);
+  const maxRows = Number.isFinite(requested) && requested > 0 ? Math.min(requested, cap) : cap;
+  const pageSize = Math.min(exportPageSize(), maxRows, pageSizeCap(req, tenantId) || Infinity);
+
+  // Plain rows: no aggregate / related-list shaping, no caller paging; raw members so nested selects survive.
+  const baseArgs = { ...argsIn, rawResponse: true, pageSize };
+  for (const k of ["aggregate", "dryRun", "page", "_mcpResultKind", "_mcpGroupBy", "_mcpRelation", "_mcpLimit"]) delete baseArgs[k];
+  const params = { ...(argsIn.params || {}) };
+  delete params.pageno;
+  delete params["oslc.pageSize"];
+
+  const redaction = getRedactionPolicy();
+  let columns = null;
+  let total;
+  const rows = [];
+  try {
+    for (let page = 1; rows.length < maxRows; page++) {
+      const r = await invokeMcpCall({
+        tenant: tenantId,
+        name: "maximo_queryOS",
+        args: { ...baseArgs, page, params: page === 1 ? { ...params, collectioncount: "1" } : params },
+        origin: requestOrigin(req),
+        headers: { "x-ai-provider": req.headers["x-ai-provider"], "x-ai-model": req.headers["x-ai-model"] },
+      });
+      if (r.status < 200 || r.status >= 300 || !r.body || typeof r.body !== "object") {
+        pushLog({ kind: "tx_agent", title: `${r.status} /mcp/export`, tenant: tenantId, status: r.status, relatedId: rxId, responseBody: clip(r.body) });
+        return res.status(r.status >= 400 ? r.status : 502).json(typeof r.body === "object" && r.body ? r.body : { error: "export_failed", detail: String(r.body || "") });
+      }
+      let members = getOslcMembers(r.body);
+      if (page === 1) {
+        const t = Number(r.body?.["oslc:responseInfo"]?.["oslc:totalCount"] ?? r.body?.responseInfo?.totalCount ?? r.body?.totalCount);
+        if (Number.isFinite(t)) total = t;
+        columns = exportColumns(r.body?._mcp?.query?.select || "");
+        if (!columns.length) columns = dataColumns(members);
+      }
+      if (redaction.enabled) members = applyRedactionPolicy(members, redaction).payload;
+      rows.push(...projectExportRows(members, columns).slice(0, maxRows - rows.length));
+      if (members.length < pageSize || (total !== undefined && rows.length >= total)) break;
+    }
+
+    const truncated = total !== undefined ? rows.length < total : rows.length >= maxRows;
+    const file = writeExport(format, columns || [], rows, { sheetName: os });
+    const stamp = new Date().toISOString().slice(0, 10);
+    const base = String(req.body?.filename || `${os}-${stamp}`).replace(/[^A-Za-z0-9._-]+/g, "_").replace(/\.(csv|xlsx|jsonl)$/i, "").slice(0, 120) || "export";
+
+    pushLog({
+      kind: "tx_agent",
+      title: `200 /mcp/export (${format}, ${rows.length} rows${truncated ? ", truncated" : ""})`,
+      tenant: tenantId,
+      status: 200,
+      relatedId: rxId,
+      responseBody: clip({ os, format, rows: rows.length, total, truncated, columns, redacted: redaction.enabled }),
+    });
+    res.setHeader("content-type", file.contentType);
+    res.setHeader("content-disposition", `attachment; filename="${base}.${file.extension}"`);
+    res.setHeader("x-export-rows", String(rows.length));
+    if (total !== undefined) res.setHeader("x-export-total", String(total));
+    res.setHeader("x-export-truncated", truncated ? "1" : "0");
+    res.setHeader("x-export-redacted", redaction.enabled ? "1" : "0");
+    return res.send(file.body);
+  } catch (e) {
+    pushLog({ kind: "tx_agent", title: "500 /mcp/export", tenant: tenantId, status: 500, relatedId: rxId, responseBody: String(e?.message || e) });
+    return res.status(500).json({ error: "export_failed", detail: String(e?.message || e) });
+  }
+});
+
+// -------------------- Alert rules --------------------
+// Rules (alerts.mjs) re-run a maximo_queryOS query every intervalMinutes and post to webhooks when the condition
+// holds: a count threshold, or records that are new / changed since the previous evaluation (tracked by
+// oslcMemberKey). State (breach streak, seen record keys, pending records held back by the cooldown) survives restarts.
+// Files under DATA_DIR: alerts_<tenant>.json (rules), alert_state_<tenant>.json, alert_events_<tenant>.json (history).
+const ALERTS_TICK_MS = Number(process.env.ALERTS_TICK_MS || 60000);
+const ALERT_MAX_RECORDS = Number(process.env.ALERT_MAX_RECORDS || 2000);
+const ALERT_EVENTS_MAX = Number(process.env.ALERT_EVENTS_MAX || 500);
+const ALERT_WEBHOOK_TIMEOUT_MS = Number(process.env.ALERT_WEBHOOK_TIMEOUT_MS || 10000);
+const ALERTS_RUNNING = new Set(); // `${tenant}:${ruleId}` currently being evaluated
+
+const alertsPath = (tenantId) => path.join(DATA_DIR, `alerts_${tenantId}.json`);
+const alertStatePath = (tenantId) => path.join(DATA_DIR, `alert_state_${tenantId}.json`);
+const alertEventsPath = (tenantId) => path.join(DATA_DIR, `alert_events_${tenantId}.json`);
+
+function readAlertRules(tenantId) {
+  const j = readJsonFile(alertsPath(tenantId));
+  return Array.isArray(j?.alerts) ? j.alerts : [];
+}
+function writeAlertRules(tenantId, list) {
+  writeJsonAtomic(alertsPath(tenantId), { alerts: list || [] });
+}
+function readAlertState(tenantId) {
+  const j = readJsonFile(alertStatePath(tenantId));
+  return j?.state && typeof j.state === "object" ? j.state : {};
+}
+function saveAlertState(tenantId, ruleId, state) {
+  const all = readAlertState(tenantId);
+  if (state) all[ruleId] = state;
+  else delete all[ruleId];
+  writeJsonAtomic(alertStatePath(tenantId), { state: all });
+}
+function readAlertEvents(tenantId) {
+  const j = readJsonFile(alertEventsPath(tenantId));
+  return Array.isArray(j?.events) ? j.events : [];
+}
+function appendAlertEvent(tenantId, evt) {
+  const list = readAlertEvents(tenantId);
+  list.push(evt);
+  writeJsonAtomic(alertEventsPath(tenantId), { events: list.slice(-ALERT_EVENTS_MAX) });
+  return evt;
+}
+
+// Rule as listed to the UI: the stored rule plus a state summary (no tracked keys).
+function alertRuleView(rule, state) {
+  const s = state || {};
+  return {
+    ...rule,
+    state: {
+      lastEvaluatedAt: s.lastEvaluatedAt || null,
+      lastStatus: s.lastStatus || (rule.enabled ? "new" : "disabled"),
+      lastCount: s.lastCount ?? null,
+      lastError: s.lastError || "",
+      lastNotifiedAt: s.lastNotifiedAt || null,
+      pending: Array.isArray(s.pending) ? s.pending.length : 0,
+      tracked: s.seen ? Object.keys(s.seen).length : 0,
+      truncated: !!s.truncated,
+    },
+  };
+}
+
+// Count rules without an age filter only need totalCount; everything else pages through the records.
+async function runAlertQuery(tenantId, rule) {
+  const params = { ...(rule.args.params || {}) };
+  delete params.pageno;
+  delete params["oslc.pageSize"];
+  const call = async (extra) => {
+    const r = await invokeMcpCall({ tenant: tenantId, name: "maximo_queryOS", args: { ...rule.args, rawResponse: true, ...extra }, meta: { alert: rule.id } });
+    if (r.status < 200 || r.status >= 300 || !r.body || typeof r.body !== "object") {
+      throw new Error(`maximo_queryOS returned ${r.status}: ${clip(r.body, 300)}`);
+    }
+    return r.body;
+  };
+  const totalOf = (body) => Number(body?.["oslc:responseInfo"]?.["oslc:totalCount"] ?? body?.responseInfo?.totalCount ?? body?.totalCount);
+
+  if (rule.condition.type === "count" && !rule.age) {
+    const body = await call({ pageSize: 1, params: { ...params, collectioncount: "1" } });
+    const total = totalOf(body);
+    if (!Number.isFinite(total)) throw new Error("Maximo did not report totalCount for the count query");
+    return { count: total, members: [], truncated: false };
+  }
+
+  const pageSize = Math.min(exportPageSize(), ALERT_MAX_RECORDS);
+  const members = [];
+  let total;
+  for (let page = 1; members.length < ALERT_MAX_RECORDS; page++) {
+    const body = await call({ page, pageSize, params: page === 1 ? { ...params, collectioncount: "1" } : params });
+    const batch = getOslcMembers(body);
+    if (page === 1 && Number.isFinite(totalOf(body))) total = totalOf(body);
+    members.push(...batch.slice(0, ALERT_MAX_RECORDS - members.length));
+    if (batch.length < pageSize || (total !== undefined && members.length >= total)) break;
+  }
+  const kept = dedupeOslcMembers(rule.args.os, filterByAge(members, rule.age));
+  return { count: rule.age ? kept.length : (total ?? kept.length), members: kept, truncated: total !== undefined && members.length < total };
+}
+
+async function postAlertWebhooks(rule, payload) {
+  const out = [];
+  for (const w of rule.webhooks || []) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), ALERT_WEBHOOK_TIMEOUT_MS);
+    try {
+      const r = await fetch(w.url, { method: "POST", headers: { "content-type": "application/json", ...(w.headers || {}) }, body: JSON.stringify(payload), signal: ctrl.signal });
+      const text = await r.text().catch(() => "");
+      out.push(r.ok ? { url: w.url, status: r.status } : { url: w.url, status: r.status, error: `HTTP ${r.status}: ${text.slice(0, 200)}` });
+    } catch (e) {
+      out.push({ url: w.url, status: 0, error: e?.name === "AbortError" ? "timeout" : String(e?.message || e) });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  return out;
+}
+
+/**
+ * Evaluates one rule now: query, condition, state update and (when it fires) webhooks.
+ * Returns the event recorded for this evaluation, or { status: "ok" | "pending" | "firing" } when nothing was sent.
+ */
+async function evaluateAlertRule(tenantId, rule, { trigger = "interval" } = {}) {
+  const lock = `${tenantId}:${rule.id}`;
+  if (ALERTS_RUNNING.has(lock)) return { status: "busy" };
+  ALERTS_RUNNING.add(lock);
+  const prev = readAlertState(tenantId)[rule.id] || {};
+  const started = Date.now();
+  try {
+    let obs;
+    try {
+      obs = await runAlertQuery(tenantId, rule);
+    } catch (e) {
+      const error = String(e?.message || e);
+      saveAlertState(tenantId, rule.id, { ...prev, lastEvaluatedAt: new Date(started).toISOString(), lastStatus: "error", lastError: error });
+      pushLog({ kind: "warn", title: `alert ${rule.name}: query failed`, tenant: tenantId, meta: { alert: rule.id, trigger }, responseBody: error });
+      // Record a failure once, not on every interval while Maximo stays down.
+      const evt = { id: uuid(), alertId: rule.id, alertName: rule.name, at: new Date().toISOString(), trigger, status: "error", error };
+      if (prev.lastStatus !== "error" || prev.lastError !== error || trigger === "manual") appendAlertEvent(tenantId, evt);
+      return evt;
+    }
+
+    const records = trackRecords(rule.args.os, obs.members, rule, oslcMemberKey);
+    const { state, event } = evaluateAlert(rule, prev, { count: obs.count, records }, started);
+    saveAlertState(tenantId, rule.id, { ...state, truncated: obs.truncated });
+    if (!event) return { status: state.lastStatus, count: obs.count };
+
+    // Webhook bodies leave the system: apply the redaction policy when it is enabled (either mode).
+    const redaction = getRedactionPolicy();
+    const ev = redaction.enabled ? { ...event, records: applyRedactionPolicy(event.records, redaction).payload } : event;
+    const delivery = await postAlertWebhooks(rule, alertPayload(rule, ev, { tenant: tenantId }));
+    const failed = delivery.filter((d) => d.error);
+    pushLog({
+      kind: "info",
+      title: `alert ${rule.name}: ${event.status}${failed.length ? ` (${failed.length} webhook error(s))` : ""}`,
+      tenant: tenantId,
+      meta: { alert: rule.id, trigger },
+      responseBody: clip({ count: event.count, records: event.records.length, delivery }),
+    });
+    return appendAlertEvent(tenantId, {
+      id: uuid(),
+      alertId: rule.id,
+      alertName: rule.name,
+      at: new Date().toISOString(),
+      trigger,
+      status: event.status,
+      count: event.count,
+      records: event.records.length,
+      keys: event.keys.slice(0, 50),
+      delivery,
+      ...(failed.length ? { error: failed.map((d) => `${d.url}: ${d.error}`).join("; ") } : {}),
+    });
+  } finally {
+    ALERTS_RUNNING.delete(lock);
+  }
+}
+
+async function evaluateDueAlerts() {
+  refreshTenants();
+  for (const tenantId of Object.keys(TENANTS)) {
+    const state = readAlertState(tenantId);
+    for (const rule of readAlertRules(tenantId)) {
+      if (!rule?.enabled) continue;
+      const last = Date.parse(state[rule.id]?.lastEvaluatedAt || "");
+      if (Number.isFinite(last) && Date.now() - last < rule.intervalMinutes * 60 * 1000) continue;
+      try {
+        await evaluateAlertRule(tenantId, rule);
+      } catch (e) {
+        pushLog({ kind: "warn", title: `alert ${rule.name}: evaluation failed`, tenant: tenantId, responseBody: String(e?.message || e) });
+      }
+    }
+  }
+}
+
+function alertErrorResponse(res, e) {
+  if (e?.code === "invalid_alert") return res.status(400).json({ error: "invalid_alert", detail: e.message });
+  return res.status(500).json({ error: "alert_failed", detail: String(e?.message || e) });
+}
+
+app.get("/api/alerts", (req, res) => {
+  const tenantId = String(req.query.tenant || "default");
+  const state = readAlertState(tenantId);
+  res.json({ tenant: tenantId, alerts: readAlertRules(tenantId).map((r) => alertRuleView(r, state[r.id])) });
+});
+
+// Newest first; ?alert=<id> for one rule.
+app.get("/api/alerts/events", (req, res) => {
+  const tenantId = String(req.query.tenant || "default");
+  const alertId = String(req.query.alert || "").trim();
+  const limit = Math.max(1, Math.min(Number(req.query.limit) || 100, ALERT_EVENTS_MAX));
+  const events = readAlertEvents(tenantId).filter((e) => !alertId || e.alertId === alertId).reverse().slice(0, limit);
+  res.json({ tenant: tenantId, events });
+});
+
+app.post("/api/alerts", requireAdmin(), (req, res) => {
+  const tenantId = String(req.body?.tenant || req.query?.tenant || "default");
+  try {
+    const rule = normalizeAlertRule(req.body?.alert || req.body, { user: req.user?.username });
+    writeAlertRules(tenantId, [...readAlertRules(tenantId), rule]);
+    return res.status(201).json({ ok: true, tenant: tenantId, alert: alertRuleView(rule) });
+  } catch (e) {
+    return alertErrorResponse(res, e);
+  }
+});
+
+app.put("/api/alerts/:id", requireAdmin(), (req, res) => {
+  const tenantId = String(req.body?.tenant || req.query?.tenant || "default");
+  const all = readAlertRules(tenantId);
+  const idx = all.findIndex((r) => r.id === req.params.id);
+  if (idx < 0) return res.status(404).json({ error: "alert_not_found" });
+  try {
+    const before = all[idx];
+    const rule = normalizeAlertRule(req.body?.alert || req.body, { existing: before });
+    all[idx] = rule;
+    writeAlertRules(tenantId, all);
+    // A different query or condition makes the tracked records meaningless: start over (re-baseline).
+    if (alertQueryChanged(before, rule) || req.body?.resetState === true) {
+      saveAlertState(tenantId, rule.id, null);
+    }
+    return res.json({ ok: true, tenant: tenantId, alert: alertRuleView(rule, readAlertState(tenantId)[rule.id]) });
+  } catch (e) {
+    return alertErrorResponse(res, e);
+  }
+});
+
+app.delete("/api/alerts/:id", requireAdmin(), (req, res) => {
+  const tenantId = String(req.query?.tenant || req.body?.tenant || "default");
+  const all = readAlertRules(tenantId);
+  if (!all.some((r) => r.id === req.params.id)) return res.status(404).json({ error: "alert_not_found" });
+  writeAlertRules(tenantId, all.filter((r) => r.id !== req.params.id));
+  saveAlertState(tenantId, req.params.id, null);
+  return res.json({ ok: true });
+});
+
+// Evaluate now (state and webhooks as on the interval), or { test: true } to post a sample payload only.
+app.post("/api/alerts/:id/evaluate", requireAdmin(), async (req, res) => {
+  const tenantId = String(req.body?.tenant || req.query?.tenant || "default");
+  const rule = readAlertRules(tenantId).find((r) => r.id === req.params.id);
+  if (!rule) return res.status(404).json({ error: "alert_not_found" });
+  try {
+    if (req.body?.test === true) {
+      const delivery = await postAlertWebhooks(rule, alertPayload(rule, { status: "fired", count: 0, records: [] }, { tenant: tenantId, test: true }));
+      return res.json({ ok: delivery.every((d) => !d.error), test: true, delivery });
+    }
+    const result = await evaluateAlertRule(tenantId, rule, { trigger: "manual" });
+    const state = readAlertState(tenantId)[rule.id];
+    return res.json({ ok: result.status !== "error", result, alert: alertRuleView(rule, state) });
+  } catch (e) {
+    return alertErrorResponse(res, e);
+  }
+});
+
+if (MCP_TRANSPORT !== "stdio" && ALERTS_TICK_MS > 0 && !["0", "false", "off"].includes(String(process.env.ALERTS_ENABLED || "").toLowerCase())) {
+  let ticking = false;
+  setInterval(() => {
+    if (ticking) return;
+    ticking = true;
+    evaluateDueAlerts().catch(() => {}).finally(() => { ticking = false; });
+  }, ALERTS_TICK_MS).unref();
+}
+
+// -------------------- Token usage --------------------
+// The app reports every LLM call (provider-reported tokens, or a local estimate flagged `estimated`) to
+// POST /api/usage; records are priced with the admin price table at ingest and kept in a per-day JSONL
+// ledger (usage.mjs) under DATA_DIR/usage for USAGE_RETENTION_DAYS (default 90).
+const USAGE_RETENTION_DAYS = Number(process.env.USAGE_RETENTION_DAYS || 90);
+const USAGE_MAX_BATCH = 500;
+const usagePricesPath = () => path.join(DATA_DIR, "usage_prices.json");
+let _usageLedger = null;
+
+function usageLedger() {
+  if (!_usageLedger) _usageLedger = createUsageLedger({ dir: path.join(DATA_DIR, "usage"), retentionDays: USAGE_RETENTION_DAYS });
+  return _usageLedger;
+}
+
+// Tokens used today (UTC) per user and tenant, for the dailyTokens limits: rebuilt from the ledger when the day
+// changes, then kept current by POST /api/usage.
+let usageToday = { day: "", users: new Map(), tenants: new Map() };
+
+function countUsageToday(records) {
+  for (const r of records) {
+    if (new Date(r.ts).toISOString().slice(0, 10) !== usageToday.day) continue;
+    if (r.user) usageToday.users.set(r.user, (usageToday.users.get(r.user) || 0) + (r.totalTokens || 0));
+    usageToday.tenants.set(r.tenant, (usageToday.tenants.get(r.tenant) || 0) + (r.totalTokens || 0));
+  }
+}
+
+function tokensToday({ tenant, user }) {
+  const day = new Date().toISOString().slice(0, 10);
+  if (usageToday.day !== day) {
+    usageToday = { day, users: new Map(), tenants: new Map() };
+    countUsageToday(usageLedger().query({ from: Date.parse(day) }));
+  }
+  return { user: user ? usageToday.users.get(user) || 0 : 0, tenant: usageToday.tenants.get(tenant) || 0 };
+}
+
+function readUsagePrices() {
+  try {
+    return normalizePriceTable(readJsonFile(usagePricesPath()) || {});
+  } catch (e) {
+    console.error("usage prices invalid, ignoring:", String(e?.message || e));
+    return normalizePriceTable({});
+  }
+}
+
+function usageErrorResponse(res, e) {
+  if (e?.code === "invalid_usage") return res.status(400).json({ error: "invalid_usage", detail: e.message });
+  return res.status(500).json({ error: "usage_failed", detail: String(e?.message || e) });
+}
+
+// Internal (app) or admin: { records: [{ ts, tenant, user, provider, model, operation, inputTokens, outputTokens, estimated, conversationId? }] }
+app.post("/api/usage", requireInternalOrAdmin(), (req, res) => {
+  const raw = Array.isArray(req.body?.records) ? req.body.records : req.body && typeof req.body === "object" ? [req.body] : [];
+  if (!raw.length) return res.status(400).json({ error: "invalid_usage", detail: "records[] is required" });
+  if (raw.length > USAGE_MAX_BATCH) return res.status(413).json({ error: "too_many_records", max: USAGE_MAX_BATCH });
+  try {
+    const prices = readUsagePrices();
+    const records = raw.map((r) => normalizeUsageRecord(r, { prices }));
+    usageLedger().append(records);
+    if (usageToday.day) countUsageToday(records);
+    return res.json({ ok: true, accepted: records.length });
+  } catch (e) {
+    return usageErrorResponse(res, e);
+  }
+});
+
+// ?days=30 (or from/to ISO), tenant=, user=. Non-admin users only ever see their own usage.
+app.get("/api/usage/summary", (req, res) => {
+  const now = Date.now();
+  const days = Math.max(1, Math.min(Number(req.query.days) || 30, USAGE_RETENTION_DAYS));
+  const to = Date.parse(String(req.query.to || "")) || now;
+  const from = Date.parse(String(req.query.from || "")) || to - days * 24 * 60 * 60 * 1000;
+  const isAdmin = String(req.user?.role || "").toLowerCase() === "admin";
+  const tenant = String(req.query.tenant || "").trim() || undefined;
+  const user = isAdmin ? String(req.query.user || "").trim() || undefined : String(req.user?.username || "");
+  try {
+    const ledger = usageLedger();
+    const prices = readUsagePrices();
+    const d = new Date(now);
+    const monthStart = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+    const records = ledger.query({ from, to, tenant, user });
+    const monthRecords = ledger.query({ from: monthStart, to: now, tenant, user });
+    return res.json({
+      scope: { tenant: tenant || null, user: user || null },
+      tokenizer: tokenizerInfo(),
+      ...summarizeUsage(records, { from, to, prices, monthRecords, now }),
+    });
+  } catch (e) {
+    return usageErrorResponse(res, e);
+  }
+});
+
+app.get("/api/usage/prices", (_req, res) => {
+  res.json(readUsagePrices());
+});
+
+app.put("/api/usage/prices", requireAdmin(), (req, res) => {
+  try {
+    const prices = normalizePriceTable(req.body?.prices || req.body || {});
+    writeJsonAtomic(usagePricesPath(), prices);
+    return res.json({ ok: true, prices });
+  } catch (e) {
+    return usageErrorResponse(res, e);
+  }
+});
+
+if (MCP_TRANSPORT !== "stdio") {
+  setInterval(() => { try { usageLedger().prune(); } catch {} }, 6 * 60 * 60 * 1000).unref();
+}
+
+// -------------------- Limits --------------------
+// Per-tenant and per-user limits (limits.mjs), stored in DATA_DIR/limits.json and edited on the Settings page.
+// Maximo limits are enforced here; the app asks POST /api/limits/check before each agent chat request
+// (chatPerMinute, dailyTokens), so the counters are shared by all app replicas.
+const limitsPath = () => path.join(DATA_DIR, "limits.json");
+let _limits = null;
+
+function readLimits() {
+  if (_limits) return _limits;
+  try {
+    _limits = normalizeLimits(readJsonFile(limitsPath()) || {});
+  } catch (e) {
+    console.error("limits invalid, ignoring:", String(e?.message || e));
+    _limits = normalizeLimits({});
+  }
+  return _limits;
+}
+
+const limiter = createLimiter({ getConfig: readLimits, tokensToday });
+
+// Who a request counts against. The app calls with the internal token on behalf of its logged-in user
+// (x-acting-user) and tags the calls of one chat request with x-chat-id.
+function limitSubject(req, tenant) {
+  const internal = req.user?.username === "internal";
+  return {
+    tenant: String(tenant || "default"),
+    user: String((internal ? req.headers?.["x-acting-user"] : req.user?.username) || "").trim(),
+    chatId: String(req.headers?.["x-chat-id"] || "").trim().slice(0, 80),
+  };
+}
+
+// MAX_PAGE_SIZE (0 = no cap), lowered by the tenant / user maxPageSize limit.
+function pageSizeCap(req, tenantId) {
+  const caps = [Number(process.env.MAX_PAGE_SIZE || 2000), limiter.maxPageSize(limitSubject(req, tenantId))]
+    .filter((n) => Number.isFinite(n) && n > 0);
+  return caps.length ? Math.min(...caps) : 0;
+}
+
+function limitRefusalResult(refusal, { tenant, path: p }) {
+  pushLog({ kind: "warn", title: `429 ${p} (${refusal.error})`, tenant, status: 429, responseBody: refusal });
+  return { status: 429, body: refusal };
+}
+
+function sendLimitRefusal(res, refusal, ctx) {
+  const out = limitRefusalResult(refusal, ctx);
+  if (refusal.retryAfter) res.setHeader("Retry-After", String(refusal.retryAfter));
+  return res.status(out.status).json(out.body);
+}
+
+// Route guard for tool calls that reach Maximo (maximoPerMinute, maxMaximoCallsPerChat).
+function maximoLimits() {
+  return (req, res, next) => {
+    const tenant = String(req.body?.tenant || req.query?.tenant || "default");
+    const refusal = limiter.checkMaximo(limitSubject(req, tenant));
+    return refusal ? sendLimitRefusal(res, refusal, { tenant, path: req.path }) : next();
+  };
+}
+
+app.get("/api/limits", requireInternalOrAdmin(), (_req, res) => {
+  res.json({ limits: readLimits(), activity: limiter.activity() });
+});
+
+app.put("/api/limits", requireAdmin(), (req, res) => {
+  try {
+    const limits = normalizeLimits(req.body?.limits || req.body || {});
+    writeJsonAtomic(limitsPath(), limits);
+    _limits = limits;
+    pushLog({ kind: "info", title: "limits updated", meta: { by: req.user?.username } });
+    return res.json({ ok: true, limits });
+  } catch (e) {
+    if (e?.code === "invalid_limits") return res.status(400).json({ error: "invalid_limits", detail: e.message });
+    return res.status(500).json({ error: "limits_failed", detail: String(e?.message || e) });
+  }
+});
+
+// App -> MCP, before an agent chat request: { tenant, user } -> 200 { ok: true } or the 429 refusal.
+app.post("/api/limits/check", requireInternalOrAdmin(), (req, res) => {
+  const tenant = String(req.body?.tenant || "default");
+  const user = String(req.body?.user || "").trim();
+  const refusal = limiter.checkChat({ tenant, user });
+  if (refusal) return sendLimitRefusal(res, refusal, { tenant, path: "/api/agent/chat" });
+  return res.json({ ok: true });
+});
+
+// -------------------- MCP JSON-RPC endpoint (Streamable HTTP) (NEW) --------------------
+// Standard MCP clients connect to POST /mcp (JSON-RPC 2.0). /mcp/tools and /mcp/call remain for the AI Agent.
+// The tenant is taken from ?tenant=<id> (or the x-tenant header) on initialize and pinned to the session.
+const MCP_SERVER_VERSION = String(process.env.npm_package_version || "0.1.0");
+const MCP_SESSION_TTL_MS = Number(process.env.MCP_SESSION_TTL_MS || 30 * 60 * 1000);
+const MCP_SSE_KEEPALIVE_MS = Number(process.env.MCP_SSE_KEEPALIVE_MS || 15000);
+// Optional DNS-rebinding guard: comma-separated list of browser origins allowed to call /mcp.
+const MCP_ALLOWED_ORIGINS = String(process.env.MCP_ALLOWED_ORIGINS || "").split(",").map((s) => s.trim()).filter(Boolean);
+const MCP_SESSIONS = new Map(); // sessionId -> { id, tenant, origin, protocolVersion, clientInfo, createdAt, lastSeen, streams }
+
+function sweepMcpSessions() {
+  const now = Date.now();
+  for (const [id, s] of MCP_SESSIONS.entries()) {
+    if (now - s.lastSeen > MCP_SESSION_TTL_MS) {
+      for (const r of s.streams) { try { r.end(); } catch {} }
+      MCP_SESSIONS.delete(id);
+      MCP_RESOURCE_SUBSCRIBERS.delete(s);
+    }
+  }
+}
+
+function newMcpSession(req, { persistent }) {
+  const s = {
+    id: persistent ? uuid() : "",
+    tenant: String(req.query?.tenant || req.headers["x-tenant"] || "default"),
+    user: String(req.user?.username || ""),
+    origin: requestOrigin(req),
+    protocolVersion: "",
+    clientInfo: null,
+    createdAt: Date.now(),
+    lastSeen: Date.now(),
+    streams: new Set(),
+    subscriptions: new Set(),
+    // Server-initiated messages go out on the session's GET /mcp stream(s), if any are open.
+    notify: (msg) => {
+      for (const r of s.streams) { try { mcpSseWrite(r, msg); } catch {} }
+    },
+  };
+  if (persistent) MCP_SESSIONS.set(s.id, s);
+  return s;
+}
+
+function mcpSseWrite(res, msg) {
+  res.write(`event: message\ndata: ${JSON.stringify(msg)}\n\n`);
+}
+
+// ---------- MCP resources: Object Structure schemas/relations + domain values ----------
+// URIs:
+//   maximo://<tenant>/os/<os>/schema      fields (+ OpenAPI types when available) via fetchOsFields/fetchOasDoc
+//   maximo://<tenant>/os/<os>/relations   relationship properties via fetchOsRelations
+//   maximo://<tenant>/domain/<DOMAINID>   synonym (or ALN) domain values
+// Resources are scoped to the session tenant and honour the per-tenant OS allowlist.
+const MCP_RESOURCE_POLL_MS = Number(process.env.MCP_RESOURCE_POLL_MS || 5 * 60 * 1000);
+const MCP_RESOURCE_DEFAULT_OS = ["mxapiwo", "mxapisr", "mxapiasset", "mxapilocations", "mxapipm"];
+const MCP_RESOURCE_DEFAULT_DOMAINS = ["ASSETSTATUS", "WOSTATUS", "SRSTATUS"];
+const MCP_RESOURCE_SUBSCRIBERS = new Set(); // sessions with at least one resource subscription
+const MCP_RESOURCE_FINGERPRINTS = new Map(); // uri -> sha1 of the last content sent/read for subscribers
+
+function parseMaximoResourceUri(uri) {
+  const s = String(uri || "").trim();
+  let m = s.match(/^maximo:\/\/([^/]+)\/os\/([^/]+)\/(schema|relations)$/i);
+  if (m) return { tenant: decodeURIComponent(m[1]), kind: m[3].toLowerCase(), os: decodeURIComponent(m[2]).toLowerCase() };
+  m = s.match(/^maximo:\/\/([^/]+)\/domain\/([^/]+)$/i);
+  if (m) return { tenant: decodeURIComponent(m[1]), kind: "domain", domain: decodeURIComponent(m[2]).toUpperCase() };
+  return null;
+}
+
+function maximoResourceUri(tenant, ...parts) {
+  return `maximo://${encodeURIComponent(tenant)}/${parts.map((p) => encodeURIComponent(p)).join("/")}`;
+}
+
+function listMcpResources({ session }) {
+  const tenantId = session?.tenant || "default";
+  const allowlist = readAllowlist(tenantId);
+  const osNames = new Set((allowlist && allowlist.length ? allowlist : MCP_RESOURCE_DEFAULT_OS).map((x) => String(x).toLowerCase()));
+  for (const st of readSavedTools(tenantId)) {
+    const os = String(st?.os || "").trim().toLowerCase();
+    if (os && st?.enabled !== false && isAllowedOs(tenantId, os, allowlist)) osNames.add(os);
+  }
+  const out = [];
+  for (const os of Array.from(osNames).sort()) {
+    out.push({ uri: maximoResourceUri(tenantId, "os", os, "schema"), name: `${os} schema`, description: `Fields of Object Structure ${os} (names, and types when the OpenAPI spec provides them).`, mimeType: "application/json" });
+    out.push({ uri: maximoResourceUri(tenantId, "os", os, "relations"), name: `${os} relations`, description: `Relationship properties of ${os} and their fields.`, mimeType: "application/json" });
+  }
+  for (const d of MCP_RESOURCE_DEFAULT_DOMAINS) {
+    out.push({ uri: maximoResourceUri(tenantId, "domain", d), name: `${d} domain`, description: `Values (and synonyms) of the ${d} domain.`, mimeType: "application/json" });
+  }
+  return out;
+}
+
+function listMcpResourceTemplates({ session }) {
+  const tenantId = encodeURIComponent(session?.tenant || "default");
+  return [
+    { uriTemplate: `maximo://${tenantId}/os/{os}/schema`, name: "Object Structure schema", description: "Field names (and OpenAPI types) of a Maximo Object Structure, e.g. mxapiwo.", mimeType: "application/json" },
+    { uriTemplate: `maximo://${tenantId}/os/{os}/relations`, name: "Object Structure relations", description: "Relationship properties of a Maximo Object Structure and the fields they expose.", mimeType: "application/json" },
+    { uriTemplate: `maximo://${tenantId}/domain/{domainId}`, name: "Domain values", description: "Values of a Maximo synonym or ALN domain, e.g. ASSETSTATUS.", mimeType: "application/json" },
+  ];
+}
+
+async function readMcpResource({ session, uri }) {
+  const ref = parseMaximoResourceUri(uri);
+  if (!ref) return null;
+  const tenantId = session?.tenant || "default";
+  if (ref.tenant !== tenantId) {
+    throw rpcError(JSONRPC_INVALID_PARAMS, `Resource tenant ${ref.tenant} does not match session tenant ${tenantId}`);
+  }
+  const t = tenantOrThrow(tenantId, session?.origin || "");
+  const rxId = pushLog({ kind: "rx_agent", title: "MCP resources/read", tenant: tenantId, meta: { uri } });
+
+  if (ref.kind === "schema" || ref.kind === "relations") {
+    if (!isAllowedOs(tenantId, ref.os)) throw rpcError(JSONRPC_INVALID_PARAMS, `OS not allowed by allowlist: ${ref.os}`);
+
+    if (ref.kind === "relations") {
+      const rels = await fetchOsRelations({ tenantId, t, os: ref.os });
+      const relations = Array.from(rels.values())
+        .map((r) => ({ name: r.name, fields: Array.from(r.fields).sort() }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      return { mimeType: "application/json", json: { tenant: tenantId, os: ref.os, relations } };
+    }
+
+    const fields = await fetchOsFields({ tenantId, t, os: ref.os, rxId });
+    let types = null;
+    try { types = extractFieldTypesFromOas(await fetchOasDoc({ tenantId, t }), ref.os); } catch {}
+    const names = Array.from(fields || []).sort();
+    return {
+      mimeType: "application/json",
+      json: {
+        tenant: tenantId,
+        os: ref.os,
+        source: types ? "oas" : (names.length ? "probe" : "unknown"),
+        fieldCount: names.length,
+        // With OpenAPI types, names without scalar metadata are relationship properties (see /relations).
+        fields: names.map((name) => (types ? (types[name] ? { name, ...types[name] } : { name, relationship: true }) : { name })),
+      },
+    };
+  }
+
+  // Domains: try the synonym domain first (status domains), then ALN.
+  const syn = await loadSynonymDomainMap(t, tenantId, rxId, undefined, ref.domain);
+  if (syn && Object.keys(syn).length) {
+    const byValue = new Map();
+    for (const [k, v] of Object.entries(syn)) {
+      if (!byValue.has(v)) byValue.set(v, new Set());
+      if (normalizeKey(v) !== k) byValue.get(v).add(k);
+    }
+    const values = Array.from(byValue.entries())
+      .map(([value, keys]) => ({ value, synonyms: Array.from(keys).sort() }))
+      .sort((a, b) => a.value.localeCompare(b.value));
+    return { mimeType: "application/json", json: { tenant: tenantId, domain: ref.domain, type: "synonym", values } };
+  }
+  const aln = await loadAlnDomainMap(t, tenantId, rxId, undefined, ref.domain);
+  const values = Array.from(new Set(Object.values(aln || {}))).sort().map((value) => ({ value }));
+  return { mimeType: "application/json", json: { tenant: tenantId, domain: ref.domain, type: values.length ? "aln" : "unknown", values } };
+}
+
+function mcpResourceFingerprint(out) {
+  return crypto.createHash("sha1").update(JSON.stringify(out?.json ?? out?.text ?? "")).digest("hex");
+}
+
+async function subscribeMcpResource({ session, uri }) {
+  // Reading validates the URI (tenant, allowlist) and records the baseline for change detection.
+  const out = await readMcpResource({ session, uri });
+  if (!out) throw rpcError(JSONRPC_INVALID_PARAMS, `Unknown resource: ${uri}`);
+  MCP_RESOURCE_FINGERPRINTS.set(uri, mcpResourceFingerprint(out));
+  MCP_RESOURCE_SUBSCRIBERS.add(session);
+}
+
+// Metadata is cached (NLQ_METADATA_TTL_MS / NLQ_OAS_TTL_MS); re-read subscribed resources periodically and
+// send notifications/resources/updated when the content changed (e.g. after a metadata refresh).
+async function pollMcpResourceSubscriptions() {
+  const byUri = new Map(); // uri -> sessions
+  for (const s of MCP_RESOURCE_SUBSCRIBERS) {
+    if (!s.id || !s.subscriptions || !s.subscriptions.size) { MCP_RESOURCE_SUBSCRIBERS.delete(s); continue; }
+    for (const uri of s.subscriptions) {
+      if (!byUri.has(uri)) byUri.set(uri, []);
+      byUri.get(uri).push(s);
+    }
+  }
+  for (const [uri, sessions] of byUri.entries()) {
+    try {
+      const out = await readMcpResource({ session: sessions[0], uri });
+      if (!out) continue;
+      const fp = mcpResourceFingerprint(out);
+      if (MCP_RESOURCE_FINGERPRINTS.get(uri) === fp) continue;
+      MCP_RESOURCE_FINGERPRINTS.set(uri, fp);
+      for (const s of sessions) {
+        try { s.notify?.({ jsonrpc: "2.0", method: "notifications/resources/updated", params: { uri } }); } catch {}
+      }
+    } catch {}
+  }
+}
+
+if (MCP_RESOURCE_POLL_MS > 0) {
+  setInterval(() => { pollMcpResourceSubscriptions().catch(() => {}); }, MCP_RESOURCE_POLL_MS).unref();
+}
+
+// ---------- MCP prompts: concept chips + saved tools ----------
+// The same guided starters the AI Agent shows via AssistiveChips (GET /mcp/concepts ui.chips), plus one
+// prompt per enabled saved tool. Arguments are optional and validated on prompts/get:
+//   site, asset, status (strings)   from, to (YYYY-MM-DD, inclusive)
+const MCP_PROMPT_DATE_FIELDS = ["changedate", "reportdate", "statusdate", "createdate"];
+
+function promptSlug(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 56);
+}
+
+function promptArgumentsFor(supported) {
+  const out = [];
+  if (supported.site) out.push({ name: "site", description: "Maximo siteid (string, e.g. BEDFORD). Defaults to the tenant's default site.", required: false });
+  if (supported.asset) out.push({ name: "asset", description: "Asset number (string), e.g. 11430.", required: false });
+  if (supported.status) out.push({ name: "status", description: "Maximo status code (string), e.g. WAPPR, APPR, INPROG.", required: false });
+  if (supported.dateRange) {
+    out.push({ name: "from", description: "Start date, inclusive (YYYY-MM-DD).", required: false });
+    out.push({ name: "to", description: "End date, inclusive (YYYY-MM-DD).", required: false });
+  }
+  return out;
+}
+
+function validatePromptArgs(args, supported) {
+  const clean = {};
+  const str = (v) => String(v ?? "").replace(/["\\]/g, "").trim();
+  for (const [k, v] of Object.entries(args || {})) {
+    if (v === undefined || v === null || String(v).trim() === "") continue;
+    if (k === "site" && supported.site) clean.site = str(v).toUpperCase();
+    else if (k === "asset" && supported.asset) clean.asset = str(v).toUpperCase();
+    else if (k === "status" && supported.status) clean.status = str(v).toUpperCase();
+    else if ((k === "from" || k === "to") && supported.dateRange) {
+      const d = String(v).trim();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(d) || Number.isNaN(Date.parse(`${d}T00:00:00Z`))) {
+        throw rpcError(JSONRPC_INVALID_PARAMS, `Argument ${k} must be a date (YYYY-MM-DD): ${d}`);
+      }
+      clean[k] = d;
+    } else {
+      throw rpcError(JSONRPC_INVALID_PARAMS, `Unsupported argument: ${k}`);
+    }
+  }
+  if (clean.from && clean.to && clean.from > clean.to) throw rpcError(JSONRPC_INVALID_PARAMS, "from must not be after to");
+  return clean;
+}
+
+function promptConstraintText(a) {
+  const parts = [];
+  if (a.site) parts.push(`at site ${a.site}`);
+  if (a.asset) parts.push(`for asset ${a.asset}`);
+  if (a.status) parts.push(`with status ${a.status}`);
+  if (a.from && a.to) parts.push(`between ${a.from} and ${a.to}`);
+  else if (a.from) parts.push(`since ${a.from}`);
+  else if (a.to) parts.push(`until ${a.to}`);
+  return parts.join(" ");
+}
+
+async function buildMcpPromptCatalog(session) {
+  const tenantId = session?.tenant || "default";
+  const out = new Map(); // name -> { prompt, build }
+
+  const catalog = await loadConceptsCatalog(tenantId, session?.origin || "").catch(() => null);
+  const entities = Array.isArray(catalog?.entities) ? catalog.entities : [];
+  for (const chip of (Array.isArray(catalog?.ui?.chips) ? catalog.ui.chips : [])) {
+    const text = String(chip?.text || "").trim();
+    if (!text) continue;
+    const ent = entities.find((e) => e.entity === chip?.intentHint?.entity) || null;
+    const f = ent?.supportedConcepts?.filters || [];
+    const supported = { site: f.includes("site"), asset: f.includes("asset_id"), status: f.includes("status_code"), dateRange: f.includes("date_range") };
+    let name = `concept_${promptSlug(text)}`;
+    while (out.has(name)) name += "_";
+    out.set(name, {
+      prompt: { name, title: text, description: `${String(chip?.group || ent?.label || "Maximo")}: ${text}`, arguments: promptArgumentsFor(supported) },
+      build: async (args) => {
+        const a = validatePromptArgs(args, supported);
+        const question = [text, promptConstraintText(a)].filter(Boolean).join(" ");
+        const toolArgs = { userText: question, ...(a.site ? { site: a.site } : {}) };
+        return {
+          description: `${String(chip?.group || ent?.label || "Maximo")}: ${text}`,
+          messages: [{
+            role: "user",
+            content: {
+              type: "text",
+              text:
+                `${question}.\n\n` +
+                `Answer from Maximo using the maximo_queryOS tool with these arguments (the server resolves the Object Structure and filters from userText):\n` +
+                `${JSON.stringify(toolArgs, null, 2)}\n\n` +
+                `Structured intent for reference:\n${JSON.stringify(chip.intentHint || {}, null, 2)}`,
+            },
+          }],
+        };
+      },
+    });
+  }
+
+  for (const st of readSavedTools(tenantId)) {
+    const toolName = String(st?.name || "").trim();
+    if (!toolName || st?.enabled === false || !isToolEnabled(tenantId, toolName)) continue;
+    const os = String(st?.os || "").trim().toLowerCase();
+    const supported = { site: true, asset: true, status: true, dateRange: true };
+    const name = `tool_${promptSlug(toolName)}`;
+    const description = String(st?.description || `Saved Maximo query preset (${os}).`);
+    out.set(name, {
+      prompt: { name, title: toolName, description, arguments: promptArgumentsFor(supported) },
+      build: async (args) => {
+        const a = validatePromptArgs(args, supported);
+        // Only add clauses for fields the OS actually exposes (unknown schema => trust the caller).
+        let fields = null;
+        try { fields = os ? await safeFetchOsFields({ tenantId, t: tenantOrThrow(tenantId, session?.origin || ""), os }) : null; } catch {}
+        const has = (fname) => !fields || !fields.size || fields.has(fname);
+        const clauses = [];
+        if (st?.where) clauses.push(String(st.where));
+        if (a.site && has("siteid")) clauses.push(`siteid="${a.site}"`);
+        if (a.asset && has("assetnum")) clauses.push(`assetnum="${a.asset}"`);
+        if (a.status && has("status")) clauses.push(`status="${a.status}"`);
+        const dateField = MCP_PROMPT_DATE_FIELDS.find((x) => fields && fields.has(x)) || "changedate";
+        if (a.from) clauses.push(`${dateField}>="${a.from}T00:00:00"`);
+        if (a.to) clauses.push(`${dateField}<="${a.to}T23:59:59"`);
+        const toolArgs = { ...(clauses.length ? { where: clauses.join(" and ") } : {}), ...(a.site ? { site: a.site } : {}) };
+        const constraint = promptConstraintText(a);
+        return {
+          description,
+          messages: [{
+            role: "user",
+            content: {
+              type: "text",
+              text:
+                `Run the saved Maximo query "${toolName}" (${description})${constraint ? ` ${constraint}` : ""} and summarize the results.\n\n` +
+                `Call the ${toolName} tool with these arguments:\n${JSON.stringify(toolArgs, null, 2)}`,
+            },
+          }],
+        };
+      },
+    });
+  }
+
+  return out;
+}
+
+const mcpRpc = createMcpRpcHandler({
+  serverInfo: { name: "maximo-mcp-server", version: MCP_SERVER_VERSION },
+  instructions:
+    "IBM Maximo tools. maximo_queryOS accepts either an Object Structure (os + where/select) or plain userText, " +
+    "which the server resolves deterministically via its NLQ rules. Read the maximo://<tenant>/os/<os>/schema " +
+    "and /relations resources to learn valid field names before writing a where clause.",
+  log: (evt) => pushLog({ kind: "info", ...evt }),
+  listTools: async ({ session }) => mcpToolsForTenant(session?.tenant || "default"),
+  prompts: {
+    list: async ({ session }) => Array.from((await buildMcpPromptCatalog(session)).values()).map((x) => x.prompt),
+    get: async ({ session, name, args }) => {
+      const entry = (await buildMcpPromptCatalog(session)).get(name);
+      return entry ? await entry.build(args) : null;
+    },
+  },
+  resources: {
+    list: async (ctx) => listMcpResources(ctx),
+    listTemplates: async (ctx) => listMcpResourceTemplates(ctx),
+    read: readMcpResource,
+    subscribe: subscribeMcpResource,
+  },
+  callTool: async ({ session, name, args }) => {
+    const tenant = session?.tenant || "default";
+    const refusal = limiter.checkMaximo({ tenant, user: session?.user || "" });
+    if (refusal) return limitRefusalResult(refusal, { tenant, path: "/mcp tools/call" });
+    return invokeMcpCall({
+      tenant,
+      name,
+      args,
+      origin: session?.origin,
+      headers: { "x-ai-provider": "mcp", "x-ai-model": session?.clientInfo?.name || undefined },
+    });
+  },
+});
+
+function mcpHttpGuard(req, res) {
+  const origin = String(req.headers.origin || "").trim();
+  if (origin && MCP_ALLOWED_ORIGINS.length && !MCP_ALLOWED_ORIGINS.includes(origin)) {
+    res.status(403).json(jsonRpcError(null, JSONRPC_INVALID_REQUEST, `Origin not allowed: ${origin}`));
+    return false;
+  }
+  const pv = String(req.headers["mcp-protocol-version"] || "").trim();
+  if (pv && !MCP_PROTOCOL_VERSIONS.includes(pv)) {
+    res.status(400).json(jsonRpcError(null, JSONRPC_INVALID_REQUEST, `Unsupported MCP-Protocol-Version: ${pv}`));
+    return false;
+  }
+  return true;
+}
+
+// Resolve the session for a non-initialize request. Without an Mcp-Session-Id header the request is
+// served statelessly; an unknown/expired id gets 404 so the client re-initializes (per spec).
+function mcpSessionFor(req, res) {
+  const sid = String(req.headers["mcp-session-id"] || "").trim();
+  if (!sid) return newMcpSession(req, { persistent: false });
+  const s = MCP_SESSIONS.get(sid);
+  if (!s) {
+    res.status(404).json(jsonRpcError(null, JSONRPC_INVALID_REQUEST, "Session not found"));
+    return null;
+  }
+  s.lastSeen = Date.now();
+  return s;
+}
+
+app.post("/mcp", async (req, res) => {
+  sweepMcpSessions();
+  if (!mcpHttpGuard(req, res)) return;
+
+  const body = req.body;
+  const messages = Array.isArray(body) ? body : [body];
+  if (!messages.length || messages.some((m) => !m || typeof m !== "object")) {
+    return res.status(400).json(jsonRpcError(null, JSONRPC_INVALID_REQUEST, "Invalid Request"));
+  }
+
+  const isInit = messages.some((m) => isJsonRpcRequest(m) && m.method === "initialize");
+  const session = isInit ? newMcpSession(req, { persistent: true }) : mcpSessionFor(req, res);
+  if (!session) return;
+  if (session.id) res.setHeader("Mcp-Session-Id", session.id);
+
+  const requests = messages.filter(isJsonRpcRequest);
+  if (!requests.length) {
+    // Notifications / responses only
+    for (const m of messages) await mcpRpc.handle(m, { session });
+    return res.status(202).end();
+  }
+
+  // Tool calls can take a while against Maximo: when the client accepts SSE, stream each response
+  // as it completes and keep the connection alive in between (avoids idle proxy timeouts).
+  const accept = String(req.headers.accept || "");
+  const useSse = accept.includes("text/event-stream") && requests.some((m) => m.method === "tools/call");
+
+  if (!useSse) {
+    const out = [];
+    for (const m of messages) {
+      const r = await mcpRpc.handle(m, { session });
+      if (r) out.push(r);
+    }
+    return res.status(200).json(Array.isArray(body) ? out : out[0]);
+  }
+
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+  trackStream(res, "sse");
+  const keepAlive = setInterval(() => { try { res.write(": keepalive\n\n"); } catch {} }, MCP_SSE_KEEPALIVE_MS);
+  try {
+    await Promise.all(messages.map(async (m) => {
+      const r = await mcpRpc.handle(m, { session });
+      if (r) mcpSseWrite(res, r);
+    }));
+  } finally {
+    clearInterval(keepAlive);
+    res.end();
+  }
+});
+
+// Server -> client stream for an established session (server-initiated notifications).
+app.get("/mcp", (req, res) => {
+  sweepMcpSessions();
+  if (!mcpHttpGuard(req, res)) return;
+  if (!String(req.headers.accept || "").includes("text/event-stream")) {
+    return res.status(405).set("Allow", "POST, DELETE").json(jsonRpcError(null, JSONRPC_INVALID_REQUEST, "GET /mcp requires Accept: text/event-stream"));
+  }
+  if (!String(req.headers["mcp-session-id"] || "").trim()) {
+    return res.status(400).json(jsonRpcError(null, JSONRPC_INVALID_REQUEST, "Missing Mcp-Session-Id"));
+  }
+  const session = mcpSessionFor(req, res);
+  if (!session) return;
+
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.setHeader("Mcp-Session-Id", session.id);
+  res.flushHeaders?.();
+  trackStream(res, "sse");
+  session.streams.add(res);
+  const keepAlive = setInterval(() => {
+    try { res.write(": keepalive\n\n"); session.lastSeen = Date.now(); } catch {}
+  }, MCP_SSE_KEEPALIVE_MS);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    session.streams.delete(res);
+  });
+});
+
+app.delete("/mcp", (req, res) => {
+  if (!mcpHttpGuard(req, res)) return;
+  const sid = String(req.headers["mcp-session-id"] || "").trim();
+  const s = sid ? MCP_SESSIONS.get(sid) : null;
+  if (!s) return res.status(404).json(jsonRpcError(null, JSONRPC_INVALID_REQUEST, "Session not found"));
+  for (const r of s.streams) { try { r.end(); } catch {} }
+  MCP_SESSIONS.delete(sid);
+  MCP_RESOURCE_SUBSCRIBERS.delete(s);
+  pushLog({ kind: "info", title: "MCP session closed", tenant: s.tenant, meta: { sessionId: sid } });
+  return res.status(204).end();
+});
+
+// Malformed JSON bodies on /mcp must come back as a JSON-RPC parse error, not Express' HTML page.
+app.use((err, req, res, next) => {
+  if (req.path === "/mcp" && err?.type === "entity.parse.failed") {
+    return res.status(400).json(jsonRpcError(null, JSONRPC_PARSE_ERROR, "Parse error"));
+  }
+  return next(err);
 });
 
 // ---------- relationships registry API (admin-only) ----------
@@ -5450,6 +7599,11 @@ app.get(/^\/(?!api\/|mcp\/|healthz).*/, (req, res, next) => {
   return next();
 });
 
-app.listen(PORT, () => {
-  console.log(`mcp-server listening on :${PORT}`);
-});
+// stdio.mjs imports this module for the shared dispatch and sets MCP_TRANSPORT=stdio: no HTTP listener then.
+if (MCP_TRANSPORT !== "stdio") {
+  app.listen(PORT, () => {
+    console.log(`mcp-server listening on :${PORT}`);
+  });
+}
+
+export { mcpRpc, mcpToolsForTenant, tenantOrThrow, refreshTenants, invokeMcpCall, setLogSink };
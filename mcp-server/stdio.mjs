@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// mcp-server/stdio.mjs
+// MCP stdio transport: newline-delimited JSON-RPC 2.0 on stdin/stdout for local agent tooling.
+//
+// Reuses server.mjs (mcpToolsForTenant, tenantOrThrow and the /mcp/call dispatch) without starting
+// the HTTP listener. Tenants come from DATA_DIR / TENANTS_JSON exactly as for the HTTP server.
+//
+// Usage:
+//   DATA_DIR=./data MCP_TENANT=default node stdio.mjs
+//   node stdio.mjs --tenant prod --log-file /tmp/mcp-stdio.log
+//
+// stdout carries protocol messages only. Log events (pushLog) go to stderr as JSON lines,
+// or to MCP_LOG_FILE / --log-file when set.
+import fs from "fs";
+import readline from "readline";
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i >= 0 ? String(process.argv[i + 1] || "").trim() : "";
+}
+
+const tenant = argValue("--tenant") || String(process.env.MCP_TENANT || "default").trim();
+const logFile = argValue("--log-file") || String(process.env.MCP_LOG_FILE || "").trim();
+
+// Must happen before server.mjs is loaded: no HTTP listener, and nothing else may write to stdout.
+process.env.MCP_TRANSPORT = "stdio";
+console.log = (...a) => console.error(...a);
+console.info = (...a) => console.error(...a);
+
+const { mcpRpc, tenantOrThrow, refreshTenants, setLogSink } = await import("./server.mjs");
+const { jsonRpcError, JSONRPC_PARSE_ERROR, JSONRPC_INVALID_REQUEST } = await import("./mcp-protocol.mjs");
+
+setLogSink((evt) => {
+  const line = JSON.stringify(evt) + "\n";
+  if (logFile) {
+    try { fs.appendFileSync(logFile, line, "utf-8"); return; } catch {}
+  }
+  process.stderr.write(line);
+});
+
+// Fail fast on a missing/invalid tenant instead of erroring on the first tool call.
+refreshTenants();
+try {
+  tenantOrThrow(tenant);
+} catch (e) {
+  process.stderr.write(`mcp-stdio: ${String(e?.message || e)}\n`);
+  process.exit(1);
+}
+
+const session = {
+  id: "stdio",
+  tenant,
+  origin: "",
+  protocolVersion: "",
+  clientInfo: null,
+  createdAt: Date.now(),
+  lastSeen: Date.now(),
+  streams: new Set(),
+  subscriptions: new Set(),
+  // Server-initiated notifications (e.g. notifications/resources/updated) share stdout with responses.
+  notify: (msg) => send(msg),
+};
+
+function send(msg) {
+  process.stdout.write(JSON.stringify(msg) + "\n");
+}
+
+async function handleLine(line) {
+  const txt = String(line || "").trim();
+  if (!txt) return;
+  let msg;
+  try {
+    msg = JSON.parse(txt);
+  } catch {
+    return send(jsonRpcError(null, JSONRPC_PARSE_ERROR, "Parse error"));
+  }
+  session.lastSeen = Date.now();
+  if (Array.isArray(msg)) {
+    if (!msg.length) return send(jsonRpcError(null, JSONRPC_INVALID_REQUEST, "Invalid Request"));
+    const out = (await Promise.all(msg.map((m) => mcpRpc.handle(m, { session })))).filter(Boolean);
+    if (out.length) send(out);
+    return;
+  }
+  const r = await mcpRpc.handle(msg, { session });
+  if (r) send(r);
+}
+
+// Requests are handled concurrently; responses are written as they complete (matched by id).
+const pending = new Set();
+const rl = readline.createInterface({ input: process.stdin, terminal: false });
+rl.on("line", (line) => {
+  const p = handleLine(line).catch((e) => process.stderr.write(`mcp-stdio: ${String(e?.message || e)}\n`));
+  pending.add(p);
+  p.finally(() => pending.delete(p));
+});
+rl.on("close", async () => {
+  await Promise.allSettled(Array.from(pending));
+  process.exit(0);
+});
@@ -0,0 +1,95 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import crypto from "node:crypto";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+// The MCP server with the memory span exporter and a stub Maximo: a /mcp/call that arrives with a traceparent
+// continues that trace through the call, the NLQ expansion and the Maximo request.
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const base = 20000 + Math.floor(Math.random() * 20000);
+const PORTS = { maximo: base, mcp: base + 1 };
+const TOKEN = "test-internal-token";
+let maximo;
+let child;
+let dir;
+
+async function waitFor(url) {
+  for (let i = 0; i < 100; i++) {
+    try {
+      if ((await fetch(url)).ok) return;
+    } catch {}
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  throw new Error(`${url} did not come up`);
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "tracing-test-"));
+  maximo = http.createServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    if (req.url.startsWith("/maximo/oslc/oas")) return res.end(JSON.stringify({ paths: {} }));
+    res.end(JSON.stringify({ member: [{ wonum: "1001", status: "WAPPR", siteid: "BEDFORD" }] }));
+  });
+  await new Promise((resolve) => maximo.listen(PORTS.maximo, "127.0.0.1", resolve));
+
+  child = spawn(process.execPath, [path.join(here, "server.mjs")], {
+    cwd: here,
+    stdio: "ignore",
+    env: {
+      ...process.env,
+      PORT: String(PORTS.mcp),
+      DATA_DIR: dir,
+      MCP_INTERNAL_TOKEN: TOKEN,
+      OTEL_SDK_DISABLED: "",
+      OTEL_TRACES_EXPORTER: "memory",
+      TENANTS_JSON: JSON.stringify({ default: { baseUrl: `http://127.0.0.1:${PORTS.maximo}`, apiKey: "k" } }),
+    },
+  });
+  await waitFor(`http://127.0.0.1:${PORTS.mcp}/healthz`);
+});
+
+after(async () => {
+  child?.kill();
+  await new Promise((resolve) => maximo.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a /mcp/call traceparent is continued by mcp.call, nlq.expand and maximo.fetch", async () => {
+  const traceId = crypto.randomBytes(16).toString("hex");
+  const parentId = crypto.randomBytes(8).toString("hex");
+  const r = await fetch(`http://127.0.0.1:${PORTS.mcp}/mcp/call`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "x-internal-token": TOKEN, traceparent: `00-${traceId}-${parentId}-01` },
+    body: JSON.stringify({ name: "maximo_queryOS", args: { userText: "open work orders", pageSize: 5 } }),
+  });
+  assert.equal(r.status, 200);
+  assert.equal((await r.json())._mcp?.query?.os, "mxapiwo");
+
+  // The server span ends after the response has gone out.
+  let spans = [];
+  for (let i = 0; i < 50 && !spans.some((s) => s.kind === "SERVER"); i++) {
+    const j = await (await fetch(`http://127.0.0.1:${PORTS.mcp}/api/otel/spans?traceId=${traceId}`, { headers: { "x-internal-token": TOKEN } })).json();
+    spans = j.spans || [];
+    if (!spans.some((s) => s.kind === "SERVER")) await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+
+  const named = (name) => spans.find((s) => s.name === name);
+  for (const name of ["mcp.call", "nlq.expand", "maximo.fetch"]) {
+    assert.ok(named(name), `${name} span in trace ${traceId} (got ${spans.map((s) => s.name).join(", ")})`);
+    assert.equal(named(name).traceId, traceId);
+  }
+  const server = spans.find((s) => s.kind === "SERVER");
+  assert.equal(server.parentSpanId, parentId);
+  assert.equal(named("mcp.call").parentSpanId, server.spanId);
+  assert.equal(named("nlq.expand").parentSpanId, named("mcp.call").spanId);
+
+  const fetchSpan = spans.find((s) => s.name === "maximo.fetch" && /\/os\/mxapiwo/i.test(String(s.attributes["url.path"])));
+  assert.equal(fetchSpan?.kind, "CLIENT");
+  assert.equal(fetchSpan.attributes["http.response.status_code"], 200);
+});
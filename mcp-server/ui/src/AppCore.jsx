@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 
 import {
   Theme,
@@ -43,16 +43,21 @@ import {
   Toggle,
 } from "@carbon/react";
 
-import { Renew, TrashCan, Settings, List, Analytics, Chat, Information, UserMultiple, Logout, Add, Edit } from "@carbon/icons-react";
+import { Renew, TrashCan, Settings, List, Analytics, Chat, Information, UserMultiple, Logout, Add, Edit, Notification } from "@carbon/icons-react";
 
 // ✅ NEW: Tools page (saved OS tools/presets)
 import ToolsPage from "./components/ToolsPage.jsx";
 import ConceptsPage from "./components/ConceptsPage.jsx";
+import AlertsPage from "./components/AlertsPage.jsx";
+import LimitsPanel from "./components/LimitsPanel.jsx";
+import LogFilterBar, { EMPTY_LOG_QUERY } from "./components/LogFilterBar.jsx";
+import JsonModal from "./components/JsonModal.jsx";
 
 const PAGES = {
   DASH: "dash",
   TENANTS: "tenants",
   TOOLS: "tools",
+  ALERTS: "alerts",
   MESSAGES: "messages",
   LOGS: "logs",
   TRACE: "trace",
@@ -152,6 +157,27 @@ const CHART_COLORS = [
   "#a56eff", // lavender
 ];
 
+// Log filter values -> /api/logs query string (from/to are datetime-local, sent as ISO).
+function logQueryString(query, extra = {}) {
+  const p = new URLSearchParams();
+  for (const [k, v] of Object.entries(query || {})) {
+    const s = String(v || "").trim();
+    if (!s) continue;
+    if (k === "from" || k === "to") {
+      const d = new Date(s);
+      if (!Number.isNaN(d.getTime())) p.set(k, d.toISOString());
+    } else {
+      p.set(k, s);
+    }
+  }
+  for (const [k, v] of Object.entries(extra)) if (v !== undefined && v !== null && v !== "") p.set(k, String(v));
+  return p.toString();
+}
+
+function hasLogQuery(query) {
+  return Object.values(query || {}).some((v) => String(v || "").trim());
+}
+
 function colorForIndex(i) {
   return CHART_COLORS[Math.abs(Number(i) || 0) % CHART_COLORS.length];
 }
@@ -281,6 +307,222 @@ function Sparkline({ values = [], height = 44 }) {
   );
 }
 
+// LLM token usage and cost (/api/usage/summary), reported by the AI Agent app. Lives outside AppCore so
+// the 2s log polling doesn't reset the price editor; non-admin users get their own usage only.
+const USAGE_PRICES_EXAMPLE = {
+  currency: "USD",
+  models: { "openai/gpt-4o": { input: 2.5, output: 10 }, "local/*": { input: 0, output: 0 } },
+  budget: { monthly: 500 },
+};
+
+function fmtTokens(n) {
+  const v = Number(n || 0);
+  if (v >= 1e6) return `${(v / 1e6).toFixed(1)}M`;
+  if (v >= 1e3) return `${(v / 1e3).toFixed(1)}k`;
+  return String(Math.round(v));
+}
+
+function fmtCost(n, currency = "USD") {
+  const v = Number(n || 0);
+  return `${v < 1 && v > 0 ? v.toFixed(4) : v.toFixed(2)} ${currency}`;
+}
+
+function UsagePanel({ isAdmin }) {
+  const [summary, setSummary] = useState(null);
+  const [prices, setPrices] = useState(null);
+  const [err, setErr] = useState("");
+  const [editing, setEditing] = useState(false);
+
+  const load = async () => {
+    try {
+      const [rs, rp] = await Promise.all([fetch("/api/usage/summary?days=30"), fetch("/api/usage/prices")]);
+      const js = await rs.json().catch(() => ({}));
+      if (!rs.ok) throw new Error(js?.detail || js?.error || `GET /api/usage/summary ${rs.status}`);
+      setSummary(js);
+      if (rp.ok) setPrices(await rp.json());
+      setErr("");
+    } catch (e) {
+      setErr(String(e?.message || e));
+    }
+  };
+
+  useEffect(() => {
+    load();
+    const t = setInterval(load, 60000);
+    return () => clearInterval(t);
+  }, []);
+
+  const savePrices = async (value) => {
+    try {
+      const r = await fetch("/api/usage/prices", {
+        method: "PUT",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(value),
+      });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(j?.detail || j?.error || `PUT /api/usage/prices ${r.status}`);
+      setEditing(false);
+      await load();
+    } catch (e) {
+      setErr(String(e?.message || e));
+    }
+  };
+
+  const currency = summary?.currency || "USD";
+  const totals = summary?.totals || {};
+  const month = summary?.month || {};
+  const daily = Array.isArray(summary?.daily) ? summary.daily : [];
+  const estimatedPct = totals.calls ? Math.round((Number(totals.estimatedCalls || 0) / totals.calls) * 100) : 0;
+  const budget = Number(month.budget);
+  const hasBudget = month.budget !== null && month.budget !== undefined && Number.isFinite(budget) && budget > 0;
+  const spentPct = hasBudget ? Math.min(100, Math.round((Number(month.cost || 0) / budget) * 100)) : 0;
+  const projectedPct = hasBudget ? Math.min(100, Math.round((Number(month.projected || 0) / budget) * 100)) : 0;
+  const overBudget = hasBudget && Number(month.projected || 0) > budget;
+
+  const byModel = (summary?.byModel || []).map((g) => ({ label: g.key, value: g.cost }));
+  const byTenant = (summary?.byTenant || []).map((g) => ({ label: g.key, value: g.totalTokens }));
+  const byUser = (summary?.byUser || []).map((g) => ({ label: g.key, value: g.totalTokens }));
+
+  return (
+    <Grid fullWidth style={{ marginTop: 24 }}>
+      <Column lg={16} md={8} sm={4}>
+        <Stack gap={6}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+            <div>
+              <h3 style={{ marginBottom: 4 }}>LLM usage (last 30 days)</h3>
+              <div style={{ opacity: 0.75, fontSize: 12 }}>
+                Tokens as reported by the provider; calls without reported usage are estimated ({summary?.tokenizer?.method === "local" ? "local tokenizer" : "bytes ÷ 4"}).
+                {summary?.scope?.user && !isAdmin ? ` Showing your usage only (${summary.scope.user}).` : ""}
+              </div>
+            </div>
+            <div style={{ display: "flex", gap: 8 }}>
+              {isAdmin ? (
+                <Button kind="tertiary" size="sm" renderIcon={Edit} onClick={() => setEditing(true)}>
+                  Edit prices & budget
+                </Button>
+              ) : null}
+              <Button kind="ghost" size="sm" renderIcon={Renew} onClick={load}>
+                Refresh
+              </Button>
+            </div>
+          </div>
+
+          {err ? <InlineNotification kind="error" lowContrast title="Usage" subtitle={err} /> : null}
+
+          <Grid fullWidth>
+            <Column lg={4} md={4} sm={4}>
+              <Tile>
+                <h4 style={{ marginBottom: 8 }}>Tokens</h4>
+                <Tag type="blue">{fmtTokens(totals.totalTokens)}</Tag>
+                <div style={{ opacity: 0.75, fontSize: 12, marginTop: 6 }}>
+                  in {fmtTokens(totals.inputTokens)} · out {fmtTokens(totals.outputTokens)} · {totals.calls || 0} calls
+                </div>
+              </Tile>
+            </Column>
+            <Column lg={4} md={4} sm={4}>
+              <Tile>
+                <h4 style={{ marginBottom: 8 }}>Cost</h4>
+                <Tag type="purple">{fmtCost(totals.cost, currency)}</Tag>
+                <div style={{ opacity: 0.75, fontSize: 12, marginTop: 6 }}>
+                  {totals.unpricedCalls ? `${totals.unpricedCalls} calls without a price` : "All calls priced"}
+                </div>
+              </Tile>
+            </Column>
+            <Column lg={4} md={4} sm={4}>
+              <Tile>
+                <h4 style={{ marginBottom: 8 }}>Estimated</h4>
+                <Tag type={estimatedPct > 20 ? "warm-gray" : "green"}>{estimatedPct}%</Tag>
+                <div style={{ opacity: 0.75, fontSize: 12, marginTop: 6 }}>
+                  {totals.estimatedCalls || 0} calls without provider-reported usage
+                </div>
+              </Tile>
+            </Column>
+            <Column lg={4} md={4} sm={4}>
+              <Tile>
+                <h4 style={{ marginBottom: 8 }}>Month to date</h4>
+                <Tag type={overBudget ? "red" : "teal"}>{fmtCost(month.cost, currency)}</Tag>
+                {hasBudget ? (
+                  <>
+                    <div style={{ position: "relative", height: 10, background: "rgba(0,0,0,0.08)", borderRadius: 6, overflow: "hidden", marginTop: 8 }}>
+                      <div style={{ position: "absolute", height: "100%", width: `${projectedPct}%`, background: overBudget ? "#da1e28" : colorForIndex(3), opacity: 0.3 }} />
+                      <div style={{ position: "absolute", height: "100%", width: `${spentPct}%`, background: overBudget ? "#da1e28" : colorForIndex(3) }} />
+                    </div>
+                    <div style={{ opacity: 0.75, fontSize: 12, marginTop: 6 }}>
+                      {spentPct}% of {fmtCost(budget, currency)} · projected {fmtCost(month.projected, currency)}
+                    </div>
+                  </>
+                ) : (
+                  <div style={{ opacity: 0.75, fontSize: 12, marginTop: 6 }}>No monthly budget set</div>
+                )}
+              </Tile>
+            </Column>
+          </Grid>
+
+          <Grid fullWidth>
+            <Column lg={8} md={8} sm={4}>
+              <Tile>
+                <h4 style={{ marginBottom: 10 }}>Tokens per day</h4>
+                <div style={{ color: colorForIndex(0) }}>
+                  <Sparkline values={daily.map((d) => d.inputTokens + d.outputTokens)} />
+                </div>
+                <div style={{ display: "flex", justifyContent: "space-between", marginTop: 6, opacity: 0.75, fontSize: 12 }}>
+                  <span>{daily[0]?.day || ""}</span>
+                  <span>{daily[daily.length - 1]?.day || ""}</span>
+                </div>
+              </Tile>
+            </Column>
+            <Column lg={8} md={8} sm={4}>
+              <Tile>
+                <h4 style={{ marginBottom: 10 }}>Cost per day ({currency})</h4>
+                <div style={{ color: colorForIndex(2) }}>
+                  <Sparkline values={daily.map((d) => d.cost)} />
+                </div>
+                <div style={{ display: "flex", justifyContent: "space-between", marginTop: 6, opacity: 0.75, fontSize: 12 }}>
+                  <span>{daily[0]?.day || ""}</span>
+                  <span>{daily[daily.length - 1]?.day || ""}</span>
+                </div>
+              </Tile>
+            </Column>
+          </Grid>
+
+          <Grid fullWidth>
+            <Column lg={6} md={8} sm={4}>
+              <Tile>
+                <h4 style={{ marginBottom: 10 }}>Cost by model</h4>
+                {byModel.length ? (
+                  <BarList data={byModel} valueFormatter={(v) => fmtCost(v, currency)} />
+                ) : (
+                  <div style={{ opacity: 0.8, fontSize: 12 }}>No usage recorded yet.</div>
+                )}
+              </Tile>
+            </Column>
+            <Column lg={5} md={8} sm={4}>
+              <Tile>
+                <h4 style={{ marginBottom: 10 }}>Tokens by tenant</h4>
+                <DonutChart data={byTenant} size={140} />
+              </Tile>
+            </Column>
+            <Column lg={5} md={8} sm={4}>
+              <Tile>
+                <h4 style={{ marginBottom: 10 }}>Top users (tokens)</h4>
+                <BarList data={byUser} valueFormatter={fmtTokens} />
+              </Tile>
+            </Column>
+          </Grid>
+        </Stack>
+      </Column>
+
+      <JsonModal
+        open={editing}
+        title="Prices (per 1M tokens) and monthly budget"
+        initialValue={prices && Object.keys(prices.models || {}).length ? prices : USAGE_PRICES_EXAMPLE}
+        onClose={() => setEditing(false)}
+        onSave={savePrices}
+      />
+    </Grid>
+  );
+}
+
 function UsersPage({ users, usersError, onRefresh, onAddUser, onEditUser, onDeleteUser }) {
   return (
     <Grid condensed>
@@ -427,7 +669,7 @@ export default function AppCore() {
   const [tenantEditingId, setTenantEditingId] = useState(null);
   const [tenantDraft, setTenantDraft] = useState({ id: "", baseUrl: "", apiKey: "", user: "", password: "", defaultSite: "" });
 
-  // Active tenant (used by Tools/Concepts pages). Read-only tenant list is fetched from /mcp/tenants.
+  // Active tenant (used by Tools/Concepts/Alerts pages). Read-only tenant list is fetched from /mcp/tenants.
   const [activeTenant, setActiveTenant] = useState(() => computeActiveTenant());
   const [tenantIds, setTenantIds] = useState([]);
   const [tenantIdsError, setTenantIdsError] = useState(null);
@@ -589,6 +831,15 @@ const deleteTenant = async (id) => {
   const [logPage, setLogPage] = useState(1);
   const [logPageSize, setLogPageSize] = useState(20);
 
+  // Server-side log query (Logs page): applied filters, current view, older pages loaded via cursor
+  const [logQuery, setLogQuery] = useState(EMPTY_LOG_QUERY);
+  const [queriedLogs, setQueriedLogs] = useState([]);
+  const [olderLogs, setOlderLogs] = useState([]);
+  const [logsNextBefore, setLogsNextBefore] = useState(null);
+  const [logStoreInfo, setLogStoreInfo] = useState(null);
+  const logQueryRef = useRef(EMPTY_LOG_QUERY);
+  const olderLogsRef = useRef([]);
+
   // Messages UI state (separate; does not affect Logs page)
   const [msgSearch, setMsgSearch] = useState("");
   const [msgPage, setMsgPage] = useState(1);
@@ -640,11 +891,64 @@ const deleteTenant = async (id) => {
     setSettingsText(JSON.stringify(j, null, 2));
   }
 
-  async function loadLogs(limit = 800) {
-    const r = await fetch(`/api/logs?limit=${limit}`);
+  async function fetchLogs(query, extra) {
+    const r = await fetch(`/api/logs?${logQueryString(query, extra)}`);
     if (!r.ok) throw new Error(`GET /api/logs ${r.status}`);
     const j = await r.json();
-    setLogs(Array.isArray(j?.logs) ? j.logs : []);
+    return { logs: Array.isArray(j?.logs) ? j.logs : [], nextBefore: j?.nextBefore || null };
+  }
+
+  // `logs` is always the unfiltered recent feed (dashboard/messages); the Logs page view is
+  // the same feed or, with filters applied, a second server-side filtered query.
+  async function loadLogs(limit = 800) {
+    const query = logQueryRef.current;
+    const [all, hits] = await Promise.all([fetchLogs(null, { limit }), hasLogQuery(query) ? fetchLogs(query, { limit }) : null]);
+    setLogs(all.logs);
+    if (query !== logQueryRef.current) return;
+    const view = hits || all;
+    setQueriedLogs(view.logs);
+    if (!olderLogsRef.current.length) setLogsNextBefore(view.nextBefore);
+  }
+
+  async function applyLogQuery(query) {
+    logQueryRef.current = query;
+    olderLogsRef.current = [];
+    setLogQuery(query);
+    setOlderLogs([]);
+    setLogsNextBefore(null);
+    setLogPage(1);
+    try {
+      setError(null);
+      await loadLogs(800);
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  async function loadOlderLogs() {
+    if (!logsNextBefore) return;
+    try {
+      setError(null);
+      const query = logQueryRef.current;
+      const older = await fetchLogs(query, { limit: 800, before: logsNextBefore });
+      if (query !== logQueryRef.current) return;
+      olderLogsRef.current = [...older.logs, ...olderLogsRef.current];
+      setOlderLogs(olderLogsRef.current);
+      setLogsNextBefore(older.nextBefore);
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  async function loadLogStoreInfo() {
+    try {
+      const r = await fetch("/api/logs?limit=1&info=1");
+      if (!r.ok) return;
+      const j = await r.json();
+      setLogStoreInfo(j?.storeInfo || null);
+    } catch {
+      // informational only
+    }
   }
 
   async function loadTrace(limit = 200) {
@@ -687,6 +991,9 @@ const deleteTenant = async (id) => {
       setError(null);
       const r = await fetch("/api/logs/clear", { method: "POST" });
       if (!r.ok) throw new Error(`POST /api/logs/clear ${r.status}`);
+      olderLogsRef.current = [];
+      setOlderLogs([]);
+      setLogsNextBefore(null);
       await Promise.all([loadLogs(200), loadTrace(200)]);
     } catch (e) {
       setError(String(e?.message || e));
@@ -751,6 +1058,12 @@ useEffect(() => {
   refreshTenants();
 }, [page]);
 
+// Log store backend/retention shown above the Logs page filters
+useEffect(() => {
+  if (page !== PAGES.LOGS) return;
+  loadLogStoreInfo();
+}, [page]);
+
 useEffect(() => {
     refreshAll();
     const t = setInterval(async () => {
@@ -770,8 +1083,10 @@ useEffect(() => {
   const logById = useMemo(() => {
     const m = new Map();
     for (const e of logs) m.set(e.id, e);
+    for (const e of olderLogs) m.set(e.id, e);
+    for (const e of queriedLogs) m.set(e.id, e);
     return m;
-  }, [logs]);
+  }, [logs, olderLogs, queriedLogs]);
 
   // Latest activity for dashboard: use real logs array (not DataTable rows)
   const latest = useMemo(() => logs.slice(-12).reverse(), [logs]);
@@ -836,16 +1151,24 @@ useEffect(() => {
   // -----------------------------
   // Derived: Logs filtering + paging (existing Logs page)
   // -----------------------------
+  // Logs page view: latest (possibly filtered) page + any older pages, merged by id in time order
+  const logView = useMemo(() => {
+    const m = new Map();
+    for (const e of olderLogs) m.set(e.id, e);
+    for (const e of queriedLogs) m.set(e.id, e);
+    return Array.from(m.values()).sort((a, b) => Number(a.ts || 0) - Number(b.ts || 0));
+  }, [olderLogs, queriedLogs]);
+
   const filteredLogs = useMemo(() => {
     const q = logSearch.trim().toLowerCase();
-    if (!q) return logs;
-    return logs.filter((e) => {
+    if (!q) return logView;
+    return logView.filter((e) => {
       const hay = `${e.kind || ""} ${e.title || ""} ${e.tenant || ""} ${e.status || ""} ${
         e.tool || ""
       } ${e.url || ""} ${e.responseBody || ""}`.toLowerCase();
       return hay.includes(q);
     });
-  }, [logs, logSearch]);
+  }, [logView, logSearch]);
 
   const pagedLogs = useMemo(() => {
     const start = (logPage - 1) * logPageSize;
@@ -1062,7 +1385,7 @@ useEffect(() => {
                 <Tile>
                   <h4 style={{ marginBottom: 10 }}>Trace: biggest responses (tokens≈)</h4>
                   <div style={{ opacity: 0.75, marginBottom: 10, fontSize: 12 }}>
-                    Tokens≈ are estimated as bytes ÷ 4. Enable HTTP Trace on the server to capture payload sizes.
+                    {trace?.tokensHeuristic || "Tokens≈ bytes ÷ 4"}. Enable HTTP Trace on the server to capture payload sizes.
                   </div>
                   {traceEnabled && topTraceRoutes.length ? (
                     <BarList data={topTraceRoutes} valueFormatter={(v) => `${Math.round(v)} ≈tok`} />
@@ -1180,7 +1503,9 @@ useEffect(() => {
               <div style={{ display: "flex", justifyContent: "space-between", gap: 12, alignItems: "flex-start" }}>
                 <div>
                   <h2 style={{ marginBottom: 6 }}>Logs</h2>
-                  <p style={{ margin: 0, opacity: 0.85 }}>All log events (search + details).</p>
+                  <p style={{ margin: 0, opacity: 0.85 }}>
+                    All log events from the persistent store (filters run server-side; search narrows the loaded events).
+                  </p>
                 </div>
                 <div style={{ display: "flex", gap: 8 }}>
                   <Button kind="secondary" size="sm" onClick={() => loadLogs(800)}>
@@ -1262,6 +1587,14 @@ useEffect(() => {
                       </Table>
 
                       <div style={{ marginTop: 8 }}>
+                        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginBottom: 8 }}>
+                          <span style={{ fontSize: 12, opacity: 0.75 }}>
+                            {logView.length} event(s) loaded{hasLogQuery(logQuery) ? " (filtered)" : ""}
+                          </span>
+                          <Button kind="ghost" size="sm" disabled={!logsNextBefore} onClick={loadOlderLogs}>
+                            Load older
+                          </Button>
+                        </div>
                         <Pagination
                           page={logPage}
                           pageSize={logPageSize}
@@ -1408,7 +1741,7 @@ useEffect(() => {
               <div style={{ display: "flex", justifyContent: "space-between", gap: 12, alignItems: "flex-start" }}>
                 <div>
                   <h2 style={{ marginBottom: 6 }}>Payload / Token Trace</h2>
-                  <p style={{ margin: 0, opacity: 0.85 }}>Tokens≈ bytes ÷ 4. Use this to spot huge payloads.</p>
+                  <p style={{ margin: 0, opacity: 0.85 }}>{trace?.tokensHeuristic || "Tokens≈ bytes ÷ 4"}. Use this to spot huge payloads.</p>
                 </div>
                 <Button kind="secondary" size="sm" onClick={() => loadTrace(200)}>
                   Refresh
@@ -1944,6 +2277,18 @@ useEffect(() => {
             Concepts
           </SideNavLink>
 
+          <SideNavLink
+            renderIcon={Notification}
+            isActive={page === PAGES.ALERTS}
+            href="#"
+            onClick={(e) => {
+              e.preventDefault();
+              setPage(PAGES.ALERTS);
+            }}
+          >
+            Alerts
+          </SideNavLink>
+
           {isAdmin ? (
             <SideNavLink
               renderIcon={List}
@@ -2039,7 +2384,7 @@ useEffect(() => {
             />
           )}
 
-          {(page === PAGES.TOOLS || page === PAGES.CONCEPTS) ? (
+          {(page === PAGES.TOOLS || page === PAGES.CONCEPTS || page === PAGES.ALERTS) ? (
             <Tile style={{ marginBottom: 16 }}>
               <Stack orientation="horizontal" gap={3} style={{ alignItems: "center", justifyContent: "space-between" }}>
                 <div style={{ fontWeight: 600 }}>Active tenant</div>
@@ -2062,14 +2407,30 @@ useEffect(() => {
             </Tile>
           ) : null}
 
-          {page === PAGES.DASH && <Dashboard />}
+          {page === PAGES.DASH && (
+            <>
+              <Dashboard />
+              <UsagePanel isAdmin={isAdmin} />
+            </>
+          )}
           {isAdmin && page === PAGES.TENANTS && <TenantsPage />}
           {page === PAGES.TOOLS && <ToolsPage tenant={activeTenant} readOnly={!isAdmin} />}
           {page === PAGES.CONCEPTS && <ConceptsPage tenant={activeTenant} />}
-          {isAdmin && page === PAGES.LOGS && <Logs />}
+          {page === PAGES.ALERTS && <AlertsPage tenant={activeTenant} readOnly={!isAdmin} />}
+          {isAdmin && page === PAGES.LOGS && (
+            <>
+              <LogFilterBar value={logQuery} onApply={applyLogQuery} storeInfo={logStoreInfo} />
+              <Logs />
+            </>
+          )}
           {page === PAGES.MESSAGES && <Messages />}
           {page === PAGES.TRACE && <Trace />}
-          {isAdmin && page === PAGES.SETTINGS && <SettingsPage />}
+          {isAdmin && page === PAGES.SETTINGS && (
+            <>
+              <SettingsPage />
+              <LimitsPanel />
+            </>
+          )}
           {isAdmin && page === PAGES.RELATIONSHIPS && <RelationshipsPage tenant={activeTenant} tenantItems={tenantItems} />}
           {isAdmin && page === PAGES.USERS && (
             <UsersPage
@@ -0,0 +1,343 @@
+import React, { useEffect, useState } from "react";
+import {
+  Stack,
+  Tile,
+  Button,
+  InlineNotification,
+  Table,
+  TableHead,
+  TableRow,
+  TableHeader,
+  TableBody,
+  TableCell,
+  TableContainer,
+  Toggle,
+  Tag,
+} from "@carbon/react";
+
+import { Add, Edit, TrashCan, Renew, Play, Send } from "@carbon/icons-react";
+import JsonModal from "./JsonModal.jsx";
+
+// Alert rules (/api/alerts): maximo_queryOS queries evaluated on an interval that post to webhooks on a
+// count threshold or on new / changed records. Rules are edited as JSON, like saved tools.
+
+const STATUS_TAG = {
+  ok: "green",
+  firing: "red",
+  pending: "warm-gray",
+  error: "magenta",
+  resolved: "green",
+  fired: "red",
+  new: "cool-gray",
+  disabled: "cool-gray",
+};
+
+const NEW_RULE = {
+  name: "P1 work orders waiting approval > 4h",
+  enabled: true,
+  args: { os: "mxapiwo", where: "wopriority=1 and status=\"WAPPR\"", select: "wonum,description,status,statusdate,siteid", site: "BEDFORD" },
+  condition: { type: "new" },
+  age: { field: "statusdate", hours: 4 },
+  intervalMinutes: 5,
+  cooldownMinutes: 60,
+  webhooks: [{ url: "https://hooks.example.com/maximo-alerts" }],
+};
+
+function describeCondition(a) {
+  const c = a?.condition || {};
+  const age = a?.age ? `, ${a.age.field} > ${a.age.hours}h` : "";
+  if (c.type === "count") return `count ${c.op} ${c.value}${age}`;
+  if (c.type === "changed") return `new/changed${c.fields ? ` (${c.fields.join(", ")})` : ""}${age}`;
+  return `new records${age}`;
+}
+
+function when(iso) {
+  if (!iso) return "—";
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? String(iso) : d.toLocaleString();
+}
+
+// Stored rule -> editable JSON (server-managed fields dropped).
+function editable(a) {
+  const { id, state, createdAt, createdBy, updatedAt, ...rest } = a || {};
+  return rest;
+}
+
+export default function AlertsPage({ tenant = "default", readOnly = false }) {
+  const [alerts, setAlerts] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [selected, setSelected] = useState("");
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const [modalOpen, setModalOpen] = useState(false);
+  const [modalValue, setModalValue] = useState({});
+  const [editingId, setEditingId] = useState(null);
+
+  const canEdit = !readOnly;
+  const q = `tenant=${encodeURIComponent(tenant)}`;
+
+  async function load() {
+    const [ra, re] = await Promise.all([
+      fetch(`/api/alerts?${q}`),
+      fetch(`/api/alerts/events?${q}${selected ? `&alert=${encodeURIComponent(selected)}` : ""}`),
+    ]);
+    if (!ra.ok) throw new Error(`GET /api/alerts ${ra.status}`);
+    if (!re.ok) throw new Error(`GET /api/alerts/events ${re.status}`);
+    setAlerts((await ra.json())?.alerts || []);
+    setEvents((await re.json())?.events || []);
+  }
+
+  const reload = async () => {
+    try {
+      setError(null);
+      await load();
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  };
+
+  useEffect(() => {
+    reload();
+    const t = setInterval(reload, 30000);
+    return () => clearInterval(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tenant, selected]);
+
+  // Mutations share the busy flag / error handling; `fn` returns the fetch Response.
+  const run = async (label, fn) => {
+    if (!canEdit) return null;
+    setBusy(true);
+    try {
+      setError(null);
+      const r = await fn();
+      const t = await r.text();
+      let j = null;
+      try { j = JSON.parse(t); } catch {}
+      if (!r.ok) throw new Error(`${label} ${r.status}: ${j?.detail || j?.error || t.slice(0, 240)}`);
+      await load();
+      return j;
+    } catch (e) {
+      setError(String(e?.message || e));
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const send = (method, url, body) => fetch(url, {
+    method,
+    headers: { "content-type": "application/json" },
+    body: body ? JSON.stringify({ tenant, ...body }) : undefined,
+  });
+
+  const saveAlert = async (value) => {
+    const url = editingId ? `/api/alerts/${encodeURIComponent(editingId)}?${q}` : `/api/alerts?${q}`;
+    const j = await run(editingId ? "PUT /api/alerts" : "POST /api/alerts", () => send(editingId ? "PUT" : "POST", url, { alert: value }));
+    if (j) setModalOpen(false);
+  };
+
+  const evaluate = async (a) => {
+    const j = await run("Evaluate", () => send("POST", `/api/alerts/${encodeURIComponent(a.id)}/evaluate?${q}`, {}));
+    if (!j) return;
+    const r = j.result || {};
+    setNotice({
+      kind: r.status === "error" || r.error ? "error" : r.status === "fired" || r.status === "resolved" ? "warning" : "success",
+      title: a.name,
+      subtitle: r.error
+        ? r.error
+        : r.status === "fired" || r.status === "resolved"
+          ? `${r.status}: ${r.count} (${(r.delivery || []).length} webhook(s) called)`
+          : `${r.status}${r.count !== undefined ? `, count ${r.count}` : ""} (no notification)`,
+    });
+  };
+
+  const testWebhooks = async (a) => {
+    const j = await run("Test webhooks", () => send("POST", `/api/alerts/${encodeURIComponent(a.id)}/evaluate?${q}`, { test: true }));
+    if (!j) return;
+    const failed = (j.delivery || []).filter((d) => d.error);
+    setNotice({
+      kind: failed.length ? "error" : "success",
+      title: `${a.name}: webhook test`,
+      subtitle: failed.length ? failed.map((d) => `${d.url}: ${d.error}`).join("; ") : `${(j.delivery || []).length} webhook(s) answered OK`,
+    });
+  };
+
+  const remove = async (a) => {
+    if (!window.confirm(`Delete alert "${a.name}"?`)) return;
+    if (selected === a.id) setSelected("");
+    await run("DELETE /api/alerts", () => send("DELETE", `/api/alerts/${encodeURIComponent(a.id)}?${q}`));
+  };
+
+  const openCreate = () => {
+    setEditingId(null);
+    setModalValue(NEW_RULE);
+    setModalOpen(true);
+  };
+
+  const openEdit = (a) => {
+    setEditingId(a.id);
+    setModalValue(editable(a));
+    setModalOpen(true);
+  };
+
+  const selectedName = alerts.find((a) => a.id === selected)?.name;
+
+  return (
+    <Stack gap={4}>
+      {error ? <InlineNotification kind="error" title="Error" subtitle={error} lowContrast /> : null}
+      {notice ? <InlineNotification kind={notice.kind} title={notice.title} subtitle={notice.subtitle} lowContrast onClose={() => setNotice(null)} /> : null}
+
+      <Tile>
+        <Stack gap={3}>
+          <Stack orientation="horizontal" gap={3} style={{ alignItems: "center", justifyContent: "space-between" }}>
+            <div style={{ fontWeight: 600 }}>
+              Alert rules {readOnly ? <Tag size="sm" type="cool-gray">Read-only</Tag> : null}
+            </div>
+            <Stack orientation="horizontal" gap={2}>
+              <Button kind="secondary" size="sm" renderIcon={Renew} disabled={busy} onClick={reload}>
+                Refresh
+              </Button>
+              {canEdit ? (
+                <Button kind="primary" size="sm" renderIcon={Add} disabled={busy} onClick={openCreate}>
+                  Create
+                </Button>
+              ) : null}
+            </Stack>
+          </Stack>
+
+          {!alerts.length ? (
+            <div style={{ opacity: 0.8 }}>No alert rules for tenant {tenant}.</div>
+          ) : (
+            <TableContainer>
+              <Table size="sm" useZebraStyles>
+                <TableHead>
+                  <TableRow>
+                    <TableHeader>Enabled</TableHeader>
+                    <TableHeader>Name</TableHeader>
+                    <TableHeader>Query</TableHeader>
+                    <TableHeader>Condition</TableHeader>
+                    <TableHeader>Every</TableHeader>
+                    <TableHeader>Status</TableHeader>
+                    <TableHeader>Last evaluated</TableHeader>
+                    <TableHeader>Last notified</TableHeader>
+                    <TableHeader>Actions</TableHeader>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {alerts.map((a) => {
+                    const s = a.state || {};
+                    return (
+                      <TableRow key={a.id} onClick={() => setSelected((p) => (p === a.id ? "" : a.id))} style={selected === a.id ? { outline: "2px solid var(--cds-focus)" } : undefined}>
+                        <TableCell onClick={(e) => e.stopPropagation()}>
+                          <Toggle
+                            id={`alert-toggle-${a.id}`}
+                            size="sm"
+                            toggled={a.enabled !== false}
+                            labelText=""
+                            hideLabel
+                            disabled={busy || !canEdit}
+                            onToggle={(v) => run("PUT /api/alerts", () => send("PUT", `/api/alerts/${encodeURIComponent(a.id)}?${q}`, { alert: { enabled: v } }))}
+                          />
+                        </TableCell>
+                        <TableCell>{a.name}</TableCell>
+                        <TableCell>
+                          <code>{a.args?.os}</code>
+                          {a.args?.where ? <div style={{ fontSize: 12, opacity: 0.8 }}>{a.args.where}</div> : null}
+                          {a.args?.site ? <div style={{ fontSize: 12, opacity: 0.8 }}>site {a.args.site}</div> : null}
+                        </TableCell>
+                        <TableCell>{describeCondition(a)}</TableCell>
+                        <TableCell>{a.intervalMinutes} min</TableCell>
+                        <TableCell>
+                          <Tag size="sm" type={STATUS_TAG[s.lastStatus] || "cool-gray"} title={s.lastError || ""}>{s.lastStatus || "new"}</Tag>
+                          {s.lastCount !== null && s.lastCount !== undefined ? <span style={{ fontSize: 12 }}> {s.lastCount}</span> : null}
+                          {s.pending ? <div style={{ fontSize: 12, opacity: 0.8 }}>{s.pending} held by cooldown</div> : null}
+                          {s.truncated ? <div style={{ fontSize: 12, opacity: 0.8 }}>result over ALERT_MAX_RECORDS</div> : null}
+                          {s.lastError ? <div style={{ fontSize: 12, color: "var(--cds-text-error)" }}>{s.lastError}</div> : null}
+                        </TableCell>
+                        <TableCell>{when(s.lastEvaluatedAt)}</TableCell>
+                        <TableCell>{when(s.lastNotifiedAt)}</TableCell>
+                        <TableCell onClick={(e) => e.stopPropagation()}>
+                          <Stack orientation="horizontal" gap={2}>
+                            <Button kind="ghost" size="sm" renderIcon={Play} disabled={busy || !canEdit} onClick={() => evaluate(a)}>
+                              Evaluate
+                            </Button>
+                            <Button kind="ghost" size="sm" renderIcon={Send} disabled={busy || !canEdit} onClick={() => testWebhooks(a)}>
+                              Test
+                            </Button>
+                            <Button kind="ghost" size="sm" renderIcon={Edit} disabled={busy || !canEdit} onClick={() => openEdit(a)}>
+                              Edit
+                            </Button>
+                            <Button kind="danger--ghost" size="sm" renderIcon={TrashCan} disabled={busy || !canEdit} onClick={() => remove(a)}>
+                              Delete
+                            </Button>
+                          </Stack>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Stack>
+      </Tile>
+
+      <Tile>
+        <Stack gap={3}>
+          <Stack orientation="horizontal" gap={3} style={{ alignItems: "center", justifyContent: "space-between" }}>
+            <div style={{ fontWeight: 600 }}>History{selectedName ? `: ${selectedName}` : ""}</div>
+            {selected ? <Button kind="ghost" size="sm" onClick={() => setSelected("")}>Show all</Button> : null}
+          </Stack>
+          {!events.length ? (
+            <div style={{ opacity: 0.8 }}>Nothing fired yet.</div>
+          ) : (
+            <TableContainer>
+              <Table size="sm" useZebraStyles>
+                <TableHead>
+                  <TableRow>
+                    <TableHeader>Time</TableHeader>
+                    <TableHeader>Alert</TableHeader>
+                    <TableHeader>Status</TableHeader>
+                    <TableHeader>Trigger</TableHeader>
+                    <TableHeader>Count</TableHeader>
+                    <TableHeader>Records</TableHeader>
+                    <TableHeader>Webhooks</TableHeader>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {events.map((e) => (
+                    <TableRow key={e.id}>
+                      <TableCell>{when(e.at)}</TableCell>
+                      <TableCell>{e.alertName}</TableCell>
+                      <TableCell><Tag size="sm" type={STATUS_TAG[e.status] || "cool-gray"}>{e.status}</Tag></TableCell>
+                      <TableCell>{e.trigger}</TableCell>
+                      <TableCell>{e.count ?? ""}</TableCell>
+                      <TableCell title={(e.keys || []).join("\n")}>{e.records ?? ""}</TableCell>
+                      <TableCell>
+                        {(e.delivery || []).map((d) => (
+                          <div key={d.url} style={{ fontSize: 12 }}>{d.error ? "✗" : "✓"} {d.url}{d.error ? ` — ${d.error}` : ""}</div>
+                        ))}
+                        {e.status === "error" ? <div style={{ fontSize: 12, color: "var(--cds-text-error)" }}>{e.error}</div> : null}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Stack>
+      </Tile>
+
+      <JsonModal
+        open={modalOpen}
+        title={editingId ? `Edit alert: ${modalValue?.name || ""}` : "Create alert"}
+        initialValue={modalValue}
+        primaryButtonText={busy ? "Saving…" : "Save"}
+        onClose={() => setModalOpen(false)}
+        onSave={saveAlert}
+      />
+    </Stack>
+  );
+}
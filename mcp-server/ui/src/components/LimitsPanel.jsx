@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from "react";
+import {
+  Grid,
+  Column,
+  Stack,
+  Tile,
+  Button,
+  InlineNotification,
+  Table,
+  TableHead,
+  TableRow,
+  TableHeader,
+  TableBody,
+  TableCell,
+  TableContainer,
+  Tag,
+} from "@carbon/react";
+
+import { Edit, Renew } from "@carbon/icons-react";
+import JsonModal from "./JsonModal.jsx";
+
+// Per-tenant / per-user limits (/api/limits): chat and Maximo requests per minute, daily LLM tokens, Maximo
+// calls per chat and page size. Edited as JSON; the table shows the defaults, overrides and live counters.
+
+const FIELDS = [
+  { key: "chatPerMinute", label: "Chats / min" },
+  { key: "maximoPerMinute", label: "Maximo calls / min" },
+  { key: "dailyTokens", label: "Tokens / day" },
+  { key: "maxMaximoCallsPerChat", label: "Maximo calls / chat" },
+  { key: "maxPageSize", label: "Max page size" },
+];
+
+const EXAMPLE = {
+  enabled: true,
+  user: { chatPerMinute: 20, maximoPerMinute: 60, dailyTokens: 200000, maxMaximoCallsPerChat: 15 },
+  tenant: { chatPerMinute: 200, maximoPerMinute: 600, dailyTokens: 5000000, maxPageSize: 500 },
+  users: {},
+  tenants: {},
+};
+
+const fmt = (v) => (Number(v) > 0 ? Number(v).toLocaleString() : "—");
+
+export default function LimitsPanel() {
+  const [limits, setLimits] = useState(null);
+  const [activity, setActivity] = useState([]);
+  const [err, setErr] = useState("");
+  const [editing, setEditing] = useState(false);
+
+  const load = async () => {
+    try {
+      const r = await fetch("/api/limits");
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(j?.detail || j?.error || `GET /api/limits ${r.status}`);
+      setLimits(j.limits || null);
+      setActivity(Array.isArray(j.activity) ? j.activity : []);
+      setErr("");
+    } catch (e) {
+      setErr(String(e?.message || e));
+    }
+  };
+
+  useEffect(() => {
+    load();
+    const t = setInterval(load, 15000);
+    return () => clearInterval(t);
+  }, []);
+
+  const save = async (value) => {
+    try {
+      const r = await fetch("/api/limits", {
+        method: "PUT",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(value),
+      });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(j?.detail || j?.error || `PUT /api/limits ${r.status}`);
+      setEditing(false);
+      await load();
+    } catch (e) {
+      setErr(String(e?.message || e));
+    }
+  };
+
+  const configured = limits && (Object.keys(limits.user || {}).length || Object.keys(limits.tenant || {}).length
+    || Object.keys(limits.users || {}).length || Object.keys(limits.tenants || {}).length);
+  const rows = limits
+    ? [
+        { id: "user", name: "Each user", values: limits.user || {} },
+        { id: "tenant", name: "Each tenant", values: limits.tenant || {} },
+        ...Object.entries(limits.users || {}).map(([k, v]) => ({ id: `u:${k}`, name: `User ${k}`, values: v })),
+        ...Object.entries(limits.tenants || {}).map(([k, v]) => ({ id: `t:${k}`, name: `Tenant ${k}`, values: v })),
+      ]
+    : [];
+
+  return (
+    <Grid fullWidth style={{ marginTop: 16 }}>
+      <Column lg={16} md={8} sm={4}>
+        <Tile>
+          <Stack gap={5}>
+            <div style={{ display: "flex", justifyContent: "space-between", gap: 12, alignItems: "flex-start" }}>
+              <div>
+                <h3 style={{ marginBottom: 6 }}>
+                  Limits{" "}
+                  {limits ? <Tag type={limits.enabled && configured ? "green" : "cool-gray"}>{limits.enabled ? (configured ? "enforced" : "none set") : "disabled"}</Tag> : null}
+                </h3>
+                <p style={{ margin: 0, opacity: 0.85 }}>
+                  Per user and per tenant. Requests over a limit get HTTP 429. Overrides replace the default for one user or tenant; — means no limit.
+                </p>
+              </div>
+              <div style={{ display: "flex", gap: 8 }}>
+                <Button kind="secondary" size="sm" renderIcon={Renew} onClick={load}>
+                  Reload
+                </Button>
+                <Button size="sm" renderIcon={Edit} onClick={() => setEditing(true)} disabled={!limits}>
+                  Edit limits
+                </Button>
+              </div>
+            </div>
+
+            {err ? <InlineNotification kind="error" lowContrast title="Limits" subtitle={err} /> : null}
+
+            <TableContainer>
+              <Table size="sm">
+                <TableHead>
+                  <TableRow>
+                    <TableHeader>Applies to</TableHeader>
+                    {FIELDS.map((f) => (
+                      <TableHeader key={f.key}>{f.label}</TableHeader>
+                    ))}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {rows.map((r) => (
+                    <TableRow key={r.id}>
+                      <TableCell>{r.name}</TableCell>
+                      {FIELDS.map((f) => (
+                        <TableCell key={f.key}>{fmt(r.values[f.key])}</TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            <div>
+              <h4 style={{ marginBottom: 8 }}>Last minute</h4>
+              {activity.length ? (
+                <TableContainer>
+                  <Table size="sm">
+                    <TableHead>
+                      <TableRow>
+                        <TableHeader>Scope</TableHeader>
+                        <TableHeader>Name</TableHeader>
+                        <TableHeader>Chats</TableHeader>
+                        <TableHeader>Maximo calls</TableHeader>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {activity.map((a) => (
+                        <TableRow key={`${a.scope}:${a.key}`}>
+                          <TableCell>{a.scope}</TableCell>
+                          <TableCell>{a.key}</TableCell>
+                          <TableCell>{a.chatPerMinute}</TableCell>
+                          <TableCell>{a.maximoPerMinute}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              ) : (
+                <div style={{ opacity: 0.8, fontSize: 12 }}>No limited traffic in the last minute.</div>
+              )}
+            </div>
+          </Stack>
+        </Tile>
+      </Column>
+
+      <JsonModal
+        open={editing}
+        title="Limits (0 or missing = no limit)"
+        initialValue={configured ? limits : EXAMPLE}
+        onClose={() => setEditing(false)}
+        onSave={save}
+      />
+    </Grid>
+  );
+}
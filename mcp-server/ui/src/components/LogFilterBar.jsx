@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from "react";
+import { Grid, Column, Tile, TextInput, Button } from "@carbon/react";
+
+export const EMPTY_LOG_QUERY = { tenant: "", kind: "", tool: "", status: "", from: "", to: "", correlationId: "" };
+
+/**
+ * Server-side log filters (sent to /api/logs by the parent).
+ * - Keeps its own draft so typing does not refetch; Apply/Reset hand the query up
+ * - from/to are datetime-local values (browser time); the parent converts them to ISO
+ */
+export default function LogFilterBar({ value, onApply, storeInfo }) {
+  const [draft, setDraft] = useState(value || EMPTY_LOG_QUERY);
+
+  useEffect(() => setDraft(value || EMPTY_LOG_QUERY), [value]);
+
+  const set = (k) => (e) => setDraft((d) => ({ ...d, [k]: e?.target?.value ?? "" }));
+  const active = Object.values(value || {}).some((v) => String(v || "").trim());
+
+  return (
+    <Grid fullWidth>
+      <Column lg={16} md={8} sm={4}>
+        <Tile style={{ marginBottom: 16 }}>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              onApply({ ...draft });
+            }}
+          >
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: 12 }}>
+              <TextInput id="lf-tenant" size="sm" labelText="Tenant" value={draft.tenant} onChange={set("tenant")} />
+              <TextInput id="lf-kind" size="sm" labelText="Kind" placeholder="rx_agent,tx_agent" value={draft.kind} onChange={set("kind")} />
+              <TextInput id="lf-tool" size="sm" labelText="Tool" placeholder="maximo_queryOS" value={draft.tool} onChange={set("tool")} />
+              <TextInput id="lf-status" size="sm" labelText="Status" placeholder="500, 4xx or error" value={draft.status} onChange={set("status")} />
+              <TextInput id="lf-from" size="sm" type="datetime-local" labelText="From" value={draft.from} onChange={set("from")} />
+              <TextInput id="lf-to" size="sm" type="datetime-local" labelText="To" value={draft.to} onChange={set("to")} />
+              <TextInput id="lf-corr" size="sm" labelText="Correlation id" value={draft.correlationId} onChange={set("correlationId")} />
+            </div>
+            <div style={{ display: "flex", gap: 8, marginTop: 12, alignItems: "center" }}>
+              <Button type="submit" size="sm">
+                Apply filters
+              </Button>
+              <Button
+                kind="ghost"
+                size="sm"
+                disabled={!active}
+                onClick={() => {
+                  setDraft(EMPTY_LOG_QUERY);
+                  onApply({ ...EMPTY_LOG_QUERY });
+                }}
+              >
+                Reset
+              </Button>
+              {storeInfo ? (
+                <span style={{ marginLeft: "auto", fontSize: 12, opacity: 0.75 }}>
+                  Store: <strong>{storeInfo.backend}</strong>
+                  {storeInfo.fallbackReason ? ` (fallback: ${storeInfo.fallbackReason})` : ""}
+                  {storeInfo.retentionDays ? ` · retention ${storeInfo.retentionDays}d` : ""}
+                </span>
+              ) : null}
+            </div>
+          </form>
+        </Tile>
+      </Column>
+    </Grid>
+  );
+}
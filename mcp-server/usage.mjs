@@ -0,0 +1,264 @@
+// mcp-server/usage.mjs
+// LLM token usage ledger: one record per model call, reported by the app (POST /api/usage), priced with
+// the admin price table and summarized per tenant / user / model / day for the Dashboard.
+//
+// Record:
+//   { id, ts, tenant, user, provider, model, operation, inputTokens, outputTokens, totalTokens,
+//     estimated,          // true when the provider reported no usage and the app tokenized locally
+//     cost, currency,     // priced at ingest, so later price edits don't rewrite history
+//     conversationId? }
+//
+// Price table (DATA_DIR/usage_prices.json, edited from the Dashboard):
+//   { currency: "USD",
+//     models: { "openai/gpt-4o": { input: 2.5, output: 10 },   // per 1M tokens
+//               "claude-sonnet-4": { ... },                    // model only (any provider)
+//               "local/*": { input: 0, output: 0 } },          // whole provider
+//     budget: { monthly: 500 } }                               // optional, shown against month-to-date cost
+// Lookup order: "provider/model", "model", "provider/*", "*". Unpriced calls cost 0 and are counted as such.
+//
+// Storage: append-only JSONL, one file per UTC day (usage-YYYYMMDD.jsonl), pruned after retentionDays.
+//
+// Token estimates (TOKENIZER=local) use the optional gpt-tokenizer package; otherwise, and for texts over
+// TOKENIZER_MAX_CHARS, bytes ÷ 4.
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRICE_FIELDS = ["input", "output"];
+
+function usageError(message) {
+  const e = new Error(message);
+  e.code = "invalid_usage";
+  return e;
+}
+
+// ---------- token estimates ----------
+let tokenizer = null;
+let tokenizerReason = "";
+const TOKENIZER_MAX_CHARS = Number(process.env.TOKENIZER_MAX_CHARS || 200000);
+
+/** Load the local tokenizer when TOKENIZER=local (call once at startup; estimates fall back to bytes ÷ 4). */
+export async function loadTokenizer(mode = process.env.TOKENIZER) {
+  if (String(mode || "").trim().toLowerCase() !== "local" || tokenizer) return tokenizerInfo();
+  try {
+    const mod = await import("gpt-tokenizer");
+    tokenizer = typeof mod.countTokens === "function" ? mod.countTokens : null;
+    if (!tokenizer) tokenizerReason = "gpt-tokenizer has no countTokens()";
+  } catch (e) {
+    tokenizerReason = `gpt-tokenizer not available (${String(e?.message || e).slice(0, 120)})`;
+  }
+  if (tokenizerReason) console.error(`tokenizer: ${tokenizerReason}; using bytes ÷ 4`);
+  return tokenizerInfo();
+}
+
+export function tokenizerInfo() {
+  return tokenizer
+    ? { method: "local", label: `Tokens≈ local tokenizer for Maximo payloads (bytes ÷ 4 for inbound requests and above ${TOKENIZER_MAX_CHARS} chars)` }
+    : { method: "bytes", label: "Tokens≈ bytes ÷ 4", ...(tokenizerReason ? { reason: tokenizerReason } : {}) };
+}
+
+export function estimateTokens(text) {
+  const s = typeof text === "string" ? text : text == null ? "" : JSON.stringify(text);
+  if (!s) return 0;
+  if (tokenizer && s.length <= TOKENIZER_MAX_CHARS) {
+    try { return tokenizer(s); } catch {}
+  }
+  return Math.round(Buffer.byteLength(s) / 4);
+}
+
+// ---------- prices ----------
+export function normalizePriceTable(raw = {}) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw usageError("Price table must be an object");
+  const currency = String(raw.currency || "USD").trim().toUpperCase().slice(0, 8) || "USD";
+  const models = {};
+  for (const [key, p] of Object.entries(raw.models || {})) {
+    const k = String(key).trim().toLowerCase();
+    if (!k) continue;
+    if (!p || typeof p !== "object") throw usageError(`Price for "${key}" must be { input, output }`);
+    const price = {};
+    for (const f of PRICE_FIELDS) {
+      const n = Number(p[f] ?? 0);
+      if (!Number.isFinite(n) || n < 0) throw usageError(`Price ${key}.${f} must be a number >= 0 (per 1M tokens)`);
+      price[f] = n;
+    }
+    models[k] = price;
+  }
+  const monthly = raw.budget?.monthly;
+  const budget = {};
+  if (monthly !== undefined && monthly !== null && monthly !== "") {
+    const n = Number(monthly);
+    if (!Number.isFinite(n) || n < 0) throw usageError("budget.monthly must be a number >= 0");
+    budget.monthly = n;
+  }
+  return { currency, models, budget };
+}
+
+export function priceFor(table, provider, model) {
+  const m = table?.models || {};
+  const p = String(provider || "").toLowerCase();
+  const id = String(model || "").toLowerCase();
+  return m[`${p}/${id}`] || m[id] || m[`${p}/*`] || m["*"] || null;
+}
+
+export function costOf(table, { provider, model, inputTokens, outputTokens }) {
+  const price = priceFor(table, provider, model);
+  if (!price) return { cost: 0, priced: false };
+  const cost = (Number(inputTokens || 0) * price.input + Number(outputTokens || 0) * price.output) / 1e6;
+  return { cost: Math.round(cost * 1e6) / 1e6, priced: true };
+}
+
+// ---------- records ----------
+const str = (v, max = 120) => String(v ?? "").trim().slice(0, max);
+
+function tokenCount(v, field) {
+  if (v === undefined || v === null || v === "") return 0;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) throw usageError(`${field} must be a number >= 0`);
+  return Math.round(n);
+}
+
+/** Validate one reported record and price it. Throws Error code "invalid_usage". */
+export function normalizeUsageRecord(raw, { prices, now = Date.now() } = {}) {
+  if (!raw || typeof raw !== "object") throw usageError("Usage record must be an object");
+  const provider = str(raw.provider, 40).toLowerCase();
+  if (!provider) throw usageError("provider is required");
+  const inputTokens = tokenCount(raw.inputTokens, "inputTokens");
+  const outputTokens = tokenCount(raw.outputTokens, "outputTokens");
+  const ts = Number(raw.ts);
+  const rec = {
+    id: str(raw.id, 64) || crypto.randomBytes(12).toString("hex"),
+    ts: Number.isFinite(ts) && ts > 0 && ts <= now + 60000 ? ts : now,
+    tenant: str(raw.tenant, 80) || "default",
+    user: str(raw.user, 120),
+    provider,
+    model: str(raw.model) || "default",
+    operation: str(raw.operation, 40) || "complete",
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    estimated: !!raw.estimated,
+    ...(raw.conversationId ? { conversationId: str(raw.conversationId, 80) } : {}),
+  };
+  const { cost, priced } = costOf(prices, rec);
+  return { ...rec, cost, priced, currency: prices?.currency || "USD" };
+}
+
+// ---------- ledger ----------
+const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10).replace(/-/g, "");
+
+export function createUsageLedger({ dir, retentionDays = 90 }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (key) => path.join(dir, `usage-${key}.jsonl`);
+
+  function dayFiles() {
+    return fs.readdirSync(dir)
+      .map((f) => f.match(/^usage-(\d{8})\.jsonl$/))
+      .filter(Boolean)
+      .map((m) => ({ key: m[1], file: path.join(dir, m[0]) }))
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  return {
+    append(records) {
+      const byDay = new Map();
+      for (const r of records) {
+        const k = dayKey(r.ts);
+        byDay.set(k, (byDay.get(k) || "") + JSON.stringify(r) + "\n");
+      }
+      for (const [k, text] of byDay) fs.appendFileSync(fileFor(k), text, "utf-8");
+    },
+
+    /** Records with from <= ts <= to (epoch ms), optionally for one tenant / user; oldest first. */
+    query({ from = 0, to = Date.now(), tenant, user } = {}) {
+      const lo = dayKey(from);
+      const hi = dayKey(to);
+      const out = [];
+      for (const { key, file } of dayFiles()) {
+        if (key < lo || key > hi) continue;
+        let text = "";
+        try { text = fs.readFileSync(file, "utf-8"); } catch { continue; }
+        for (const line of text.split("\n")) {
+          if (!line) continue;
+          let r;
+          try { r = JSON.parse(line); } catch { continue; }
+          if (r.ts < from || r.ts > to) continue;
+          if (tenant && r.tenant !== tenant) continue;
+          if (user && r.user !== user) continue;
+          out.push(r);
+        }
+      }
+      return out.sort((a, b) => a.ts - b.ts);
+    },
+
+    prune(now = Date.now()) {
+      const cutoff = dayKey(now - retentionDays * DAY_MS);
+      for (const { key, file } of dayFiles()) if (key < cutoff) try { fs.unlinkSync(file); } catch {}
+    },
+  };
+}
+
+// ---------- summary ----------
+function group(records, keyOf) {
+  const m = new Map();
+  for (const r of records) {
+    const key = keyOf(r) || "(unknown)";
+    const g = m.get(key) || { key, calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+    g.calls += 1;
+    g.inputTokens += r.inputTokens || 0;
+    g.outputTokens += r.outputTokens || 0;
+    g.totalTokens += r.totalTokens || 0;
+    g.cost += r.cost || 0;
+    m.set(key, g);
+  }
+  return Array.from(m.values())
+    .map((g) => ({ ...g, cost: Math.round(g.cost * 1e4) / 1e4 }))
+    .sort((a, b) => (b.cost - a.cost) || (b.totalTokens - a.totalTokens));
+}
+
+/**
+ * Totals and breakdowns for [from, to]: { totals, byTenant, byUser, byModel, daily, month }.
+ * `monthRecords` (this calendar month, UTC) feeds the budget view: { cost, budget, projected }.
+ */
+export function summarizeUsage(records, { from, to, prices, monthRecords = [], now = Date.now() } = {}) {
+  const totals = group(records, () => "all")[0] || { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+  delete totals.key;
+  totals.estimatedCalls = records.filter((r) => r.estimated).length;
+  totals.unpricedCalls = records.filter((r) => r.priced === false).length;
+
+  const days = new Map();
+  for (let t = Date.UTC(new Date(from).getUTCFullYear(), new Date(from).getUTCMonth(), new Date(from).getUTCDate()); t <= to; t += DAY_MS) {
+    days.set(new Date(t).toISOString().slice(0, 10), { day: new Date(t).toISOString().slice(0, 10), inputTokens: 0, outputTokens: 0, cost: 0 });
+  }
+  for (const r of records) {
+    const d = days.get(new Date(r.ts).toISOString().slice(0, 10));
+    if (!d) continue;
+    d.inputTokens += r.inputTokens || 0;
+    d.outputTokens += r.outputTokens || 0;
+    d.cost += r.cost || 0;
+  }
+
+  const monthCost = monthRecords.reduce((acc, r) => acc + (r.cost || 0), 0);
+  const d = new Date(now);
+  const monthStart = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+  const monthEnd = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+  const elapsed = Math.max(1, now - monthStart);
+
+  return {
+    from,
+    to,
+    currency: prices?.currency || "USD",
+    totals: { ...totals, cost: Math.round((totals.cost || 0) * 1e4) / 1e4 },
+    byTenant: group(records, (r) => r.tenant),
+    byUser: group(records, (r) => r.user),
+    byModel: group(records, (r) => `${r.provider}/${r.model}`),
+    daily: Array.from(days.values()).map((x) => ({ ...x, cost: Math.round(x.cost * 1e4) / 1e4 })),
+    month: {
+      start: new Date(monthStart).toISOString(),
+      cost: Math.round(monthCost * 1e4) / 1e4,
+      projected: Math.round((monthCost * (monthEnd - monthStart) / elapsed) * 1e4) / 1e4,
+      budget: prices?.budget?.monthly ?? null,
+    },
+  };
+}